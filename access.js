@@ -0,0 +1,48 @@
+/**
+ * access.js
+ * - Roles: admin (ADMIN_IDS), user, banned (access.json -> banned)
+ * - Registration gate for /start: REGISTRATION_MODE = open | invite (INVITE_CODE) | approval (admin /approve)
+ * - access.json also keeps pending registrations and the paused flag of the auto loop
+ */
+
+const ADMIN_IDS = (process.env.ADMIN_IDS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+
+const REGISTRATION_MODES = ['open', 'invite', 'approval'];
+const REGISTRATION_MODE = REGISTRATION_MODES.includes(process.env.REGISTRATION_MODE) ? process.env.REGISTRATION_MODE : 'open';
+const INVITE_CODE = process.env.INVITE_CODE || '';
+
+if (REGISTRATION_MODE === 'invite' && !INVITE_CODE) {
+    console.warn('⚠️ REGISTRATION_MODE=invite but INVITE_CODE is empty — nobody can register');
+}
+if (ADMIN_IDS.length === 0) {
+    console.warn('⚠️ ADMIN_IDS is empty — admin commands are disabled');
+}
+
+function emptyAccess() {
+    return { banned: {}, pending: {}, paused: false };
+}
+
+function isAdmin(id) {
+    return id !== undefined && id !== null && ADMIN_IDS.includes(String(id));
+}
+
+function isBanned(access, id) {
+    return !!(access && access.banned && id !== undefined && id !== null && access.banned[String(id)]);
+}
+
+// invite mode: "/start CODE" (also what t.me/<bot>?start=CODE sends)
+function inviteCodeValid(code) {
+    return !!INVITE_CODE && String(code || '').trim() === INVITE_CODE;
+}
+
+module.exports = {
+    ADMIN_IDS,
+    REGISTRATION_MODE,
+    emptyAccess,
+    isAdmin,
+    isBanned,
+    inviteCodeValid
+};
@@ -1,100 +1,73 @@
-const axios = require('axios');
+const { getProvider } = require('./providers');
+const { estimateTargetProbabilities } = require('./probability');
+const { detectLiquidityLevels } = require('./liquidity');
+const { findFVGs, findOrderBlocks, findEntryZone } = require('./zones');
+const indicators = require('./indicators');
+const { DEFAULT_CONFIG, symbolConfig, getConfig, onConfigChange } = require('./config');
+const { buildLadder } = require('./ladder');
+const { last } = indicators;
 
 /**
  * analysis.js
  * - TF chính: M5 (entry trigger) + M15 (main analysis) + H1 (filter)
- * - Heuristic scoring -> estimate p_win per TP candidate
- * - EV selection -> choose TP multiplier with max EV
+ * - Heuristic scoring -> setup quality; per-target p_win from M15 excursions (probability.js)
+ * - EV selection -> choose TP multiplier with max EV; TP1/TP2/TP3 ladder with break-even trail (ladder.js)
+ * - SL beyond the nearest meaningful liquidity level, TP snapped to opposing liquidity (liquidity.js)
+ * - Pullback setups (untouched FVG / order block nearby) -> pending LIMIT entry in that zone (zones.js)
+ * - Every result carries explain: raw inputs, each setup factor's contribution and the gates in order
+ *   (rejectedBy = the gate that stopped the trade) — rendered by explain.js (/why)
  */
 
 // ----------------- Config -----------------
-const DATA_SOURCE = {
-    // primary: Binance futures public klines
-    klines: (symbol, interval, limit = 500) =>
-        `https://fapi.binance.com/fapi/v1/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`
-};
-
+// labels / intervals are fixed (kline stream, strategies); weights come from config.timeframeWeights and scale
+// that TF's factors in scorePWin relative to the default weights (the factor sizes are tuned at the defaults)
 const TIMEFRAMES = [
     { label: 'H1', interval: '1h', weight: 1.3 },
     { label: '15M', interval: '15m', weight: 1.1 },
     { label: '5M', interval: '5m', weight: 0.8 }
 ];
 
-const TP_CANDIDATES = [1.0, 1.5, 2.0, 3.0]; // multiples of ATR
-const SL_MULTIPLIER = 1.0; // SL = 1 * ATR (default, can be adjusted by structure)
-const MIN_CONFIDENCE = 60; // percent threshold (index.js uses this)
+function applyTimeframeWeights(config) {
+    for (const tf of TIMEFRAMES) tf.weight = config.timeframeWeights[tf.label];
+}
+
+// multiplier for one TF's score factors: 1 at the default weight
+function timeframeScale(label) {
+    const tf = TIMEFRAMES.find(t => t.label === label);
+    return tf.weight / DEFAULT_CONFIG.timeframeWeights[label];
+}
+applyTimeframeWeights(getConfig());
+onConfigChange(applyTimeframeWeights);
+
+// TP candidates, SL multiplier and min confidence come from config.js (per symbol where overridable)
+const SL_BUFFER_ATR = 0.1; // stop this far beyond the level (sweeps wick a little past it)
+const SL_RANGE_ATR = [0.5, 2.5]; // structural stop distance clamp
+const MIN_LEVEL_STRENGTH = 3; // lone M15 swings / session extremes alone are not meaningful
+const TP_SNAP_ATR = 0.5; // snap TP to opposing liquidity within this distance
 
 // ----------------- Utilities -----------------
 async function loadCandles(symbol, interval, limit = 500) {
-    // try Binance futures
-    const url = DATA_SOURCE.klines(symbol, interval, limit);
-    const resp = await axios.get(url, {
-        timeout: 10000,
-        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ScalperBot/1.0)' }
-    });
-    if (!resp.data || !Array.isArray(resp.data)) throw new Error(`Invalid candle response for ${symbol} ${interval}`);
-    // Binance returns [ openTime, open, high, low, close, vol, ... ]
-    const mapped = resp.data.map(c => ({
-        t: c[0],
-        open: parseFloat(c[1]),
-        high: parseFloat(c[2]),
-        low: parseFloat(c[3]),
-        close: parseFloat(c[4]),
-        vol: parseFloat(c[5])
-    }));
-    return mapped;
+    // provider is chosen per symbol (see providers.js), default Binance futures
+    const candles = await getProvider(symbol).loadCandles(symbol, interval, limit);
+    if (!Array.isArray(candles) || candles.length === 0) throw new Error(`Invalid candle response for ${symbol} ${interval}`);
+    return candles;
 }
 
+// latest values of the indicator series (indicators.js)
 function calculateATR(candles, period = 14) {
-    if (!candles || candles.length < period + 1) return 0;
-    const tr = [];
-    for (let i = 1; i < candles.length; i++) {
-        const prev = candles[i - 1];
-        const cur = candles[i];
-        const val = Math.max(
-            cur.high - cur.low,
-            Math.abs(cur.high - prev.close),
-            Math.abs(cur.low - prev.close)
-        );
-        tr.push(val);
-    }
-    // Wilder's smoothing
-    let atr = tr.slice(0, period).reduce((a,b) => a+b, 0) / period;
-    for (let i = period; i < tr.length; i++) {
-        atr = ( (atr * (period - 1)) + tr[i] ) / period;
-    }
-    return atr;
+    if (!candles) return 0;
+    return last(indicators.atr(candles, period)) || 0;
 }
 
 function EMA(values, period) {
-    if (!values || values.length < period) return null;
-    const k = 2 / (period + 1);
-    let ema = values.slice(0, period).reduce((a,b) => a+b, 0) / period;
-    for (let i = period; i < values.length; i++) {
-        ema = values[i] * k + ema * (1 - k);
-    }
-    return ema;
+    if (!values) return null;
+    return last(indicators.ema(values, period));
 }
 
 function RSI(values, period = 14) {
-    if (!values || values.length < period + 1) return 50;
-    let gains = 0, losses = 0;
-    for (let i = 1; i <= period; i++) {
-        const diff = values[i] - values[i-1];
-        if (diff >= 0) gains += diff; else losses += Math.abs(diff);
-    }
-    let avgGain = gains / period;
-    let avgLoss = losses / period;
-    for (let i = period + 1; i < values.length; i++) {
-        const diff = values[i] - values[i-1];
-        const g = diff > 0 ? diff : 0;
-        const l = diff < 0 ? Math.abs(diff) : 0;
-        avgGain = (avgGain * (period - 1) + g) / period;
-        avgLoss = (avgLoss * (period - 1) + l) / period;
-    }
-    if (avgLoss === 0) return 100;
-    const rs = avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
+    if (!values) return 50;
+    const r = last(indicators.rsi(values, period));
+    return r === null ? 50 : r;
 }
 
 function mean(arr) {
@@ -127,32 +100,6 @@ function detectVolumeSpike(candles) {
     return (last > avg * 1.8);
 }
 
-// find a simple order-block like candle (large body)
-function findRecentOrderBlock(candles) {
-    if (!candles || candles.length < 6) return null;
-    for (let i = candles.length - 6; i < candles.length - 1; i++) {
-        const c = candles[i];
-        const body = Math.abs(c.close - c.open);
-        const range = c.high - c.low;
-        if (body > range * 0.6 && c.vol > mean(candles.slice(i-6<0?0:i-6, i).map(x=>x.vol))) {
-            return { index: i, high: c.high, low: c.low, bullish: c.close > c.open };
-        }
-    }
-    return null;
-}
-
-// fair value gap detection (small)
-function findFVGs(candles) {
-    const gaps = [];
-    for (let i = 1; i < candles.length - 1; i++) {
-        const prev = candles[i-1], curr = candles[i], next = candles[i+1];
-        // bullish FVG
-        if (curr.low > prev.high) gaps.push({ type: 'bullish', low: prev.high, high: curr.low, idx: i });
-        if (curr.high < prev.low) gaps.push({ type: 'bearish', low: curr.high, high: prev.low, idx: i });
-    }
-    return gaps;
-}
-
 // ----------------- Heuristic probability model (no ML) -----------------
 function scoreToProbability(score) {
     // score roughly in [-5, +5] -> map to 0..1 via logistic
@@ -160,99 +107,129 @@ function scoreToProbability(score) {
     return 1 / (1 + Math.exp(-s));
 }
 
-// build features and compute a score for win-probability for given TF analyses
-function estimatePWin({h1, m15, m5}, direction, atr) {
-    // accumulate signals
-    let score = 0;
+/**
+ * Build features and compute a score for win-probability for given TF analyses.
+ * -> { p, score, factors: [{ name, weight, active, contribution, value }] } — every factor is listed,
+ *    inactive ones with contribution 0, so /why can show what was missing too
+ */
+function scorePWin({h1, m15, m5}, direction, atr) {
+    const factors = [];
+    const add = (name, weight, active, value = null) => factors.push({ name, weight, active: !!active, contribution: active ? weight : 0, value });
+    const want = direction === 'LONG' ? 'bullish' : 'bearish';
+    const h1Scale = timeframeScale('H1'), m15Scale = timeframeScale('15M'), m5Scale = timeframeScale('5M');
 
     // base bias from H1 (strong filter)
-    if (h1) {
-        if (direction === 'LONG' && h1.trend === 'bullish') score += 1.2;
-        if (direction === 'SHORT' && h1.trend === 'bearish') score += 1.2;
-    }
+    if (h1) add('h1Trend', 1.2 * h1Scale, h1.trend === want, h1.trend);
 
     // M15 quality
     if (m15) {
-        if (m15.trend === (direction === 'LONG' ? 'bullish' : 'bearish')) score += 0.9;
-        score += (m15.confidence || 50) / 100 - 0.5; // convert to -0.5..+0.5
-        if (m15.volumeSpike) score += 0.6;
+        add('m15Trend', 0.9 * m15Scale, m15.trend === want, m15.trend);
+        const conf = ((m15.confidence || 50) / 100 - 0.5) * m15Scale; // convert to -0.5..+0.5
+        factors.push({ name: 'm15Confidence', weight: conf, active: true, contribution: conf, value: m15.confidence || 50 });
+        add('m15VolumeSpike', 0.6 * m15Scale, m15.volumeSpike);
     }
 
     // M5 immediate momentum/volume
     if (m5) {
-        if (m5.momentumStrong) score += 0.8;
-        if (m5.volumeSpike) score += 0.6;
+        add('m5Momentum', 0.8 * m5Scale, m5.momentumStrong);
+        add('m5VolumeSpike', 0.6 * m5Scale, m5.volumeSpike);
         // candle body size relative to ATR
         const body = Math.abs(m5.last.close - m5.last.open);
-        if (body > atr * 0.5) score += 0.5;
+        add('m5Body', 0.5 * m5Scale, body > atr * 0.5, atr > 0 ? +(body / atr).toFixed(2) : null);
     }
 
     // Penalize if ATR (volatility) is too low or too high (scalping sweetspot)
-    if (atr <= 0) return 0.01;
+    if (atr <= 0) return { p: 0.01, score: null, factors };
     const atrPct = atr / (m15.price || 1);
-    if (atrPct < 0.0002) score -= 0.5; // too quiet
-    if (atrPct > 0.02) score -= 0.6; // too noisy
+    add('atrTooQuiet', -0.5, atrPct < 0.0002, +(atrPct * 100).toFixed(4));
+    add('atrTooNoisy', -0.6, atrPct > 0.02, +(atrPct * 100).toFixed(4));
 
     // final probability
-    const p = scoreToProbability(score);
-    return p;
+    const score = factors.reduce((a, f) => a + f.contribution, 0);
+    return { p: scoreToProbability(score), score, factors };
 }
 
-// ----------------- Level calculators -----------------
-function calculateEntryAndStops(direction, currentPrice, m5Analysis, m15Analysis, h1Analysis, atr) {
-    // Entry: use small offset near current price or just currentPrice
-    let entry = currentPrice;
-    // If order-block nearby, move entry slightly into block
-    const ob = m15Analysis && m15Analysis.orderBlock;
-    if (ob) {
-        if (direction === 'LONG') {
-            // entry slightly above ob.low
-            entry = Math.min(currentPrice, ob.low * 1.001);
-        } else {
-            entry = Math.max(currentPrice, ob.high * 0.999);
-        }
-    }
+function estimatePWin(context, direction, atr) {
+    return scorePWin(context, direction, atr).p;
+}
 
-    // Stop Loss: use structure-aware SL if possible
-    let sl;
-    if (direction === 'LONG') {
-        // nearest support from m15 liquidity or ob.low
-        const supports = (m15Analysis && m15Analysis.liquidityLevels || []).filter(l=>l.type==='support').map(l=>l.price);
-        if (supports.length) sl = Math.max(Math.min(...supports), entry - atr * 1.0);
-        else sl = entry - atr * SL_MULTIPLIER;
+// ----------------- Level calculators -----------------
+function calculateEntryAndStops(direction, currentPrice, m5Analysis, m15Analysis, h1Analysis, atr, slMultiplier) {
+    // Entry: market, or a limit in the nearest FVG / order block when the setup calls for a pullback
+    const entryZone = m15Analysis ? findEntryZone(direction, currentPrice, atr, m15Analysis.fvgs || [], m15Analysis.orderBlocks || []) : null;
+    const entry = entryZone ? entryZone.entry : currentPrice;
+    const orderType = entryZone && !entryZone.inside ? 'LIMIT' : 'MARKET';
+
+    // Stop Loss: beyond the nearest meaningful level on the stop side, clamped to SL_RANGE_ATR
+    // (and always beyond the far side of the entry zone: a close through it invalidates the setup)
+    const zoneFloor = entryZone ? Math.abs(entry - (direction === 'LONG' ? entryZone.low : entryZone.high)) + atr * SL_BUFFER_ATR : 0;
+    const [minSl, maxSl] = SL_RANGE_ATR.map(k => Math.max(k * atr, zoneFloor));
+    const levels = (m15Analysis && m15Analysis.liquidityLevels) || [];
+    const stopSide = levels
+        .filter(l => l.strength >= MIN_LEVEL_STRENGTH)
+        .filter(l => direction === 'LONG' ? l.price < entry : l.price > entry)
+        .map(l => ({ level: l, dist: Math.abs(entry - l.price) + atr * SL_BUFFER_ATR }))
+        .filter(c => c.dist <= maxSl)
+        .sort((a,b) => a.dist - b.dist);
+    let sl, slLevel = null;
+    if (stopSide.length) {
+        slLevel = stopSide[0].level;
+        const dist = Math.max(minSl, stopSide[0].dist);
+        sl = direction === 'LONG' ? entry - dist : entry + dist;
     } else {
-        const res = (m15Analysis && m15Analysis.liquidityLevels || []).filter(l=>l.type==='resistance').map(l=>l.price);
-        if (res.length) sl = Math.min(Math.max(...res), entry + atr * 1.0);
-        else sl = entry + atr * SL_MULTIPLIER;
+        const dist = Math.max(atr * slMultiplier, zoneFloor);
+        sl = direction === 'LONG' ? entry - dist : entry + dist;
     }
 
-    // Ensure SL is not on wrong side of entry
-    if (direction === 'LONG' && sl >= entry) sl = entry - atr * SL_MULTIPLIER;
-    if (direction === 'SHORT' && sl <= entry) sl = entry + atr * SL_MULTIPLIER;
-
     // Candidate TPs will be computed externally as multiples of ATR
-    return { entry, sl };
+    return { entry, sl, slLevel, orderType, entryZone };
+}
+
+// front-run the strongest opposing level near the ATR target (price tends to react there first)
+function snapTakeProfit(direction, entry, tp, levels, atr) {
+    const near = (levels || [])
+        .filter(l => l.strength >= MIN_LEVEL_STRENGTH)
+        .filter(l => direction === 'LONG' ? l.price > entry : l.price < entry)
+        .filter(l => Math.abs(l.price - tp) <= atr * TP_SNAP_ATR)
+        .sort((a,b) => b.strength - a.strength || Math.abs(a.price - tp) - Math.abs(b.price - tp));
+    if (!near.length) return { tp, tpLevel: null };
+    const level = near[0];
+    const snapped = direction === 'LONG' ? level.price - atr * SL_BUFFER_ATR : level.price + atr * SL_BUFFER_ATR;
+    // a level this close to entry leaves no room for the trade, keep the ATR target
+    if (Math.abs(snapped - entry) < SL_RANGE_ATR[0] * atr) return { tp, tpLevel: null };
+    return { tp: snapped, tpLevel: level };
 }
 
 // ----------------- Main analysis -----------------
+// candles for every TF in `timeframes` ({ H1, 15M, 5M }); a TF that fails to load is left out
+async function loadTimeframes(symbol, timeframes = TIMEFRAMES, limit = 300) {
+    const loaded = {};
+    for (const tf of timeframes) {
+        try {
+            loaded[tf.label] = await loadCandles(symbol, tf.interval, limit);
+        } catch (e) {
+            // if fail for a tf, continue — callers check what they need
+            // console.warn(`Load failed ${symbol} ${tf.label}: ${e.message}`);
+        }
+    }
+    return loaded;
+}
+
 async function analyzeSymbol(symbol) {
+    // 1) load candles for H1, M15, M5 (we need at least M15 and M5)
+    const loaded = await loadTimeframes(symbol);
+    return analyzeCandles(symbol, loaded);
+}
+
+// run the analysis on already loaded candles ({ H1, 15M, 5M }) — used live and by backtest.js
+function analyzeCandles(symbol, loaded) {
     try {
-        // 1) load candles for H1, M15, M5
-        const loaded = {};
-        for (const tf of TIMEFRAMES) {
-            try {
-                const candles = await loadCandles(symbol, tf.interval, 300);
-                loaded[tf.label] = candles;
-            } catch (e) {
-                // if fail for a tf, continue — we need at least M15 and M5
-                // console.warn(`Load failed ${symbol} ${tf.label}: ${e.message}`);
-            }
-        }
         if (!loaded['15M'] || !loaded['5M']) {
             return { symbol, direction: 'NO_TRADE', confidence: 0, reason: 'Insufficient data (need 15m & 5m)' };
         }
 
         // 2) compute main metrics
+        const cfg = symbolConfig(symbol);
         const m5 = loaded['5M'];
         const m15 = loaded['15M'];
         const h1 = loaded['H1'] || null;
@@ -276,44 +253,78 @@ async function analyzeSymbol(symbol) {
         const m15_rsi = RSI(m15_closes, 14);
         const m15_trend = isBullishStructure(m15) ? 'bullish' : isBearishStructure(m15) ? 'bearish' : 'neutral';
         const m15_volumeSpike = detectVolumeSpike(m15);
-        const m15_orderBlock = findRecentOrderBlock(m15);
+        const m15_orderBlocks = findOrderBlocks(m15, atr);
         const m15_fvgs = findFVGs(m15);
-        const m15_liquidity = []; // simple placeholder
+        const m15_liquidity = detectLiquidityLevels({ m15, h1, atr, price });
         // build analysis objects
         const m5Analysis = { price: price, last: m5_last, rsi: m5_rsi, momentum: m5_momentum, momentumStrong: m5_momentumStrong, volumeSpike: m5_volumeSpike };
-        const m15Analysis = { price: m15[m15.length-1].close, rsi: m15_rsi, trend: m15_trend, volumeSpike: m15_volumeSpike, orderBlock: m15_orderBlock, fvg: m15_fvgs, liquidityLevels: m15_liquidity, confidence: 60 + (m15_volumeSpike?10:0) + (m15_trend==='bullish'||m15_trend==='bearish'?10:0) };
+        const m15Analysis = { price: m15[m15.length-1].close, rsi: m15_rsi, trend: m15_trend, volumeSpike: m15_volumeSpike, orderBlocks: m15_orderBlocks, fvgs: m15_fvgs, liquidityLevels: m15_liquidity, confidence: 60 + (m15_volumeSpike?10:0) + (m15_trend==='bullish'||m15_trend==='bearish'?10:0) };
         const h1Analysis = h1 ? { price: h1[h1.length-1].close, trend: isBullishStructure(h1)?'bullish':isBearishStructure(h1)?'bearish':'neutral' } : null;
 
+        // raw inputs + gates passed so far, returned with every outcome (/why, signal history)
+        const h1_closes = h1 ? h1.map(c=>c.close) : null;
+        const explain = {
+            inputs: {
+                price: +price,
+                atr: +atr,
+                atrPct: +(atr / (m15Analysis.price || 1) * 100).toFixed(4),
+                m5Rsi: +m5_rsi.toFixed(1),
+                m15Rsi: +m15_rsi.toFixed(1),
+                m5MomentumPct: +(m5_momentum / (price || 1) * 100).toFixed(4),
+                m15Ema8: EMA(m15_closes, 8),
+                m15Ema34: EMA(m15_closes, 34),
+                h1Ema8: h1_closes ? EMA(h1_closes, 8) : null,
+                h1Ema34: h1_closes ? EMA(h1_closes, 34) : null,
+                m15Trend: m15_trend,
+                h1Trend: h1Analysis ? h1Analysis.trend : null
+            },
+            factors: null,
+            score: null,
+            gates: []
+        };
+        // gate: { name, passed, value, threshold }; a failed gate ends the analysis
+        const gate = (name, passed, value, threshold = null) => {
+            explain.gates.push({ name, passed, value, threshold });
+            return passed;
+        };
+        const rejected = (direction, confidence, reason) => ({ symbol, direction, confidence, reason, explain: { ...explain, rejectedBy: explain.gates[explain.gates.length-1].name } });
+
         // 3) Determine bias: use H1 + M15
         let biasScore = 0;
         if (h1Analysis) biasScore += (h1Analysis.trend === 'bullish') ? 1.0 : (h1Analysis.trend === 'bearish' ? -1.0 : 0);
         biasScore += (m15Analysis.trend === 'bullish') ? 0.8 : (m15Analysis.trend === 'bearish' ? -0.8 : 0);
         const bias = biasScore > 0.6 ? 'LONG' : biasScore < -0.6 ? 'SHORT' : 'NEUTRAL';
-        if (bias === 'NEUTRAL') {
-            return { symbol, direction: 'NEUTRAL', confidence: Math.round((Math.abs(biasScore)/1.8)*100), reason: 'No clear multi-TF bias' };
+        if (!gate('bias', bias !== 'NEUTRAL', +biasScore.toFixed(2), 0.6)) {
+            return rejected('NEUTRAL', Math.round((Math.abs(biasScore)/1.8)*100), 'No clear multi-TF bias');
         }
 
         // 4) For scalping: require M5 momentum in direction
         const m5_dir = m5_last.close > m5_prev.close ? 'LONG' : (m5_last.close < m5_prev.close ? 'SHORT' : 'NEUTRAL');
-        if (m5_dir !== bias && !(m5_momentumStrong && m5_volumeSpike)) {
+        if (!gate('m5Confirm', m5_dir === bias || (m5_momentumStrong && m5_volumeSpike), m5_dir, bias)) {
             // sometimes allow momentum strong overrides
-            return { symbol, direction: 'NO_TRADE', confidence: Math.round((Math.abs(biasScore)/1.8)*100), reason: 'M5 not confirming bias' };
+            return rejected('NO_TRADE', Math.round((Math.abs(biasScore)/1.8)*100), 'M5 not confirming bias');
         }
 
-        // 5) Estimate p_win for each TP candidate using heuristic
+        // 5) Setup quality from the heuristic, then p_win per TP candidate (distance dependent)
         const context = { h1: h1Analysis, m15: m15Analysis, m5: m5Analysis };
-        const pCandidates = TP_CANDIDATES.map(_ => estimatePWin(context, bias, atr));
-        // If all p are very low, skip
-        const maxP = Math.max(...pCandidates);
-        if (maxP < 0.52) {
-            return { symbol, direction: 'NO_TRADE', confidence: Math.round(maxP*100), reason: 'Low model probability (<52%)' };
+        const scored = scorePWin(context, bias, atr);
+        const pSetup = scored.p;
+        explain.factors = scored.factors;
+        explain.score = scored.score === null ? null : +scored.score.toFixed(3);
+        if (!gate('pSetup', pSetup >= 0.52, +pSetup.toFixed(4), 0.52)) {
+            return rejected('NO_TRADE', Math.round(pSetup*100), 'Low model probability (<52%)');
         }
+        // levels first: p_win depends on the actual (structural) stop distance
+        const { entry, sl, slLevel, orderType, entryZone } = calculateEntryAndStops(bias, price, m5Analysis, m15Analysis, h1Analysis, atr, cfg.slMultiplier);
+        const slDistance = Math.abs(entry - sl);
+        const model = estimateTargetProbabilities(m15, bias, m15Analysis.trend, { targets: cfg.tpCandidates, slMultiplier: slDistance / atr, heuristicP: pSetup });
+        const pCandidates = model.probabilities;
 
         // 6) compute EV for each candidate and pick best
         let best = null;
-        for (let i = 0; i < TP_CANDIDATES.length; i++) {
-            const m = TP_CANDIDATES[i];
-            const SL = SL_MULTIPLIER * atr;
+        for (let i = 0; i < cfg.tpCandidates.length; i++) {
+            const m = cfg.tpCandidates[i];
+            const SL = slDistance;
             const TP = m * atr;
             const p = pCandidates[i];
             const EV = p * TP - (1 - p) * SL; // in price units (rough)
@@ -323,45 +334,66 @@ async function analyzeSymbol(symbol) {
             }
         }
 
-        if (!best) return { symbol, direction: 'NO_TRADE', confidence: 0, reason: 'No candidate' };
-
-        // 7) Levels (entry/sl/tp) using structure-aware SL
-        const { entry, sl } = calculateEntryAndStops(bias, price, m5Analysis, m15Analysis, h1Analysis, atr);
-        // recompute TP based on chosen m
-        const tp = (bias === 'LONG') ? entry + best.TP : entry - best.TP;
+        if (!gate('tpCandidate', !!best, cfg.tpCandidates.length)) return rejected('NO_TRADE', 0, 'No candidate');
+
+        // 7) TP ladder over the same candidates (config.tpAllocation), each target snapped to opposing liquidity;
+        // the last target is the signal TP. A single allocation keeps the one best-EV TP.
+        const ladder = cfg.tpAllocation.length > 1 ? buildLadder({
+            direction: bias, entry, sl, atr,
+            candidates: cfg.tpCandidates,
+            allocation: cfg.tpAllocation,
+            probability: (targets, slMultiplier) => estimateTargetProbabilities(m15, bias, m15Analysis.trend, { targets, slMultiplier, heuristicP: pSetup }).probabilities,
+            snap: price => snapTakeProfit(bias, entry, price, m15_liquidity, atr).tp
+        }) : null;
+        const lastTarget = ladder ? ladder.targets[ladder.targets.length-1] : null;
+        const finalM = lastTarget ? lastTarget.atrMultiple : best.m;
+        const rawTp = (bias === 'LONG') ? entry + finalM * atr : entry - finalM * atr;
+        const snappedTp = snapTakeProfit(bias, entry, rawTp, m15_liquidity, atr);
+        const tp = lastTarget ? lastTarget.price : snappedTp.tp;
+        const tpLevel = tp === snappedTp.tp ? snappedTp.tpLevel : null;
         // ensure proper ordering
-        if (bias === 'LONG' && tp <= entry) return { symbol, direction: 'NO_TRADE', confidence: Math.round(best.p*100), reason: 'TP invalid' };
-        if (bias === 'SHORT' && tp >= entry) return { symbol, direction: 'NO_TRADE', confidence: Math.round(best.p*100), reason: 'TP invalid' };
+        if (!gate('tpValid', bias === 'LONG' ? tp > entry : tp < entry, +tp, +entry)) return rejected('NO_TRADE', Math.round(best.p*100), 'TP invalid');
 
         // 8) calculate RR
         const rr = Math.abs(tp - entry) / Math.abs(entry - sl);
-        // calculate final confidence: blend best.p and m15 confidence & m5 momentum
-        let confidence = Math.round((best.p * 0.7 + (m15Analysis.confidence/100) * 0.2 + (m5_momentumStrong?0.08:0)) * 100);
+        // calculate final confidence: blend setup p and m15 confidence & m5 momentum
+        // (setup p, not best.p: a far target's lower hit rate is priced into EV, not into confidence)
+        let confidence = Math.round((pSetup * 0.7 + (m15Analysis.confidence/100) * 0.2 + (m5_momentumStrong?0.08:0)) * 100);
         confidence = Math.max(20, Math.min(98, confidence));
 
-        // 9) position suggestion (risk % assumed 0.5% default)
-        const DEFAULT_ACCOUNT = 1000; // for sizing demonstration only
-        const riskPercent = 0.5;
-        const riskAmount = DEFAULT_ACCOUNT * (riskPercent/100);
-        const riskPerUnit = Math.abs(entry - sl);
-        const suggestedSize = riskPerUnit > 0 ? +(riskAmount / riskPerUnit).toFixed(4) : 0;
-
-        // 10) prepare result
+        // 9) prepare result (position size is per user, see sizing.js)
         return {
             symbol,
             direction: bias,
             confidence,
             entry: +entry,
+            orderType,
+            entryZone: entryZone ? { source: entryZone.source, low: +entryZone.low, high: +entryZone.high } : null,
             sl: +sl,
             tp: +tp,
             rr: rr.toFixed(2),
-            positionSize: suggestedSize,
+            ladder,
+            explain,
             meta: {
                 atr: +atr,
+                tpCandidates: cfg.tpCandidates,
                 pCandidates: pCandidates.map(p=>+p.toFixed(4)),
-                chosenTPMultiplier: best.m,
-                chosenP: +best.p.toFixed(4),
-                EV: +best.EV.toFixed(4),
+                chosenTPMultiplier: finalM,
+                chosenP: lastTarget ? lastTarget.p : +best.p.toFixed(4),
+                pSetup: +pSetup.toFixed(4),
+                EV: ladder ? ladder.EV : +best.EV.toFixed(4),
+                probabilityModel: {
+                    regime: model.regime,
+                    regimeSamples: model.regimeSamples,
+                    empirical: model.empirical.map(p=>+p.toFixed(4)),
+                    calibration: model.calibration
+                },
+                liquidity: {
+                    levels: m15_liquidity.length,
+                    slAtr: +(slDistance / atr).toFixed(2),
+                    slLevel: slLevel ? { price: slLevel.price, strength: slLevel.strength, sources: slLevel.sources } : null,
+                    tpLevel: tpLevel ? { price: tpLevel.price, strength: tpLevel.strength, sources: tpLevel.sources } : null
+                },
                 m15Trend: m15Analysis.trend,
                 m5MomentumStrong: m5_momentumStrong,
                 m15VolumeSpike: m15_volumeSpike
@@ -374,4 +406,4 @@ async function analyzeSymbol(symbol) {
     }
 }
 
-module.exports = { analyzeSymbol };
+module.exports = { analyzeSymbol, analyzeCandles, loadCandles, loadTimeframes, TIMEFRAMES };
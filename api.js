@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const express = require('express');
+const { DEFAULT_STRATEGY, getStrategy } = require('./strategies');
+
+/**
+ * api.js
+ * - JSON REST API mounted on the keep-alive Express server under /api
+ * - Auth: X-API-Key header (or Authorization: Bearer <key>)
+ * - API_KEYS="dashboard:KEY1:60,scripts:KEY2:20" -> name:key:requests per minute
+ * - Endpoints: GET /api/signals, GET /api/signals/:id, GET /api/analyze/:symbol[?strategy=], GET /api/status
+ */
+
+const DEFAULT_RATE_LIMIT = 60; // requests per minute
+const RATE_WINDOW_MS = 60 * 1000;
+const ANALYZE_COST = 5; // an on-demand analysis hits the exchange 3x, charge it more
+const MAX_LIMIT = 500;
+
+const digest = key => crypto.createHash('sha256').update(String(key)).digest();
+
+// -> Map key -> { name, limit, digest }
+function parseApiKeys(raw) {
+    const keys = new Map();
+    for (const entry of String(raw || '').split(',')) {
+        const [name, key, limit] = entry.split(':').map(s => s && s.trim());
+        if (!name || !key) continue;
+        keys.set(key, { name, limit: Number(limit) > 0 ? Number(limit) : DEFAULT_RATE_LIMIT, digest: digest(key) });
+    }
+    return keys;
+}
+
+// constant-time comparison against every configured key (digests -> equal lengths)
+function findClient(keys, presented) {
+    if (!presented) return null;
+    const d = digest(presented);
+    let found = null;
+    for (const [key, client] of keys) {
+        if (crypto.timingSafeEqual(d, client.digest)) found = { name: client.name, limit: client.limit, key };
+    }
+    return found;
+}
+
+// PENDING: limit entry not filled yet (still OPEN for storage queries)
+function signalStatus(s) {
+    if (s.outcome) return s.outcome.status;
+    return s.orderType === 'LIMIT' && !s.fill ? 'PENDING' : 'OPEN';
+}
+
+// recipients' Telegram message ids stay private
+function publicSignal(s) {
+    const { messages, ...rest } = s;
+    return rest;
+}
+
+// query string -> storage query (symbol / time / status) + in-memory filters; newest first
+async function findSignals(querySignals, query) {
+    const raw = query.symbol ? String(query.symbol).toUpperCase() : null;
+    const direction = query.direction ? String(query.direction).toUpperCase() : null;
+    const since = query.since ? new Date(query.since).getTime() : NaN;
+    const until = query.until ? new Date(query.until).getTime() : NaN;
+    const minConfidence = query.minConfidence !== undefined ? Number(query.minConfidence) : NaN;
+    const strategy = query.strategy ? String(query.strategy).toLowerCase() : null;
+    const status = query.status ? String(query.status).toUpperCase() : null;
+    const limit = Math.min(MAX_LIMIT, Math.max(1, Number(query.limit) || 50));
+    // storage only knows OPEN for unresolved signals: PENDING and OPEN are told apart here (signalStatus)
+    const splitOpen = status === 'PENDING' || status === 'OPEN';
+    const postFilter = !!direction || !isNaN(minConfidence) || !!strategy || splitOpen;
+
+    const signals = await querySignals({
+        symbol: raw ? (raw.endsWith('USDT') ? raw : `${raw}USDT`) : undefined,
+        since: isNaN(since) ? undefined : Math.floor(since / 1000),
+        until: isNaN(until) ? undefined : Math.floor(until / 1000),
+        status: splitOpen ? 'OPEN' : status || undefined,
+        limit: postFilter ? undefined : limit
+    });
+    return signals
+        .filter(s => !direction || s.direction === direction)
+        .filter(s => isNaN(minConfidence) || (s.confidence || 0) >= minConfidence)
+        .filter(s => !strategy || (s.strategy || DEFAULT_STRATEGY) === strategy)
+        .filter(s => !splitOpen || signalStatus(s) === status)
+        .slice(0, limit)
+        .map(publicSignal);
+}
+
+/**
+ * deps: { querySignals(q), getSignal(id), loadUsers, analyzeCoin(symbol, strategy), getScanStatus }
+ */
+function createApiRouter(deps, rawKeys = process.env.API_KEYS) {
+    const keys = parseApiKeys(rawKeys);
+    const usage = new Map(); // key -> { windowStart, used }
+    const router = express.Router();
+
+    function authenticate(req, res, next) {
+        if (keys.size === 0) return res.status(503).json({ error: 'API disabled (no API_KEYS configured)' });
+        const header = req.get('X-API-Key') || (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+        const client = findClient(keys, header);
+        if (!client) return res.status(401).json({ error: 'Invalid or missing API key' });
+        req.apiClient = client;
+        next();
+    }
+
+    // fixed one-minute window per key
+    function rateLimit(cost = 1) {
+        return (req, res, next) => {
+            const { key, limit } = req.apiClient;
+            const now = Date.now();
+            let u = usage.get(key);
+            if (!u || now - u.windowStart >= RATE_WINDOW_MS) usage.set(key, u = { windowStart: now, used: 0 });
+            const resetSec = Math.ceil((u.windowStart + RATE_WINDOW_MS - now) / 1000);
+            res.set('X-RateLimit-Limit', String(limit));
+            if (u.used + cost > limit) {
+                res.set('X-RateLimit-Remaining', String(Math.max(0, limit - u.used)));
+                res.set('Retry-After', String(resetSec));
+                return res.status(429).json({ error: 'Rate limit exceeded', retryAfter: resetSec });
+            }
+            u.used += cost;
+            res.set('X-RateLimit-Remaining', String(limit - u.used));
+            next();
+        };
+    }
+
+    router.use(authenticate);
+
+    // GET /api/signals?symbol=SOL&direction=LONG&status=WIN&since=2024-01-01&until=...&minConfidence=70&strategy=breakout&limit=50
+    router.get('/signals', rateLimit(), async (req, res) => {
+        try {
+            const signals = await findSignals(deps.querySignals, req.query);
+            res.json({ count: signals.length, signals });
+        } catch (e) {
+            console.error('API /signals error:', e.message);
+            res.status(500).json({ error: 'Internal error' });
+        }
+    });
+
+    // GET /api/signals/:id (includes outcome once resolved)
+    router.get('/signals/:id', rateLimit(), async (req, res) => {
+        try {
+            const signal = await deps.getSignal(req.params.id);
+            if (!signal) return res.status(404).json({ error: 'Signal not found' });
+            res.json({ ...publicSignal(signal), status: signalStatus(signal) });
+        } catch (e) {
+            console.error('API /signals/:id error:', e.message);
+            res.status(500).json({ error: 'Internal error' });
+        }
+    });
+
+    // GET /api/analyze/:symbol - runs the analysis now (not broadcast, not stored)
+    router.get('/analyze/:symbol', rateLimit(ANALYZE_COST), async (req, res) => {
+        const raw = String(req.params.symbol || '').toUpperCase();
+        if (!/^[A-Z0-9]{2,20}$/.test(raw)) return res.status(400).json({ error: 'Invalid symbol' });
+        const symbol = raw.endsWith('USDT') ? raw : `${raw}USDT`;
+        const strategy = req.query.strategy ? String(req.query.strategy).toLowerCase() : DEFAULT_STRATEGY;
+        if (!getStrategy(strategy)) return res.status(400).json({ error: 'Unknown strategy' });
+        try {
+            const result = await deps.analyzeCoin(symbol, strategy);
+            res.json(result);
+        } catch (e) {
+            console.error('API /analyze error:', e.message);
+            res.status(500).json({ error: `Analysis failed: ${e.message}` });
+        }
+    });
+
+    // GET /api/status - subscribers & scan status
+    router.get('/status', rateLimit(), async (req, res) => {
+        try {
+            const users = await deps.loadUsers();
+            res.json({ subscribers: Object.keys(users).length, ...(await deps.getScanStatus()) });
+        } catch (e) {
+            console.error('API /status error:', e.message);
+            res.status(500).json({ error: 'Internal error' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createApiRouter };
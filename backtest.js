@@ -0,0 +1,259 @@
+const fs = require('fs');
+const { TIMEFRAMES } = require('./analysis');
+const { symbolConfig } = require('./config');
+const { DEFAULT_STRATEGY, getStrategy, runStrategy } = require('./strategies');
+const { walkSignal, markToMarket, resolvePendingEntry } = require('./outcomes');
+const { readCandleFile } = require('./providers');
+
+/**
+ * backtest.js
+ * - Replays a strategy (default physics-scalp, see strategies/) bar by bar (M5 steps) over local kline files, no lookahead:
+ *   at each step every TF only sees candles that were already closed
+ * - Simulates fills (market at the bar close, LIMIT entries like the live pending flow), SL / TP / expiry via outcomes.js
+ * - Report: trades, equity curve, max drawdown, profit factor, expectancy per symbol
+ *
+ * Usage:
+ *   node backtest.js --data ./data --symbols BTCUSDT,ETHUSDT [--balance 1000] [--risk 0.5]
+ *                    [--fee 0.04] [--minconf 60] [--cooldown 3600] [--from 2024-01-01] [--to 2024-02-01]
+ *                    [--strategy physics-scalp] [--out backtest_report.json]
+ *
+ * Data files: <data>/<SYMBOL>_<interval>.json or .csv (interval: 1h, 15m, 5m), format as in providers.js
+ */
+
+// ----------------- Config -----------------
+const INTERVAL_MS = { '5m': 5 * 60 * 1000, '15m': 15 * 60 * 1000, '1h': 60 * 60 * 1000 };
+const WINDOW = 300; // same candle count analyzeSymbol loads live
+const DEFAULT_OPTIONS = {
+    balance: 1000,
+    risk: 0.5, // % of equity per trade
+    fee: 0.04, // % per side (taker)
+    minconf: null, // null -> minConfidence from config.js (per symbol)
+    cooldown: null, // null -> duplicateWindowSeconds from config.js, same as the live loop
+    strategy: DEFAULT_STRATEGY
+};
+
+// ----------------- Replay -----------------
+// candles of one TF that were closed at nowMs (pointer only moves forward)
+function makeCursor(candles, intervalMs) {
+    let idx = 0;
+    return (nowMs) => {
+        while (idx < candles.length && candles[idx].t + intervalMs <= nowMs) idx++;
+        return candles.slice(Math.max(0, idx - WINDOW), idx);
+    };
+}
+
+// market: fill at the signal bar close; LIMIT: same rules as the live resolver (outcomes.js)
+function findFill(m5, signalIdx, signal, nowMs) {
+    if (signal.orderType !== 'LIMIT') return { idx: signalIdx, price: m5[signalIdx].close, atMs: nowMs };
+    const entry = resolvePendingEntry({ ...signal, createdAtEpoch: Math.floor(nowMs / 1000) }, m5.slice(signalIdx + 1), Infinity);
+    if (!entry || entry.status !== 'FILLED') return null;
+    const atMs = entry.fill.filledAtEpoch * 1000;
+    const idx = m5.findIndex(c => c.t === atMs);
+    return { idx, price: entry.fill.price, atMs };
+}
+
+function backtestSymbol(symbol, series, opts) {
+    const m5 = series['5M'];
+    const cursors = {};
+    for (const tf of TIMEFRAMES) {
+        if (series[tf.label]) cursors[tf.label] = makeCursor(series[tf.label], INTERVAL_MS[tf.interval]);
+    }
+
+    const trades = [];
+    const minconf = opts.minconf !== null ? opts.minconf : symbolConfig(symbol).minConfidence;
+    const cooldown = opts.cooldown !== null ? opts.cooldown : symbolConfig(symbol).duplicateWindowSeconds;
+    let lastSignalMs = -Infinity;
+    let i = 0;
+    while (i < m5.length) {
+        const nowMs = m5[i].t + INTERVAL_MS['5m'];
+        if ((opts.fromMs && nowMs < opts.fromMs) || (opts.toMs && nowMs > opts.toMs)) { i++; continue; }
+        if (nowMs - lastSignalMs < cooldown * 1000) { i++; continue; }
+
+        const loaded = {};
+        for (const label of Object.keys(cursors)) {
+            const visible = cursors[label](nowMs);
+            if (visible.length) loaded[label] = visible;
+        }
+        const result = runStrategy(opts.strategy, symbol, loaded);
+        const actionable = result.direction === 'LONG' || result.direction === 'SHORT';
+        if (!actionable || (result.confidence || 0) < minconf) { i++; continue; }
+
+        lastSignalMs = nowMs;
+        const fill = findFill(m5, i, result, nowMs);
+        if (!fill) {
+            trades.push({ symbol, strategy: opts.strategy, direction: result.direction, signalAt: new Date(nowMs).toISOString(), confidence: result.confidence, status: 'NOT_FILLED', r: 0 });
+            i++;
+            continue;
+        }
+
+        // entry is shifted to the real fill price, SL/TP stay where the analysis put them
+        // (a LIMIT fill bar is walked again for its SL, like live)
+        const fillMs = fill.atMs;
+        const signal = { ...result, entry: fill.price, createdAtEpoch: Math.floor(fillMs / 1000) };
+        if (result.orderType === 'LIMIT') signal.fill = { price: fill.price, filledAtEpoch: signal.createdAtEpoch };
+        const future = m5.slice(result.orderType === 'LIMIT' ? fill.idx : fill.idx + 1);
+        const walk = walkSignal(signal, future, Infinity);
+        let outcome = walk && walk.outcome;
+        if (!outcome) {
+            // data ended while the trade was open: ladder slices already hit stay booked, the rest is marked to the last close
+            const last = m5[m5.length - 1];
+            outcome = markToMarket(signal, walk ? walk.exits : [], last.close, last.t + INTERVAL_MS['5m']);
+        }
+        trades.push({
+            symbol,
+            strategy: opts.strategy,
+            direction: signal.direction,
+            signalAt: new Date(nowMs).toISOString(),
+            orderType: signal.orderType || 'MARKET',
+            filledAt: new Date(fillMs).toISOString(),
+            confidence: signal.confidence,
+            entry: signal.entry,
+            sl: signal.sl,
+            tp: signal.tp,
+            tpMultiplier: signal.meta ? signal.meta.chosenTPMultiplier : null,
+            status: outcome.status,
+            exitPrice: outcome.exitPrice,
+            exitAt: outcome.resolvedAt,
+            r: outcome.r,
+            ...(outcome.exits ? { exits: outcome.exits.map(e => ({ label: e.label, price: e.price, fraction: e.fraction, r: e.r })) } : {})
+        });
+
+        // one position per symbol: continue scanning after the exit bar
+        const exitMs = outcome.resolvedAtEpoch * 1000;
+        while (i < m5.length && m5[i].t + INTERVAL_MS['5m'] <= exitMs) i++;
+    }
+    return trades;
+}
+
+// ----------------- Report -----------------
+function applyMoney(trades, opts) {
+    // all symbols share one account, trades are booked in exit order
+    let equity = opts.balance;
+    let peak = equity;
+    let maxDrawdown = 0;
+    let maxDrawdownPct = 0;
+    const curve = [{ t: null, equity }];
+    const filled = trades.filter(t => t.status !== 'NOT_FILLED').sort((a,b) => new Date(a.exitAt) - new Date(b.exitAt));
+    for (const t of filled) {
+        const riskAmount = equity * (opts.risk / 100);
+        const riskPerUnit = Math.abs(t.entry - t.sl);
+        const qty = riskPerUnit > 0 ? riskAmount / riskPerUnit : 0;
+        const fees = qty * (t.entry + t.exitPrice) * (opts.fee / 100);
+        t.pnl = +(riskAmount * t.r - fees).toFixed(4);
+        t.fees = +fees.toFixed(4);
+        equity += t.pnl;
+        t.equity = +equity.toFixed(4);
+        curve.push({ t: t.exitAt, equity: t.equity });
+        peak = Math.max(peak, equity);
+        if (peak - equity > maxDrawdown) {
+            maxDrawdown = peak - equity;
+            maxDrawdownPct = (maxDrawdown / peak) * 100;
+        }
+    }
+    return { finalEquity: +equity.toFixed(4), curve, maxDrawdown: +maxDrawdown.toFixed(4), maxDrawdownPct: +maxDrawdownPct.toFixed(2) };
+}
+
+function summarize(trades) {
+    const filled = trades.filter(t => t.status !== 'NOT_FILLED');
+    const wins = filled.filter(t => t.pnl > 0);
+    const grossProfit = wins.reduce((a,t) => a + t.pnl, 0);
+    const grossLoss = Math.abs(filled.filter(t => t.pnl < 0).reduce((a,t) => a + t.pnl, 0));
+    const totalR = filled.reduce((a,t) => a + t.r, 0);
+    const totalPnl = filled.reduce((a,t) => a + t.pnl, 0);
+    return {
+        signals: trades.length,
+        trades: filled.length,
+        notFilled: trades.length - filled.length,
+        winRate: filled.length ? +((wins.length / filled.length) * 100).toFixed(1) : null,
+        profitFactor: grossLoss > 0 ? +(grossProfit / grossLoss).toFixed(2) : (grossProfit > 0 ? Infinity : null),
+        expectancyR: filled.length ? +(totalR / filled.length).toFixed(3) : null,
+        expectancy: filled.length ? +(totalPnl / filled.length).toFixed(4) : null,
+        totalPnl: +totalPnl.toFixed(4)
+    };
+}
+
+function runBacktest(dataDir, symbols, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const allTrades = [];
+    const skipped = {};
+    for (const symbol of symbols) {
+        const series = {};
+        for (const tf of TIMEFRAMES) {
+            const candles = readCandleFile(dataDir, symbol, tf.interval);
+            if (candles) series[tf.label] = candles;
+        }
+        if (!series['5M'] || !series['15M']) {
+            skipped[symbol] = 'missing 5m or 15m data';
+            continue;
+        }
+        allTrades.push(...backtestSymbol(symbol, series, opts));
+    }
+
+    const money = applyMoney(allTrades, opts);
+    const perSymbol = {};
+    for (const symbol of symbols) {
+        if (skipped[symbol]) continue;
+        perSymbol[symbol] = summarize(allTrades.filter(t => t.symbol === symbol));
+    }
+    return {
+        options: opts,
+        overall: { ...summarize(allTrades), startBalance: opts.balance, finalEquity: money.finalEquity, maxDrawdown: money.maxDrawdown, maxDrawdownPct: money.maxDrawdownPct },
+        perSymbol,
+        skipped,
+        equityCurve: money.curve,
+        trades: allTrades
+    };
+}
+
+// ----------------- CLI -----------------
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) args[key] = true;
+        else { args[key] = next; i++; }
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.data || !args.symbols) {
+        console.log('Usage: node backtest.js --data <dir> --symbols BTCUSDT,ETHUSDT [--balance 1000] [--risk 0.5] [--fee 0.04] [--minconf 60] [--cooldown 3600] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--strategy physics-scalp] [--out report.json]');
+        process.exit(1);
+    }
+    const options = {};
+    for (const k of ['balance', 'risk', 'fee', 'minconf', 'cooldown']) {
+        if (args[k] !== undefined) options[k] = Number(args[k]);
+    }
+    if (args.from) options.fromMs = new Date(args.from).getTime();
+    if (args.to) options.toMs = new Date(args.to).getTime();
+    if (args.strategy) {
+        if (!getStrategy(args.strategy)) {
+            console.log(`Unknown strategy: ${args.strategy}`);
+            process.exit(1);
+        }
+        options.strategy = args.strategy;
+    }
+
+    const symbols = String(args.symbols).split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    const report = runBacktest(args.data, symbols, options);
+
+    console.log(`📊 Backtest ${symbols.length} symbols [${report.options.strategy}] — trades=${report.overall.trades} winRate=${report.overall.winRate}% PF=${report.overall.profitFactor} expR=${report.overall.expectancyR}`);
+    console.log(`   Balance ${report.overall.startBalance} -> ${report.overall.finalEquity} | maxDD ${report.overall.maxDrawdown} (${report.overall.maxDrawdownPct}%)`);
+    for (const symbol of Object.keys(report.perSymbol)) {
+        const s = report.perSymbol[symbol];
+        console.log(`   ${symbol}: trades=${s.trades} win=${s.winRate}% PF=${s.profitFactor} expR=${s.expectancyR} pnl=${s.totalPnl}`);
+    }
+    for (const symbol of Object.keys(report.skipped)) console.log(`   ${symbol}: skipped (${report.skipped[symbol]})`);
+
+    const out = args.out || 'backtest_report.json';
+    fs.writeFileSync(out, JSON.stringify(report, null, 2), 'utf8');
+    console.log(`💾 Report saved to ${out}`);
+}
+
+if (require.main === module) main();
+
+module.exports = { runBacktest };
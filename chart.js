@@ -0,0 +1,296 @@
+const zlib = require('zlib');
+const { ema, atr: atrSeries, last } = require('./indicators');
+const { findFVGs, findOrderBlocks } = require('./zones');
+const { signalTargets } = require('./ladder');
+
+/**
+ * chart.js
+ * - Signal chart as a PNG, rendered in-process (no canvas package, no charting service)
+ * - Two stacked panels: M15 and M5 candles with EMA 8 / 34, active order blocks and FVGs from M15
+ *   (fresh / mitigated OBs, open / partial FVGs), dashed entry / SL / TP lines with price labels
+ * - Tiny RGB raster + 5x7 bitmap font + PNG encoder (zlib from Node core)
+ */
+
+// ----------------- Config -----------------
+const WIDTH = 960;
+const HEIGHT = 640;
+const AXIS_WIDTH = 96; // right price axis
+const MAX_BARS = 80;
+const FONT_SCALE = 2;
+
+const COLORS = {
+    bg: [18, 22, 30],
+    grid: [38, 44, 56],
+    text: [200, 205, 215],
+    up: [38, 166, 154],
+    down: [239, 83, 80],
+    ema8: [255, 193, 7],
+    ema34: [66, 165, 245],
+    obBull: [38, 166, 154],
+    obBear: [239, 83, 80],
+    fvg: [171, 71, 188],
+    entry: [235, 235, 235],
+    sl: [239, 83, 80],
+    tp: [76, 175, 80]
+};
+const ZONE_ALPHA = 0.18;
+
+// ----------------- Raster -----------------
+function createRaster(width, height, bg) {
+    const data = Buffer.alloc(width * height * 3);
+    for (let i = 0; i < width * height; i++) data.set(bg, i * 3);
+
+    function setPixel(x, y, color, alpha = 1) {
+        x = Math.round(x); y = Math.round(y);
+        if (x < 0 || y < 0 || x >= width || y >= height) return;
+        const o = (y * width + x) * 3;
+        for (let c = 0; c < 3; c++) data[o + c] = alpha >= 1 ? color[c] : Math.round(data[o + c] * (1 - alpha) + color[c] * alpha);
+    }
+
+    function fillRect(x0, y0, x1, y1, color, alpha = 1) {
+        const xa = Math.max(0, Math.round(Math.min(x0, x1))), xb = Math.min(width - 1, Math.round(Math.max(x0, x1)));
+        const ya = Math.max(0, Math.round(Math.min(y0, y1))), yb = Math.min(height - 1, Math.round(Math.max(y0, y1)));
+        for (let y = ya; y <= yb; y++) for (let x = xa; x <= xb; x++) setPixel(x, y, color, alpha);
+    }
+
+    // Bresenham
+    function line(x0, y0, x1, y1, color) {
+        x0 = Math.round(x0); y0 = Math.round(y0); x1 = Math.round(x1); y1 = Math.round(y1);
+        const dx = Math.abs(x1 - x0), dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1, sy = y0 < y1 ? 1 : -1;
+        let err = dx + dy;
+        for (;;) {
+            setPixel(x0, y0, color);
+            if (x0 === x1 && y0 === y1) break;
+            const e2 = 2 * err;
+            if (e2 >= dy) { err += dy; x0 += sx; }
+            if (e2 <= dx) { err += dx; y0 += sy; }
+        }
+    }
+
+    function dashedHLine(x0, x1, y, color, dash = 6, gap = 4) {
+        for (let x = x0; x < x1; x += dash + gap) fillRect(x, y, Math.min(x + dash - 1, x1), y, color);
+    }
+
+    function text(x, y, str, color, scale = FONT_SCALE) {
+        let cx = x;
+        for (const ch of String(str).toUpperCase()) {
+            const glyph = FONT[ch] || FONT['?'];
+            for (let row = 0; row < 7; row++) {
+                for (let col = 0; col < 5; col++) {
+                    if (glyph[row] & (1 << (4 - col))) fillRect(cx + col * scale, y + row * scale, cx + col * scale + scale - 1, y + row * scale + scale - 1, color);
+                }
+            }
+            cx += 6 * scale;
+        }
+    }
+
+    return { width, height, data, setPixel, fillRect, line, dashedHLine, text };
+}
+
+function textWidth(str, scale = FONT_SCALE) {
+    return String(str).length * 6 * scale;
+}
+
+// 5x7, one number per row, bit 4 = leftmost column
+const FONT = {
+    ' ': [0, 0, 0, 0, 0, 0, 0],
+    '0': [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E],
+    '1': [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    '2': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F],
+    '3': [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+    '4': [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02],
+    '5': [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+    '6': [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E],
+    '7': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+    '8': [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E],
+    '9': [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+    'A': [0x0E, 0x11, 0x11, 0x11, 0x1F, 0x11, 0x11],
+    'B': [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+    'C': [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E],
+    'D': [0x1C, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1C],
+    'E': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F],
+    'F': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+    'G': [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F],
+    'H': [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    'I': [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    'J': [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+    'K': [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+    'L': [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+    'M': [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11],
+    'N': [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+    'O': [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+    'P': [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+    'Q': [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D],
+    'R': [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+    'S': [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E],
+    'T': [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+    'U': [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+    'V': [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+    'W': [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A],
+    'X': [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+    'Y': [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04],
+    'Z': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+    '.': [0, 0, 0, 0, 0, 0x0C, 0x0C],
+    ',': [0, 0, 0, 0, 0x0C, 0x04, 0x08],
+    '-': [0, 0, 0, 0x1F, 0, 0, 0],
+    '+': [0, 0x04, 0x04, 0x1F, 0x04, 0x04, 0],
+    ':': [0, 0x0C, 0x0C, 0, 0x0C, 0x0C, 0],
+    '/': [0, 0x01, 0x02, 0x04, 0x08, 0x10, 0],
+    '%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03],
+    '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+    ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+    '?': [0x0E, 0x11, 0x01, 0x02, 0x04, 0, 0x04]
+};
+
+// ----------------- PNG -----------------
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buf) {
+    let c = 0xFFFFFFFF;
+    for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, body) {
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(body.length);
+    const typed = Buffer.concat([Buffer.from(type, 'ascii'), body]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typed));
+    return Buffer.concat([len, typed, crc]);
+}
+
+// 8-bit RGB, no filtering (filter byte 0 on every row)
+function encodePNG(raster) {
+    const { width, height, data } = raster;
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8; // bit depth
+    ihdr[9] = 2; // color type RGB
+    const rows = Buffer.alloc((width * 3 + 1) * height);
+    for (let y = 0; y < height; y++) data.copy(rows, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', ihdr),
+        pngChunk('IDAT', zlib.deflateSync(rows)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// ----------------- Chart -----------------
+function formatPrice(v) {
+    if (Math.abs(v) >= 1000) return v.toFixed(1);
+    if (Math.abs(v) >= 1) return v.toFixed(4);
+    return v.toPrecision(4);
+}
+
+// horizontal levels of the signal: entry, SL, each TP
+function signalLevels(signal) {
+    if (!signal || !signal.entry) return [];
+    const levels = [
+        { label: 'ENTRY', price: signal.entry, color: COLORS.entry },
+        { label: 'SL', price: signal.sl, color: COLORS.sl }
+    ];
+    for (const t of signalTargets(signal)) levels.push({ label: t.label, price: t.price, color: COLORS.tp });
+    return levels.filter(l => l.price > 0);
+}
+
+// zones that still matter: untouched / partly filled FVGs, fresh / mitigated OBs
+function activeZones(m15) {
+    const atr = last(atrSeries(m15, 14));
+    const fvgs = findFVGs(m15).filter(z => z.status !== 'filled').map(z => ({ ...z, color: COLORS.fvg, label: 'FVG' }));
+    const obs = atr ? findOrderBlocks(m15, atr).filter(z => z.status !== 'broken')
+        .map(z => ({ ...z, color: z.type === 'bullish' ? COLORS.obBull : COLORS.obBear, label: 'OB' })) : [];
+    return [...obs, ...fvgs];
+}
+
+function drawPanel(r, box, title, candles, zones, levels) {
+    const bars = candles.slice(-MAX_BARS);
+    const closes = candles.map(c => c.close);
+    const ema8 = ema(closes, 8).slice(-bars.length);
+    const ema34 = ema(closes, 34).slice(-bars.length);
+
+    let lo = Math.min(...bars.map(c => c.low), ...levels.map(l => l.price));
+    let hi = Math.max(...bars.map(c => c.high), ...levels.map(l => l.price));
+    const pad = (hi - lo) * 0.05 || hi * 0.001 || 1;
+    lo -= pad; hi += pad;
+    const plotRight = box.x + box.w - AXIS_WIDTH;
+    const y = price => box.y + (hi - price) / (hi - lo) * box.h;
+    const step = (plotRight - box.x) / bars.length;
+    const x = i => box.x + step * (i + 0.5);
+    const xAt = t => {
+        const i = bars.findIndex(c => c.t >= t);
+        return i === -1 ? plotRight : Math.max(box.x, x(i) - step / 2);
+    };
+
+    // grid + price axis
+    for (let g = 0; g <= 4; g++) {
+        const price = lo + (hi - lo) * g / 4;
+        r.dashedHLine(box.x, plotRight, Math.round(y(price)), COLORS.grid, 2, 4);
+        r.text(plotRight + 6, Math.round(y(price)) - 3, formatPrice(price), COLORS.grid.map(c => c + 60), 1);
+    }
+    r.line(plotRight, box.y, plotRight, box.y + box.h, COLORS.grid);
+
+    for (const z of zones) {
+        if (z.high < lo || z.low > hi) continue;
+        r.fillRect(xAt(z.t), y(z.high), plotRight - 1, y(z.low), z.color, ZONE_ALPHA);
+        r.text(xAt(z.t) + 2, Math.round(y(z.high)) + 2, z.label, z.color, 1);
+    }
+
+    bars.forEach((c, i) => {
+        const color = c.close >= c.open ? COLORS.up : COLORS.down;
+        const half = Math.max(1, Math.floor(step * 0.3));
+        r.line(x(i), y(c.high), x(i), y(c.low), color);
+        r.fillRect(x(i) - half, y(Math.max(c.open, c.close)), x(i) + half, y(Math.min(c.open, c.close)), color);
+    });
+
+    for (const [series, color] of [[ema8, COLORS.ema8], [ema34, COLORS.ema34]]) {
+        for (let i = 1; i < series.length; i++) {
+            if (series[i - 1] === null || series[i] === null) continue;
+            r.line(x(i - 1), y(series[i - 1]), x(i), y(series[i]), color);
+            r.line(x(i - 1), y(series[i - 1]) + 1, x(i), y(series[i]) + 1, color);
+        }
+    }
+
+    for (const l of levels) {
+        const ly = Math.round(y(l.price));
+        r.dashedHLine(box.x, plotRight, ly, l.color);
+        r.fillRect(plotRight + 1, ly - 8, box.x + box.w - 1, ly + 8, COLORS.bg);
+        r.text(plotRight + 4, ly - 3, `${l.label} ${formatPrice(l.price)}`, l.color, 1);
+    }
+
+    r.text(box.x + 6, box.y + 6, title, COLORS.text);
+    r.text(box.x + 6 + textWidth(title) + 16, box.y + 10, 'EMA8', COLORS.ema8, 1);
+    r.text(box.x + 6 + textWidth(title) + 50, box.y + 10, 'EMA34', COLORS.ema34, 1);
+}
+
+/**
+ * candles: { '15M': [...], '5M': [...] }; signal (optional): entry / sl / tp / ladder / direction
+ * -> PNG Buffer, or null without enough candles
+ */
+function renderSignalChart(symbol, candles, signal = null) {
+    const m15 = candles['15M'], m5 = candles['5M'];
+    if (!m15 || !m5 || m15.length < 40 || m5.length < 40) return null;
+    const r = createRaster(WIDTH, HEIGHT, COLORS.bg);
+    const levels = signalLevels(signal);
+    const zones = activeZones(m15);
+
+    const header = signal && signal.direction ? `${symbol} ${signal.direction}` : symbol;
+    r.text(8, 8, header, signal && signal.direction === 'SHORT' ? COLORS.down : signal && signal.direction === 'LONG' ? COLORS.up : COLORS.text);
+    const panelH = Math.floor((HEIGHT - 40) / 2) - 6;
+    drawPanel(r, { x: 4, y: 32, w: WIDTH - 8, h: panelH }, 'M15', m15, zones, levels);
+    drawPanel(r, { x: 4, y: 32 + panelH + 12, w: WIDTH - 8, h: panelH }, 'M5', m5, zones, levels);
+    return encodePNG(r);
+}
+
+module.exports = { renderSignalChart, encodePNG, createRaster };
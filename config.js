@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * config.js
+ * - Tunables from CONFIG_FILE (config.json, or .yaml / .yml when the optional `yaml` package is installed)
+ * - Every key is optional, missing keys keep the defaults below; unknown keys and bad values are rejected
+ * - symbols: per-symbol overrides of tpCandidates / tpAllocation / slMultiplier / minConfidence / duplicateWindowSeconds
+ * - universe: how the scanned symbols are picked (universe.js); targetCoins is the static list / fallback
+ * - historyRetentionDays: resolved signals older than this are pruned (keep >= 7 for complete weekly reports)
+ * - staleSignalHours: a signal still open this long (no candles for it) is cancelled as STALE
+ * - reports: scheduled daily / weekly summaries (reports.js), sent at `time` (Vietnam time) to admins or all subscribers
+ * - Hot reload: file watch (debounced) or reloadConfig() (/reload); an invalid file keeps the previous config
+ */
+
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(__dirname, 'config.json');
+const RELOAD_DEBOUNCE_MS = 500;
+
+const DEFAULT_CONFIG = {
+    targetCoins: [
+        'BTCUSDT','ETHUSDT','BNBUSDT','SOLUSDT','XRPUSDT','ADAUSDT','AVAXUSDT','DOTUSDT','LINKUSDT','MATICUSDT',
+        'LTCUSDT','BCHUSDT','ATOMUSDT','ETCUSDT','XLMUSDT','FILUSDT','ALGOUSDT','NEARUSDT','UNIUSDT','DOGEUSDT',
+        'ZECUSDT','PEPEUSDT','ZENUSDT','HYPEUSDT','WIFUSDT','MEMEUSDT','BOMEUSDT','POPCATUSDT','MYROUSDT','HYPERUSDT',
+        'TOSHIUSDT','MOGUSDT','TURBOUSDT','PEOPLEUSDT','ARCUSDT','DASHUSDT','APTUSDT','ARBUSDT','OPUSDT','SUIUSDT',
+        'SEIUSDT','TIAUSDT','INJUSDT','RNDRUSDT','FETUSDT','AGIXUSDT','OCEANUSDT','JASMYUSDT','GALAUSDT','SANDUSDT'
+    ],
+    timeframeWeights: { H1: 1.3, '15M': 1.1, '5M': 0.8 }, // each TF's share of the setup score (analysis.js); defaults = as tuned
+    tpCandidates: [1.0, 1.5, 2.0, 3.0], // multiples of ATR
+    tpAllocation: [0.5, 0.3, 0.2], // TP ladder: share of the position closed at TP1 / TP2 / TP3; [1] -> single TP
+    slMultiplier: 1.0, // SL = 1 * ATR when no usable liquidity level
+    minConfidence: 60, // percent, signals below are never sent
+    analysisIntervalMinutes: 7.5, // 8 scans per hour
+    duplicateWindowSeconds: 60 * 60, // do not resend the same symbol (+ strategy) within 1 hour
+    historyRetentionDays: 30,
+    staleSignalHours: 48, // well past the 4h tracking window
+    reports: {
+        daily: true, // previous day, every day
+        weekly: true, // previous ISO week, on Mondays
+        time: '08:00', // HH:mm Vietnam time
+        audience: 'admins' // 'admins' | 'subscribers'
+    },
+    universe: {
+        mode: 'dynamic', // 'dynamic' (ranked from 24h tickers) | 'static' (targetCoins, delisted ones dropped)
+        size: 50,
+        minQuoteVolume: 20000000, // USDT per 24h
+        volumeWeight: 0.7,
+        volatilityWeight: 0.3,
+        include: [], // always scanned while tradable
+        exclude: ['USDCUSDT', 'BTCDOMUSDT'],
+        refreshMinutes: 60
+    },
+    symbols: {}
+};
+
+// ----------------- Validation -----------------
+const SYMBOL_RE = /^[A-Z0-9]{2,20}USDT$/;
+const OVERRIDE_KEYS = ['tpCandidates', 'tpAllocation', 'slMultiplier', 'minConfidence', 'duplicateWindowSeconds'];
+
+const isNum = v => typeof v === 'number' && isFinite(v);
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key); // inherited names are not config keys
+const isSymbolList = v => Array.isArray(v) && v.every(s => typeof s === 'string' && SYMBOL_RE.test(s));
+
+function checkUniverse(v) {
+    if (!v || typeof v !== 'object' || Array.isArray(v)) return 'must be an object';
+    const rules = {
+        mode: x => ['dynamic', 'static'].includes(x) ? null : 'must be "dynamic" or "static"',
+        size: x => Number.isInteger(x) && x >= 1 && x <= 200 ? null : 'must be a whole number in [1, 200]',
+        minQuoteVolume: x => isNum(x) && x >= 0 ? null : 'must be a number >= 0',
+        volumeWeight: x => isNum(x) && x >= 0 ? null : 'must be a number >= 0',
+        volatilityWeight: x => isNum(x) && x >= 0 ? null : 'must be a number >= 0',
+        include: x => isSymbolList(x) ? null : 'must be a list of symbols like "BTCUSDT"',
+        exclude: x => isSymbolList(x) ? null : 'must be a list of symbols like "BTCUSDT"',
+        refreshMinutes: x => isNum(x) && x >= 5 ? null : 'must be a number of minutes >= 5'
+    };
+    for (const key of Object.keys(v)) {
+        if (!has(rules, key)) return `${key}: unknown key`;
+        const err = rules[key](v[key]);
+        if (err) return `${key}: ${err}`;
+    }
+    return null;
+}
+
+function checkReports(v) {
+    if (!v || typeof v !== 'object' || Array.isArray(v)) return 'must be an object';
+    const rules = {
+        daily: x => typeof x === 'boolean' ? null : 'must be true or false',
+        weekly: x => typeof x === 'boolean' ? null : 'must be true or false',
+        time: x => typeof x === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(x) ? null : 'must be "HH:mm" (24h)',
+        audience: x => ['admins', 'subscribers'].includes(x) ? null : 'must be "admins" or "subscribers"'
+    };
+    for (const key of Object.keys(v)) {
+        if (!has(rules, key)) return `${key}: unknown key`;
+        const err = rules[key](v[key]);
+        if (err) return `${key}: ${err}`;
+    }
+    return null;
+}
+
+const checks = {
+    targetCoins: v => isSymbolList(v) && v.length > 0 ? null : 'must be a non-empty list of symbols like "BTCUSDT"',
+    universe: checkUniverse,
+    reports: checkReports,
+    timeframeWeights: v => v && typeof v === 'object' && !Array.isArray(v)
+        && Object.keys(v).every(k => has(DEFAULT_CONFIG.timeframeWeights, k) && isNum(v[k]) && v[k] > 0)
+        ? null : `must map ${Object.keys(DEFAULT_CONFIG.timeframeWeights).join(' / ')} to positive numbers`,
+    tpCandidates: v => Array.isArray(v) && v.length > 0 && v.every(x => isNum(x) && x > 0 && x <= 20)
+        ? null : 'must be a non-empty list of ATR multiples in (0, 20]',
+    tpAllocation: v => Array.isArray(v) && v.length >= 1 && v.length <= 5 && v.every(x => isNum(x) && x > 0)
+        && Math.abs(v.reduce((a, b) => a + b, 0) - 1) < 0.001
+        ? null : 'must be 1 to 5 positive fractions that sum to 1',
+    slMultiplier: v => isNum(v) && v > 0 && v <= 10 ? null : 'must be a number in (0, 10]',
+    minConfidence: v => isNum(v) && v >= 0 && v <= 99 ? null : 'must be a number in [0, 99]',
+    analysisIntervalMinutes: v => isNum(v) && v >= 1 && v <= 24 * 60 ? null : 'must be a number of minutes in [1, 1440]',
+    duplicateWindowSeconds: v => Number.isInteger(v) && v >= 0 ? null : 'must be a whole number of seconds >= 0',
+    historyRetentionDays: v => isNum(v) && v >= 1 && v <= 3650 ? null : 'must be a number of days in [1, 3650]',
+    staleSignalHours: v => isNum(v) && v >= 6 && v <= 24 * 30 ? null : 'must be a number of hours in [6, 720]'
+};
+
+// raw (parsed file) -> { config, errors: ['path: message'] }
+function validateConfig(raw) {
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { config: null, errors: ['config: must be an object'] };
+
+    for (const key of Object.keys(raw)) {
+        if (key === 'symbols') continue;
+        if (!has(checks, key)) { errors.push(`${key}: unknown key`); continue; }
+        const err = checks[key](raw[key]);
+        if (err) errors.push(`${key}: ${err}`);
+    }
+    const symbols = raw.symbols || {};
+    if (typeof symbols !== 'object' || Array.isArray(symbols)) errors.push('symbols: must be an object keyed by symbol');
+    else {
+        for (const sym of Object.keys(symbols)) {
+            if (!SYMBOL_RE.test(sym)) errors.push(`symbols.${sym}: not a symbol like "BTCUSDT"`);
+            const o = symbols[sym];
+            if (!o || typeof o !== 'object' || Array.isArray(o)) { errors.push(`symbols.${sym}: must be an object`); continue; }
+            for (const key of Object.keys(o)) {
+                if (!OVERRIDE_KEYS.includes(key)) { errors.push(`symbols.${sym}.${key}: not overridable per symbol`); continue; }
+                const err = checks[key](o[key]);
+                if (err) errors.push(`symbols.${sym}.${key}: ${err}`);
+            }
+        }
+    }
+    if (errors.length) return { config: null, errors };
+    const config = {
+        ...DEFAULT_CONFIG,
+        ...raw,
+        timeframeWeights: { ...DEFAULT_CONFIG.timeframeWeights, ...(raw.timeframeWeights || {}) },
+        universe: { ...DEFAULT_CONFIG.universe, ...(raw.universe || {}) },
+        reports: { ...DEFAULT_CONFIG.reports, ...(raw.reports || {}) },
+        symbols: { ...symbols }
+    };
+    return { config, errors };
+}
+
+// ----------------- Loading -----------------
+function parseFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (/\.ya?ml$/i.test(file)) {
+        let yaml;
+        try {
+            yaml = require('yaml');
+        } catch (e) {
+            throw new Error('YAML config needs the "yaml" package (npm install yaml)');
+        }
+        return yaml.parse(text) || {};
+    }
+    return text.trim() ? JSON.parse(text) : {};
+}
+
+// { config, errors }; a missing file is not an error (defaults)
+function readConfigFile(file = CONFIG_FILE) {
+    if (!fs.existsSync(file)) return { config: { ...DEFAULT_CONFIG }, errors: [] };
+    let raw;
+    try {
+        raw = parseFile(file);
+    } catch (e) {
+        return { config: null, errors: [`${path.basename(file)}: ${e.message}`] };
+    }
+    return validateConfig(raw);
+}
+
+let current = { ...DEFAULT_CONFIG };
+const listeners = [];
+
+const initial = readConfigFile();
+if (initial.config) current = initial.config;
+else console.error(`❌ Invalid ${path.basename(CONFIG_FILE)}, using defaults:\n - ${initial.errors.join('\n - ')}`);
+
+function getConfig() {
+    return current;
+}
+
+// global values with the symbol's overrides applied
+function symbolConfig(symbol) {
+    return { ...current, ...(current.symbols[symbol] || {}) };
+}
+
+// fn(config, previous, changedKeys) after every successful reload that changed something
+function onConfigChange(fn) {
+    listeners.push(fn);
+}
+
+/**
+ * Re-read CONFIG_FILE. -> { ok, errors, changed: [top-level keys] }
+ * On errors the running config stays as it was.
+ */
+function reloadConfig() {
+    const { config, errors } = readConfigFile();
+    if (!config) return { ok: false, errors, changed: [] };
+    const previous = current;
+    const changed = Object.keys(config).filter(k => JSON.stringify(config[k]) !== JSON.stringify(previous[k]));
+    current = config;
+    if (changed.length) {
+        for (const fn of listeners) {
+            try {
+                fn(current, previous, changed);
+            } catch (e) {
+                console.error('Config listener error:', e.message);
+            }
+        }
+    }
+    return { ok: true, errors: [], changed };
+}
+
+/**
+ * Watch the config file's directory (editors often replace the file instead of writing it in place).
+ * onResult(result) gets every reload attempt triggered by the watcher. Returns a stop function.
+ */
+function watchConfig(onResult = () => {}) {
+    const dir = path.dirname(CONFIG_FILE);
+    const name = path.basename(CONFIG_FILE);
+    let timer = null;
+    let watcher;
+    try {
+        watcher = fs.watch(dir, (eventType, filename) => {
+            if (filename && filename !== name) return;
+            clearTimeout(timer);
+            timer = setTimeout(() => onResult(reloadConfig()), RELOAD_DEBOUNCE_MS);
+        });
+    } catch (e) {
+        console.warn(`Config watch failed (${dir}): ${e.message}`);
+        return () => {};
+    }
+    return () => { clearTimeout(timer); watcher.close(); };
+}
+
+module.exports = { CONFIG_FILE, DEFAULT_CONFIG, validateConfig, getConfig, symbolConfig, onConfigChange, reloadConfig, watchConfig };
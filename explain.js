@@ -0,0 +1,167 @@
+const { DEFAULT_STRATEGY, getStrategy } = require('./strategies');
+const { localeFor } = require('./i18n');
+
+/**
+ * explain.js
+ * - "Why?" text for a signal or a rejected analysis (/why, the 🧠 button under signals)
+ * - physics-scalp keeps result.explain (analysis.js): raw inputs, every estimatePWin factor with its
+ *   contribution to the score, and the gates in order with the one that rejected the trade
+ * - confidence split into its parts (setup p x 0.7, M15 score x 0.2, M5 momentum bonus); other strategies:
+ *   confidence = setup p + 10, plus the indicator values they keep in meta
+ * - Probability model (regime, samples, calibration skill) and the TP ladder's expected R when present
+ * - Text from the why.* catalog keys, numbers in the reader's locale (i18n.js)
+ */
+
+const signed = (v, L, digits = 2) => `${v >= 0 ? '+' : ''}${L.fixed(v, digits)}`;
+
+// ----------------- Labels -----------------
+// catalog keys why.factor.<name>, why.gate.<name>, why.gateValue.<name> (locales/*.js)
+const FACTOR_UNITS = { m5Body: ' ATR', atrTooQuiet: '%', atrTooNoisy: '%' };
+
+function label(L, group, name) {
+    const key = `why.${group}.${name}`;
+    const text = L.t(key);
+    return text === key ? name : text;
+}
+
+function describeGateValue(g, L) {
+    switch (g.name) {
+        case 'bias': return L.t('why.gateValue.bias', { value: L.plain(g.value), threshold: L.plain(g.threshold) });
+        case 'm5Confirm': return L.t('why.gateValue.m5Confirm', { value: g.value, threshold: g.threshold });
+        case 'pSetup': return L.t('why.gateValue.pSetup', { value: L.pct(g.value * 100), threshold: L.pct(g.threshold * 100) });
+        case 'tpValid': return L.t('why.gateValue.tpValid', { value: L.num(g.value), threshold: L.num(g.threshold) });
+        case 'minConfidence': return L.t('why.gateValue.minConfidence', { value: g.value, threshold: g.threshold });
+        default: return g.value !== null && g.value !== undefined ? String(g.value) : '';
+    }
+}
+
+// ----------------- Sections -----------------
+// physics-scalp confidence (analysis.js step 8): parts in percentage points, before the 20..98 clamp
+function physicsConfidenceParts(meta, L) {
+    const trending = meta.m15Trend === 'bullish' || meta.m15Trend === 'bearish';
+    const m15Score = 60 + (meta.m15VolumeSpike ? 10 : 0) + (trending ? 10 : 0);
+    return [
+        { label: L.t('why.confSetup'), points: meta.pSetup * 70 },
+        { label: L.t('why.confM15', { score: m15Score }), points: m15Score * 0.2 },
+        { label: L.t('why.confMomentum'), points: meta.m5MomentumStrong ? 8 : 0 }
+    ];
+}
+
+function confidenceLines(signal, L) {
+    const meta = signal.meta || {};
+    if (meta.pSetup === undefined) return [];
+    if ((signal.strategy || DEFAULT_STRATEGY) === DEFAULT_STRATEGY && meta.m15Trend !== undefined) {
+        return physicsConfidenceParts(meta, L).map(p => `  • ${p.label}: +${L.fixed(p.points, 1)}`);
+    }
+    return [`  • ${L.t('why.confOther', { p: L.pct(meta.pSetup * 100) })}`];
+}
+
+// estimatePWin factors: active ones with their weight, missing ones greyed out
+function factorLines(explain, L) {
+    if (!explain || !explain.factors) return [];
+    const lines = [L.t('why.factors')];
+    for (const f of explain.factors) {
+        const value = f.value !== null && f.value !== undefined && typeof f.value !== 'boolean' ? ` (${typeof f.value === 'number' ? L.plain(f.value) : f.value}${FACTOR_UNITS[f.name] || ''})` : '';
+        const icon = !f.active || f.contribution === 0 ? '▫️' : f.contribution > 0 ? '✅' : '⚠️';
+        lines.push(`  ${icon} ${label(L, 'factor', f.name)}${value}: ${f.active ? signed(f.contribution, L) : '0'}`);
+    }
+    const pSetup = (explain.gates || []).find(g => g.name === 'pSetup');
+    if (explain.score !== null && explain.score !== undefined && pSetup) {
+        lines.push(`  ${L.t('why.scoreTotal', { score: signed(explain.score, L), p: L.pct(pSetup.value * 100) })}`);
+    }
+    return lines;
+}
+
+function inputLines(explain, L) {
+    if (!explain || !explain.inputs) return [];
+    const i = explain.inputs;
+    const lines = [
+        L.t('why.inputs'),
+        `  ${L.t('why.inputPrice', { price: L.num(i.price), atr: L.num(i.atr), atrPct: `${L.plain(i.atrPct)}%` })}`,
+        `  ${L.t('why.inputRsi', { m5: L.plain(i.m5Rsi), m15: L.plain(i.m15Rsi), momentum: `${signed(i.m5MomentumPct, L, 3)}%` })}`,
+        `  EMA8/34 M15: ${L.num(i.m15Ema8)} / ${L.num(i.m15Ema34)} (${i.m15Trend})`
+    ];
+    if (i.h1Ema8 !== null) lines.push(`  EMA8/34 H1: ${L.num(i.h1Ema8)} / ${L.num(i.h1Ema34)} (${i.h1Trend})`);
+    return lines;
+}
+
+// extra: gates checked outside the analysis (scan threshold), appended after the analysis gates
+function gateLines(explain, L, extra = []) {
+    const gates = [...((explain && explain.gates) || []), ...extra];
+    if (!gates.length) return [];
+    const lines = [L.t('why.gates')];
+    for (const g of gates) lines.push(`  ${g.passed ? '✅' : '❌'} ${label(L, 'gate', g.name)}: ${describeGateValue(g, L)}`);
+    const failed = gates.find(g => !g.passed);
+    if (failed) lines.push(L.t('why.rejectedBy', { gate: label(L, 'gate', failed.name) }));
+    return lines;
+}
+
+// indicator values the strategies keep in meta
+function contextLines(meta, L) {
+    const yesNo = v => L.t(v ? 'why.yes' : 'common.none');
+    const lines = [];
+    if (meta.m15Trend !== undefined) lines.push(L.t('why.trendM15', { value: meta.m15Trend }));
+    if (meta.m5MomentumStrong !== undefined) lines.push(L.t('why.momentumM5', { value: yesNo(meta.m5MomentumStrong) }));
+    if (meta.m15VolumeSpike !== undefined) lines.push(L.t('why.volumeM15', { value: yesNo(meta.m15VolumeSpike) }));
+    if (meta.breakoutLevel !== undefined) lines.push(L.t('why.breakoutLevel', { value: L.num(meta.breakoutLevel) }));
+    if (meta.volumeRatio !== undefined) lines.push(L.t('why.breakoutVolume', { value: L.plain(meta.volumeRatio) }));
+    if (meta.m15Adx !== undefined) lines.push(L.t('why.adx', { value: L.plain(meta.m15Adx) }));
+    if (meta.h1SuperTrend !== undefined && meta.h1SuperTrend !== null) lines.push(L.t('why.superTrendH1', { value: L.t(meta.h1SuperTrend > 0 ? 'why.up' : 'why.down') }));
+    if (meta.m5Rsi !== undefined) lines.push(L.t('why.rsiM5', { value: L.plain(meta.m5Rsi) }));
+    return lines;
+}
+
+function modelLines(signal, L) {
+    const meta = signal.meta || {};
+    const lines = [];
+    if (meta.chosenP !== undefined) lines.push(L.t(signal.ladder ? 'why.pLastTarget' : 'why.pTarget', { p: L.pct(meta.chosenP * 100) }));
+    const model = meta.probabilityModel;
+    if (model) {
+        const skill = model.calibration && model.calibration.skill !== null && model.calibration.skill !== undefined
+            ? ` · skill ${L.plain(model.calibration.skill)}` : '';
+        lines.push(L.t('why.model', { regime: L.t(model.regime === 'with' ? 'why.regimeWith' : 'why.regimeAgainst'), samples: model.regimeSamples, skill }));
+    }
+    if (signal.ladder) lines.push(L.t('why.ladderR', { r: `${signal.ladder.expectedR >= 0 ? '+' : ''}${L.plain(signal.ladder.expectedR)}R` }));
+    return lines;
+}
+
+function isTrade(result) {
+    return result.direction === 'LONG' || result.direction === 'SHORT';
+}
+
+/**
+ * result: sent signal (history record), live analysis result or a rejected one (NO_TRADE / NEUTRAL)
+ * opts: { minConfidence, locale } -> minConfidence adds the scan's confidence gate for live results,
+ *       locale is localeFor(user) (default language when omitted)
+ * -> multi-line text
+ */
+function explainSignal(result, opts = {}) {
+    const L = opts.locale || localeFor(null);
+    const strategy = (getStrategy(result.strategy || DEFAULT_STRATEGY) || { label: result.strategy }).label;
+    const coin = result.symbol.replace('USDT', '');
+    const trade = isTrade(result);
+    const meta = result.meta || {};
+    const conf = result.confidence !== undefined ? result.confidence : meta.confidence;
+    const extraGates = trade && opts.minConfidence !== undefined
+        ? [{ name: 'minConfidence', passed: (conf || 0) >= opts.minConfidence, value: conf || 0, threshold: opts.minConfidence }]
+        : [];
+
+    const lines = [
+        trade ? L.t('why.title', { coin, direction: result.direction }) : L.t('why.titleNoTrade', { coin }),
+        L.t('why.strategy', { name: strategy })
+    ];
+    if (!trade) lines.push(L.t('why.reason', { reason: result.reason || result.direction }));
+    lines.push('', L.t('why.confidence', { value: conf !== undefined ? conf + '%' : 'N/A' }));
+    if (trade) lines.push(...confidenceLines(result, L));
+    for (const section of [factorLines(result.explain, L), gateLines(result.explain, L, extraGates), inputLines(result.explain, L)]) {
+        if (section.length) lines.push('', ...section);
+    }
+    // physics-scalp shows these through the factors / inputs above
+    const context = result.explain ? [] : contextLines(meta, L);
+    if (context.length) lines.push('', ...context);
+    const model = modelLines(result, L);
+    if (model.length) lines.push('', ...model);
+    return lines.join('\n');
+}
+
+module.exports = { explainSignal };
@@ -0,0 +1,107 @@
+const moment = require('moment-timezone');
+
+/**
+ * i18n.js
+ * - Message catalogs per language (locales/vi.js, locales/en.js): key -> 'text with {placeholders}'
+ *   or (vars) => text when the wording depends on the values
+ * - Per-user locale on the user record (users.json -> users[chatId].locale = { lang, timezone }), set with /lang and /timezone
+ * - Numbers follow the language (vi: 1.234,56 · en: 1,234.56), times the user's timezone
+ * - DEFAULT_LANG (default vi) and DEFAULT_TIMEZONE (default Asia/Ho_Chi_Minh) for everyone without a choice
+ * - A key missing in a catalog falls back to the default language, then Vietnamese, then the key itself
+ */
+
+const CATALOGS = {
+    vi: require('./locales/vi'),
+    en: require('./locales/en')
+};
+const LANGUAGES = Object.keys(CATALOGS);
+const NUMBER_LOCALES = { vi: 'vi-VN', en: 'en-US' };
+
+const DEFAULT_LANG = CATALOGS[process.env.DEFAULT_LANG] ? process.env.DEFAULT_LANG : 'vi';
+const DEFAULT_TIMEZONE = moment.tz.zone(process.env.DEFAULT_TIMEZONE || '') ? process.env.DEFAULT_TIMEZONE : 'Asia/Ho_Chi_Minh';
+
+function isLanguage(lang) {
+    return LANGUAGES.includes(lang);
+}
+
+function isTimezone(tz) {
+    return typeof tz === 'string' && !!moment.tz.zone(tz);
+}
+
+function getLocale(user) {
+    const saved = (user && user.locale) || {};
+    return {
+        lang: isLanguage(saved.lang) ? saved.lang : DEFAULT_LANG,
+        timezone: isTimezone(saved.timezone) ? saved.timezone : DEFAULT_TIMEZONE
+    };
+}
+
+// ----------------- Lookup -----------------
+function translate(lang, key, vars = {}) {
+    let entry;
+    for (const l of [lang, DEFAULT_LANG, 'vi']) {
+        if (CATALOGS[l] && CATALOGS[l][key] !== undefined) { entry = CATALOGS[l][key]; break; }
+    }
+    if (entry === undefined) return key;
+    if (typeof entry === 'function') return entry(vars);
+    return entry.replace(/\{(\w+)\}/g, (m, name) => vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : m);
+}
+
+// ----------------- Formatting -----------------
+// prices / amounts: 2-4 decimals from 1 up, up to 8 significant decimals below
+function formatNumber(num, lang = DEFAULT_LANG) {
+    if (num === undefined || num === null || isNaN(Number(num))) return 'N/A';
+    const v = Number(num);
+    const locale = NUMBER_LOCALES[lang] || 'en-US';
+    if (Math.abs(v) >= 1) return v.toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 4 });
+    const decimal = (1.5).toLocaleString(locale).charAt(1);
+    return v.toFixed(8).replace(/\.?0+$/, '').replace('.', decimal);
+}
+
+// fixed decimals in the language's notation (percentages, ratios)
+function formatFixed(num, digits, lang = DEFAULT_LANG) {
+    const v = Number(num);
+    if (!isFinite(v)) return 'N/A';
+    return v.toLocaleString(NUMBER_LOCALES[lang] || 'en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits, useGrouping: false });
+}
+
+// value as stored (no rounding, no grouping) in the language's notation: R multiples, RR, ratios
+function formatPlain(num, lang = DEFAULT_LANG) {
+    const v = Number(num);
+    if (!isFinite(v)) return 'N/A';
+    return v.toLocaleString(NUMBER_LOCALES[lang] || 'en-US', { maximumFractionDigits: 8, useGrouping: false });
+}
+
+/**
+ * Helpers bound to one user's locale (user may be null -> defaults):
+ * { lang, timezone, t(key, vars), num(x), plain(x), fixed(x, digits), pct(percent, digits), time(date, pattern), now() }
+ * time patterns: 'clock' (HH:mm), 'date' / 'dateTime' (catalog format.date / format.dateTime) or any moment pattern
+ */
+function localeFor(user) {
+    const { lang, timezone } = getLocale(user);
+    const t = (key, vars) => translate(lang, key, vars);
+    const patterns = { clock: 'HH:mm', date: t('format.date'), dateTime: t('format.dateTime') };
+    return {
+        lang,
+        timezone,
+        t,
+        num: x => formatNumber(x, lang),
+        plain: x => formatPlain(x, lang),
+        fixed: (x, digits = 2) => formatFixed(x, digits, lang),
+        pct: (x, digits = 1) => `${formatFixed(x, digits, lang)}%`,
+        time: (date, pattern = 'dateTime') => moment(date).tz(timezone).format(patterns[pattern] || pattern),
+        now: () => moment().tz(timezone)
+    };
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANG,
+    DEFAULT_TIMEZONE,
+    isLanguage,
+    isTimezone,
+    getLocale,
+    translate,
+    formatNumber,
+    localeFor
+};
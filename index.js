@@ -2,16 +2,39 @@ require('dotenv').config();
 const TelegramBot = require('node-telegram-bot-api');
 const moment = require('moment-timezone');
 const express = require('express');
-const fs = require('fs').promises;
 const path = require('path');
-const { analyzeSymbol } = require('./analysis');
+const { loadTimeframes, TIMEFRAMES } = require('./analysis');
+const { DEFAULT_STRATEGY, ENABLED_STRATEGIES, getStrategy, listStrategies, requiredTimeframes, runStrategy, runStrategies } = require('./strategies');
+const { resolveOpenSignals, expireStaleSignals, emptyStats, applyOutcomeToStats, summarizeBucket, PENDING_ENTRY_EXPIRY_SECONDS } = require('./outcomes');
+const { createCandleStore, createKlineStream } = require('./stream');
+const { RISK_PERCENT_RANGE, LEVERAGE_RANGE, getAccount, computePosition } = require('./sizing');
+const { createStorage } = require('./storage');
+const { createApiRouter } = require('./api');
+const { emitWebhookEvent } = require('./webhooks');
+const { getConfig, symbolConfig, onConfigChange, reloadConfig, watchConfig } = require('./config');
+const { createUniverse } = require('./universe');
+const { renderSignalChart } = require('./chart');
+const { explainSignal } = require('./explain');
+const { emptyReportState, signalsToday, bumpDayCounter, reportPeriod, takeDueReports, buildReport, formatReport } = require('./reports');
+const { isLanguage, isTimezone, getLocale, localeFor } = require('./i18n');
+const { BALANCE_RANGE: PAPER_BALANCE_RANGE, emptyPaperAccount, openPaperPosition, fillPaperPosition, reducePaperPosition, closePaperPosition, summarizePaper } = require('./paper');
+const { ADMIN_IDS, REGISTRATION_MODE, emptyAccess, isAdmin, isBanned, inviteCodeValid } = require('./access');
+const { minConfidenceFloor, getPrefs, parseSymbols, parseQuietRange, subscribedStrategies, matchesPrefs, describePrefs, muteSymbol } = require('./preferences');
 
 // ---------- CẤU HÌNH ----------
 const TOKEN = process.env.TELEGRAM_BOT_TOKEN || '8556974173:AAGi4Zo5cxZdM_3JrSVpejMg7VAzeGMUgTk';
 const PORT = process.env.PORT || 3000;
 const USERS_FILE = process.env.USERS_FILE || path.join(__dirname, 'users.json');
 const LAST_SIGNALS_FILE = process.env.LAST_SIGNALS_FILE || path.join(__dirname, 'last_signals.json');
-const SIGNAL_HISTORY_FILE = process.env.SIGNAL_HISTORY_FILE || path.join(__dirname, 'signals_history.json');
+const SIGNAL_HISTORY_FILE = process.env.SIGNAL_HISTORY_FILE || path.join(__dirname, 'signals_history.json'); // legacy array, migrated once
+const SIGNAL_HISTORY_LOG = process.env.SIGNAL_HISTORY_LOG || path.join(__dirname, 'signals_history.jsonl');
+const SIGNAL_STATS_FILE = process.env.SIGNAL_STATS_FILE || path.join(__dirname, 'signal_stats.json');
+const ACCESS_FILE = process.env.ACCESS_FILE || path.join(__dirname, 'access.json');
+const PAPER_FILE = process.env.PAPER_FILE || path.join(__dirname, 'paper.json');
+const TAKEN_FILE = process.env.TAKEN_FILE || path.join(__dirname, 'taken.json'); // "I took this trade" taps, per Telegram user (not per chat)
+const REPORTS_FILE = process.env.REPORTS_FILE || path.join(__dirname, 'reports.json'); // day counter + report schedule
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'file'; // 'file' | 'sqlite'
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(__dirname, 'bot.sqlite');
 
 // --- BOT POLLING (SAFE) ---
 const bot = new TelegramBot(TOKEN, {
@@ -33,110 +56,164 @@ app.use(express.json());
 app.get('/', async (req, res) => {
     const users = await loadUsers();
     const lastSignals = await loadLastSignals();
-    const history = await loadSignalHistory();
+    const historyCount = await storage.history.count();
+    const stats = await loadSignalStats();
     res.json({
         status: 'AI Scalping Signal Bot is Running...',
         subscribers: Object.keys(users).length,
         lastSignalsSaved: Object.keys(lastSignals).length,
-        historyCount: history.length
+        historyCount,
+        storage: storage.backend,
+        outcomes: summarizeBucket(stats.overall)
     });
 });
 app.get('/health', (req, res) => {
-    res.json({ status: 'healthy', uptime: process.uptime() });
+    res.json({ status: 'healthy', uptime: process.uptime(), klineStream: klineStream ? (klineStream.isConnected() ? 'connected' : 'disconnected') : 'off' });
 });
+app.use('/api', createApiRouter({ querySignals: q => storage.history.query(q), getSignal: id => storage.history.get(id), loadUsers, analyzeCoin, getScanStatus }));
 app.listen(PORT, () => console.log(`🚀 Server is running on port ${PORT}`));
 
-// ---------- TARGET COINS (50 coins) ----------
-const TARGET_COINS = [
-  'BTCUSDT','ETHUSDT','BNBUSDT','SOLUSDT','XRPUSDT','ADAUSDT','AVAXUSDT','DOTUSDT','LINKUSDT','MATICUSDT',
-  'LTCUSDT','BCHUSDT','ATOMUSDT','ETCUSDT','XLMUSDT','FILUSDT','ALGOUSDT','NEARUSDT','UNIUSDT','DOGEUSDT',
-  'ZECUSDT','PEPEUSDT','ZENUSDT','HYPEUSDT','WIFUSDT','MEMEUSDT','BOMEUSDT','POPCATUSDT','MYROUSDT','HYPERUSDT',
-  'TOSHIUSDT','MOGUSDT','TURBOUSDT','PEOPLEUSDT','ARCUSDT','DASHUSDT','APTUSDT','ARBUSDT','OPUSDT','SUIUSDT',
-  'SEIUSDT','TIAUSDT','INJUSDT','RNDRUSDT','FETUSDT','AGIXUSDT','OCEANUSDT','JASMYUSDT','GALAUSDT','SANDUSDT'
-];
+// ---------- TARGET COINS ----------
+// thresholds and scan interval live in config.json (config.js), hot reloaded.
+// The scanned symbols come from universe.js (config.universe); config.targetCoins until the first refresh.
+const universe = createUniverse({
+    getSettings: () => ({ ...getConfig().universe, targetCoins: getConfig().targetCoins }),
+    onChange: change => onUniverseChange(change)
+});
+
+function targetCoins() {
+    return universe.symbols();
+}
 
 // ---------- STATE & SETTINGS ----------
-let signalCountToday = 0;
 let isAutoAnalysisRunning = false;
 let consecutiveErrors = 0;
 const MAX_CONSECUTIVE_ERRORS = 5;
+const lastCycle = { startedAt: null, finishedAt: null, coins: 0, signals: 0 };
 
-// interval: 7.5 minutes (8 scans per hour)
-const ANALYSIS_INTERVAL = 7.5 * 60 * 1000; // ms
+// interval: config.analysisIntervalMinutes (default 7.5 -> 8 scans per hour)
+function analysisIntervalMs() {
+    return getConfig().analysisIntervalMinutes * 60 * 1000;
+}
 const START_DELAY_MS = 8 * 1000; // run after 8s
 
-// duplicate suppression: do not resend same symbol within 1 hour
-const DUPLICATE_WINDOW_SECONDS = 60 * 60; // 3600s = 1 hour
+// duplicate suppression: config.duplicateWindowSeconds per symbol (default 1 hour)
 
-// cleanup: after N cycles (8 cycles = ~1 hour) remove old history > 1 hour
+// cleanup: after N cycles (8 cycles = ~1 hour) prune resolved history older than config.historyRetentionDays
 let cycleCounter = 0;
 const CYCLES_BEFORE_CLEANUP = 8;
-const HISTORY_TTL_SECONDS = 60 * 60; // 1 hour
+
+// scheduled reports (config.reports): checked every minute, sent once per period (reports.js)
+const REPORT_CHECK_MS = 60 * 1000;
+
+// kline stream: KLINE_STREAM=1 keeps candles in memory; ANALYSIS_TRIGGER=candle_close scans on each M5 close
+const USE_KLINE_STREAM = process.env.KLINE_STREAM === '1' || process.env.KLINE_STREAM === 'true';
+const SIGNAL_CHARTS = process.env.SIGNAL_CHARTS !== '0' && process.env.SIGNAL_CHARTS !== 'false'; // chart image under each signal
+const ANALYSIS_TRIGGER = process.env.ANALYSIS_TRIGGER || 'timer'; // 'timer' | 'candle_close'
+const CANDLE_CLOSE_DEBOUNCE_MS = 1500; // all symbols close on the same boundary, collect the burst
 
 // ---------- Utilities: persistent storage ----------
-async function ensureFile(filePath, defaultData) {
-    try {
-        await fs.access(filePath);
-    } catch {
-        await fs.writeFile(filePath, JSON.stringify(defaultData, null, 2), 'utf8');
-    }
-}
+// storage.js serializes every update and writes atomically (file backend) or in a transaction (SQLite).
+// load* return snapshots for reading; changes always go through update*(fn) where fn mutates the doc.
+const storage = createStorage({
+    backend: STORAGE_BACKEND,
+    docFiles: { users: USERS_FILE, lastSignals: LAST_SIGNALS_FILE, stats: SIGNAL_STATS_FILE, access: ACCESS_FILE, paper: PAPER_FILE, taken: TAKEN_FILE, reports: REPORTS_FILE },
+    historyFile: SIGNAL_HISTORY_LOG,
+    legacyHistoryFile: SIGNAL_HISTORY_FILE,
+    sqliteFile: SQLITE_FILE
+});
+// nothing works without storage (bad SQLite file, corrupt legacy JSON): stop instead of running half-broken
+storage.ready.catch(() => process.exit(1));
 
 async function loadUsers() {
-    await ensureFile(USERS_FILE, {});
-    try {
-        const raw = await fs.readFile(USERS_FILE, 'utf8');
-        return JSON.parse(raw || '{}');
-    } catch (e) {
-        console.error('Failed load users:', e.message);
-        return {};
-    }
+    return storage.getDoc('users', {});
 }
 
-async function saveUsers(obj) {
-    try {
-        await fs.writeFile(USERS_FILE, JSON.stringify(obj, null, 2), 'utf8');
-    } catch (e) {
-        console.error('Failed save users:', e.message);
-    }
+async function updateUsers(fn) {
+    return storage.updateDoc('users', {}, fn);
 }
 
 async function loadLastSignals() {
-    await ensureFile(LAST_SIGNALS_FILE, {});
-    try {
-        const raw = await fs.readFile(LAST_SIGNALS_FILE, 'utf8');
-        return JSON.parse(raw || '{}');
-    } catch (e) {
-        console.error('Failed load last_signals:', e.message);
-        return {};
-    }
+    return storage.getDoc('lastSignals', {});
 }
 
-async function saveLastSignals(obj) {
-    try {
-        await fs.writeFile(LAST_SIGNALS_FILE, JSON.stringify(obj, null, 2), 'utf8');
-    } catch (e) {
-        console.error('Failed save last_signals:', e.message);
-    }
+async function updateLastSignals(fn) {
+    return storage.updateDoc('lastSignals', {}, fn);
 }
 
-async function loadSignalHistory() {
-    await ensureFile(SIGNAL_HISTORY_FILE, []);
-    try {
-        const raw = await fs.readFile(SIGNAL_HISTORY_FILE, 'utf8');
-        return JSON.parse(raw || '[]');
-    } catch (e) {
-        console.error('Failed load signals history:', e.message);
-        return [];
-    }
+async function loadSignalStats() {
+    return storage.getDoc('stats', emptyStats());
 }
 
-async function saveSignalHistory(arr) {
-    try {
-        await fs.writeFile(SIGNAL_HISTORY_FILE, JSON.stringify(arr, null, 2), 'utf8');
-    } catch (e) {
-        console.error('Failed save signals history:', e.message);
-    }
+async function updateSignalStats(fn) {
+    return storage.updateDoc('stats', emptyStats(), fn);
+}
+
+async function loadAccess() {
+    return { ...emptyAccess(), ...(await storage.getDoc('access', emptyAccess())) };
+}
+
+async function updateAccess(fn) {
+    return storage.updateDoc('access', emptyAccess(), doc => {
+        const access = { ...emptyAccess(), ...doc };
+        fn(access);
+        return access;
+    });
+}
+
+// paper accounts keyed by chatId (paper.js), created on first use
+async function loadPaper() {
+    return storage.getDoc('paper', {});
+}
+
+async function updatePaper(fn) {
+    return storage.updateDoc('paper', {}, fn);
+}
+
+// { chatId: { signalId: { symbol, direction, strategy, at } } }
+async function loadTaken() {
+    return storage.getDoc('taken', {});
+}
+
+async function updateTaken(fn) {
+    return storage.updateDoc('taken', {}, fn);
+}
+
+// { day: { date, signals }, sent: { daily, weekly } } (reports.js)
+async function loadReportState() {
+    return storage.getDoc('reports', emptyReportState());
+}
+
+async function updateReportState(fn) {
+    return storage.updateDoc('reports', emptyReportState(), fn);
+}
+
+// "[N trong ngày]" index; the count rolls over at Vietnam midnight and survives restarts
+async function nextSignalIndex() {
+    let index;
+    await updateReportState(state => { index = bumpDayCounter(state, Date.now()); });
+    return index;
+}
+
+async function countSignalsToday() {
+    return signalsToday(await loadReportState(), Date.now());
+}
+
+// ---------- Scan status (shared by /status and the REST API) ----------
+async function getScanStatus() {
+    const access = await loadAccess();
+    return {
+        paused: !!access.paused,
+        running: isAutoAnalysisRunning,
+        trigger: USE_KLINE_STREAM && ANALYSIS_TRIGGER === 'candle_close' ? 'candle_close' : 'timer',
+        intervalMs: analysisIntervalMs(),
+        klineStream: klineStream ? (klineStream.isConnected() ? 'connected' : 'disconnected') : 'off',
+        lastCycle: { ...lastCycle },
+        signalsToday: await countSignalsToday(),
+        consecutiveErrors,
+        targetCoins: targetCoins().length,
+        universe: universe.status()
+    };
 }
 
 // ---------- Helper: vietnam time ----------
@@ -145,46 +222,204 @@ function getVietnamTime() {
 }
 
 // ---------- Message formatting ----------
-function fmtNum(num) {
-    if (num === undefined || num === null || isNaN(Number(num))) return 'N/A';
-    const v = Number(num);
-    if (v >= 1) return v.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 4 });
-    return v.toFixed(8).replace(/\.?0+$/, '');
+// every formatter takes L = localeFor(user) (i18n.js): catalog text, numbers and times in the user's language / timezone
+function formatPositionBlock(data, user, L) {
+    const acc = getAccount(user);
+    const pos = computePosition(data, acc);
+    if (!pos) return L.t('position.setup');
+    let text = L.t('position.size', { qty: L.num(pos.qty), coin: data.symbol.replace('USDT',''), notional: L.num(pos.notional) }) + '\n' +
+        L.t('position.margin', { leverage: pos.leverage, margin: L.num(pos.margin), risk: L.num(pos.riskUsd), riskPercent: L.pct(pos.riskPercent, 2) });
+    if (pos.raisedToMinNotional) text += '\n' + L.t('position.minNotional', { minNotional: L.plain(pos.minNotional) });
+    if (pos.insufficientMargin) text += '\n' + L.t('position.insufficientMargin', { balance: L.num(acc.balance) });
+    return text;
+}
+
+// "1x 72.4% , 1.5x 64.7% , ..." (older history entries have no tpCandidates)
+function formatTPCandidates(meta, L) {
+    if (!meta || !meta.pCandidates) return 'N/A';
+    return meta.pCandidates.map((p, i) => {
+        const k = meta.tpCandidates ? `${L.plain(meta.tpCandidates[i])}x ` : '';
+        return `${k}${L.pct(p * 100)}`;
+    }).join(' , ');
+}
+
+// "SL sau mức 1.234 (sức mạnh 4) · TP trước mức 1.456 (5)" — liquidity levels used for SL / TP
+function formatLiquidityLine(meta, L) {
+    const liq = meta && meta.liquidity;
+    if (!liq) return 'N/A';
+    const parts = [liq.slLevel
+        ? L.t('liquidity.slLevel', { price: L.num(liq.slLevel.price), strength: L.plain(liq.slLevel.strength) })
+        : L.t('liquidity.slAtr', { atr: L.plain(liq.slAtr) })];
+    if (liq.tpLevel) parts.push(L.t('liquidity.tpLevel', { price: L.num(liq.tpLevel.price), strength: L.plain(liq.tpLevel.strength) }));
+    return parts.join(' · ');
+}
+
+// " (LIMIT)\n⏳ Vùng vào: a – b (FVG) · hiệu lực đến HH:mm" for pending entries, "" for market
+function formatEntryZone(data, L) {
+    if (data.orderType !== 'LIMIT' || !data.entryZone) return '';
+    const until = data.validUntil ? L.t('entryZone.until', { time: L.time(data.validUntil, 'clock') }) : '';
+    return ' (LIMIT)\n' + L.t('entryZone.line', { low: L.num(data.entryZone.low), high: L.num(data.entryZone.high), source: data.entryZone.source.toUpperCase(), until });
+}
+
+function signalTag(s) {
+    return `#${s.symbol.replace('USDT','')} – [${s.direction}]`;
+}
+
+// fill / cancel notice for a pending LIMIT signal
+function formatPendingUpdateMessage(s, L) {
+    const tag = signalTag(s);
+    if (s.outcome && s.outcome.status === 'CANCELLED') {
+        const why = L.t(s.outcome.reason === 'INVALIDATED' ? 'pending.invalidated' : 'pending.expired');
+        return L.t('pending.cancelled', { tag, entry: L.num(s.entry), why });
+    }
+    return L.t('pending.filled', { tag, entry: L.num(s.fill.price), tp: L.num(s.tp), sl: L.num(s.sl) });
+}
+
+// open position reached the halfway price: suggest break-even
+function formatHalfwayMessage(s, L) {
+    const entry = s.fill ? s.fill.price : s.entry;
+    return L.t('halfway.message', { tag: signalTag(s), price: L.num(s.halfway.price), entry: L.num(entry) });
+}
+
+function fmtR(r, L) {
+    return `${r > 0 ? '+' : ''}${L.plain(r)}R`;
+}
+
+// "TP1 50% @ 1.23 (+0.8R) · BE 50% @ 1.20 (0R)"
+function formatExits(exits, L) {
+    return exits.map(e => `${e.label} ${Math.round(e.fraction * 100)}% @ ${L.num(e.price)} (${fmtR(e.r, L)})`).join(' · ');
 }
 
-function formatSignalMessage(data, signalIndex) {
+// ladder target(s) hit, the rest still open
+function formatPartialMessage(s, L) {
+    const hits = s.tpHits.filter(e => e.label.startsWith('TP'));
+    const last = hits[hits.length - 1];
+    return L.t('partial.message', { label: last.label, tag: signalTag(s), exits: formatExits(hits, L), entry: L.num(s.entry) });
+}
+
+// TP / SL / expiry notice
+function formatOutcomeMessage(s, L) {
+    const tag = signalTag(s);
+    const o = s.outcome;
+    const r = fmtR(o.r, L);
+    if (o.exits) {
+        const lastExit = o.exits[o.exits.length - 1].label;
+        const head = o.status === 'LOSS' ? L.t('outcome.slHit', { tag })
+            : lastExit === 'BE' ? L.t('outcome.breakevenRest', { tag })
+            : lastExit === 'EXPIRY' ? L.t('outcome.expired', { tag })
+            : L.t('outcome.targetHit', { label: lastExit, tag });
+        return `${head}\n${L.t('outcome.result', { r })}\n${formatExits(o.exits, L)}`;
+    }
+    const price = L.num(o.exitPrice);
+    if (o.status === 'WIN') return L.t('outcome.win', { tag, price, r });
+    if (o.status === 'LOSS') return L.t('outcome.loss', { tag, price, r });
+    return L.t('outcome.expiredAt', { tag, price, r });
+}
+
+// single TP line, or the ladder with its allocation and the break-even rule
+function formatTakeProfit(data, L) {
+    if (!data.ladder) return L.t('tp.single', { price: L.num(data.tp) });
+    const lines = data.ladder.targets.map(t => L.t('tp.target', {
+        label: t.label, price: L.num(t.price), allocation: Math.round(t.allocation * 100), r: L.plain(t.r), p: Math.round(t.p * 100)
+    }));
+    if (data.ladder.trailToBreakeven) lines.push(L.t('tp.trail'));
+    lines.push(L.t('tp.expectedR', { r: fmtR(+data.ladder.expectedR.toFixed(2), L) }));
+    return lines.join('\n');
+}
+
+// status badge put on top of the original signal message
+function signalBadge(s, L) {
+    const o = s.outcome;
+    if (o) {
+        if (o.status === 'LOSS') return L.t('badge.loss', { r: L.plain(o.r) });
+        if (o.status === 'CANCELLED') return L.t('badge.cancelled');
+        const lastExit = o.exits ? o.exits[o.exits.length - 1].label : null;
+        if (lastExit === 'BE') return L.t('badge.breakeven', { r: fmtR(o.r, L) });
+        if (o.status === 'WIN') return L.t('badge.win', { r: fmtR(o.r, L) });
+        return L.t('badge.expired', { r: L.plain(o.r) });
+    }
+    if (s.tpHits && s.tpHits.length) return L.t('badge.partial', { label: s.tpHits[s.tpHits.length - 1].label });
+    if (s.halfway) return L.t('badge.halfway');
+    if (s.fill) return L.t('badge.filled');
+    return null;
+}
+
+function strategyLabel(name) {
+    return (getStrategy(name || DEFAULT_STRATEGY) || { label: name }).label;
+}
+
+// user: subscriber record, used for per-user sizing and locale (omit for generic text)
+function formatSignalMessage(data, signalIndex, user = null) {
+    const L = localeFor(user);
     const icon = data.direction === 'LONG' ? '🟢' : '🔴';
     const conf = data.confidence !== undefined ? `${data.confidence}%` : (data.meta && data.meta.confidence ? `${data.meta.confidence}%` : 'N/A');
 
-    const msg = `🤖 Tín hiệu [${signalIndex} trong ngày]
-#${data.symbol.replace('USDT','')} – [${data.direction}] 📌
+    const msg = `${L.t('signal.header', { index: signalIndex })}
+${signalTag(data)} 📌
 
-${icon} Entry: ${fmtNum(data.entry)}
-🆗 Take Profit: ${fmtNum(data.tp)}
-🙅‍♂️ Stop-Loss: ${fmtNum(data.sl)}
-🪙 Tỉ lệ RR: ${data.rr || '-'} (Conf: ${conf})
+${icon} Entry: ${L.num(data.entry)}${formatEntryZone(data, L)}
+${formatTakeProfit(data, L)}
+${L.t('signal.stopLoss', { sl: L.num(data.sl) })}
+${L.t('signal.rr', { rr: data.rr ? L.fixed(data.rr, 2) : '-', conf })}
+${L.t('signal.strategy', { name: strategyLabel(data.strategy) })}
 
-ℹ️ p_win (tp candidates): ${data.meta && data.meta.pCandidates ? data.meta.pCandidates.map(p=> (p*100).toFixed(1)+'%').join(' , ') : 'N/A'}
+${formatPositionBlock(data, user, L)}${data.id ? '\n' + L.t('signal.paper', { id: data.id }) : ''}
 
-🧠 By AI Scalping Bot
+${L.t('signal.pwin', { list: formatTPCandidates(data.meta, L) })}
+${L.t('signal.liquidity', { line: formatLiquidityLine(data.meta, L) })}
 
-⚠️ Chỉ tham khảo — Quản lý rủi ro: 0.25% - 1% per trade, bot không auto-trade.`;
+${L.t('signal.footer')}`;
 
     return msg;
 }
 
+// inline buttons under a sent signal; callback_data is "<action>:<signal id>" (see SIGNAL_ACTIONS)
+// resolved signals keep only the read-only buttons
+function signalKeyboard(signal, L) {
+    const rows = [[
+        { text: L.t('button.why'), callback_data: `why:${signal.id}` },
+        { text: L.t('button.chart'), callback_data: `chart:${signal.id}` }
+    ]];
+    if (!signal.outcome) {
+        rows.push([
+            { text: L.t('button.mute'), callback_data: `mute:${signal.id}` },
+            { text: L.t('button.took'), callback_data: `took:${signal.id}` }
+        ]);
+        rows.push([{ text: L.t('button.refresh'), callback_data: `refresh:${signal.id}` }]);
+    }
+    return { inline_keyboard: rows };
+}
+
 // ---------- Broadcast with retries & prune blocked users ----------
-async function broadcastToAllUsers(message) {
+// message: string, or (user) => string for per-user text
+// filter(user) -> false skips that subscriber (per-user preferences)
+// options: { photo: PNG Buffer sent as a reply under each text (uploaded once, then re-sent by file_id),
+//            replyMarkup: inline keyboard attached to the text, or (user) => keyboard }
+// -> { success, fail, messages: { chatId: message_id } } (message ids let later updates reply in thread)
+async function broadcastToAllUsers(message, filter = null, { photo = null, replyMarkup = null } = {}) {
     const users = await loadUsers();
     let success = 0, fail = 0;
-    const userIds = Object.keys(users);
+    const messages = {};
+    let photoFileId = null;
+    const userIds = Object.keys(users).filter(id => !filter || filter(users[id]));
     for (const id of userIds) {
         let retries = 0, sent = false;
+        const markup = typeof replyMarkup === 'function' ? replyMarkup(users[id]) : replyMarkup;
         while (retries < 3 && !sent) {
             try {
-                await bot.sendMessage(Number(id), message);
+                const reply = await bot.sendMessage(Number(id), typeof message === 'function' ? message(users[id]) : message, markup ? { reply_markup: markup } : {});
+                messages[id] = reply.message_id;
                 sent = true;
                 success++;
+                if (photo) {
+                    // the text is what counts; a failed chart is not retried
+                    try {
+                        const p = await bot.sendPhoto(Number(id), photoFileId || photo, { reply_to_message_id: reply.message_id }, { filename: 'chart.png', contentType: 'image/png' });
+                        if (!photoFileId && p.photo && p.photo.length) photoFileId = p.photo[p.photo.length - 1].file_id;
+                    } catch (e) {
+                        console.warn(`Chart to ${id} failed: ${e.message}`);
+                    }
+                }
                 // tiny delay between messages
                 await new Promise(r => setTimeout(r, 80));
             } catch (e) {
@@ -192,8 +427,7 @@ async function broadcastToAllUsers(message) {
                 console.warn(`Failed to send to ${id} (attempt ${retries}): ${e.message}`);
                 // if forbidden (bot blocked), remove user
                 if (e.response && (e.response.statusCode === 403 || e.response.statusCode === 410)) {
-                    delete users[id];
-                    await saveUsers(users);
+                    await updateUsers(u => { delete u[id]; });
                     console.log(`Removed blocked user ${id}`);
                     sent = true; // stop retrying
                     fail++;
@@ -204,56 +438,238 @@ async function broadcastToAllUsers(message) {
             }
         }
     }
-    return { success, fail };
+    return { success, fail, messages };
+}
+
+/**
+ * Lifecycle update for a sent signal: threaded reply under each recipient's original message,
+ * then the original is edited with the current status badge (signalBadge).
+ * format(L) builds the text in each recipient's locale.
+ * Signals stored before message ids were kept fall back to a plain broadcast.
+ */
+async function postSignalUpdate(signal, format) {
+    if (!signal.messages) {
+        const vnTime = getVietnamTime();
+        await broadcastToAllUsers(user => format(localeFor(user)), user => matchesPrefs(user, signal, vnTime));
+        return;
+    }
+    const users = await loadUsers();
+    for (const [chatId, messageId] of Object.entries(signal.messages)) {
+        if (!users[chatId]) continue; // unsubscribed since
+        const L = localeFor(users[chatId]);
+        try {
+            await bot.sendMessage(Number(chatId), format(L), { reply_to_message_id: messageId, allow_sending_without_reply: true });
+        } catch (e) {
+            console.warn(`Signal update to ${chatId} failed: ${e.message}`);
+            continue;
+        }
+        const badge = signalBadge(signal, L);
+        if (badge) {
+            const original = formatSignalMessage(signal, signal.signalIndex || '-', users[chatId]);
+            // editing fails once the message is too old or was deleted; the reply above is what matters
+            await bot.editMessageText(`${badge}\n${original}`, { chat_id: Number(chatId), message_id: messageId, reply_markup: signalKeyboard(signal, L) })
+                .catch(e => console.warn(`Badge edit for ${chatId} failed: ${e.message}`));
+        }
+        await new Promise(r => setTimeout(r, 80));
+    }
 }
 
 // ---------- Duplicate suppression ----------
-async function shouldSendSignal(symbol) {
-    const lastSignals = await loadLastSignals();
+// duplicate key per symbol + strategy (the default strategy keeps the plain symbol key)
+function signalKey(symbol, strategy = DEFAULT_STRATEGY) {
     const key = symbol.toUpperCase();
+    return strategy === DEFAULT_STRATEGY ? key : `${key}:${strategy}`;
+}
+
+async function shouldSendSignal(symbol, strategy) {
+    const lastSignals = await loadLastSignals();
+    const key = signalKey(symbol, strategy);
     if (!lastSignals[key]) return true;
     const lastTs = lastSignals[key]; // epoch seconds
     const now = Math.floor(Date.now() / 1000);
-    if ((now - lastTs) < DUPLICATE_WINDOW_SECONDS) return false;
+    if ((now - lastTs) < symbolConfig(symbol).duplicateWindowSeconds) return false;
     return true;
 }
 
-async function markSignalSent(symbol) {
-    const lastSignals = await loadLastSignals();
-    lastSignals[symbol.toUpperCase()] = Math.floor(Date.now() / 1000);
-    await saveLastSignals(lastSignals);
+async function markSignalSent(symbol, strategy) {
+    await updateLastSignals(lastSignals => { lastSignals[signalKey(symbol, strategy)] = Math.floor(Date.now() / 1000); });
 }
 
 // ---------- History append ----------
+function makeSignalId(symbol, epoch, strategy = DEFAULT_STRATEGY) {
+    return strategy === DEFAULT_STRATEGY ? `${symbol}-${epoch}` : `${symbol}-${strategy}-${epoch}`;
+}
+
 async function appendSignalHistory(obj) {
-    const hist = await loadSignalHistory();
-    hist.unshift(obj); // newest first
-    await saveSignalHistory(hist.slice(0, 1000)); // cap history to last 1000
+    await storage.history.append(obj);
+}
+
+// ---------- Outcome tracking (TP / SL / expiry) ----------
+async function resolveSignalOutcomes() {
+    try {
+        const open = await storage.history.query({ status: 'OPEN' });
+        const { filled, halfway, partials, resolved } = await resolveOpenSignals(open);
+        resolved.push(...expireStaleSignals(open.filter(s => !s.outcome), getConfig().staleSignalHours * 60 * 60));
+        if (filled.length || partials.length || resolved.length) await settlePaperPositions(filled, partials, resolved);
+        for (const s of filled) {
+            await storage.history.update(s.id, { fill: s.fill });
+            console.log(`📥 Filled ${s.symbol} (${s.direction}) @ ${s.fill.price}`);
+            emitWebhookEvent('signal.filled', s);
+            await postSignalUpdate(s.outcome ? { ...s, outcome: null } : s, L => formatPendingUpdateMessage(s, L));
+        }
+        for (const s of halfway) {
+            await storage.history.update(s.id, { halfway: s.halfway });
+            console.log(`🟡 Halfway ${s.symbol} (${s.direction}) @ ${s.halfway.price}`);
+            emitWebhookEvent('signal.halfway', s);
+            await postSignalUpdate(s, L => formatHalfwayMessage(s, L));
+        }
+        for (const s of partials) {
+            await storage.history.update(s.id, { tpHits: s.tpHits });
+            console.log(`🎯 ${s.symbol} (${s.direction}) hit ${s.tpHits.map(e => e.label).join(', ')}`);
+            emitWebhookEvent('signal.partial', s);
+            await postSignalUpdate(s, L => formatPartialMessage(s, L));
+        }
+        if (resolved.length === 0) return;
+        for (const s of resolved) {
+            await storage.history.update(s.id, { outcome: s.outcome });
+            if (s.outcome.reason === 'STALE') {
+                console.log(`⌛ ${s.symbol} (${s.direction}) stale, no candles since ${s.createdAt}: cancelled`);
+                await postSignalUpdate(s, L => L.t('outcome.stale', { tag: signalTag(s), hours: getConfig().staleSignalHours }));
+            } else if (s.outcome.status === 'CANCELLED') {
+                console.log(`🚫 Pending ${s.symbol} (${s.direction}) cancelled: ${s.outcome.reason}`);
+                await postSignalUpdate(s, L => formatPendingUpdateMessage(s, L));
+            } else {
+                console.log(`📈 Outcome ${s.symbol} (${s.direction}): ${s.outcome.status} ${s.outcome.r}R`);
+                await postSignalUpdate(s, L => formatOutcomeMessage(s, L));
+            }
+            emitWebhookEvent('signal.resolved', s);
+        }
+        await updateSignalStats(stats => {
+            for (const s of resolved) applyOutcomeToStats(stats, s);
+        });
+    } catch (e) {
+        console.warn('Outcome resolver error:', e.message);
+    }
+}
+
+// ---------- Paper trading ----------
+// auto-follow: users with paper.autoFollow open a position on every signal they receive
+async function autoFollowSignal(record, vnTime) {
+    const users = await loadUsers();
+    await updatePaper(paper => {
+        for (const chatId of Object.keys(paper)) {
+            const account = paper[chatId];
+            if (!account.autoFollow || !users[chatId] || !matchesPrefs(users[chatId], record, vnTime)) continue;
+            const res = openPaperPosition(account, record, getAccount(users[chatId]));
+            if (!res.ok) console.log(`📒 Paper ${chatId} skip ${record.id}: ${res.reason}`);
+        }
+    });
+}
+
+function signedNum(v, L) {
+    return `${v >= 0 ? '+' : ''}${L.num(v)}`;
+}
+
+function formatPaperClose(trade, L) {
+    return L.t('paper.closed', {
+        icon: trade.pnl >= 0 ? '✅' : '❌',
+        coin: trade.symbol.replace('USDT',''),
+        direction: trade.direction,
+        status: trade.status,
+        entry: L.num(trade.entry),
+        exit: L.num(trade.exitPrice),
+        pnl: signedNum(trade.pnl, L),
+        r: L.plain(trade.r),
+        fees: L.num(trade.fees)
+    });
+}
+
+// fills turn pending paper orders into positions, ladder partials book their slices, resolved signals
+// close them; owners are notified of closes
+async function settlePaperPositions(filled, partials, resolved) {
+    const closes = [];
+    await updatePaper(paper => {
+        for (const chatId of Object.keys(paper)) {
+            const account = paper[chatId];
+            for (const s of filled) fillPaperPosition(account, s);
+            for (const s of partials) reducePaperPosition(account, s);
+            for (const s of resolved) {
+                const trade = closePaperPosition(account, s);
+                if (trade) closes.push({ chatId, trade, balance: account.balance });
+            }
+        }
+    });
+    const users = closes.length ? await loadUsers() : {};
+    for (const { chatId, trade, balance } of closes) {
+        const L = localeFor(users[chatId]);
+        try {
+            await bot.sendMessage(Number(chatId), `${formatPaperClose(trade, L)}\n${L.t('paper.balance', { balance: L.num(balance) })}`);
+        } catch (e) {
+            console.warn(`Paper notice to ${chatId} failed: ${e.message}`);
+        }
+    }
 }
 
 // ---------- Cleanup old history (every ~1 hour) ----------
+// history: resolved signals older than config.historyRetentionDays (reports and /stats read from it);
+// last_signals: entries past their symbol's duplicate window
 async function cleanupOldHistory() {
     try {
-        const hist = await loadSignalHistory();
-        const cutoff = Math.floor(Date.now() / 1000) - HISTORY_TTL_SECONDS;
-        const filtered = hist.filter(h => {
-            const t = h.createdAtEpoch || Math.floor(new Date(h.createdAt || h.time || Date.now()).getTime()/1000);
-            return t >= cutoff;
+        const now = Math.floor(Date.now() / 1000);
+        const retentionDays = getConfig().historyRetentionDays;
+        const pruned = await storage.history.prune(now - retentionDays * 24 * 60 * 60); // open ones resolve or go STALE first
+        await updateLastSignals(lastSignals => {
+            for (const k of Object.keys(lastSignals)) {
+                if (lastSignals[k] < now - symbolConfig(k.split(':')[0]).duplicateWindowSeconds) delete lastSignals[k];
+            }
         });
-        await saveSignalHistory(filtered);
-        const lastSignals = await loadLastSignals();
-        for (const k of Object.keys(lastSignals)) {
-            if (lastSignals[k] < cutoff) delete lastSignals[k];
-        }
-        await saveLastSignals(lastSignals);
-        console.log('🧹 Cleanup completed: trimmed history and last_signals older than 1 hour');
+        console.log(`🧹 Cleanup completed: pruned ${pruned} signals older than ${retentionDays} days, trimmed last_signals`);
     } catch (e) {
         console.warn('Cleanup error:', e.message);
     }
 }
 
+// ---------- Candle source: in-memory stream or REST ----------
+const candleStore = createCandleStore();
+let klineStream = null;
+
+function hasStreamData(symbol) {
+    return !!klineStream && candleStore.isReady(symbol);
+}
+
+// candles for the given strategies: stream memory when warm, otherwise REST (only the TFs they use)
+async function candlesFor(symbol, strategies) {
+    if (hasStreamData(symbol)) return candleStore.snapshot(symbol);
+    return loadTimeframes(symbol, requiredTimeframes(strategies));
+}
+
+async function analyzeCoin(symbol, strategy = DEFAULT_STRATEGY) {
+    return runStrategy(strategy, symbol, await candlesFor(symbol, [strategy]));
+}
+
+async function analyzeCoinAll(symbol) {
+    return runStrategies(symbol, await candlesFor(symbol, ENABLED_STRATEGIES));
+}
+
+// the chart always draws M15 + M5, whatever the strategy used
+async function chartCandles(symbol) {
+    if (hasStreamData(symbol)) return candleStore.snapshot(symbol);
+    return loadTimeframes(symbol, TIMEFRAMES.filter(tf => tf.label === '15M' || tf.label === '5M'), 120);
+}
+
+// PNG for a signal (null when disabled, when the candles are too short or rendering fails)
+function signalChart(symbol, candles, signal) {
+    if (!SIGNAL_CHARTS) return null;
+    try {
+        return renderSignalChart(symbol, candles, signal);
+    } catch (e) {
+        console.warn(`Chart render failed for ${symbol}: ${e.message}`);
+        return null;
+    }
+}
+
 // ---------- Auto analysis main loop ----------
-async function runAutoAnalysis() {
+async function runAutoAnalysis(coins = targetCoins()) {
     if (isAutoAnalysisRunning) {
         console.log('⏳ Auto analysis already running, skip this cycle.');
         return;
@@ -269,6 +685,15 @@ async function runAutoAnalysis() {
         // Example: skip maintenance window midnight-00:10
         // if (hour === 0 && minute < 10) { isAutoAnalysisRunning = false; return; }
 
+        // resolve outcomes of previously sent signals before scanning for new ones
+        await resolveSignalOutcomes();
+
+        const access = await loadAccess();
+        if (access.paused) {
+            console.log('⏸️ Auto analysis paused by admin, skipping scan.');
+            return;
+        }
+
         const users = await loadUsers();
         if (Object.keys(users).length === 0) {
             console.log('👥 No subscribers, skipping analysis.');
@@ -278,41 +703,65 @@ async function runAutoAnalysis() {
 
         console.log(`🔄 Starting Auto Analysis at ${now.format('HH:mm')} for ${Object.keys(users).length} users`);
         let signalsFound = 0;
+        lastCycle.startedAt = new Date().toISOString();
+        lastCycle.finishedAt = null;
+        lastCycle.coins = coins.length;
 
-        for (let i = 0; i < TARGET_COINS.length; i++) {
-            const coin = TARGET_COINS[i];
+        for (let i = 0; i < coins.length; i++) {
+            const coin = coins[i];
+            const fromMemory = hasStreamData(coin);
             try {
-                console.log(`🔍 Analyzing ${coin} (${i+1}/${TARGET_COINS.length})`);
-                const result = await analyzeSymbol(coin); // returns object with direction/confidence/entry.. etc
-
-                if (result && result.direction && result.direction !== 'NO_TRADE' && result.direction !== 'NEUTRAL') {
-                    // require confidence ≥ 60
-                    const conf = result.confidence || (result.meta && result.meta.confidence) || 0;
-                    if (conf >= 60) {
-                        // duplicate suppression per symbol within 1 hour
-                        const okToSend = await shouldSendSignal(result.symbol);
-                        if (!okToSend) {
-                            console.log(`⏭️ Skip ${result.symbol}: recently signaled within ${DUPLICATE_WINDOW_SECONDS/60} minutes`);
+                console.log(`🔍 Analyzing ${coin} (${i+1}/${coins.length})`);
+                const candles = await candlesFor(coin, ENABLED_STRATEGIES);
+                const results = runStrategies(coin, candles); // one result per enabled strategy
+                for (const result of results) {
+                    if (result && result.direction && result.direction !== 'NO_TRADE' && result.direction !== 'NEUTRAL') {
+                        // require confidence ≥ config.minConfidence (per symbol)
+                        const conf = result.confidence || (result.meta && result.meta.confidence) || 0;
+                        const minConf = symbolConfig(result.symbol).minConfidence;
+                        if (conf >= minConf) {
+                            // duplicate suppression per symbol + strategy within 1 hour
+                            const okToSend = await shouldSendSignal(result.symbol, result.strategy);
+                            if (!okToSend) {
+                                console.log(`⏭️ Skip ${result.symbol} [${result.strategy}]: recently signaled within ${symbolConfig(result.symbol).duplicateWindowSeconds/60} minutes`);
+                            } else {
+                                signalsFound++;
+                                const index = await nextSignalIndex();
+                                const createdAtEpoch = Math.floor(Date.now()/1000);
+                                const record = {
+                                    id: makeSignalId(result.symbol, createdAtEpoch, result.strategy),
+                                    ...result,
+                                    createdAt: new Date(createdAtEpoch * 1000).toISOString(),
+                                    createdAtEpoch
+                                };
+                                if (record.orderType === 'LIMIT') {
+                                    record.validUntilEpoch = createdAtEpoch + PENDING_ENTRY_EXPIRY_SECONDS;
+                                    record.validUntil = new Date(record.validUntilEpoch * 1000).toISOString();
+                                }
+                                const msg = user => formatSignalMessage(record, index, user);
+                                const vnTime = getVietnamTime();
+                                const sent = await broadcastToAllUsers(msg, user => matchesPrefs(user, record, vnTime), {
+                                    photo: signalChart(coin, candles, record),
+                                    replyMarkup: user => signalKeyboard(record, localeFor(user))
+                                });
+                                // kept so lifecycle updates can reply to / edit each recipient's message
+                                record.signalIndex = index;
+                                record.messages = sent.messages;
+                                await markSignalSent(result.symbol, result.strategy);
+                                await appendSignalHistory(record);
+                                await autoFollowSignal(record, vnTime);
+                                // webhook retries run in the background, never block the scan
+                                emitWebhookEvent('signal.created', record);
+                                console.log(`✅ Sent signal for ${result.symbol} (${result.direction}) [${result.strategy}] conf=${conf}%`);
+                                // small delay after sending
+                                await new Promise(r => setTimeout(r, 1200));
+                            }
                         } else {
-                            signalCountToday++;
-                            signalsFound++;
-                            const msg = formatSignalMessage(result, signalCountToday);
-                            await broadcastToAllUsers(msg);
-                            await markSignalSent(result.symbol);
-                            await appendSignalHistory({
-                                ...result,
-                                createdAt: new Date().toISOString(),
-                                createdAtEpoch: Math.floor(Date.now()/1000)
-                            });
-                            console.log(`✅ Sent signal for ${result.symbol} (${result.direction}) conf=${conf}%`);
-                            // small delay after sending
-                            await new Promise(r => setTimeout(r, 1200));
+                            console.log(`⏭️ ${coin}: confidence ${conf}% < ${minConf}%`);
                         }
                     } else {
-                        console.log(`⏭️ ${coin}: confidence ${conf}% < 60%`);
+                        console.log(`➖ No signal for ${coin} [${result.strategy}]: ${result?.direction || 'NO_TRADE'}${result?.reason ? ` (${result.reason})` : ''}`);
                     }
-                } else {
-                    console.log(`➖ No signal for ${coin}: ${result?.direction || 'NO_TRADE'}`);
                 }
             } catch (coinErr) {
                 console.error(`❌ Error analyzing ${coin}: ${coinErr.message}`);
@@ -331,10 +780,12 @@ async function runAutoAnalysis() {
             }
 
             // politeness delay between coins (1s) — keep modest to avoid rate-limits
-            await new Promise(r => setTimeout(r, 1000));
+            if (!fromMemory) await new Promise(r => setTimeout(r, 1000));
         }
 
         console.log(`🎯 Auto analysis finished — signalsFound=${signalsFound}`);
+        lastCycle.finishedAt = new Date().toISOString();
+        lastCycle.signals = signalsFound;
 
         // housekeeping: cycle counter & cleanup
         cycleCounter++;
@@ -350,104 +801,826 @@ async function runAutoAnalysis() {
     }
 }
 
+// ---------- Candle-close trigger ----------
+const pendingCloseSymbols = new Set();
+let closeDebounceTimer = null;
+
+function onCandleClose(symbol, label) {
+    if (ANALYSIS_TRIGGER !== 'candle_close' || label !== '5M') return;
+    if (!targetCoins().includes(symbol)) return;
+    pendingCloseSymbols.add(symbol);
+    if (!closeDebounceTimer) closeDebounceTimer = setTimeout(drainCandleCloses, CANDLE_CLOSE_DEBOUNCE_MS);
+}
+
+async function drainCandleCloses() {
+    closeDebounceTimer = null;
+    if (isAutoAnalysisRunning) {
+        // previous scan still busy: try again shortly, nothing is dropped
+        closeDebounceTimer = setTimeout(drainCandleCloses, 5000);
+        return;
+    }
+    const coins = targetCoins().filter(c => pendingCloseSymbols.has(c));
+    pendingCloseSymbols.clear();
+    if (coins.length) await runAutoAnalysis(coins);
+}
+
+// ---------- Scheduled reports ----------
+// signals created in the period (Vietnam days / ISO weeks), whatever their status now
+async function periodReport(period) {
+    const signals = await storage.history.query({ since: period.start.unix(), until: period.end.unix() - 1 });
+    return buildReport(signals, period);
+}
+
+async function sendReport(report) {
+    if (getConfig().reports.audience === 'subscribers') await broadcastToAllUsers(user => formatReport(report, localeFor(user)));
+    else await notifyAdmins(L => formatReport(report, L));
+}
+
+// the period is marked sent before sending: a failed delivery is logged, not repeated every minute
+async function checkScheduledReports() {
+    try {
+        let due = [];
+        await updateReportState(state => { due = takeDueReports(state, getConfig().reports, Date.now()); });
+        for (const period of due) {
+            const report = await periodReport(period);
+            console.log(`📊 ${period.kind} report ${period.key}: ${report.signals} signals`);
+            await sendReport(report);
+        }
+    } catch (e) {
+        console.warn('Scheduled report error:', e.message);
+    }
+}
+
 // ---------- Scheduling ----------
-setInterval(runAutoAnalysis, ANALYSIS_INTERVAL);
+let analysisTimer = null;
+
+function startKlineStream() {
+    klineStream = createKlineStream({ symbols: targetCoins(), store: candleStore, onCandleClose });
+    klineStream.start().catch(e => console.error('Kline stream start failed:', e.message));
+}
+
+function scheduleAnalysis() {
+    if (analysisTimer) clearInterval(analysisTimer);
+    analysisTimer = null;
+    if (!(USE_KLINE_STREAM && ANALYSIS_TRIGGER === 'candle_close')) {
+        analysisTimer = setInterval(runAutoAnalysis, analysisIntervalMs());
+    }
+}
+
+function restartKlineStream() {
+    if (!klineStream) return;
+    klineStream.stop();
+    startKlineStream();
+}
+
+if (USE_KLINE_STREAM) startKlineStream();
+scheduleAnalysis();
+universe.start();
 setTimeout(() => { runAutoAnalysis(); }, START_DELAY_MS);
+setInterval(checkScheduledReports, REPORT_CHECK_MS);
+
+// ---------- Universe changes ----------
+function shortList(symbols) {
+    return symbols.map(s => s.replace('USDT', '')).join(', ');
+}
+
+function describeUniverseChange({ symbols, added, removed, dropped }, L) {
+    const lines = [L.t('universe.changed', { count: symbols.length })];
+    if (added.length) lines.push(L.t('universe.added', { list: shortList(added) }));
+    if (removed.length) lines.push(L.t('universe.removed', { list: shortList(removed) }));
+    if (dropped.length) lines.push(L.t('universe.dropped', { list: shortList(dropped) }));
+    return lines.join('\n');
+}
+
+function onUniverseChange(change) {
+    console.log(`🌐 Universe: +${change.added.length} -${change.removed.length} (${change.symbols.length} symbols)`);
+    restartKlineStream();
+    notifyAdmins(L => describeUniverseChange(change, L));
+}
+
+// ---------- Config hot reload ----------
+// polling keeps running; only the parts that captured a value are restarted
+onConfigChange((config, previous, changed) => {
+    if (changed.includes('analysisIntervalMinutes')) scheduleAnalysis();
+    if (changed.includes('universe') && config.universe.refreshMinutes !== previous.universe.refreshMinutes) universe.reschedule();
+    if (changed.includes('universe') || changed.includes('targetCoins')) universe.refresh();
+    console.log(`⚙️ Config reloaded: ${changed.join(', ')}`);
+});
+
+function describeReload(result, L) {
+    if (!result.ok) return L.t('reload.invalid', { errors: result.errors.join('\n- ') });
+    return result.changed.length ? L.t('reload.changed', { keys: result.changed.join(', ') }) : L.t('reload.unchanged');
+}
+
+watchConfig(result => {
+    if (!result.ok) console.error(`Config reload failed: ${result.errors.join('; ')}`);
+    if (!result.ok || result.changed.length) notifyAdmins(L => describeReload(result, L));
+});
 
 // ---------- Bot commands ----------
 
-// /start - đăng ký nhận tin
-bot.onText(/\/start/, async (msg) => {
+// ---------- Access control ----------
+// role gate for command handlers: 'user' (anyone not banned) or 'admin' (ADMIN_IDS)
+// handler(msg, match, L) gets the chat's locale helpers (i18n.js)
+function guarded(role, handler) {
+    return async (msg, match) => {
+        const fromId = msg.from ? msg.from.id : msg.chat.id;
+        let L;
+        try {
+            L = localeFor((await loadUsers())[msg.chat.id]);
+            if (role === 'admin' && !isAdmin(fromId)) {
+                await bot.sendMessage(msg.chat.id, L.t('common.adminOnly'));
+                return;
+            }
+            const access = await loadAccess();
+            if (isBanned(access, msg.chat.id) || isBanned(access, fromId)) return; // banned: ignore silently
+        } catch (e) {
+            console.error('Access check error:', e.message);
+            return;
+        }
+        return handler(msg, match, L);
+    };
+}
+
+// text: string, or (L) => string in each admin's locale
+async function notifyAdmins(text) {
+    const users = typeof text === 'function' ? await loadUsers() : {};
+    for (const id of ADMIN_IDS) {
+        try {
+            await bot.sendMessage(Number(id), typeof text === 'function' ? text(localeFor(users[id])) : text);
+        } catch (e) {
+            console.warn(`Failed to notify admin ${id}: ${e.message}`);
+        }
+    }
+}
+
+function welcomeText(firstName, L) {
+    return L.t('welcome', { name: firstName || 'Trader', coins: targetCoins().length });
+}
+
+// add (or refresh) a subscriber record; keeps prefs/account of returning users
+async function subscribeUser(chatId, from) {
+    await updateUsers(users => {
+        const existing = users[chatId] || {};
+        users[chatId] = {
+            ...existing,
+            id: from.id,
+            username: from.username || null,
+            first_name: from.first_name || null,
+            addedAt: existing.addedAt || new Date().toISOString()
+        };
+    });
+    console.log(`✅ Subscribed user ${chatId} (${from.username || from.first_name})`);
+}
+
+// /start [INVITE_CODE] - đăng ký nhận tin
+bot.onText(/\/start(?:\s+(\S+))?/, guarded('user', async (msg, match, L) => {
     try {
         const chatId = msg.chat.id;
         const user = msg.from;
         const users = await loadUsers();
-        users[chatId] = {
-            id: user.id,
-            username: user.username || null,
-            first_name: user.first_name || null,
-            addedAt: new Date().toISOString()
-        };
-        await saveUsers(users);
+        const alreadySubscribed = !!users[chatId];
 
-        const welcome = `👋 Chào ${user.first_name || 'Trader'}!\n\n` +
-            `Bạn đã được đăng ký nhận tín hiệu tự động từ AI Scalping Bot.\n` +
-            `Bot quét ${TARGET_COINS.length} cặp, TF chính M5/M15, RR động theo EV.\n\n` +
-            `Gõ /analyzeall để chạy phân tích thủ công, /stop để hủy nhận.\n\n` +
-            `⚠️ Bot chỉ gửi tín hiệu tham khảo — luôn tuân thủ quản lý rủi ro.`;
+        if (!alreadySubscribed && !isAdmin(user.id)) {
+            if (REGISTRATION_MODE === 'invite' && !inviteCodeValid(match[1])) {
+                await bot.sendMessage(chatId, L.t('start.inviteRequired'));
+                return;
+            }
+            if (REGISTRATION_MODE === 'approval') {
+                let isNewRequest = false;
+                await updateAccess(access => {
+                    if (access.pending[chatId]) return;
+                    isNewRequest = true;
+                    access.pending[chatId] = {
+                        id: user.id,
+                        username: user.username || null,
+                        first_name: user.first_name || null,
+                        requestedAt: new Date().toISOString()
+                    };
+                });
+                if (isNewRequest) {
+                    const who = user.username ? `(@${user.username})` : user.first_name || '';
+                    await notifyAdmins(A => A.t('admin.newRequest', { chatId, who }));
+                }
+                await bot.sendMessage(chatId, L.t('start.requestSent'));
+                return;
+            }
+        }
 
-        await bot.sendMessage(chatId, welcome);
-        console.log(`✅ Subscribed user ${chatId} (${user.username || user.first_name})`);
+        await subscribeUser(chatId, user);
+        await bot.sendMessage(chatId, welcomeText(user.first_name, L));
     } catch (e) {
         console.error('/start handler error:', e.message);
     }
-});
+}));
 
 // /stop - hủy đăng ký
-bot.onText(/\/stop/, async (msg) => {
+bot.onText(/\/stop/, guarded('user', async (msg, match, L) => {
     try {
         const chatId = msg.chat.id;
-        const users = await loadUsers();
-        if (users[chatId]) {
+        let removed = false;
+        await updateUsers(users => {
+            removed = !!users[chatId];
             delete users[chatId];
-            await saveUsers(users);
-            await bot.sendMessage(chatId, '🗑️ Bạn đã hủy đăng ký nhận tín hiệu. Gõ /start để đăng ký lại.');
+        });
+        if (removed) {
+            await bot.sendMessage(chatId, L.t('stop.done'));
             console.log(`User unsubscribed ${chatId}`);
         } else {
-            await bot.sendMessage(chatId, 'Bạn chưa đăng ký nhận tín hiệu. Gõ /start để đăng ký.');
+            await bot.sendMessage(chatId, L.t('common.notSubscribed'));
         }
     } catch (e) {
         console.error('/stop handler error:', e.message);
     }
-});
+}));
+
+// ---------- Per-user preferences ----------
+// mutate(prefs) edits the prefs in place; returns updated prefs, or null if the chat is not subscribed
+async function updateUserPrefs(chatId, mutate) {
+    let prefs = null;
+    await updateUsers(users => {
+        if (!users[chatId]) return;
+        prefs = getPrefs(users[chatId]);
+        mutate(prefs);
+        users[chatId].prefs = prefs;
+    });
+    return prefs;
+}
+
+// /prefs - xem bộ lọc hiện tại
+bot.onText(/\/prefs/, guarded('user', async (msg, match, L) => {
+    try {
+        const users = await loadUsers();
+        const user = users[msg.chat.id];
+        if (!user) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        await bot.sendMessage(msg.chat.id, describePrefs(getPrefs(user), L));
+    } catch (e) {
+        console.error('/prefs error:', e.message);
+    }
+}));
+
+// /watch SOL ETH - chỉ nhận tín hiệu các coin này
+bot.onText(/\/watch(?:\s+(.+))?/, guarded('user', async (msg, match, L) => {
+    try {
+        const symbols = parseSymbols(match[1]);
+        if (!symbols.length) return bot.sendMessage(msg.chat.id, L.t('usage.watch'));
+        const unknown = symbols.filter(s => !targetCoins().includes(s));
+        const prefs = await updateUserPrefs(msg.chat.id, p => {
+            p.watchlist = [...new Set([...p.watchlist, ...symbols.filter(s => targetCoins().includes(s))])];
+        });
+        if (!prefs) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        let text = describePrefs(prefs, L);
+        if (unknown.length) text = `${L.t('watch.notScanned', { list: unknown.join(', ') })}\n\n` + text;
+        await bot.sendMessage(msg.chat.id, text);
+    } catch (e) {
+        console.error('/watch error:', e.message);
+    }
+}));
+
+// /unwatch SOL | /unwatch all
+bot.onText(/\/unwatch(?:\s+(.+))?/, guarded('user', async (msg, match, L) => {
+    try {
+        const arg = (match[1] || '').trim();
+        if (!arg) return bot.sendMessage(msg.chat.id, L.t('usage.unwatch'));
+        const prefs = await updateUserPrefs(msg.chat.id, p => {
+            if (arg.toLowerCase() === 'all') p.watchlist = [];
+            else {
+                const remove = parseSymbols(arg);
+                p.watchlist = p.watchlist.filter(s => !remove.includes(s));
+            }
+        });
+        if (!prefs) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        await bot.sendMessage(msg.chat.id, describePrefs(prefs, L));
+    } catch (e) {
+        console.error('/unwatch error:', e.message);
+    }
+}));
+
+// /unmute SOL | /unmute all - bật lại coin đã tắt bằng nút 🔕
+bot.onText(/\/unmute(?:\s+(.+))?/, guarded('user', async (msg, match, L) => {
+    try {
+        const arg = (match[1] || '').trim();
+        if (!arg) return bot.sendMessage(msg.chat.id, L.t('usage.unmute'));
+        const prefs = await updateUserPrefs(msg.chat.id, p => {
+            if (arg.toLowerCase() === 'all') p.muted = {};
+            else {
+                const remove = parseSymbols(arg);
+                p.muted = Object.fromEntries(Object.entries(p.muted).filter(([s]) => !remove.includes(s)));
+            }
+        });
+        if (!prefs) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        await bot.sendMessage(msg.chat.id, describePrefs(prefs, L));
+    } catch (e) {
+        console.error('/unmute error:', e.message);
+    }
+}));
+
+// /minconf 70 | /minconf off
+bot.onText(/\/minconf(?:\s+(.+))?/, guarded('user', async (msg, match, L) => {
+    try {
+        const arg = (match[1] || '').trim().toLowerCase();
+        const value = Number(arg);
+        if (arg !== 'off' && !(Number.isInteger(value) && value >= minConfidenceFloor() && value <= 99)) {
+            return bot.sendMessage(msg.chat.id, L.t('usage.minconf', { min: minConfidenceFloor() }));
+        }
+        const prefs = await updateUserPrefs(msg.chat.id, p => { p.minConfidence = arg === 'off' ? null : value; });
+        if (!prefs) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        await bot.sendMessage(msg.chat.id, describePrefs(prefs, L));
+    } catch (e) {
+        console.error('/minconf error:', e.message);
+    }
+}));
+
+// /only long|short|all
+bot.onText(/\/only(?:\s+(.+))?/, guarded('user', async (msg, match, L) => {
+    try {
+        const arg = (match[1] || '').trim().toLowerCase();
+        if (!['long', 'short', 'all', 'both'].includes(arg)) return bot.sendMessage(msg.chat.id, L.t('usage.only'));
+        const prefs = await updateUserPrefs(msg.chat.id, p => { p.direction = (arg === 'all' || arg === 'both') ? 'both' : arg; });
+        if (!prefs) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        await bot.sendMessage(msg.chat.id, describePrefs(prefs, L));
+    } catch (e) {
+        console.error('/only error:', e.message);
+    }
+}));
+
+// /quiet 23:00-07:00 | /quiet off (theo múi giờ của người dùng, /timezone)
+bot.onText(/\/quiet(?:\s+(.+))?/, guarded('user', async (msg, match, L) => {
+    try {
+        const arg = (match[1] || '').trim().toLowerCase();
+        const range = arg === 'off' ? null : parseQuietRange(arg);
+        if (arg !== 'off' && !range) return bot.sendMessage(msg.chat.id, L.t('usage.quiet', { timezone: L.timezone }));
+        const prefs = await updateUserPrefs(msg.chat.id, p => { p.quiet = range; });
+        if (!prefs) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        await bot.sendMessage(msg.chat.id, describePrefs(prefs, L));
+    } catch (e) {
+        console.error('/quiet error:', e.message);
+    }
+}));
+
+// /strategies - danh sách chiến lược, đánh dấu các chiến lược đang theo dõi
+bot.onText(/\/strategies/, guarded('user', async (msg, match, L) => {
+    try {
+        const users = await loadUsers();
+        const mine = subscribedStrategies(getPrefs(users[msg.chat.id]));
+        let text = `${L.t('strategies.title')}\n\n`;
+        for (const s of listStrategies()) {
+            const running = ENABLED_STRATEGIES.includes(s.name);
+            const key = `strategy.desc.${s.name}`;
+            const description = L.t(key) === key ? s.description : L.t(key);
+            text += `${mine.includes(s.name) ? '✅' : '▫️'} ${s.label} (${s.name})${running ? '' : L.t('strategies.disabled')}\n${description}\n\n`;
+        }
+        text += L.t('strategies.toggle');
+        await bot.sendMessage(msg.chat.id, text);
+    } catch (e) {
+        console.error('/strategies error:', e.message);
+    }
+}));
+
+// /strategy breakout on|off
+bot.onText(/\/strategy(?:\s+(.+))?$/, guarded('user', async (msg, match, L) => {
+    try {
+        const [name, action] = (match[1] || '').trim().toLowerCase().split(/\s+/);
+        if (!getStrategy(name) || !['on', 'off'].includes(action)) return bot.sendMessage(msg.chat.id, L.t('usage.strategy'));
+        const prefs = await updateUserPrefs(msg.chat.id, p => {
+            const current = subscribedStrategies(p).filter(n => n !== name);
+            p.strategies = action === 'on' ? [...current, name] : current;
+        });
+        if (!prefs) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        let text = describePrefs(prefs, L);
+        if (!prefs.strategies.length) text += `\n\n${L.t('strategy.allOff')}`;
+        await bot.sendMessage(msg.chat.id, text);
+    } catch (e) {
+        console.error('/strategy error:', e.message);
+    }
+}));
+
+// ---------- Per-user position sizing ----------
+// same pattern as prefs: returns updated account, or null if not subscribed
+async function updateUserAccount(chatId, mutate) {
+    let acc = null;
+    await updateUsers(users => {
+        if (!users[chatId]) return;
+        acc = getAccount(users[chatId]);
+        mutate(acc);
+        users[chatId].account = acc;
+    });
+    return acc;
+}
+
+function describeAccount(acc, L) {
+    return `${L.t('account.title')}\n\n` +
+        `${L.t('account.balance', { value: acc.balance ? L.num(acc.balance) + ' USDT' : L.t('account.notSet') })}\n` +
+        `${L.t('account.risk', { value: `${L.plain(acc.riskPercent)}%` })}\n` +
+        `${L.t('account.leverage', { value: acc.leverage })}\n\n` +
+        L.t('account.commands');
+}
+
+// /account - xem cài đặt vốn
+bot.onText(/\/account/, guarded('user', async (msg, match, L) => {
+    try {
+        const users = await loadUsers();
+        if (!users[msg.chat.id]) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        await bot.sendMessage(msg.chat.id, describeAccount(getAccount(users[msg.chat.id]), L));
+    } catch (e) {
+        console.error('/account error:', e.message);
+    }
+}));
+
+// /setbalance 1500 (USDT)
+bot.onText(/\/setbalance(?:\s+(.+))?/, guarded('user', async (msg, match, L) => {
+    try {
+        const value = Number(String(match[1] || '').replace(/[, ]/g, ''));
+        if (!(value > 0)) return bot.sendMessage(msg.chat.id, L.t('usage.setbalance'));
+        const acc = await updateUserAccount(msg.chat.id, a => { a.balance = value; });
+        if (!acc) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        await bot.sendMessage(msg.chat.id, describeAccount(acc, L));
+    } catch (e) {
+        console.error('/setbalance error:', e.message);
+    }
+}));
+
+// /setrisk 0.5 (% mỗi lệnh)
+bot.onText(/\/setrisk(?:\s+(.+))?/, guarded('user', async (msg, match, L) => {
+    try {
+        const value = Number(String(match[1] || '').replace('%', '').replace(',', '.'));
+        const [lo, hi] = RISK_PERCENT_RANGE;
+        if (!(value >= lo && value <= hi)) return bot.sendMessage(msg.chat.id, L.t('usage.setrisk', { lo: L.plain(lo), hi: L.plain(hi) }));
+        const acc = await updateUserAccount(msg.chat.id, a => { a.riskPercent = value; });
+        if (!acc) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        let text = describeAccount(acc, L);
+        if (value > 1) text = `${L.t('setrisk.high')}\n\n` + text;
+        await bot.sendMessage(msg.chat.id, text);
+    } catch (e) {
+        console.error('/setrisk error:', e.message);
+    }
+}));
+
+// /setleverage 10
+bot.onText(/\/setleverage(?:\s+(.+))?/, guarded('user', async (msg, match, L) => {
+    try {
+        const value = Number(String(match[1] || '').replace(/^x/i, ''));
+        const [lo, hi] = LEVERAGE_RANGE;
+        if (!(Number.isInteger(value) && value >= lo && value <= hi)) return bot.sendMessage(msg.chat.id, L.t('usage.setleverage', { lo, hi }));
+        const acc = await updateUserAccount(msg.chat.id, a => { a.leverage = value; });
+        if (!acc) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        await bot.sendMessage(msg.chat.id, describeAccount(acc, L));
+    } catch (e) {
+        console.error('/setleverage error:', e.message);
+    }
+}));
+
+// ---------- Language / timezone ----------
+// returns the helpers for the saved locale, or null if the chat is not subscribed
+async function updateUserLocale(chatId, mutate) {
+    let L = null;
+    await updateUsers(users => {
+        if (!users[chatId]) return;
+        const locale = getLocale(users[chatId]);
+        mutate(locale);
+        users[chatId].locale = locale;
+        L = localeFor(users[chatId]);
+    });
+    return L;
+}
+
+function describeLocale(L) {
+    return L.t('lang.current', { lang: L.t('lang.name'), timezone: L.timezone, time: L.now().format('HH:mm') });
+}
+
+// /lang en|vi - ngôn ngữ tin nhắn và định dạng số
+bot.onText(/\/lang(?:\s+(\S+))?/, guarded('user', async (msg, match, L) => {
+    try {
+        const users = await loadUsers();
+        if (!users[msg.chat.id]) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        if (!match[1]) return bot.sendMessage(msg.chat.id, describeLocale(L));
+        const lang = match[1].toLowerCase();
+        if (!isLanguage(lang)) return bot.sendMessage(msg.chat.id, L.t('usage.lang'));
+        const updated = await updateUserLocale(msg.chat.id, locale => { locale.lang = lang; });
+        if (!updated) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        await bot.sendMessage(msg.chat.id, updated.t('lang.set'));
+    } catch (e) {
+        console.error('/lang error:', e.message);
+    }
+}));
+
+// /timezone Europe/London - múi giờ hiển thị và giờ yên lặng (/quiet)
+bot.onText(/\/timezone(?:\s+(\S+))?/, guarded('user', async (msg, match, L) => {
+    try {
+        const users = await loadUsers();
+        if (!users[msg.chat.id]) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        if (!match[1]) return bot.sendMessage(msg.chat.id, describeLocale(L));
+        // IANA names are case sensitive; accept "asia/ho_chi_minh" too
+        const timezone = moment.tz.names().find(n => n.toLowerCase() === match[1].toLowerCase());
+        if (!isTimezone(timezone)) return bot.sendMessage(msg.chat.id, L.t('timezone.invalid', { value: match[1] }));
+        const updated = await updateUserLocale(msg.chat.id, locale => { locale.timezone = timezone; });
+        if (!updated) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        await bot.sendMessage(msg.chat.id, updated.t('timezone.set', { timezone, time: updated.now().format('HH:mm') }));
+    } catch (e) {
+        console.error('/timezone error:', e.message);
+    }
+}));
+
+// ---------- Paper trading commands ----------
+function describePosition(p, L) {
+    const head = `#${p.symbol.replace('USDT','')} ${p.direction}${p.strategy && p.strategy !== DEFAULT_STRATEGY ? ` [${p.strategy}]` : ''}`;
+    const prices = { head, entry: L.num(p.entry), sl: L.num(p.sl), tp: L.num(p.tp) };
+    if (p.status === 'PENDING') return L.t('paper.position.pending', prices);
+    return L.t('paper.position.open', { ...prices, qty: L.num(p.qty) });
+}
+
+function describePortfolio(account, L) {
+    const s = summarizePaper(account);
+    const lines = [
+        L.t('portfolio.title'),
+        '',
+        L.t('portfolio.balance', { balance: L.num(s.balance), start: L.num(s.startingBalance) }),
+        L.t('portfolio.pnl', { pnl: signedNum(s.pnl, L), pct: L.pct(s.pnlPercent, 2), fees: L.num(s.fees) }),
+        L.t('portfolio.trades', { count: s.trades, winRate: s.winRate === null ? 'N/A' : `${L.plain(s.winRate)}%` }),
+        L.t('portfolio.margin', { margin: L.num(s.usedMargin) }),
+        L.t('portfolio.autoFollow', { value: L.t(account.autoFollow ? 'common.on' : 'common.off') }),
+        ''
+    ];
+    if (account.positions.length) {
+        lines.push(L.t('portfolio.positions', { open: s.open, pending: s.pending }), ...account.positions.map(p => describePosition(p, L)));
+    } else {
+        lines.push(L.t('portfolio.noPositions'));
+    }
+    return lines.join('\n');
+}
+
+// /portfolio - số dư và vị thế giấy
+bot.onText(/\/portfolio/, guarded('user', async (msg, match, L) => {
+    try {
+        const users = await loadUsers();
+        if (!users[msg.chat.id]) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        const paper = await loadPaper();
+        await bot.sendMessage(msg.chat.id, describePortfolio(paper[msg.chat.id] || emptyPaperAccount(), L));
+    } catch (e) {
+        console.error('/portfolio error:', e.message);
+    }
+}));
+
+// /trades [n] - lịch sử lệnh giấy đã đóng
+bot.onText(/\/trades(?:\s+(\d+))?/, guarded('user', async (msg, match, L) => {
+    try {
+        const users = await loadUsers();
+        if (!users[msg.chat.id]) return bot.sendMessage(msg.chat.id, L.t('common.notSubscribed'));
+        const n = Math.min(Number(match[1]) || 10, 30);
+        const paper = await loadPaper();
+        const trades = ((paper[msg.chat.id] || {}).trades || []).slice(-n).reverse();
+        if (!trades.length) return bot.sendMessage(msg.chat.id, L.t('trades.empty'));
+        const lines = trades.map(t => `${t.pnl >= 0 ? '✅' : '❌'} ${L.time(t.closedAt)} #${t.symbol.replace('USDT','')} ${t.direction} ${t.status} ` +
+            `${signedNum(t.pnl, L)} USDT (${L.plain(t.r)}R)`);
+        await bot.sendMessage(msg.chat.id, `${L.t('trades.title', { count: trades.length })}\n\n${lines.join('\n')}`);
+    } catch (e) {
+        console.error('/trades error:', e.message);
+    }
+}));
+
+// /follow <signalId> - vào lệnh giấy theo một tín hiệu
+bot.onText(/\/follow(?:\s+(\S+))?/, guarded('user', async (msg, match, L) => {
+    try {
+        const chatId = msg.chat.id;
+        const users = await loadUsers();
+        if (!users[chatId]) return bot.sendMessage(chatId, L.t('common.notSubscribed'));
+        if (!match[1]) return bot.sendMessage(chatId, L.t('usage.follow'));
+        const signal = await storage.history.get(match[1]);
+        if (!signal) return bot.sendMessage(chatId, L.t('follow.notFound', { id: match[1] }));
+        let res;
+        await updatePaper(paper => {
+            const account = paper[chatId] || (paper[chatId] = emptyPaperAccount());
+            res = openPaperPosition(account, signal, getAccount(users[chatId]));
+        });
+        if (!res.ok) return bot.sendMessage(chatId, L.t('follow.rejected', { reason: L.t(`paper.reject.${res.reason}`) }));
+        await bot.sendMessage(chatId, L.t('follow.done', { position: describePosition(res.position, L), margin: L.num(res.position.margin), leverage: res.position.leverage }));
+    } catch (e) {
+        console.error('/follow error:', e.message);
+    }
+}));
+
+// /autofollow on|off
+bot.onText(/\/autofollow(?:\s+(on|off))?/, guarded('user', async (msg, match, L) => {
+    try {
+        const chatId = msg.chat.id;
+        const users = await loadUsers();
+        if (!users[chatId]) return bot.sendMessage(chatId, L.t('common.notSubscribed'));
+        if (!match[1]) return bot.sendMessage(chatId, L.t('usage.autofollow'));
+        await updatePaper(paper => {
+            const account = paper[chatId] || (paper[chatId] = emptyPaperAccount());
+            account.autoFollow = match[1] === 'on';
+        });
+        await bot.sendMessage(chatId, L.t(match[1] === 'on' ? 'autofollow.on' : 'autofollow.off'));
+    } catch (e) {
+        console.error('/autofollow error:', e.message);
+    }
+}));
 
-// /analyzesymbol SYMBOL - phân tích thủ công 1 coin
-bot.onText(/\/analyzesymbol (.+)/, async (msg, match) => {
+// /resetpaper [balance] - xóa vị thế, lịch sử và đặt lại số dư giấy
+bot.onText(/\/resetpaper(?:\s+(.+))?/, guarded('user', async (msg, match, L) => {
+    try {
+        const chatId = msg.chat.id;
+        const users = await loadUsers();
+        if (!users[chatId]) return bot.sendMessage(chatId, L.t('common.notSubscribed'));
+        const balance = match[1] ? Number(String(match[1]).replace(/[, ]/g, '')) : undefined;
+        const [lo, hi] = PAPER_BALANCE_RANGE;
+        if (balance !== undefined && !(balance >= lo && balance <= hi)) return bot.sendMessage(chatId, L.t('usage.resetpaper', { lo: L.num(lo), hi: L.num(hi) }));
+        let account;
+        await updatePaper(paper => {
+            const autoFollow = paper[chatId] ? paper[chatId].autoFollow : false;
+            account = paper[chatId] = { ...emptyPaperAccount(balance), autoFollow };
+        });
+        await bot.sendMessage(chatId, `${L.t('resetpaper.done')}\n\n${describePortfolio(account, L)}`);
+    } catch (e) {
+        console.error('/resetpaper error:', e.message);
+    }
+}));
+
+// /analyzesymbol SYMBOL [strategy] - phân tích thủ công 1 coin
+bot.onText(/\/analyzesymbol (.+)/, guarded('user', async (msg, match, L) => {
     const chatId = msg.chat.id;
-    const symbolRaw = match[1].toUpperCase().trim();
+    const [symbolArg, strategyArg] = match[1].trim().split(/\s+/);
+    const symbolRaw = symbolArg.toUpperCase();
     let symbol = symbolRaw.endsWith('USDT') ? symbolRaw : `${symbolRaw}USDT`;
+    const strategy = strategyArg ? strategyArg.toLowerCase() : DEFAULT_STRATEGY;
+    if (!getStrategy(strategy)) return bot.sendMessage(chatId, L.t('common.unknownStrategy', { name: strategy }));
     try {
-        const processing = await bot.sendMessage(chatId, `⏳ Đang phân tích ${symbol}...`);
-        const result = await analyzeSymbol(symbol);
+        const processing = await bot.sendMessage(chatId, L.t('analyze.processing', { symbol }));
+        const result = await analyzeCoin(symbol, strategy);
         if (result && result.direction && result.direction !== 'NO_TRADE' && result.direction !== 'NEUTRAL') {
-            const content = formatSignalMessage(result, 'MANUAL');
+            const users = await loadUsers();
+            const content = formatSignalMessage(result, 'MANUAL', users[chatId]);
             await bot.deleteMessage(chatId, processing.message_id).catch(()=>{});
             await bot.sendMessage(chatId, content);
         } else {
-            await bot.editMessageText(`❌ Không tìm thấy tín hiệu cho ${symbol}\nReason: ${result?.reason || 'No trade'}`, { chat_id: chatId, message_id: processing.message_id });
+            await bot.editMessageText(L.t('analyze.none', { symbol, reason: result?.reason || 'No trade', args: `${symbol.replace('USDT','')}${strategy !== DEFAULT_STRATEGY ? ' ' + strategy : ''}` }), { chat_id: chatId, message_id: processing.message_id });
         }
     } catch (e) {
         console.error('/analyzesymbol error:', e.message);
-        try { await bot.sendMessage(chatId, `❌ Lỗi phân tích ${symbol}: ${e.message}`); } catch {}
+        try { await bot.sendMessage(chatId, L.t('analyze.error', { symbol, error: e.message })); } catch {}
+    }
+}));
+
+// /why SYMBOL [strategy] - phân tích ngay và giải thích từng yếu tố / cổng lọc
+// /why <signal id> - giải thích một tín hiệu đã gửi (lúc gửi)
+bot.onText(/\/why(?:\s+(.+))?/, guarded('user', async (msg, match, L) => {
+    const chatId = msg.chat.id;
+    if (!match[1]) return bot.sendMessage(chatId, L.t('usage.why'));
+    const [arg, strategyArg] = match[1].trim().split(/\s+/);
+    try {
+        const stored = arg.includes('-') ? await storage.history.get(arg) : null;
+        if (stored) return bot.sendMessage(chatId, explainSignal(stored, { locale: L }));
+        const symbolRaw = arg.toUpperCase();
+        const symbol = symbolRaw.endsWith('USDT') ? symbolRaw : `${symbolRaw}USDT`;
+        const strategy = strategyArg ? strategyArg.toLowerCase() : DEFAULT_STRATEGY;
+        if (!getStrategy(strategy)) return bot.sendMessage(chatId, L.t('common.unknownStrategy', { name: strategy }));
+        const result = await analyzeCoin(symbol, strategy);
+        await bot.sendMessage(chatId, explainSignal(result, { minConfidence: symbolConfig(symbol).minConfidence, locale: L }));
+    } catch (e) {
+        console.error('/why error:', e.message);
+        try { await bot.sendMessage(chatId, L.t('analyze.error', { symbol: arg, error: e.message })); } catch {}
+    }
+}));
+
+// /chart SYMBOL - biểu đồ M15/M5 kèm vùng OB/FVG và mức của tín hiệu đang mở (nếu có)
+bot.onText(/\/chart(?:\s+(\S+))?/, guarded('user', async (msg, match, L) => {
+    const chatId = msg.chat.id;
+    if (!match[1]) return bot.sendMessage(chatId, L.t('usage.chart'));
+    const symbolRaw = match[1].toUpperCase();
+    const symbol = symbolRaw.endsWith('USDT') ? symbolRaw : `${symbolRaw}USDT`;
+    try {
+        const [candles, open] = await Promise.all([chartCandles(symbol), storage.history.query({ symbol, status: 'OPEN', limit: 1 })]);
+        const signal = open[0] || null;
+        const png = renderSignalChart(symbol, candles, signal);
+        if (!png) return bot.sendMessage(chatId, L.t('chart.noData', { symbol }));
+        const caption = signal ? L.t('chart.open', { symbol, direction: signal.direction, id: signal.id }) : L.t('chart.none', { symbol });
+        await bot.sendPhoto(chatId, png, { caption }, { filename: 'chart.png', contentType: 'image/png' });
+    } catch (e) {
+        console.error('/chart error:', e.message);
+        try { await bot.sendMessage(chatId, L.t('chart.error', { symbol, error: e.message })); } catch {}
+    }
+}));
+
+// ---------- Signal buttons (callback queries) ----------
+const MAX_TAKEN_PER_USER = 500;
+
+// reply in the chat the button was tapped in, under the signal message
+function replyTo(query, text, extra = {}) {
+    return bot.sendMessage(query.message.chat.id, text, { reply_to_message_id: query.message.message_id, allow_sending_without_reply: true, ...extra });
+}
+
+/**
+ * action -> { slow, run(query, signal, L) -> toast text | undefined }
+ * slow actions answer the tap first (Telegram shows a spinner until the query is answered)
+ */
+const SIGNAL_ACTIONS = new Map(Object.entries({
+    why: {
+        async run(query, signal, L) {
+            await replyTo(query, explainSignal(signal, { locale: L }));
+        }
+    },
+    chart: {
+        slow: true,
+        async run(query, signal, L) {
+            const png = renderSignalChart(signal.symbol, await chartCandles(signal.symbol), signal);
+            if (!png) {
+                await replyTo(query, L.t('chart.noData', { symbol: signal.symbol }));
+                return;
+            }
+            await bot.sendPhoto(query.message.chat.id, png, { reply_to_message_id: query.message.message_id, allow_sending_without_reply: true }, { filename: 'chart.png', contentType: 'image/png' });
+        }
+    },
+    // per person, not per chat: in a group the tap mutes the tapper's own subscription
+    mute: {
+        async run(query, signal, L) {
+            const coin = signal.symbol.replace('USDT', '');
+            const prefs = await updateUserPrefs(query.from.id, p => { p.muted = muteSymbol(p, signal.symbol); });
+            if (!prefs) return L.t('common.notSubscribed');
+            return L.t('mute.done', { coin, time: L.time(prefs.muted[signal.symbol] * 1000) });
+        }
+    },
+    took: {
+        async run(query, signal, L) {
+            const userId = query.from.id;
+            let already = false;
+            await updateTaken(taken => {
+                const mine = taken[userId] || (taken[userId] = {});
+                if (mine[signal.id]) { already = true; return; }
+                mine[signal.id] = { symbol: signal.symbol, direction: signal.direction, strategy: signal.strategy || DEFAULT_STRATEGY, at: new Date().toISOString() };
+                const ids = Object.keys(mine);
+                for (const id of ids.slice(0, Math.max(0, ids.length - MAX_TAKEN_PER_USER))) delete mine[id];
+            });
+            if (already) return L.t('took.already');
+            console.log(`📝 ${userId} took ${signal.id} (chat ${query.message.chat.id})`);
+            return L.t('took.done');
+        }
+    },
+    refresh: {
+        slow: true,
+        async run(query, signal, L) {
+            const result = await analyzeCoin(signal.symbol, signal.strategy || DEFAULT_STRATEGY);
+            const time = L.now().format('HH:mm');
+            if (result && (result.direction === 'LONG' || result.direction === 'SHORT')) {
+                const users = await loadUsers();
+                const same = L.t(result.direction === signal.direction ? 'refresh.same' : 'refresh.opposite');
+                await replyTo(query, `${L.t('refresh.signal', { time, same })}\n\n${formatSignalMessage(result, 'REFRESH', users[query.message.chat.id])}`);
+            } else {
+                await replyTo(query, L.t('refresh.none', { time, symbol: signal.symbol, reason: result?.reason || 'No trade' }));
+            }
+        }
+    }
+}));
+
+bot.on('callback_query', async (query) => {
+    const answer = text => bot.answerCallbackQuery(query.id, text ? { text, show_alert: text.length > 60 } : {}).catch(() => {});
+    const data = String(query.data || '');
+    const sep = data.indexOf(':');
+    const action = SIGNAL_ACTIONS.get(data.slice(0, sep));
+    if (sep === -1 || !action || !query.message) return answer();
+    let L = localeFor(null);
+    try {
+        const access = await loadAccess();
+        if (isBanned(access, query.message.chat.id) || isBanned(access, query.from.id)) return answer();
+        L = localeFor((await loadUsers())[query.message.chat.id]);
+        const signal = await storage.history.get(data.slice(sep + 1));
+        if (!signal) return answer(L.t('callback.gone'));
+        if (action.slow) await answer(L.t('callback.working'));
+        const toast = await action.run(query, signal, L);
+        if (!action.slow) await answer(toast);
+    } catch (e) {
+        console.error(`Signal button ${data} error:`, e.message);
+        if (!action.slow) await answer(L.t('callback.error'));
     }
 });
 
-// /analyzeall - phân tích toàn bộ TARGET_COINS (accessible to any user)
-bot.onText(/\/analyzeall/, async (msg) => {
+// /analyzeall - phân tích toàn bộ coin trong config (admin only, multi-minute scan)
+bot.onText(/\/analyzeall/, guarded('admin', async (msg, match, L) => {
     const chatId = msg.chat.id;
     try {
-        const processing = await bot.sendMessage(chatId, `⏳ Đang phân tích ${TARGET_COINS.length} coins... Vui lòng chờ (có thể lâu vài phút).`);
+        const coins = targetCoins();
+        const processing = await bot.sendMessage(chatId, L.t('analyzeall.processing', { count: coins.length }));
         let results = [];
-        for (let i = 0; i < TARGET_COINS.length; i++) {
-            const coin = TARGET_COINS[i];
+        for (let i = 0; i < coins.length; i++) {
+            const coin = coins[i];
             try {
-                const res = await analyzeSymbol(coin);
-                if (res && res.direction && res.direction !== 'NO_TRADE' && res.confidence >= 60) {
-                    results.push(res);
+                for (const res of await analyzeCoinAll(coin)) {
+                    if (res && res.direction && res.direction !== 'NO_TRADE' && res.direction !== 'NEUTRAL' && res.confidence >= symbolConfig(coin).minConfidence) {
+                        results.push(res);
+                    }
                 }
             } catch (e) {
                 console.warn(`Analyze ${coin} failed: ${e.message}`);
             }
-            await new Promise(r => setTimeout(r, 800));
+            if (!hasStreamData(coin)) await new Promise(r => setTimeout(r, 800));
         }
         await bot.deleteMessage(chatId, processing.message_id).catch(()=>{});
         if (results.length === 0) {
-            await bot.sendMessage(chatId, '❌ Không tìm thấy tín hiệu (confidence ≥ 60%) trên toàn bộ danh sách.');
+            await bot.sendMessage(chatId, L.t('analyzeall.none', { min: getConfig().minConfidence }));
         } else {
             results = results.sort((a,b)=> (b.confidence||0)-(a.confidence||0)).slice(0, 40);
-            let text = `🔍 KẾT QUẢ PHÂN TÍCH TOÀN BỘ (${results.length} tín hiệu)\n\n`;
+            let text = `${L.t('analyzeall.title', { count: results.length })}\n\n`;
             for (const r of results) {
-                text += `#${r.symbol.replace('USDT','')} - ${r.direction} - Conf: ${r.confidence}%\nEntry: ${fmtNum(r.entry)} | SL: ${fmtNum(r.sl)} | TP: ${fmtNum(r.tp)} | RR:${r.rr}\n\n`;
+                text += `#${r.symbol.replace('USDT','')} - ${r.direction} - Conf: ${r.confidence}% [${r.strategy}]\nEntry: ${L.num(r.entry)} | SL: ${L.num(r.sl)} | TP: ${L.num(r.tp)} | RR:${L.fixed(r.rr, 2)}\n\n`;
             }
             // ensure message length safe
             const chunks = [];
@@ -459,12 +1632,12 @@ bot.onText(/\/analyzeall/, async (msg) => {
         }
     } catch (e) {
         console.error('/analyzeall error:', e.message);
-        try { await bot.sendMessage(chatId, `❌ Lỗi: ${e.message}`); } catch {}
+        try { await bot.sendMessage(chatId, L.t('common.error', { error: e.message })); } catch {}
     }
-});
+}));
 
-// /users - list subscribers (for owner only if you want, currently open)
-bot.onText(/\/users/, async (msg) => {
+// /users - list subscribers (admin only)
+bot.onText(/\/users/, guarded('admin', async (msg, match, L) => {
     try {
         const users = await loadUsers();
         const total = Object.keys(users).length;
@@ -477,6 +1650,233 @@ bot.onText(/\/users/, async (msg) => {
     } catch (e) {
         console.error('/users error:', e.message);
     }
-});
+}));
+
+// ---------- Admin commands ----------
+// /broadcast <text>
+bot.onText(/\/broadcast(?:\s+([\s\S]+))?/, guarded('admin', async (msg, match, L) => {
+    try {
+        const text = (match[1] || '').trim();
+        if (!text) return bot.sendMessage(msg.chat.id, L.t('usage.broadcast'));
+        const { success, fail } = await broadcastToAllUsers(`📢 ${text}`);
+        await bot.sendMessage(msg.chat.id, L.t('broadcast.done', { success, fail }));
+    } catch (e) {
+        console.error('/broadcast error:', e.message);
+    }
+}));
+
+// /ban <chatId> - chặn và hủy đăng ký
+bot.onText(/\/ban(?:\s+(-?\d+))?/, guarded('admin', async (msg, match, L) => {
+    try {
+        const target = match[1];
+        if (!target) return bot.sendMessage(msg.chat.id, L.t('usage.ban'));
+        if (isAdmin(target)) return bot.sendMessage(msg.chat.id, L.t('ban.admin'));
+        await updateAccess(access => {
+            access.banned[target] = { at: new Date().toISOString(), by: msg.from.id };
+            delete access.pending[target];
+        });
+        await updateUsers(users => { delete users[target]; });
+        await bot.sendMessage(msg.chat.id, L.t('ban.done', { id: target }));
+        console.log(`Banned ${target} by ${msg.from.id}`);
+    } catch (e) {
+        console.error('/ban error:', e.message);
+    }
+}));
+
+// /unban <chatId>
+bot.onText(/\/unban(?:\s+(-?\d+))?/, guarded('admin', async (msg, match, L) => {
+    try {
+        const target = match[1];
+        if (!target) return bot.sendMessage(msg.chat.id, L.t('usage.unban'));
+        let wasBanned = false;
+        await updateAccess(access => {
+            wasBanned = !!access.banned[target];
+            delete access.banned[target];
+        });
+        if (!wasBanned) return bot.sendMessage(msg.chat.id, L.t('unban.notBanned', { id: target }));
+        await bot.sendMessage(msg.chat.id, L.t('unban.done', { id: target }));
+    } catch (e) {
+        console.error('/unban error:', e.message);
+    }
+}));
+
+// /approve <chatId> - duyệt đăng ký (REGISTRATION_MODE=approval)
+bot.onText(/\/approve(?:\s+(-?\d+))?/, guarded('admin', async (msg, match, L) => {
+    try {
+        const target = match[1];
+        const access = await loadAccess();
+        if (!target) {
+            const ids = Object.keys(access.pending);
+            let text = `${L.t('approve.pendingTitle', { count: ids.length })}\n\n`;
+            for (const id of ids) {
+                const p = access.pending[id];
+                text += L.t('approve.pendingRow', { id, who: p.username ? `(@${p.username})` : p.first_name || '', at: L.time(p.requestedAt) }) + '\n';
+            }
+            return bot.sendMessage(msg.chat.id, `${text}\n${L.t('usage.approve')}`);
+        }
+        let pending = null;
+        await updateAccess(a => {
+            pending = a.pending[target] || null;
+            delete a.pending[target];
+        });
+        if (!pending) return bot.sendMessage(msg.chat.id, L.t('approve.noRequest', { id: target }));
+        await subscribeUser(target, pending);
+        await bot.sendMessage(Number(target), welcomeText(pending.first_name, localeFor(null))).catch(() => {});
+        await bot.sendMessage(msg.chat.id, L.t('approve.done', { id: target }));
+    } catch (e) {
+        console.error('/approve error:', e.message);
+    }
+}));
+
+// /reject <chatId>
+bot.onText(/\/reject(?:\s+(-?\d+))?/, guarded('admin', async (msg, match, L) => {
+    try {
+        const target = match[1];
+        if (!target) return bot.sendMessage(msg.chat.id, L.t('usage.reject'));
+        let existed = false;
+        await updateAccess(access => {
+            existed = !!access.pending[target];
+            delete access.pending[target];
+        });
+        if (!existed) return bot.sendMessage(msg.chat.id, L.t('approve.noRequest', { id: target }));
+        await bot.sendMessage(Number(target), localeFor(null).t('reject.notice')).catch(() => {});
+        await bot.sendMessage(msg.chat.id, L.t('reject.done', { id: target }));
+    } catch (e) {
+        console.error('/reject error:', e.message);
+    }
+}));
+
+// /pause, /resume - tạm dừng / tiếp tục vòng quét tự động
+bot.onText(/\/pause/, guarded('admin', async (msg, match, L) => {
+    try {
+        await updateAccess(access => { access.paused = true; });
+        await bot.sendMessage(msg.chat.id, L.t('pause.done'));
+        console.log(`Auto analysis paused by ${msg.from.id}`);
+    } catch (e) {
+        console.error('/pause error:', e.message);
+    }
+}));
+
+bot.onText(/\/resume/, guarded('admin', async (msg, match, L) => {
+    try {
+        await updateAccess(access => { access.paused = false; });
+        await bot.sendMessage(msg.chat.id, L.t('resume.done'));
+        console.log(`Auto analysis resumed by ${msg.from.id}`);
+    } catch (e) {
+        console.error('/resume error:', e.message);
+    }
+}));
+
+// /reload - nạp lại config.json (không dừng polling)
+bot.onText(/\/reload/, guarded('admin', async (msg, match, L) => {
+    try {
+        const result = reloadConfig();
+        await bot.sendMessage(msg.chat.id, describeReload(result, L));
+        console.log(`Config reload by ${msg.from.id}: ${result.ok ? 'ok' : 'invalid'}`);
+    } catch (e) {
+        console.error('/reload error:', e.message);
+    }
+}));
+
+function describeUniverseStatus(u, L) {
+    return L.t('universe.status', {
+        size: u.size,
+        mode: u.mode,
+        source: u.source,
+        refreshed: u.lastRefresh ? L.time(u.lastRefresh) : L.t('universe.never'),
+        error: u.lastError ? ` ⚠️ ${u.lastError}` : ''
+    });
+}
+
+// /universe - danh sách coin đang quét, /universe refresh để tải lại ngay
+bot.onText(/\/universe(?:\s+(refresh))?/, guarded('admin', async (msg, match, L) => {
+    try {
+        if (match[1]) {
+            const result = await universe.refresh();
+            if (!result) return bot.sendMessage(msg.chat.id, L.t('universe.refreshFailed', { error: universe.status().lastError }));
+            if (!result.added.length && !result.removed.length) await bot.sendMessage(msg.chat.id, L.t('universe.unchanged'));
+            return; // changes are announced by onUniverseChange
+        }
+        await bot.sendMessage(msg.chat.id, `${L.t('universe.title')}\n${describeUniverseStatus(universe.status(), L)}\n\n${shortList(targetCoins())}`);
+    } catch (e) {
+        console.error('/universe error:', e.message);
+    }
+}));
+
+// /status - trạng thái bot
+bot.onText(/\/status/, guarded('admin', async (msg, match, L) => {
+    try {
+        const users = await loadUsers();
+        const access = await loadAccess();
+        const taken = await loadTaken();
+        const tookCount = Object.values(taken).reduce((a, mine) => a + Object.keys(mine).length, 0);
+        const uptimeMin = Math.floor(process.uptime() / 60);
+        const cycleTime = t => t ? L.time(t, 'HH:mm:ss') : null;
+        const text = [
+            L.t('status.title'),
+            '',
+            L.t('status.scan', { state: L.t(access.paused ? 'status.paused' : 'status.active'), running: isAutoAnalysisRunning ? L.t('status.scanning') : '' }),
+            L.t('status.trigger', { value: USE_KLINE_STREAM && ANALYSIS_TRIGGER === 'candle_close' ? L.t('status.candleClose') : L.t('status.every', { minutes: L.plain(analysisIntervalMs() / 60000) }) }),
+            L.t('status.stream', { value: klineStream ? (klineStream.isConnected() ? 'connected' : 'disconnected') : 'off' }),
+            L.t('status.universe', { value: describeUniverseStatus(universe.status(), L) }),
+            L.t('status.lastCycle', { start: cycleTime(lastCycle.startedAt) || 'N/A', end: cycleTime(lastCycle.finishedAt) || '...', coins: lastCycle.coins, signals: lastCycle.signals }),
+            L.t('status.errors', { count: consecutiveErrors, max: MAX_CONSECUTIVE_ERRORS }),
+            L.t('status.today', { count: await countSignalsToday() }),
+            L.t('status.took', { count: tookCount, users: Object.keys(taken).length }),
+            '',
+            L.t('status.users', { users: Object.keys(users).length, pending: Object.keys(access.pending).length, banned: Object.keys(access.banned).length }),
+            L.t('status.registration', { mode: REGISTRATION_MODE }),
+            L.t('status.uptime', { hours: Math.floor(uptimeMin / 60), minutes: uptimeMin % 60 })
+        ].join('\n');
+        await bot.sendMessage(msg.chat.id, text);
+    } catch (e) {
+        console.error('/status error:', e.message);
+    }
+}));
+
+// /report day|week [last] - báo cáo kỳ hiện tại (tính đến bây giờ) hoặc kỳ trước
+bot.onText(/\/report(?:\s+(.+))?/, guarded('admin', async (msg, match, L) => {
+    try {
+        const [kindArg, which] = (match[1] || '').trim().toLowerCase().split(/\s+/);
+        const kinds = { day: 'daily', daily: 'daily', week: 'weekly', weekly: 'weekly' };
+        const kind = Object.prototype.hasOwnProperty.call(kinds, kindArg) ? kinds[kindArg] : null;
+        if (!kind || (which && which !== 'last')) return bot.sendMessage(msg.chat.id, L.t('usage.report'));
+        const report = await periodReport(reportPeriod(kind, Date.now(), which ? -1 : 0));
+        await bot.sendMessage(msg.chat.id, formatReport(report, L, { soFar: !which }));
+    } catch (e) {
+        console.error('/report error:', e.message);
+    }
+}));
+
+// /stats - thống kê kết quả tín hiệu (win rate, avg R)
+bot.onText(/\/stats/, guarded('user', async (msg, match, L) => {
+    try {
+        const stats = await loadSignalStats();
+        const line = (label, b) => {
+            const s = summarizeBucket(b);
+            return L.t('stats.line', { label, count: s.count, winRate: s.winRate === null ? 'N/A' : `${L.plain(s.winRate)}%`, avgR: s.avgR === null ? 'N/A' : L.plain(s.avgR) }) + '\n';
+        };
+        const o = stats.overall;
+        let text = `${L.t('stats.title')}\n\n`;
+        text += line(L.t('stats.total'), o);
+        text += `WIN ${o.wins} | LOSS ${o.losses} | BE ${o.breakeven} | EXPIRED ${o.expired}\n\n`;
+        text += `${L.t('stats.byDirection')}\n`;
+        for (const k of Object.keys(stats.byDirection)) text += line(k, stats.byDirection[k]);
+        text += `\n${L.t('stats.byConfidence')}\n`;
+        for (const k of Object.keys(stats.byConfidence).sort()) text += line(`${k}%`, stats.byConfidence[k]);
+        text += `\n${L.t('stats.byStrategy')}\n`;
+        for (const k of Object.keys(stats.byStrategy || {})) text += line(k, stats.byStrategy[k]);
+        text += `\n${L.t('stats.byTP')}\n`;
+        for (const k of Object.keys(stats.byTPMultiplier).sort()) text += line(`${k}x`, stats.byTPMultiplier[k]);
+        text += `\n${L.t('stats.topCoins')}\n`;
+        const symbols = Object.keys(stats.bySymbol).sort((a,b)=> stats.bySymbol[b].count - stats.bySymbol[a].count).slice(0, 15);
+        for (const k of symbols) text += line(`#${k.replace('USDT','')}`, stats.bySymbol[k]);
+        await bot.sendMessage(msg.chat.id, text);
+    } catch (e) {
+        console.error('/stats error:', e.message);
+    }
+}));
 
-console.log('🤖 Bot running. Auto analysis every 7.5 minutes (8 cycles/hour).');
+console.log(USE_KLINE_STREAM && ANALYSIS_TRIGGER === 'candle_close'
+    ? '🤖 Bot running. Auto analysis on every M5 candle close (kline stream).'
+    : `🤖 Bot running. Auto analysis every ${getConfig().analysisIntervalMinutes} minutes.`);
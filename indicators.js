@@ -0,0 +1,222 @@
+/**
+ * indicators.js
+ * - Technical indicators as full series, aligned index-for-index with the input
+ *   (null until the indicator has enough bars), so slopes / crossovers / divergences can be read off
+ * - Inputs: number arrays (closes) or candles { t, open, high, low, close, vol }, oldest first
+ * - Smoothing follows the usual references: EMA seeded with the SMA, RSI / ATR / ADX with Wilder's smoothing
+ */
+
+// ----------------- Helpers -----------------
+function nulls(n) {
+    return new Array(n).fill(null);
+}
+
+// last non-null value of a series (null if none)
+function last(series) {
+    for (let i = series.length - 1; i >= 0; i--) {
+        if (series[i] !== null && series[i] !== undefined) return series[i];
+    }
+    return null;
+}
+
+// run fn on the non-null tail of a series and put the result back at the same indices
+function onDefined(series, fn) {
+    const start = series.findIndex(v => v !== null);
+    if (start < 0) return nulls(series.length);
+    return nulls(start).concat(fn(series.slice(start)));
+}
+
+// ----------------- Moving averages -----------------
+function sma(values, period) {
+    const out = nulls(values.length);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= period) sum -= values[i - period];
+        if (i >= period - 1) out[i] = sum / period;
+    }
+    return out;
+}
+
+function ema(values, period) {
+    const out = nulls(values.length);
+    if (values.length < period) return out;
+    const k = 2 / (period + 1);
+    let e = values.slice(0, period).reduce((a,b) => a+b, 0) / period;
+    out[period - 1] = e;
+    for (let i = period; i < values.length; i++) {
+        e = values[i] * k + e * (1 - k);
+        out[i] = e;
+    }
+    return out;
+}
+
+// Wilder's smoothing (RMA): seed = mean of the first `period` values
+function rma(values, period) {
+    const out = nulls(values.length);
+    if (values.length < period) return out;
+    let r = values.slice(0, period).reduce((a,b) => a+b, 0) / period;
+    out[period - 1] = r;
+    for (let i = period; i < values.length; i++) {
+        r = (r * (period - 1) + values[i]) / period;
+        out[i] = r;
+    }
+    return out;
+}
+
+// ----------------- Oscillators -----------------
+function rsi(values, period = 14) {
+    const out = nulls(values.length);
+    if (values.length < period + 1) return out;
+    const gains = [], losses = [];
+    for (let i = 1; i < values.length; i++) {
+        const diff = values[i] - values[i-1];
+        gains.push(diff > 0 ? diff : 0);
+        losses.push(diff < 0 ? -diff : 0);
+    }
+    const avgGain = rma(gains, period);
+    const avgLoss = rma(losses, period);
+    for (let i = period - 1; i < gains.length; i++) {
+        out[i + 1] = avgLoss[i] === 0 ? 100 : 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+    }
+    return out;
+}
+
+function macd(values, fast = 12, slow = 26, signalPeriod = 9) {
+    const f = ema(values, fast);
+    const s = ema(values, slow);
+    const line = values.map((_, i) => f[i] === null || s[i] === null ? null : f[i] - s[i]);
+    const signal = onDefined(line, tail => ema(tail, signalPeriod));
+    const histogram = line.map((v, i) => v === null || signal[i] === null ? null : v - signal[i]);
+    return { macd: line, signal, histogram };
+}
+
+// %K = SMA(k) of the stochastic of RSI over stochPeriod, %D = SMA(d) of %K; 0..100
+function stochRsi(values, rsiPeriod = 14, stochPeriod = 14, kPeriod = 3, dPeriod = 3) {
+    const r = rsi(values, rsiPeriod);
+    const raw = nulls(values.length);
+    for (let i = 0; i < r.length; i++) {
+        if (i < stochPeriod - 1) continue;
+        const win = r.slice(i - stochPeriod + 1, i + 1);
+        if (win.some(v => v === null)) continue;
+        const lo = Math.min(...win), hi = Math.max(...win);
+        raw[i] = hi === lo ? 0 : ((r[i] - lo) / (hi - lo)) * 100;
+    }
+    const k = onDefined(raw, tail => sma(tail, kPeriod));
+    const d = onDefined(k, tail => sma(tail, dPeriod));
+    return { k, d };
+}
+
+// ----------------- Volatility -----------------
+function trueRange(candles) {
+    return candles.map((c, i) => i === 0 ? c.high - c.low
+        : Math.max(c.high - c.low, Math.abs(c.high - candles[i-1].close), Math.abs(c.low - candles[i-1].close)));
+}
+
+// Wilder ATR; the first bar has no previous close, so the seed uses bars 1..period
+function atr(candles, period = 14) {
+    if (candles.length < period + 1) return nulls(candles.length);
+    return nulls(1).concat(rma(trueRange(candles).slice(1), period));
+}
+
+// population standard deviation, as in the reference definition
+function bollinger(values, period = 20, mult = 2) {
+    const middle = sma(values, period);
+    const upper = nulls(values.length), lower = nulls(values.length), bandwidth = nulls(values.length);
+    for (let i = period - 1; i < values.length; i++) {
+        const win = values.slice(i - period + 1, i + 1);
+        const sd = Math.sqrt(win.reduce((a,v) => a + (v - middle[i]) ** 2, 0) / period);
+        upper[i] = middle[i] + mult * sd;
+        lower[i] = middle[i] - mult * sd;
+        bandwidth[i] = middle[i] ? (upper[i] - lower[i]) / middle[i] : null;
+    }
+    return { middle, upper, lower, bandwidth };
+}
+
+/**
+ * SuperTrend on ATR(period) bands around hl2.
+ * direction 1 = up trend (value is the lower band), -1 = down trend (value is the upper band)
+ */
+function supertrend(candles, period = 10, mult = 3) {
+    const a = atr(candles, period);
+    const value = nulls(candles.length), direction = nulls(candles.length);
+    let upper = null, lower = null, dir = 1;
+    for (let i = 0; i < candles.length; i++) {
+        if (a[i] === null) continue;
+        const c = candles[i];
+        const hl2 = (c.high + c.low) / 2;
+        const basicUpper = hl2 + mult * a[i];
+        const basicLower = hl2 - mult * a[i];
+        const prevClose = candles[i-1].close;
+        upper = upper === null || basicUpper < upper || prevClose > upper ? basicUpper : upper;
+        lower = lower === null || basicLower > lower || prevClose < lower ? basicLower : lower;
+        if (value[i-1] === null) dir = c.close >= hl2 ? 1 : -1;
+        else if (dir === -1 && c.close > upper) dir = 1;
+        else if (dir === 1 && c.close < lower) dir = -1;
+        direction[i] = dir;
+        value[i] = dir === 1 ? lower : upper;
+    }
+    return { value, direction };
+}
+
+// ----------------- Trend strength -----------------
+// Wilder ADX with +DI / -DI; DI from bar `period`, ADX from bar 2*period - 1
+function adx(candles, period = 14) {
+    const n = candles.length;
+    const out = { adx: nulls(n), plusDI: nulls(n), minusDI: nulls(n) };
+    if (n < period * 2) return out;
+    const plusDM = [], minusDM = [];
+    for (let i = 1; i < n; i++) {
+        const up = candles[i].high - candles[i-1].high;
+        const down = candles[i-1].low - candles[i].low;
+        plusDM.push(up > down && up > 0 ? up : 0);
+        minusDM.push(down > up && down > 0 ? down : 0);
+    }
+    const tr = trueRange(candles).slice(1);
+    // Wilder's running sums (RMA × period) for TR and DM
+    const sTR = rma(tr, period), sPlus = rma(plusDM, period), sMinus = rma(minusDM, period);
+    const dx = nulls(n - 1);
+    for (let i = period - 1; i < n - 1; i++) {
+        const pdi = sTR[i] ? (sPlus[i] / sTR[i]) * 100 : 0;
+        const mdi = sTR[i] ? (sMinus[i] / sTR[i]) * 100 : 0;
+        out.plusDI[i + 1] = pdi;
+        out.minusDI[i + 1] = mdi;
+        dx[i] = pdi + mdi ? (Math.abs(pdi - mdi) / (pdi + mdi)) * 100 : 0;
+    }
+    const smoothed = onDefined(dx, tail => rma(tail, period));
+    for (let i = 0; i < n - 1; i++) out.adx[i + 1] = smoothed[i];
+    return out;
+}
+
+// ----------------- Volume -----------------
+function obv(candles) {
+    const out = nulls(candles.length);
+    let total = 0;
+    for (let i = 0; i < candles.length; i++) {
+        if (i > 0) {
+            if (candles[i].close > candles[i-1].close) total += candles[i].vol;
+            else if (candles[i].close < candles[i-1].close) total -= candles[i].vol;
+        }
+        out[i] = total;
+    }
+    return out;
+}
+
+// session VWAP on typical price, reset every sessionHours starting at sessionStartHourUtc (default: UTC day)
+function vwap(candles, { sessionStartHourUtc = 0, sessionHours = 24 } = {}) {
+    const out = nulls(candles.length);
+    const sessionMs = sessionHours * 3600 * 1000;
+    const offsetMs = sessionStartHourUtc * 3600 * 1000;
+    let session = null, pv = 0, vol = 0;
+    for (let i = 0; i < candles.length; i++) {
+        const c = candles[i];
+        const s = Math.floor((c.t - offsetMs) / sessionMs);
+        if (s !== session) { session = s; pv = 0; vol = 0; }
+        pv += ((c.high + c.low + c.close) / 3) * c.vol;
+        vol += c.vol;
+        out[i] = vol > 0 ? pv / vol : (c.high + c.low + c.close) / 3;
+    }
+    return out;
+}
+
+module.exports = { last, sma, ema, rma, rsi, macd, stochRsi, trueRange, atr, bollinger, supertrend, adx, obv, vwap };
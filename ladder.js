@@ -0,0 +1,100 @@
+/**
+ * ladder.js
+ * - Take-profit ladder: TP1..TPn picked from the TP candidates (ATR multiples), each closing a slice of the
+ *   position (config.tpAllocation, default 50/30/20)
+ * - After TP1 the SL trails to break-even (entry): the rest exits at a later target or flat
+ * - Blended expected R: p(TP1) from the excursion model at the real stop, p(TPk | TP1) from the same model
+ *   with the break-even stop (TP1 -> entry distance)
+ *   E[R] = -(1 - p1) + p1 * (a1 * r1 + a2 * q2 * r2 + a3 * q3 * r3)
+ * - signal.ladder = { targets: [{ label, price, allocation, r, p }], trailToBreakeven, expectedR, EV }
+ *   signal.tp stays the last target; signals without a ladder are one target with the whole position
+ */
+
+// indices of every k-element ascending subset of 0..n-1
+function combinations(n, k, start = 0, prefix = [], out = []) {
+    if (prefix.length === k) {
+        out.push(prefix);
+        return out;
+    }
+    for (let i = start; i <= n - (k - prefix.length); i++) combinations(n, k, i + 1, [...prefix, i], out);
+    return out;
+}
+
+function normalize(weights) {
+    const sum = weights.reduce((a, b) => a + b, 0);
+    return weights.map(w => w / sum);
+}
+
+// hit probabilities can not grow with distance; the model is noisy at the far end
+function nonIncreasing(ps) {
+    let min = 1;
+    return ps.map(p => (min = Math.min(min, p)));
+}
+
+/**
+ * opts: { direction, entry, sl, atr, candidates: [ATR multiples], allocation: [fractions],
+ *         probability(targets, slMultiplier) -> [p per target] (excursion model for this setup),
+ *         snap(price) -> price (optional, e.g. in front of opposing liquidity) }
+ * -> ladder (see header) or null when fewer than two targets are possible
+ */
+function buildLadder({ direction, entry, sl, atr, candidates, allocation, probability, snap = p => p }) {
+    const cands = [...new Set(candidates)].sort((a, b) => a - b);
+    const k = Math.min(allocation.length, cands.length);
+    const slDistance = Math.abs(entry - sl);
+    if (k < 2 || !(slDistance > 0) || !(atr > 0)) return null;
+    const weights = normalize(allocation.slice(0, k));
+    const slAtr = slDistance / atr;
+
+    const pFirst = nonIncreasing(probability(cands, slAtr));
+    // p(reach cands[j] | reached cands[i]) with the stop moved to entry, per possible TP1
+    const conditional = {};
+    const conditionalFor = i => conditional[i] || (conditional[i] = nonIncreasing(probability(cands.slice(i + 1).map(m => m - cands[i]), cands[i])));
+
+    let best = null;
+    for (const combo of combinations(cands.length, k)) {
+        const i = combo[0];
+        const q = conditionalFor(i);
+        const hit = combo.map((j, n) => n === 0 ? 1 : q[j - i - 1]);
+        const expectedR = -(1 - pFirst[i]) + pFirst[i] * combo.reduce((a, j, n) => a + weights[n] * hit[n] * (cands[j] * atr / slDistance), 0);
+        if (!best || expectedR > best.expectedR) best = { combo, hit, expectedR };
+    }
+
+    const sign = direction === 'LONG' ? 1 : -1;
+    const p1 = pFirst[best.combo[0]];
+    let previous = entry;
+    const targets = best.combo.map((j, n) => {
+        const raw = entry + sign * cands[j] * atr;
+        const snapped = snap(raw);
+        // a snap that falls behind the previous target would reorder the ladder
+        const price = sign * (snapped - previous) > 0 ? snapped : raw;
+        previous = price;
+        return {
+            label: `TP${n + 1}`,
+            price: +price,
+            atrMultiple: cands[j],
+            allocation: +weights[n].toFixed(4),
+            r: +(Math.abs(price - entry) / slDistance).toFixed(2),
+            p: +(p1 * best.hit[n]).toFixed(4)
+        };
+    });
+    // re-price with the final (possibly snapped) distances
+    const expectedR = -(1 - p1) + p1 * targets.reduce((a, t, n) => a + t.allocation * best.hit[n] * t.r, 0);
+    return {
+        targets,
+        trailToBreakeven: true,
+        expectedR: +expectedR.toFixed(4),
+        EV: +(expectedR * slDistance).toFixed(8) // price units per unit of size, like meta.EV
+    };
+}
+
+// targets every signal is resolved against: the ladder, or the single TP with the whole position
+function signalTargets(signal) {
+    if (signal.ladder && signal.ladder.targets && signal.ladder.targets.length) return signal.ladder.targets;
+    return [{ label: 'TP', price: signal.tp, allocation: 1 }];
+}
+
+function firstTarget(signal) {
+    return signalTargets(signal)[0].price;
+}
+
+module.exports = { buildLadder, signalTargets, firstTarget };
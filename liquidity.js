@@ -0,0 +1,131 @@
+/**
+ * liquidity.js
+ * - Liquidity levels from M15 + H1: fractal swing highs/lows, equal highs/lows clusters,
+ *   previous-day high/low and the last Asia / London / New York session highs/lows
+ * - Each level: { type: 'support' | 'resistance', price, strength, sources: [...] }
+ *   type is relative to the current price; nearby levels (within 0.15 ATR) are merged and their strength adds up
+ */
+
+// ----------------- Config -----------------
+const FRACTAL_SIDE = 2; // bars on each side of a swing point
+const MERGE_TOLERANCE_ATR = 0.15; // equal highs/lows & merging distance
+const STRENGTH = {
+    swingM15: 1,
+    swingH1: 2,
+    equalTouch: 1, // per extra touch in an equal highs/lows cluster
+    session: 2,
+    previousDay: 3
+};
+// UTC hours [start, end)
+const SESSIONS = [
+    { name: 'asia', start: 0, end: 8 },
+    { name: 'london', start: 7, end: 16 },
+    { name: 'newyork', start: 12, end: 21 }
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ----------------- Detectors -----------------
+function findSwings(candles, side = FRACTAL_SIDE) {
+    const highs = [], lows = [];
+    for (let i = side; i < candles.length - side; i++) {
+        let isHigh = true, isLow = true;
+        for (let j = 1; j <= side; j++) {
+            if (candles[i].high <= candles[i - j].high || candles[i].high <= candles[i + j].high) isHigh = false;
+            if (candles[i].low >= candles[i - j].low || candles[i].low >= candles[i + j].low) isLow = false;
+        }
+        if (isHigh) highs.push({ price: candles[i].high, idx: i });
+        if (isLow) lows.push({ price: candles[i].low, idx: i });
+    }
+    return { highs, lows };
+}
+
+// groups of >= 2 swing points within tolerance -> one level at their mean
+function findEqualLevels(points, tolerance) {
+    const sorted = points.slice().sort((a,b) => a.price - b.price);
+    const clusters = [];
+    let current = [];
+    for (const p of sorted) {
+        if (current.length && p.price - current[0].price > tolerance) {
+            if (current.length >= 2) clusters.push(current);
+            current = [];
+        }
+        current.push(p);
+    }
+    if (current.length >= 2) clusters.push(current);
+    return clusters.map(c => ({ price: c.reduce((a,p) => a + p.price, 0) / c.length, touches: c.length }));
+}
+
+function previousDayRange(candles) {
+    if (!candles || !candles.length) return null;
+    const lastDay = Math.floor(candles[candles.length - 1].t / DAY_MS);
+    const prev = candles.filter(c => Math.floor(c.t / DAY_MS) === lastDay - 1);
+    if (!prev.length) return null;
+    return { high: Math.max(...prev.map(c => c.high)), low: Math.min(...prev.map(c => c.low)) };
+}
+
+// high/low of the most recent completed instance of each session
+function sessionRanges(candles) {
+    const out = [];
+    if (!candles || !candles.length) return out;
+    const lastT = candles[candles.length - 1].t;
+    for (const s of SESSIONS) {
+        let day = Math.floor(lastT / DAY_MS);
+        if (lastT < day * DAY_MS + s.end * 3600 * 1000) day -= 1; // today's session still running
+        const from = day * DAY_MS + s.start * 3600 * 1000;
+        const to = day * DAY_MS + s.end * 3600 * 1000;
+        const inSession = candles.filter(c => c.t >= from && c.t < to);
+        if (!inSession.length) continue;
+        out.push({ name: s.name, high: Math.max(...inSession.map(c => c.high)), low: Math.min(...inSession.map(c => c.low)) });
+    }
+    return out;
+}
+
+// ----------------- Levels -----------------
+function detectLiquidityLevels({ m15, h1, atr, price }) {
+    if (!m15 || !m15.length || !(atr > 0)) return [];
+    const tolerance = atr * MERGE_TOLERANCE_ATR;
+    const raw = []; // { price, strength, source }
+
+    const s15 = findSwings(m15);
+    for (const p of s15.highs) raw.push({ price: p.price, strength: STRENGTH.swingM15, source: 'swing_high_m15' });
+    for (const p of s15.lows) raw.push({ price: p.price, strength: STRENGTH.swingM15, source: 'swing_low_m15' });
+    for (const c of findEqualLevels(s15.highs, tolerance)) raw.push({ price: c.price, strength: STRENGTH.equalTouch * c.touches, source: 'equal_highs' });
+    for (const c of findEqualLevels(s15.lows, tolerance)) raw.push({ price: c.price, strength: STRENGTH.equalTouch * c.touches, source: 'equal_lows' });
+
+    if (h1 && h1.length) {
+        const sH1 = findSwings(h1);
+        for (const p of sH1.highs) raw.push({ price: p.price, strength: STRENGTH.swingH1, source: 'swing_high_h1' });
+        for (const p of sH1.lows) raw.push({ price: p.price, strength: STRENGTH.swingH1, source: 'swing_low_h1' });
+    }
+
+    const dayCandles = h1 && h1.length ? h1 : m15;
+    const pd = previousDayRange(dayCandles);
+    if (pd) {
+        raw.push({ price: pd.high, strength: STRENGTH.previousDay, source: 'prev_day_high' });
+        raw.push({ price: pd.low, strength: STRENGTH.previousDay, source: 'prev_day_low' });
+    }
+    for (const s of sessionRanges(m15)) {
+        raw.push({ price: s.high, strength: STRENGTH.session, source: `${s.name}_high` });
+        raw.push({ price: s.low, strength: STRENGTH.session, source: `${s.name}_low` });
+    }
+
+    // merge neighbours (sorted by price, chain within tolerance of the level's first price)
+    raw.sort((a,b) => a.price - b.price);
+    const merged = [];
+    for (const r of raw) {
+        const last = merged[merged.length - 1];
+        if (last && r.price - last.anchor <= tolerance) {
+            last.weighted += r.price * r.strength;
+            last.strength += r.strength;
+            if (!last.sources.includes(r.source)) last.sources.push(r.source);
+        } else {
+            merged.push({ anchor: r.price, weighted: r.price * r.strength, strength: r.strength, sources: [r.source] });
+        }
+    }
+    return merged.map(m => {
+        const levelPrice = m.weighted / m.strength;
+        return { type: levelPrice < price ? 'support' : 'resistance', price: levelPrice, strength: m.strength, sources: m.sources };
+    });
+}
+
+module.exports = { detectLiquidityLevels, findSwings };
@@ -0,0 +1,323 @@
+/**
+ * locales/en.js
+ * - English message catalog (/lang en); same keys as locales/vi.js, missing keys fall back to Vietnamese
+ */
+
+module.exports = {
+    'format.date': 'MMM D, YYYY',
+    'format.dateTime': 'MMM D, HH:mm',
+    'lang.name': 'English',
+
+    // ----------------- Common -----------------
+    'common.notSubscribed': 'You are not subscribed to signals. Send /start to subscribe.',
+    'common.adminOnly': '⛔ This command is for admins only.',
+    'common.unknownStrategy': 'Unknown strategy: {name}. See /strategies',
+    'common.error': '❌ Error: {error}',
+    'common.on': 'on',
+    'common.off': 'off',
+    'common.none': 'no',
+
+    // ----------------- Signal message -----------------
+    'signal.header': '🤖 Signal [{index} today]',
+    'signal.stopLoss': '🙅‍♂️ Stop-Loss: {sl}',
+    'signal.rr': '🪙 RR: {rr} (Conf: {conf})',
+    'signal.strategy': '🧪 Strategy: {name}',
+    'signal.paper': '📒 Paper trade: /follow {id}',
+    'signal.pwin': 'ℹ️ p_win (tp candidates): {list}',
+    'signal.liquidity': '💧 Liquidity: {line}',
+    'signal.footer': '🧠 By AI Scalping Bot\n\n⚠️ For reference only — risk management: 0.25% - 1% per trade, the bot does not auto-trade.',
+    'entryZone.line': '⏳ Entry zone: {low} – {high} ({source}){until}',
+    'entryZone.until': ' · valid until {time}',
+    'liquidity.slLevel': 'SL beyond {price} (strength {strength})',
+    'liquidity.slAtr': 'SL {atr}×ATR',
+    'liquidity.tpLevel': 'TP ahead of {price} ({strength})',
+    'tp.single': '🆗 Take Profit: {price}',
+    'tp.target': '🆗 {label}: {price} — close {allocation}% ({r}R, p {p}%)',
+    'tp.trail': '🔁 At TP1: move SL to entry (break-even)',
+    'tp.expectedR': '📐 Expected R (whole ladder): {r}',
+
+    'position.setup': '💼 Use /setbalance and /setrisk to get position sizes for your account.',
+    'position.size': '💼 Size: {qty} {coin} (~{notional} USDT)',
+    'position.margin': '💵 Margin (x{leverage}): {margin} USDT | Risk: {risk} USDT ({riskPercent})',
+    'position.minNotional': '⚠️ Raised to the minimum order value of {minNotional} USDT — actual risk is higher than your setting.',
+    'position.insufficientMargin': '⚠️ Required margin exceeds your {balance} USDT balance — raise leverage or skip this trade.',
+
+    'button.why': '🧠 Why?',
+    'button.chart': '📈 Chart',
+    'button.mute': '🔕 Mute coin 24h',
+    'button.took': '✅ I took this trade',
+    'button.refresh': '🔄 Re-analyze',
+
+    // ----------------- Lifecycle updates -----------------
+    'pending.cancelled': '🚫 Pending order cancelled {tag}\nEntry {entry} not filled: {why}.',
+    'pending.invalidated': 'price reached TP before the fill',
+    'pending.expired': 'expired without a fill',
+    'pending.filled': '📥 Pending order filled {tag}\nEntry: {entry} | TP: {tp} | SL: {sl}',
+    'halfway.message': '🟡 {tag} is halfway to TP ({price})\n👉 Consider moving SL to break-even: {entry}',
+    'partial.message': '🎯 {label} hit {tag}\n{exits}\n🔒 SL moved to break-even: {entry} for the rest',
+    'outcome.slHit': '❌ SL hit {tag}',
+    'outcome.breakevenRest': '🔒 Rest closed at break-even {tag}',
+    'outcome.expired': '⌛ Tracking window ended {tag}',
+    'outcome.targetHit': '✅ {label} hit {tag}',
+    'outcome.result': 'Result: {r}',
+    'outcome.win': '✅ TP hit {tag}\nTP: {price} ({r})',
+    'outcome.loss': '❌ SL hit {tag}\nSL: {price} ({r})',
+    'outcome.expiredAt': '⌛ Tracking window ended {tag}\nReference close at {price} ({r})',
+    'outcome.stale': '⌛ Stopped tracking {tag}\nNo price data after {hours}h, the signal was cancelled.',
+    'badge.loss': '❌ SL HIT ({r}R)',
+    'badge.cancelled': '🚫 CANCELLED (not filled)',
+    'badge.breakeven': '🔒 CLOSED ({r}, rest at break-even)',
+    'badge.win': '✅ TP HIT ({r})',
+    'badge.expired': '⌛ EXPIRED ({r}R)',
+    'badge.partial': '🎯 {label} HIT — SL at break-even',
+    'badge.halfway': '🟡 HALFWAY — move SL to break-even',
+    'badge.filled': '📥 FILLED',
+
+    // ----------------- Start / stop -----------------
+    'welcome': ({ name, coins }) => `👋 Hi ${name}!\n\n` +
+        `You are now subscribed to automatic signals from AI Scalping Bot.\n` +
+        `The bot scans ${coins} pairs, main TF M5/M15, dynamic RR by EV.\n\n` +
+        `Send /analyzesymbol SOL for a manual analysis, /why SOL to see why there is / isn't a signal, /chart SOL for a chart, /stop to unsubscribe.\n` +
+        `Buttons under each signal: Why?, Chart, Mute coin 24h, I took this trade, Re-analyze.\n` +
+        `Signal filters: /watch, /minconf, /only, /quiet, /strategies — see /prefs.\n` +
+        `Position sizing: /setbalance, /setrisk, /setleverage — see /account.\n` +
+        `Paper trading (simulated): /autofollow on, /follow <id>, /portfolio, /trades.\n` +
+        `Language / timezone: /lang vi, /timezone Asia/Ho_Chi_Minh.\n\n` +
+        `⚠️ Signals are for reference only — always manage your risk.`,
+    'start.inviteRequired': '🔒 This bot requires an invite code. Send /start <invite code> to subscribe.',
+    'start.requestSent': '⏳ Your subscription request was sent, please wait for an admin to approve it.',
+    'stop.done': '🗑️ You have unsubscribed from signals. Send /start to subscribe again.',
+
+    // ----------------- Language / timezone -----------------
+    'lang.current': '🌐 Language: {lang} · Timezone: {timezone} (now {time})\n\nChange: /lang vi|en, /timezone <IANA zone>, e.g. /timezone Europe/London',
+    'lang.set': '✅ Language set to English.',
+    'usage.lang': 'Usage: /lang vi or /lang en',
+    'timezone.set': '✅ Timezone: {timezone} (now {time})',
+    'timezone.invalid': '❌ Unknown timezone: {value}. Examples: Asia/Ho_Chi_Minh, Europe/London, America/New_York',
+
+    // ----------------- Preferences -----------------
+    'prefs.title': '⚙️ Your signal filters',
+    'prefs.watchlist': '👀 Watchlist: {value}',
+    'prefs.allCoins': 'all coins',
+    'prefs.minConfidence': '🎯 Minimum confidence: {value}',
+    'prefs.defaultConfidence': 'default ({value}%)',
+    'prefs.direction': '↕️ Direction: {value}',
+    'prefs.quiet': '🌙 Quiet hours: {value}',
+    'prefs.quietRange': '{start}-{end} ({timezone})',
+    'prefs.strategies': '🧪 Strategies: {value}',
+    'prefs.muted': '🔕 Muted: {value}',
+    'prefs.mutedUntil': '{coin} (until {time})',
+    'prefs.commands': 'Commands: /watch SOL ETH, /unwatch SOL (or /unwatch all), /minconf 70, /only long|short|all, /quiet 23:00-07:00 (or /quiet off), /unmute SOL, /strategies',
+    'usage.watch': 'Usage: /watch SOL ETH',
+    'watch.notScanned': '⚠️ Not scanned by the bot: {list}',
+    'usage.unwatch': 'Usage: /unwatch SOL or /unwatch all',
+    'usage.unmute': 'Usage: /unmute SOL or /unmute all',
+    'usage.minconf': 'Usage: /minconf {min}-99 or /minconf off',
+    'usage.only': 'Usage: /only long | /only short | /only all',
+    'usage.quiet': 'Usage: /quiet 23:00-07:00 or /quiet off (times in {timezone})',
+    'strategies.title': '🧪 Strategies',
+    'strategies.disabled': ' — disabled on the bot',
+    'strategies.toggle': 'Toggle: /strategy <name> on|off',
+    'usage.strategy': 'Usage: /strategy <name> on|off — see /strategies',
+    'strategy.allOff': '⚠️ You turned off every strategy — you will not receive new signals.',
+
+    // ----------------- Account / sizing -----------------
+    'account.title': '💼 Account settings',
+    'account.balance': 'Balance: {value}',
+    'account.notSet': 'not set',
+    'account.risk': 'Risk per trade: {value}',
+    'account.leverage': 'Leverage: x{value}',
+    'account.commands': 'Commands: /setbalance 1500, /setrisk 0.5, /setleverage 10',
+    'usage.setbalance': 'Usage: /setbalance 1500 (USDT)',
+    'usage.setrisk': 'Usage: /setrisk 0.5 (from {lo}% to {hi}%)',
+    'setrisk.high': '⚠️ Risking more than 1% per trade is high for scalping.',
+    'usage.setleverage': 'Usage: /setleverage 10 (from {lo} to {hi})',
+
+    // ----------------- Paper trading -----------------
+    'paper.closed': '📒 Paper trade closed {icon}\n#{coin} {direction} — {status}\nEntry {entry} → Exit {exit}\nP&L: {pnl} USDT ({r}R, fees {fees})',
+    'paper.balance': 'Balance: {balance} USDT',
+    'paper.reject.closed': 'The signal is already closed',
+    'paper.reject.duplicate': 'You already follow this signal',
+    'paper.reject.sizing': 'Could not size the position (invalid balance or SL)',
+    'paper.reject.margin': 'Not enough free margin',
+    'paper.position.pending': '⏳ {head} pending @ {entry} | SL {sl} | TP {tp}',
+    'paper.position.open': '🔹 {head} @ {entry} x {qty} | SL {sl} | TP {tp}',
+    'portfolio.title': '📒 PAPER ACCOUNT (simulated)',
+    'portfolio.balance': 'Balance: {balance} USDT (started with {start})',
+    'portfolio.pnl': 'P&L: {pnl} USDT ({pct}) | Fees: {fees}',
+    'portfolio.trades': 'Closed trades: {count} | Win: {winRate}',
+    'portfolio.margin': 'Margin in use: {margin} USDT',
+    'portfolio.autoFollow': 'Auto-follow signals: {value}',
+    'portfolio.positions': 'Positions ({open} open, {pending} pending):',
+    'portfolio.noPositions': 'No open positions.',
+    'trades.empty': '📒 No closed paper trades yet. Use /autofollow on or /follow <id>.',
+    'trades.title': '📒 Last {count} paper trades',
+    'usage.follow': 'Usage: /follow <signal id> (the 📒 line in a signal message)',
+    'follow.notFound': 'Signal {id} not found.',
+    'follow.rejected': '❌ Paper trade not opened: {reason}',
+    'follow.done': '📒 Following the signal\n{position}\nMargin: {margin} USDT (x{leverage})',
+    'usage.autofollow': 'Usage: /autofollow on|off',
+    'autofollow.on': '📒 Auto paper trading is on for every signal you receive. See /portfolio.',
+    'autofollow.off': '📒 Auto-follow is off. Open positions are still tracked until they close.',
+    'usage.resetpaper': 'Usage: /resetpaper [balance USDT, from {lo} to {hi}]',
+    'resetpaper.done': '♻️ Paper account reset.',
+
+    // ----------------- Analysis / chart / buttons -----------------
+    'analyze.processing': '⏳ Analyzing {symbol}...',
+    'analyze.none': '❌ No signal found for {symbol}\nReason: {reason}\nDetails: /why {args}',
+    'analyze.error': '❌ Failed to analyze {symbol}: {error}',
+    'usage.why': 'Usage: /why SOL [strategy] or /why <signal id>',
+    'usage.chart': 'Usage: /chart SOL',
+    'chart.noData': '❌ Not enough candle data for {symbol}',
+    'chart.open': '{symbol} — open {direction} signal ({id})',
+    'chart.none': '{symbol} — no open signal',
+    'chart.error': '❌ Failed to draw the chart for {symbol}: {error}',
+    'mute.done': '🔕 {coin} signals muted until {time}. Send /unmute {coin} to turn them back on.',
+    'took.already': 'ℹ️ You already recorded this trade.',
+    'took.done': '✅ Recorded that you took this trade.',
+    'refresh.same': 'same direction as',
+    'refresh.opposite': '⚠️ OPPOSITE direction to',
+    'refresh.signal': '🔄 Re-analyzed at {time} — {same} the original signal',
+    'refresh.none': '🔄 Re-analyzed at {time}: no signal for {symbol} any more\nReason: {reason}',
+    'callback.gone': 'This signal is no longer in the history.',
+    'callback.working': '⏳ Working...',
+    'callback.error': '❌ Something went wrong, try again later.',
+    'analyzeall.processing': '⏳ Analyzing {count} coins... Please wait (this can take a few minutes).',
+    'analyzeall.none': '❌ No signal (confidence ≥ {min}%) across the whole list.',
+    'analyzeall.title': '🔍 FULL SCAN RESULTS ({count} signals)',
+
+    // ----------------- Stats -----------------
+    'stats.title': '📈 SIGNAL OUTCOME STATS',
+    'stats.line': '{label}: {count} trades | Win: {winRate} | Avg R: {avgR}',
+    'stats.total': 'Total',
+    'stats.byDirection': 'By direction:',
+    'stats.byConfidence': 'By confidence:',
+    'stats.byStrategy': 'By strategy:',
+    'stats.byTP': 'By TP (xATR):',
+    'stats.topCoins': 'Top coins:',
+
+    // ----------------- Reports (reports.js) -----------------
+    'report.titleDaily': '📊 DAILY REPORT {date} (Vietnam time)',
+    'report.titleWeekly': '📊 WEEKLY REPORT {from} – {to} (Vietnam time)',
+    'report.soFar': ' (so far, {time})',
+    'report.empty': 'No signals in this period.',
+    'report.signals': '📨 Signals: {count} (LONG {long} · SHORT {short})',
+    'report.outcomes': '🏁 Outcomes: ✅ {wins} · ❌ {losses} · 🔒 {breakeven} · ⌛ {expired} · 🚫 {cancelled} · ⏳ {open} open',
+    'report.performance': '📈 Win: {winRate} | Total R: {totalR} | Avg R: {avgR}',
+    'report.byCoin': '🪙 By coin:',
+    'report.coinRow': '  #{coin}: {count} (L {long} · S {short}) · {r}',
+    'report.moreCoins': '  … and {count} more coins',
+    'report.best': '🏆 Best trades:',
+    'report.worst': '💀 Worst trades:',
+    'usage.report': 'Usage: /report day|week (current period, up to now) or /report day|week last (previous period)',
+
+    // ----------------- Admin -----------------
+    'admin.newRequest': '🆕 Subscription request: {chatId} {who}\n/approve {chatId} or /reject {chatId}',
+    'usage.broadcast': 'Usage: /broadcast <text>',
+    'broadcast.done': '📢 Sent: {success} delivered, {fail} failed.',
+    'usage.ban': 'Usage: /ban <chatId>',
+    'ban.admin': '⛔ Admins cannot be banned.',
+    'ban.done': '🚫 Banned {id}.',
+    'usage.unban': 'Usage: /unban <chatId>',
+    'unban.notBanned': '{id} is not banned.',
+    'unban.done': '✅ Unbanned {id}. They need to /start again to receive signals.',
+    'approve.pendingTitle': '⏳ Awaiting approval: {count}',
+    'approve.pendingRow': '- {id} {who} at {at}',
+    'usage.approve': 'Usage: /approve <chatId>',
+    'approve.noRequest': 'No subscription request from {id}.',
+    'approve.done': '✅ Approved {id}.',
+    'usage.reject': 'Usage: /reject <chatId>',
+    'reject.notice': '❌ Your subscription request was declined.',
+    'reject.done': '🗑️ Rejected {id}.',
+    'pause.done': '⏸️ Automatic scanning paused. Send /resume to continue.',
+    'resume.done': '▶️ Automatic scanning resumed.',
+    'reload.invalid': '❌ Invalid config, keeping the previous one:\n- {errors}',
+    'reload.changed': '✅ Config reloaded: {keys}',
+    'reload.unchanged': 'ℹ️ Config unchanged.',
+    'universe.changed': '🌐 Coin list updated ({count} pairs)',
+    'universe.added': '➕ Added: {list}',
+    'universe.removed': '➖ Removed: {list}',
+    'universe.dropped': '⚠️ targetCoins no longer trading: {list}',
+    'universe.status': '{size} pairs, {mode} ({source}), updated {refreshed}{error}',
+    'universe.never': 'never',
+    'universe.title': '🌐 UNIVERSE',
+    'universe.refreshFailed': '❌ Could not load the universe: {error}',
+    'universe.unchanged': 'ℹ️ Universe unchanged.',
+    'status.title': '🩺 BOT STATUS',
+    'status.scan': 'Auto scan: {state}{running}',
+    'status.paused': '⏸️ paused',
+    'status.active': '▶️ running',
+    'status.scanning': ' (scanning)',
+    'status.trigger': 'Trigger: {value}',
+    'status.candleClose': 'M5 candle close',
+    'status.every': 'every {minutes} minutes',
+    'status.stream': 'Kline stream: {value}',
+    'status.universe': 'Universe: {value}',
+    'status.lastCycle': 'Last cycle: {start} → {end} ({coins} coins, {signals} signals)',
+    'status.errors': 'Consecutive errors: {count}/{max}',
+    'status.today': 'Signals today: {count}',
+    'status.took': '"Took this trade" taps: {count} ({users} users)',
+    'status.users': 'Subscribers: {users} | Pending: {pending} | Banned: {banned}',
+    'status.registration': 'Registration: {mode}',
+    'status.uptime': 'Uptime: {hours}h{minutes}m',
+
+    // ----------------- Strategies (registry descriptions) -----------------
+    'strategy.desc.physics-scalp': 'Follows the H1/M15 trend, confirmed by M5 momentum',
+    'strategy.desc.mean-reversion': 'Bounces off the M5 Bollinger bands while M15 ranges',
+    'strategy.desc.breakout': 'M15 break of the 12h range with volume, ADX and SuperTrend',
+
+    // ----------------- /why (explain.js) -----------------
+    'why.title': '🧠 Why #{coin} {direction}?',
+    'why.titleNoTrade': '🧠 Why no signal for #{coin}?',
+    'why.strategy': '🧪 Strategy: {name}',
+    'why.reason': '📝 Reason: {reason}',
+    'why.confidence': '🎚️ Confidence: {value}',
+    'why.confSetup': 'Setup (p_setup × 0.7)',
+    'why.confM15': 'M15 score {score} × 0.2',
+    'why.confMomentum': 'Strong M5 momentum',
+    'why.confOther': 'Setup p_setup {p} + 10',
+    'why.factors': '🧩 Factors (logistic score):',
+    'why.scoreTotal': 'Σ score {score} → p_setup {p}',
+    'why.factor.h1Trend': 'H1 aligned',
+    'why.factor.m15Trend': 'M15 aligned',
+    'why.factor.m15Confidence': 'M15 score',
+    'why.factor.m15VolumeSpike': 'M15 volume spike',
+    'why.factor.m5Momentum': 'Strong M5 momentum',
+    'why.factor.m5VolumeSpike': 'M5 volume spike',
+    'why.factor.m5Body': 'M5 body > 0.5 ATR',
+    'why.factor.atrTooQuiet': 'ATR too low (< 0.02%)',
+    'why.factor.atrTooNoisy': 'ATR too high (> 2%)',
+    'why.gates': '🚦 Gates:',
+    'why.rejectedBy': '⛔ Stopped at: {gate}',
+    'why.gate.bias': 'H1 + M15 bias',
+    'why.gate.m5Confirm': 'M5 confirms direction',
+    'why.gate.pSetup': 'p_setup',
+    'why.gate.tpCandidate': 'TP candidate found',
+    'why.gate.tpValid': 'TP on the right side of entry',
+    'why.gate.minConfidence': 'Minimum confidence',
+    'why.gateValue.bias': 'score {value} (needs beyond ±{threshold})',
+    'why.gateValue.m5Confirm': 'M5 {value}, bias {threshold}',
+    'why.gateValue.pSetup': '{value} (needs ≥ {threshold})',
+    'why.gateValue.tpValid': 'TP {value} / entry {threshold}',
+    'why.gateValue.minConfidence': '{value}% (needs ≥ {threshold}%)',
+    'why.inputs': '📐 Inputs:',
+    'why.inputPrice': 'Price {price} · ATR M15 {atr} ({atrPct})',
+    'why.inputRsi': 'RSI M5 {m5} · RSI M15 {m15} · M5 momentum {momentum}',
+    'why.trendM15': '📈 M15 trend: {value}',
+    'why.momentumM5': '⚡ Strong M5 momentum: {value}',
+    'why.volumeM15': '📊 M15 volume spike: {value}',
+    'why.breakoutLevel': '🚪 Breakout level: {value}',
+    'why.breakoutVolume': '📊 Breakout candle volume: x{value}',
+    'why.adx': '🧭 ADX M15: {value}',
+    'why.superTrendH1': '🕐 SuperTrend H1: {value}',
+    'why.up': 'up',
+    'why.down': 'down',
+    'why.yes': 'yes',
+    'why.rsiM5': '〰️ RSI M5: {value}',
+    'why.pTarget': '🎯 p(TP hit): {p}',
+    'why.pLastTarget': '🎯 p(last TP hit): {p}',
+    'why.model': '🧮 Model: {regime} regime ({samples} samples){skill}',
+    'why.regimeWith': 'with-trend',
+    'why.regimeAgainst': 'counter-trend',
+    'why.ladderR': '🪜 TP ladder expectation: {r}'
+};
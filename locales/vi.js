@@ -0,0 +1,324 @@
+/**
+ * locales/vi.js
+ * - Vietnamese message catalog (default language, see i18n.js)
+ * - 'text {placeholder}' or (vars) => text; numbers and times arrive already formatted for the user
+ */
+
+module.exports = {
+    'format.date': 'DD/MM/YYYY',
+    'format.dateTime': 'DD/MM HH:mm',
+    'lang.name': 'Tiếng Việt',
+
+    // ----------------- Common -----------------
+    'common.notSubscribed': 'Bạn chưa đăng ký nhận tín hiệu. Gõ /start để đăng ký.',
+    'common.adminOnly': '⛔ Lệnh này chỉ dành cho admin.',
+    'common.unknownStrategy': 'Chiến lược không tồn tại: {name}. Xem /strategies',
+    'common.error': '❌ Lỗi: {error}',
+    'common.on': 'bật',
+    'common.off': 'tắt',
+    'common.none': 'không',
+
+    // ----------------- Signal message -----------------
+    'signal.header': '🤖 Tín hiệu [{index} trong ngày]',
+    'signal.stopLoss': '🙅‍♂️ Stop-Loss: {sl}',
+    'signal.rr': '🪙 Tỉ lệ RR: {rr} (Conf: {conf})',
+    'signal.strategy': '🧪 Chiến lược: {name}',
+    'signal.paper': '📒 Lệnh giấy: /follow {id}',
+    'signal.pwin': 'ℹ️ p_win (tp candidates): {list}',
+    'signal.liquidity': '💧 Thanh khoản: {line}',
+    'signal.footer': '🧠 By AI Scalping Bot\n\n⚠️ Chỉ tham khảo — Quản lý rủi ro: 0.25% - 1% per trade, bot không auto-trade.',
+    'entryZone.line': '⏳ Vùng vào: {low} – {high} ({source}){until}',
+    'entryZone.until': ' · hiệu lực đến {time}',
+    'liquidity.slLevel': 'SL sau mức {price} (sức mạnh {strength})',
+    'liquidity.slAtr': 'SL {atr}×ATR',
+    'liquidity.tpLevel': 'TP trước mức {price} ({strength})',
+    'tp.single': '🆗 Take Profit: {price}',
+    'tp.target': '🆗 {label}: {price} — chốt {allocation}% ({r}R, p {p}%)',
+    'tp.trail': '🔁 Chạm TP1: dời SL về entry (hòa vốn)',
+    'tp.expectedR': '📐 R kỳ vọng (cả thang): {r}',
+
+    'position.setup': '💼 Gõ /setbalance và /setrisk để bot tính khối lượng theo vốn của bạn.',
+    'position.size': '💼 Khối lượng: {qty} {coin} (~{notional} USDT)',
+    'position.margin': '💵 Margin (x{leverage}): {margin} USDT | Rủi ro: {risk} USDT ({riskPercent})',
+    'position.minNotional': '⚠️ Đã nâng lên giá trị lệnh tối thiểu {minNotional} USDT — rủi ro thực tế cao hơn mức bạn đặt.',
+    'position.insufficientMargin': '⚠️ Margin cần vượt số dư {balance} USDT — tăng leverage hoặc bỏ qua lệnh.',
+
+    'button.why': '🧠 Vì sao?',
+    'button.chart': '📈 Biểu đồ',
+    'button.mute': '🔕 Tắt coin 24h',
+    'button.took': '✅ Tôi đã vào lệnh',
+    'button.refresh': '🔄 Phân tích lại',
+
+    // ----------------- Lifecycle updates -----------------
+    'pending.cancelled': '🚫 Hủy lệnh chờ {tag}\nEntry {entry} không khớp: {why}.',
+    'pending.invalidated': 'giá chạm TP trước khi khớp',
+    'pending.expired': 'hết hạn, chưa khớp',
+    'pending.filled': '📥 Lệnh chờ đã khớp {tag}\nEntry: {entry} | TP: {tp} | SL: {sl}',
+    'halfway.message': '🟡 {tag} đã đi nửa đường tới TP ({price})\n👉 Cân nhắc dời SL về hòa vốn: {entry}',
+    'partial.message': '🎯 Chạm {label} {tag}\n{exits}\n🔒 Dời SL về hòa vốn: {entry} cho phần còn lại',
+    'outcome.slHit': '❌ Chạm SL {tag}',
+    'outcome.breakevenRest': '🔒 Phần còn lại đóng hòa vốn {tag}',
+    'outcome.expired': '⌛ Hết thời gian theo dõi {tag}',
+    'outcome.targetHit': '✅ Chạm {label} {tag}',
+    'outcome.result': 'Kết quả: {r}',
+    'outcome.win': '✅ Chạm TP {tag}\nTP: {price} ({r})',
+    'outcome.loss': '❌ Chạm SL {tag}\nSL: {price} ({r})',
+    'outcome.expiredAt': '⌛ Hết thời gian theo dõi {tag}\nĐóng tham khảo tại {price} ({r})',
+    'outcome.stale': '⌛ Ngừng theo dõi {tag}\nKhông lấy được dữ liệu giá sau {hours}h, tín hiệu được hủy.',
+    'badge.loss': '❌ ĐÃ CHẠM SL ({r}R)',
+    'badge.cancelled': '🚫 ĐÃ HỦY (không khớp)',
+    'badge.breakeven': '🔒 ĐÃ ĐÓNG ({r}, phần còn lại hòa vốn)',
+    'badge.win': '✅ ĐÃ CHẠM TP ({r})',
+    'badge.expired': '⌛ HẾT HẠN ({r}R)',
+    'badge.partial': '🎯 ĐÃ CHẠM {label} — SL về hòa vốn',
+    'badge.halfway': '🟡 ĐÃ ĐI NỬA ĐƯỜNG — dời SL về hòa vốn',
+    'badge.filled': '📥 ĐÃ KHỚP',
+
+    // ----------------- Start / stop -----------------
+    'welcome': ({ name, coins }) => `👋 Chào ${name}!\n\n` +
+        `Bạn đã được đăng ký nhận tín hiệu tự động từ AI Scalping Bot.\n` +
+        `Bot quét ${coins} cặp, TF chính M5/M15, RR động theo EV.\n\n` +
+        `Gõ /analyzesymbol SOL để phân tích thủ công, /why SOL để xem vì sao có / không có tín hiệu, /chart SOL để xem biểu đồ, /stop để hủy nhận.\n` +
+        `Nút dưới mỗi tín hiệu: Vì sao?, Biểu đồ, Tắt coin 24h, Tôi đã vào lệnh, Phân tích lại.\n` +
+        `Lọc tín hiệu: /watch, /minconf, /only, /quiet, /strategies — xem /prefs.\n` +
+        `Khối lượng theo vốn: /setbalance, /setrisk, /setleverage — xem /account.\n` +
+        `Giao dịch giấy (mô phỏng): /autofollow on, /follow <id>, /portfolio, /trades.\n` +
+        `Ngôn ngữ / múi giờ: /lang en, /timezone Europe/London.\n\n` +
+        `⚠️ Bot chỉ gửi tín hiệu tham khảo — luôn tuân thủ quản lý rủi ro.`,
+    'start.inviteRequired': '🔒 Bot cần mã mời. Gõ /start <mã mời> để đăng ký.',
+    'start.requestSent': '⏳ Yêu cầu đăng ký đã được gửi, vui lòng chờ admin duyệt.',
+    'stop.done': '🗑️ Bạn đã hủy đăng ký nhận tín hiệu. Gõ /start để đăng ký lại.',
+
+    // ----------------- Language / timezone -----------------
+    'lang.current': '🌐 Ngôn ngữ: {lang} · Múi giờ: {timezone} (bây giờ {time})\n\nĐổi: /lang vi|en, /timezone <vùng IANA>, ví dụ /timezone Asia/Ho_Chi_Minh',
+    'lang.set': '✅ Đã chuyển sang tiếng Việt.',
+    'usage.lang': 'Cách dùng: /lang vi hoặc /lang en',
+    'timezone.set': '✅ Múi giờ: {timezone} (bây giờ {time})',
+    'timezone.invalid': '❌ Múi giờ không hợp lệ: {value}. Ví dụ: Asia/Ho_Chi_Minh, Europe/London, America/New_York',
+
+    // ----------------- Preferences -----------------
+    'prefs.title': '⚙️ Bộ lọc tín hiệu của bạn',
+    'prefs.watchlist': '👀 Watchlist: {value}',
+    'prefs.allCoins': 'tất cả coin',
+    'prefs.minConfidence': '🎯 Confidence tối thiểu: {value}',
+    'prefs.defaultConfidence': 'mặc định ({value}%)',
+    'prefs.direction': '↕️ Hướng: {value}',
+    'prefs.quiet': '🌙 Giờ yên lặng: {value}',
+    'prefs.quietRange': '{start}-{end} ({timezone})',
+    'prefs.strategies': '🧪 Chiến lược: {value}',
+    'prefs.muted': '🔕 Tạm tắt: {value}',
+    'prefs.mutedUntil': '{coin} (đến {time})',
+    'prefs.commands': 'Lệnh: /watch SOL ETH, /unwatch SOL (hoặc /unwatch all), /minconf 70, /only long|short|all, /quiet 23:00-07:00 (hoặc /quiet off), /unmute SOL, /strategies',
+    'usage.watch': 'Cách dùng: /watch SOL ETH',
+    'watch.notScanned': '⚠️ Bot không quét: {list}',
+    'usage.unwatch': 'Cách dùng: /unwatch SOL hoặc /unwatch all',
+    'usage.unmute': 'Cách dùng: /unmute SOL hoặc /unmute all',
+    'usage.minconf': 'Cách dùng: /minconf {min}-99 hoặc /minconf off',
+    'usage.only': 'Cách dùng: /only long | /only short | /only all',
+    'usage.quiet': 'Cách dùng: /quiet 23:00-07:00 hoặc /quiet off (giờ theo {timezone})',
+    'strategies.title': '🧪 Chiến lược',
+    'strategies.disabled': ' — đang tắt trên bot',
+    'strategies.toggle': 'Bật/tắt: /strategy <tên> on|off',
+    'usage.strategy': 'Cách dùng: /strategy <tên> on|off — xem /strategies',
+    'strategy.allOff': '⚠️ Bạn đã tắt mọi chiến lược — sẽ không nhận tín hiệu mới.',
+
+    // ----------------- Account / sizing -----------------
+    'account.title': '💼 Cài đặt vốn',
+    'account.balance': 'Số dư: {value}',
+    'account.notSet': 'chưa đặt',
+    'account.risk': 'Rủi ro mỗi lệnh: {value}',
+    'account.leverage': 'Leverage: x{value}',
+    'account.commands': 'Lệnh: /setbalance 1500, /setrisk 0.5, /setleverage 10',
+    'usage.setbalance': 'Cách dùng: /setbalance 1500 (USDT)',
+    'usage.setrisk': 'Cách dùng: /setrisk 0.5 (từ {lo}% đến {hi}%)',
+    'setrisk.high': '⚠️ Rủi ro trên 1% mỗi lệnh là cao cho scalping.',
+    'usage.setleverage': 'Cách dùng: /setleverage 10 (từ {lo} đến {hi})',
+
+    // ----------------- Paper trading -----------------
+    'paper.closed': '📒 Lệnh giấy đóng {icon}\n#{coin} {direction} — {status}\nEntry {entry} → Exit {exit}\nP&L: {pnl} USDT ({r}R, phí {fees})',
+    'paper.balance': 'Số dư: {balance} USDT',
+    'paper.reject.closed': 'Tín hiệu đã đóng',
+    'paper.reject.duplicate': 'Đã theo tín hiệu này',
+    'paper.reject.sizing': 'Không tính được khối lượng (số dư hoặc SL không hợp lệ)',
+    'paper.reject.margin': 'Không đủ margin khả dụng',
+    'paper.position.pending': '⏳ {head} chờ khớp @ {entry} | SL {sl} | TP {tp}',
+    'paper.position.open': '🔹 {head} @ {entry} x {qty} | SL {sl} | TP {tp}',
+    'portfolio.title': '📒 TÀI KHOẢN GIẤY (mô phỏng)',
+    'portfolio.balance': 'Số dư: {balance} USDT (vốn đầu {start})',
+    'portfolio.pnl': 'P&L: {pnl} USDT ({pct}) | Phí: {fees}',
+    'portfolio.trades': 'Lệnh đã đóng: {count} | Win: {winRate}',
+    'portfolio.margin': 'Margin đang dùng: {margin} USDT',
+    'portfolio.autoFollow': 'Tự động theo tín hiệu: {value}',
+    'portfolio.positions': 'Vị thế ({open} mở, {pending} chờ khớp):',
+    'portfolio.noPositions': 'Không có vị thế mở.',
+    'trades.empty': '📒 Chưa có lệnh giấy nào đóng. Dùng /autofollow on hoặc /follow <id>.',
+    'trades.title': '📒 {count} lệnh giấy gần nhất',
+    'usage.follow': 'Cách dùng: /follow <id tín hiệu> (dòng 📒 trong tin nhắn tín hiệu)',
+    'follow.notFound': 'Không tìm thấy tín hiệu {id}.',
+    'follow.rejected': '❌ Không vào lệnh giấy: {reason}',
+    'follow.done': '📒 Đã theo tín hiệu\n{position}\nMargin: {margin} USDT (x{leverage})',
+    'usage.autofollow': 'Cách dùng: /autofollow on|off',
+    'autofollow.on': '📒 Đã bật tự động vào lệnh giấy cho mọi tín hiệu bạn nhận. Xem /portfolio.',
+    'autofollow.off': '📒 Đã tắt tự động theo tín hiệu. Vị thế đang mở vẫn được theo dõi đến khi đóng.',
+    'usage.resetpaper': 'Cách dùng: /resetpaper [số dư USDT, từ {lo} đến {hi}]',
+    'resetpaper.done': '♻️ Đã đặt lại tài khoản giấy.',
+
+    // ----------------- Analysis / chart / buttons -----------------
+    'analyze.processing': '⏳ Đang phân tích {symbol}...',
+    'analyze.none': '❌ Không tìm thấy tín hiệu cho {symbol}\nReason: {reason}\nChi tiết: /why {args}',
+    'analyze.error': '❌ Lỗi phân tích {symbol}: {error}',
+    'usage.why': 'Cách dùng: /why SOL [strategy] hoặc /why <id tín hiệu>',
+    'usage.chart': 'Cách dùng: /chart SOL',
+    'chart.noData': '❌ Không đủ dữ liệu nến cho {symbol}',
+    'chart.open': '{symbol} — tín hiệu đang mở {direction} ({id})',
+    'chart.none': '{symbol} — không có tín hiệu đang mở',
+    'chart.error': '❌ Lỗi vẽ biểu đồ {symbol}: {error}',
+    'mute.done': '🔕 Đã tắt tín hiệu {coin} đến {time}. Gõ /unmute {coin} để bật lại.',
+    'took.already': 'ℹ️ Bạn đã ghi nhận lệnh này rồi.',
+    'took.done': '✅ Đã ghi nhận bạn vào lệnh này.',
+    'refresh.same': 'cùng hướng',
+    'refresh.opposite': '⚠️ NGƯỢC hướng',
+    'refresh.signal': '🔄 Phân tích lại lúc {time} — {same} tín hiệu gốc',
+    'refresh.none': '🔄 Phân tích lại lúc {time}: hiện không còn tín hiệu cho {symbol}\nReason: {reason}',
+    'callback.gone': 'Tín hiệu không còn trong lịch sử.',
+    'callback.working': '⏳ Đang xử lý...',
+    'callback.error': '❌ Có lỗi, thử lại sau.',
+    'analyzeall.processing': '⏳ Đang phân tích {count} coins... Vui lòng chờ (có thể lâu vài phút).',
+    'analyzeall.none': '❌ Không tìm thấy tín hiệu (confidence ≥ {min}%) trên toàn bộ danh sách.',
+    'analyzeall.title': '🔍 KẾT QUẢ PHÂN TÍCH TOÀN BỘ ({count} tín hiệu)',
+
+    // ----------------- Stats -----------------
+    'stats.title': '📈 THỐNG KÊ KẾT QUẢ TÍN HIỆU',
+    'stats.line': '{label}: {count} lệnh | Win: {winRate} | Avg R: {avgR}',
+    'stats.total': 'Tổng',
+    'stats.byDirection': 'Theo hướng:',
+    'stats.byConfidence': 'Theo confidence:',
+    'stats.byStrategy': 'Theo chiến lược:',
+    'stats.byTP': 'Theo TP (xATR):',
+    'stats.topCoins': 'Top coin:',
+
+    // ----------------- Reports (reports.js) -----------------
+    'report.titleDaily': '📊 BÁO CÁO NGÀY {date}',
+    'report.titleWeekly': '📊 BÁO CÁO TUẦN {from} – {to}',
+    'report.soFar': ' (đến {time})',
+    'report.empty': 'Không có tín hiệu nào trong kỳ này.',
+    'report.signals': '📨 Tín hiệu: {count} (LONG {long} · SHORT {short})',
+    'report.outcomes': '🏁 Kết quả: ✅ {wins} · ❌ {losses} · 🔒 {breakeven} · ⌛ {expired} · 🚫 {cancelled} · ⏳ {open} đang mở',
+    'report.performance': '📈 Win: {winRate} | Tổng R: {totalR} | Avg R: {avgR}',
+    'report.byCoin': '🪙 Theo coin:',
+    'report.coinRow': '  #{coin}: {count} (L {long} · S {short}) · {r}',
+    'report.moreCoins': '  … và {count} coin khác',
+    'report.best': '🏆 Lệnh tốt nhất:',
+    'report.worst': '💀 Lệnh tệ nhất:',
+    'usage.report': 'Cách dùng: /report day|week (kỳ hiện tại, tính đến bây giờ) hoặc /report day|week last (kỳ trước)',
+
+    // ----------------- Admin -----------------
+    'admin.newRequest': '🆕 Yêu cầu đăng ký: {chatId} {who}\n/approve {chatId} hoặc /reject {chatId}',
+    'usage.broadcast': 'Cách dùng: /broadcast <nội dung>',
+    'broadcast.done': '📢 Đã gửi: {success} thành công, {fail} thất bại.',
+    'usage.ban': 'Cách dùng: /ban <chatId>',
+    'ban.admin': '⛔ Không thể chặn admin.',
+    'ban.done': '🚫 Đã chặn {id}.',
+    'usage.unban': 'Cách dùng: /unban <chatId>',
+    'unban.notBanned': '{id} không bị chặn.',
+    'unban.done': '✅ Đã bỏ chặn {id}. Người dùng cần /start lại để nhận tín hiệu.',
+    'approve.pendingTitle': '⏳ Đang chờ duyệt: {count}',
+    'approve.pendingRow': '- {id} {who} lúc {at}',
+    'usage.approve': 'Cách dùng: /approve <chatId>',
+    'approve.noRequest': 'Không có yêu cầu đăng ký từ {id}.',
+    'approve.done': '✅ Đã duyệt {id}.',
+    'usage.reject': 'Cách dùng: /reject <chatId>',
+    'reject.notice': '❌ Yêu cầu đăng ký của bạn đã bị từ chối.',
+    'reject.done': '🗑️ Đã từ chối {id}.',
+    'pause.done': '⏸️ Đã tạm dừng quét tự động. Gõ /resume để tiếp tục.',
+    'resume.done': '▶️ Đã tiếp tục quét tự động.',
+    'reload.invalid': '❌ Config không hợp lệ, giữ cấu hình cũ:\n- {errors}',
+    'reload.changed': '✅ Đã nạp lại config: {keys}',
+    'reload.unchanged': 'ℹ️ Config không có thay đổi.',
+    'universe.changed': '🌐 Danh sách coin cập nhật ({count} cặp)',
+    'universe.added': '➕ Thêm: {list}',
+    'universe.removed': '➖ Bỏ: {list}',
+    'universe.dropped': '⚠️ targetCoins không còn giao dịch: {list}',
+    'universe.status': '{size} cặp, {mode} ({source}), cập nhật {refreshed}{error}',
+    'universe.never': 'chưa',
+    'universe.title': '🌐 UNIVERSE',
+    'universe.refreshFailed': '❌ Không tải được universe: {error}',
+    'universe.unchanged': 'ℹ️ Universe không có thay đổi.',
+    'status.title': '🩺 TRẠNG THÁI BOT',
+    'status.scan': 'Quét tự động: {state}{running}',
+    'status.paused': '⏸️ tạm dừng',
+    'status.active': '▶️ đang chạy',
+    'status.scanning': ' (đang quét)',
+    'status.trigger': 'Kích hoạt: {value}',
+    'status.candleClose': 'đóng nến M5',
+    'status.every': 'mỗi {minutes} phút',
+    'status.stream': 'Kline stream: {value}',
+    'status.universe': 'Universe: {value}',
+    'status.lastCycle': 'Chu kỳ gần nhất: {start} → {end} ({coins} coin, {signals} tín hiệu)',
+    'status.errors': 'Lỗi liên tiếp: {count}/{max}',
+    'status.today': 'Tín hiệu hôm nay: {count}',
+    'status.took': 'Lượt "đã vào lệnh": {count} ({users} user)',
+    'status.users': 'Subscribers: {users} | Chờ duyệt: {pending} | Bị chặn: {banned}',
+    'status.registration': 'Đăng ký: {mode}',
+    'status.uptime': 'Uptime: {hours}h{minutes}m',
+
+    // ----------------- Strategies (registry descriptions) -----------------
+    'strategy.desc.physics-scalp': 'Theo xu hướng H1/M15, xác nhận động lượng M5',
+    'strategy.desc.mean-reversion': 'Bật lại từ dải Bollinger M5 khi M15 đi ngang',
+    'strategy.desc.breakout': 'Phá vỡ biên độ 12h trên M15 kèm volume, ADX và SuperTrend',
+
+    // ----------------- /why (explain.js) -----------------
+    'why.title': '🧠 Vì sao #{coin} {direction}?',
+    'why.titleNoTrade': '🧠 Vì sao #{coin} không có tín hiệu?',
+    'why.strategy': '🧪 Chiến lược: {name}',
+    'why.reason': '📝 Lý do: {reason}',
+    'why.confidence': '🎚️ Confidence: {value}',
+    'why.confSetup': 'Setup (p_setup × 0.7)',
+    'why.confM15': 'Điểm M15 {score} × 0.2',
+    'why.confMomentum': 'Động lượng M5 mạnh',
+    'why.confOther': 'Setup p_setup {p} + 10',
+    'why.factors': '🧩 Các yếu tố (điểm logistic):',
+    'why.scoreTotal': 'Σ điểm {score} → p_setup {p}',
+    'why.factor.h1Trend': 'H1 cùng hướng',
+    'why.factor.m15Trend': 'M15 cùng hướng',
+    'why.factor.m15Confidence': 'Điểm M15',
+    'why.factor.m15VolumeSpike': 'Volume spike M15',
+    'why.factor.m5Momentum': 'Động lượng M5 mạnh',
+    'why.factor.m5VolumeSpike': 'Volume spike M5',
+    'why.factor.m5Body': 'Thân nến M5 > 0.5 ATR',
+    'why.factor.atrTooQuiet': 'ATR quá thấp (< 0.02%)',
+    'why.factor.atrTooNoisy': 'ATR quá cao (> 2%)',
+    'why.gates': '🚦 Các cổng lọc:',
+    'why.rejectedBy': '⛔ Bị chặn tại: {gate}',
+    'why.gate.bias': 'Bias H1 + M15',
+    'why.gate.m5Confirm': 'M5 xác nhận hướng',
+    'why.gate.pSetup': 'p_setup',
+    'why.gate.tpCandidate': 'Có TP candidate',
+    'why.gate.tpValid': 'TP đúng phía entry',
+    'why.gate.minConfidence': 'Confidence tối thiểu',
+    'why.gateValue.bias': 'điểm {value} (cần vượt ±{threshold})',
+    'why.gateValue.m5Confirm': 'M5 {value}, bias {threshold}',
+    'why.gateValue.pSetup': '{value} (cần ≥ {threshold})',
+    'why.gateValue.tpValid': 'TP {value} / entry {threshold}',
+    'why.gateValue.minConfidence': '{value}% (cần ≥ {threshold}%)',
+    'why.inputs': '📐 Dữ liệu đầu vào:',
+    'why.inputPrice': 'Giá {price} · ATR M15 {atr} ({atrPct})',
+    'why.inputRsi': 'RSI M5 {m5} · RSI M15 {m15} · Động lượng M5 {momentum}',
+    'why.trendM15': '📈 Xu hướng M15: {value}',
+    'why.momentumM5': '⚡ Động lượng M5 mạnh: {value}',
+    'why.volumeM15': '📊 Volume spike M15: {value}',
+    'why.breakoutLevel': '🚪 Mức phá vỡ: {value}',
+    'why.breakoutVolume': '📊 Volume nến phá vỡ: x{value}',
+    'why.adx': '🧭 ADX M15: {value}',
+    'why.superTrendH1': '🕐 SuperTrend H1: {value}',
+    'why.up': 'tăng',
+    'why.down': 'giảm',
+    'why.yes': 'có',
+    'why.rsiM5': '〰️ RSI M5: {value}',
+    'why.pTarget': '🎯 p chạm TP: {p}',
+    'why.pLastTarget': '🎯 p chạm TP cuối: {p}',
+    'why.model': '🧮 Mô hình: regime {regime} ({samples} mẫu){skill}',
+    'why.regimeWith': 'thuận xu hướng',
+    'why.regimeAgainst': 'ngược xu hướng',
+    'why.ladderR': '🪜 Kỳ vọng thang TP: {r}'
+};
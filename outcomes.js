@@ -0,0 +1,353 @@
+const { loadCandles } = require('./analysis');
+const { DEFAULT_STRATEGY } = require('./strategies');
+const { signalTargets, firstTarget } = require('./ladder');
+
+/**
+ * outcomes.js
+ * - Resolve sent signals against later candles (TP hit / SL hit / expiry)
+ * - Outcome: WIN, LOSS, BREAKEVEN or EXPIRED + resolve time + achieved R
+ * - TP ladder (ladder.js): each target closes its slice, SL moves to entry after TP1; outcome.exits lists the
+ *   slices and outcome.r is the blended R. Targets hit while the rest is still open are reported as partials
+ *   (markToMarket closes that rest at a given price, for the backtest's trades still open when the data ends)
+ * - Halfway: an open position that travelled HALFWAY_FRACTION of the way to TP (cue to move SL to break-even)
+ * - LIMIT signals are pending until price trades into the entry: fill -> tracked from the fill,
+ *   TP reached first -> CANCELLED (INVALIDATED), no fill before validUntil -> CANCELLED (NOT_FILLED)
+ * - Still open after config.staleSignalHours (candles never loaded: delisted, dropped from the universe,
+ *   provider errors) -> CANCELLED (STALE), so it stops counting as open and gets pruned with the rest
+ * - Running stats: win rate & avg R by symbol, direction, confidence bucket, TP multiplier, strategy
+ */
+
+// ----------------- Config -----------------
+const RESOLVE_INTERVAL = '5m';
+const RESOLVE_INTERVAL_MS = 5 * 60 * 1000;
+const SIGNAL_EXPIRY_SECONDS = 4 * 60 * 60; // a scalp still open after 4h is considered expired
+const PENDING_ENTRY_EXPIRY_SECONDS = 60 * 60; // a limit entry must fill within 1h (4 x M15)
+const BREAKEVEN_R_BAND = 0.1; // |R| at expiry within this band -> BREAKEVEN
+const HALFWAY_FRACTION = 0.5; // of the entry -> TP distance
+const MAX_RESOLVE_CANDLES = 1000;
+
+// ----------------- Single signal resolver -----------------
+function createdMs(signal) {
+    if (signal.createdAtEpoch) return signal.createdAtEpoch * 1000;
+    return new Date(signal.createdAt || signal.time).getTime();
+}
+
+function signalStartMs(signal) {
+    if (signal.fill) return signal.fill.filledAtEpoch * 1000;
+    return createdMs(signal);
+}
+
+function achievedR(signal, price) {
+    const risk = Math.abs(signal.entry - signal.sl);
+    if (!(risk > 0)) return 0;
+    const move = signal.direction === 'LONG' ? price - signal.entry : signal.entry - price;
+    return +(move / risk).toFixed(2);
+}
+
+function buildOutcome(signal, status, price, atMs) {
+    return {
+        status,
+        exitPrice: +price,
+        r: achievedR(signal, price),
+        resolvedAt: new Date(atMs).toISOString(),
+        resolvedAtEpoch: Math.floor(atMs / 1000)
+    };
+}
+
+function isPending(signal) {
+    return signal.orderType === 'LIMIT' && !signal.fill && !signal.outcome;
+}
+
+function pendingExpiryMs(signal) {
+    if (signal.validUntilEpoch) return signal.validUntilEpoch * 1000;
+    return signalStartMs(signal) + PENDING_ENTRY_EXPIRY_SECONDS * 1000;
+}
+
+/**
+ * Pending LIMIT signal: did price reach the entry before the TP side and before validUntil?
+ * -> { status: 'FILLED', fill } | { status: 'CANCELLED', outcome } | null while still pending.
+ * A candle that touches both entry and TP is ambiguous -> INVALIDATED (no trade is assumed).
+ * fill.filledAtEpoch is the open of the fill candle, so the outcome walk re-checks its SL.
+ */
+function resolvePendingEntry(signal, candles, nowMs = Date.now(), intervalMs = RESOLVE_INTERVAL_MS) {
+    if (!signal || !candles || !candles.length || !isPending(signal)) return null;
+    const startMs = signalStartMs(signal);
+    if (isNaN(startMs)) return null;
+    const expiryMs = pendingExpiryMs(signal);
+    const isLong = signal.direction === 'LONG';
+    const cancel = (reason, atMs) => ({
+        status: 'CANCELLED',
+        outcome: { status: 'CANCELLED', reason, exitPrice: null, r: 0, resolvedAt: new Date(atMs).toISOString(), resolvedAtEpoch: Math.floor(atMs / 1000) }
+    });
+
+    for (const c of candles) {
+        const closeMs = c.t + intervalMs;
+        if (c.t < startMs) continue;
+        if (closeMs > nowMs) break;
+
+        const touched = isLong ? c.low <= signal.entry : c.high >= signal.entry;
+        const tp = firstTarget(signal);
+        const tpHit = isLong ? c.high >= tp : c.low <= tp;
+        if (tpHit) return cancel('INVALIDATED', closeMs);
+        if (touched) {
+            return { status: 'FILLED', fill: { price: +signal.entry, filledAt: new Date(c.t).toISOString(), filledAtEpoch: Math.floor(c.t / 1000) } };
+        }
+        if (closeMs >= expiryMs) return cancel('NOT_FILLED', closeMs);
+    }
+    return null;
+}
+
+/**
+ * Walk candles that opened after the signal was sent (or filled) through its targets (signalTargets).
+ * -> { outcome (null while still open), exits: [{ label, price, fraction, r, at, atEpoch }] } | null
+ * If the stop and a target are both inside the same candle we cannot know the order -> the stop wins.
+ * A candle that reaches a target is not checked against the moved (break-even) stop.
+ */
+function walkSignal(signal, candles, nowMs = Date.now(), intervalMs = RESOLVE_INTERVAL_MS) {
+    if (!signal || !candles || !candles.length || isPending(signal)) return null;
+    const startMs = signalStartMs(signal);
+    if (isNaN(startMs)) return null;
+    const expiryMs = startMs + SIGNAL_EXPIRY_SECONDS * 1000;
+    const isLong = signal.direction === 'LONG';
+    const targets = signalTargets(signal);
+    const trail = !!(signal.ladder && signal.ladder.trailToBreakeven);
+
+    const exits = [];
+    let stop = signal.sl, next = 0, remaining = 1;
+    const book = (label, price, fraction, atMs) => {
+        exits.push(exitSlice(signal, label, price, fraction, atMs));
+        remaining -= fraction;
+    };
+    const finish = (status, atMs) => ({ outcome: buildExitsOutcome(signal, status, exits, atMs), exits });
+
+    for (const c of candles) {
+        const closeMs = c.t + intervalMs;
+        if (c.t < startMs) continue;
+        if (closeMs > nowMs) break; // candle still forming
+
+        if (isLong ? c.low <= stop : c.high >= stop) {
+            book(next === 0 ? 'SL' : 'BE', stop, remaining, closeMs);
+            return finish(next === 0 ? 'LOSS' : statusForR(blendedR(exits), 'WIN'), closeMs);
+        }
+        while (next < targets.length && (isLong ? c.high >= targets[next].price : c.low <= targets[next].price)) {
+            const t = targets[next++];
+            book(t.label, t.price, next === targets.length ? remaining : t.allocation, closeMs);
+            if (trail) stop = signal.entry;
+        }
+        if (next === targets.length) return finish('WIN', closeMs);
+
+        if (closeMs >= expiryMs) {
+            book('EXPIRY', c.close, remaining, closeMs);
+            return finish(statusForR(blendedR(exits), 'EXPIRED'), closeMs);
+        }
+    }
+    return { outcome: null, exits };
+}
+
+function exitSlice(signal, label, price, fraction, atMs) {
+    return { label, price: +price, fraction: +fraction.toFixed(4), r: achievedR(signal, price), at: new Date(atMs).toISOString(), atEpoch: Math.floor(atMs / 1000) };
+}
+
+function blendedR(exits) {
+    return +exits.reduce((a, e) => a + e.fraction * e.r, 0).toFixed(2);
+}
+
+function statusForR(r, otherwise) {
+    return Math.abs(r) <= BREAKEVEN_R_BAND ? 'BREAKEVEN' : otherwise;
+}
+
+// single-target signals keep the plain outcome shape; ladders add the slices
+function buildExitsOutcome(signal, status, exits, atMs) {
+    const last = exits[exits.length - 1];
+    const outcome = buildOutcome(signal, status, last.price, atMs);
+    if (signal.ladder) {
+        outcome.r = blendedR(exits);
+        outcome.exits = exits;
+    }
+    return outcome;
+}
+
+/**
+ * A signal still open at atMs (e.g. the backtest data ended): the part not booked by walkSignal (exits) is
+ * closed at price, so targets already hit keep their R. Same outcome shape as a resolved signal.
+ */
+function markToMarket(signal, exits, price, atMs, status = 'OPEN_AT_END') {
+    const remaining = 1 - exits.reduce((a, e) => a + e.fraction, 0);
+    return buildExitsOutcome(signal, status, [...exits, exitSlice(signal, 'MARK', price, remaining, atMs)], atMs);
+}
+
+/**
+ * Decide what happened to an open signal. Returns null while the signal is still open.
+ * Single TP: SL before TP -> LOSS, TP -> WIN, still open after SIGNAL_EXPIRY_SECONDS -> EXPIRED / BREAKEVEN.
+ */
+function resolveSignalOutcome(signal, candles, nowMs = Date.now(), intervalMs = RESOLVE_INTERVAL_MS) {
+    const walk = walkSignal(signal, candles, nowMs, intervalMs);
+    return walk ? walk.outcome : null;
+}
+
+/**
+ * Open (filled) signal: first closed candle that reached the halfway price before any SL touch.
+ * -> { price, reachedAt, reachedAtEpoch } | null (not yet, already flagged, or SL came first)
+ */
+function detectHalfway(signal, candles, nowMs = Date.now(), intervalMs = RESOLVE_INTERVAL_MS) {
+    // a ladder reports TP1 instead (partials), which is the break-even cue
+    if (!signal || !candles || signal.ladder || signal.halfway || signal.outcome || isPending(signal)) return null;
+    const startMs = signalStartMs(signal);
+    if (isNaN(startMs)) return null;
+    const entry = signal.fill ? signal.fill.price : signal.entry;
+    const price = entry + (signal.tp - entry) * HALFWAY_FRACTION;
+    const isLong = signal.direction === 'LONG';
+
+    for (const c of candles) {
+        const closeMs = c.t + intervalMs;
+        if (c.t < startMs) continue;
+        if (closeMs > nowMs) break;
+        if (isLong ? c.low <= signal.sl : c.high >= signal.sl) return null;
+        if (isLong ? c.high >= price : c.low <= price) {
+            return { price: +price, reachedAt: new Date(closeMs).toISOString(), reachedAtEpoch: Math.floor(closeMs / 1000) };
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve every open signal in history (mutates entries in place).
+ * Candles are loaded once per symbol. Pending LIMIT entries are checked first; a fill is resolved
+ * further in the same pass. Returns { filled, halfway, partials, resolved } (cancelled pending signals are in
+ * resolved; halfway and partials only list signals still open after this pass, partials with s.tpHits updated).
+ */
+async function resolveOpenSignals(history, nowMs = Date.now()) {
+    const open = history.filter(h => !h.outcome && (h.direction === 'LONG' || h.direction === 'SHORT'));
+    const bySymbol = {};
+    for (const h of open) (bySymbol[h.symbol] = bySymbol[h.symbol] || []).push(h);
+
+    const filled = [], halfway = [], partials = [], resolved = [];
+    for (const symbol of Object.keys(bySymbol)) {
+        const signals = bySymbol[symbol];
+        const oldest = Math.min(...signals.map(signalStartMs));
+        const limit = Math.min(MAX_RESOLVE_CANDLES, Math.ceil((nowMs - oldest) / RESOLVE_INTERVAL_MS) + 2);
+        let candles;
+        try {
+            candles = await loadCandles(symbol, RESOLVE_INTERVAL, limit);
+        } catch (e) {
+            console.warn(`Outcome candles failed for ${symbol}: ${e.message}`);
+            continue;
+        }
+        for (const s of signals) {
+            if (isPending(s)) {
+                const entry = resolvePendingEntry(s, candles, nowMs);
+                if (!entry) continue;
+                if (entry.status === 'CANCELLED') {
+                    s.outcome = entry.outcome;
+                    resolved.push(s);
+                    continue;
+                }
+                s.fill = entry.fill;
+                filled.push(s);
+            }
+            const walk = walkSignal(s, candles, nowMs);
+            if (walk && walk.outcome) {
+                s.outcome = walk.outcome;
+                resolved.push(s);
+                continue;
+            }
+            if (walk && s.ladder && walk.exits.length > (s.tpHits || []).length) {
+                s.tpHits = walk.exits;
+                partials.push(s);
+                continue;
+            }
+            const mark = detectHalfway(s, candles, nowMs);
+            if (mark) {
+                s.halfway = mark;
+                halfway.push(s);
+            }
+        }
+    }
+    return { filled, halfway, partials, resolved };
+}
+
+/**
+ * Open signals created more than maxAgeSeconds ago, closed as CANCELLED (STALE): the resolver never got candles
+ * for them. Mutates and returns them (r 0, no exit price: paper positions following them are dropped, stats skip them).
+ */
+function expireStaleSignals(history, maxAgeSeconds, nowMs = Date.now()) {
+    const stale = history.filter(s => !s.outcome && nowMs - createdMs(s) > maxAgeSeconds * 1000);
+    for (const s of stale) {
+        s.outcome = { status: 'CANCELLED', reason: 'STALE', exitPrice: null, r: 0, resolvedAt: new Date(nowMs).toISOString(), resolvedAtEpoch: Math.floor(nowMs / 1000) };
+    }
+    return stale;
+}
+
+// ----------------- Running stats -----------------
+function confidenceBucket(conf) {
+    const c = Math.max(0, Math.min(99, Math.floor(Number(conf) || 0)));
+    const lo = Math.floor(c / 10) * 10;
+    return `${lo}-${lo + 9}`;
+}
+
+function emptyBucket() {
+    return { count: 0, wins: 0, losses: 0, breakeven: 0, expired: 0, totalR: 0 };
+}
+
+function emptyStats() {
+    return { overall: emptyBucket(), bySymbol: {}, byDirection: {}, byConfidence: {}, byTPMultiplier: {}, byStrategy: {}, updatedAt: null };
+}
+
+function addToBucket(bucket, outcome) {
+    bucket.count++;
+    if (outcome.status === 'WIN') bucket.wins++;
+    else if (outcome.status === 'LOSS') bucket.losses++;
+    else if (outcome.status === 'BREAKEVEN') bucket.breakeven++;
+    else bucket.expired++;
+    bucket.totalR = +(bucket.totalR + (outcome.r || 0)).toFixed(4);
+}
+
+// cancelled limit entries never became trades and stay out of the stats
+function applyOutcomeToStats(stats, signal) {
+    const s = stats || emptyStats();
+    const o = signal.outcome;
+    if (!o || o.status === 'CANCELLED') return s;
+    if (!s.byStrategy) s.byStrategy = {}; // stats saved before strategies existed
+    const tpKey = String(signal.meta && signal.meta.chosenTPMultiplier !== undefined ? signal.meta.chosenTPMultiplier : 'n/a');
+    const groups = [
+        [s.bySymbol, signal.symbol],
+        [s.byDirection, signal.direction],
+        [s.byConfidence, confidenceBucket(signal.confidence)],
+        [s.byTPMultiplier, tpKey],
+        [s.byStrategy, signal.strategy || DEFAULT_STRATEGY]
+    ];
+    addToBucket(s.overall, o);
+    for (const [group, key] of groups) {
+        if (!group[key]) group[key] = emptyBucket();
+        addToBucket(group[key], o);
+    }
+    s.updatedAt = new Date().toISOString();
+    return s;
+}
+
+// win rate counts only decided trades (WIN vs LOSS); avg R is over every resolved signal
+function summarizeBucket(b) {
+    const decided = b.wins + b.losses;
+    return {
+        count: b.count,
+        winRate: decided ? +((b.wins / decided) * 100).toFixed(1) : null,
+        avgR: b.count ? +(b.totalR / b.count).toFixed(2) : null
+    };
+}
+
+module.exports = {
+    SIGNAL_EXPIRY_SECONDS,
+    PENDING_ENTRY_EXPIRY_SECONDS,
+    HALFWAY_FRACTION,
+    resolvePendingEntry,
+    detectHalfway,
+    walkSignal,
+    resolveSignalOutcome,
+    markToMarket,
+    resolveOpenSignals,
+    expireStaleSignals,
+    emptyStats,
+    applyOutcomeToStats,
+    summarizeBucket,
+    confidenceBucket
+};
@@ -0,0 +1,205 @@
+const { computePosition } = require('./sizing');
+
+/**
+ * paper.js
+ * - Simulated (paper) account per user: balance, open / pending positions, closed trade history
+ * - Positions follow a sent signal: opened at the signal entry (MARKET: + slippage, LIMIT: pending until the
+ *   signal fills), closed when the outcome resolver settles the signal (TP / SL / expiry on later candles)
+ * - TP ladder signals close slice by slice: each target the resolver reports books its share of the position
+ * - Size from sizing.computePosition with the paper balance and the user's risk % / leverage
+ * - Fees on both sides; slippage on market entries and on SL / expiry exits (TP rests as a limit order)
+ * - PAPER_START_BALANCE (USDT, default 1000), PAPER_FEE_PERCENT (per side, default 0.04), PAPER_SLIPPAGE_PERCENT (default 0.02)
+ *
+ * Account functions mutate the account passed in (used inside storage updaters).
+ */
+
+const START_BALANCE = Number(process.env.PAPER_START_BALANCE) || 1000;
+const FEE_RATE = (process.env.PAPER_FEE_PERCENT !== undefined && process.env.PAPER_FEE_PERCENT !== '' ? Number(process.env.PAPER_FEE_PERCENT) : 0.04) / 100;
+const SLIPPAGE_RATE = (process.env.PAPER_SLIPPAGE_PERCENT !== undefined && process.env.PAPER_SLIPPAGE_PERCENT !== '' ? Number(process.env.PAPER_SLIPPAGE_PERCENT) : 0.02) / 100;
+const MAX_TRADE_HISTORY = 200;
+const BALANCE_RANGE = [10, 1e9]; // USDT, /resetpaper <balance>
+
+function emptyPaperAccount(balance = START_BALANCE) {
+    return {
+        balance,
+        startingBalance: balance,
+        autoFollow: false,
+        positions: [], // { signalId, symbol, direction, strategy, status: 'PENDING' | 'OPEN', entry, sl, tp, qty, margin, fees, ... }
+        trades: [], // closed, newest last
+        resetAt: new Date().toISOString()
+    };
+}
+
+// ----------------- Prices -----------------
+// adverse slippage: buying pays more, selling gets less
+function slipped(price, side) {
+    return side === 'BUY' ? price * (1 + SLIPPAGE_RATE) : price * (1 - SLIPPAGE_RATE);
+}
+
+function entrySide(direction) {
+    return direction === 'LONG' ? 'BUY' : 'SELL';
+}
+
+function exitSide(direction) {
+    return direction === 'LONG' ? 'SELL' : 'BUY';
+}
+
+function usedMargin(account) {
+    return account.positions.reduce((a, p) => a + p.margin, 0);
+}
+
+function activate(position, price, atIso, withSlippage) {
+    position.status = 'OPEN';
+    position.entry = withSlippage ? slipped(price, entrySide(position.direction)) : price;
+    position.fees = position.qty * position.entry * FEE_RATE;
+    position.openedAt = atIso;
+}
+
+// ----------------- Account changes -----------------
+/**
+ * Follow a signal. sizing: { riskPercent, leverage } from the user's account settings.
+ * -> { ok: true, position } | { ok: false, reason: 'closed' | 'duplicate' | 'sizing' | 'margin' } (text in the catalogs: paper.reject.<reason>)
+ */
+function openPaperPosition(account, signal, sizing = {}) {
+    if (signal.outcome) return { ok: false, reason: 'closed' };
+    if (account.positions.some(p => p.signalId === signal.id)) return { ok: false, reason: 'duplicate' };
+    const pos = computePosition(signal, { ...sizing, balance: account.balance });
+    if (!pos) return { ok: false, reason: 'sizing' };
+    if (usedMargin(account) + pos.margin > account.balance) return { ok: false, reason: 'margin' };
+
+    const position = {
+        signalId: signal.id,
+        symbol: signal.symbol,
+        direction: signal.direction,
+        strategy: signal.strategy || null,
+        status: 'PENDING',
+        entry: +signal.entry,
+        sl: +signal.sl,
+        tp: +signal.tp,
+        qty: pos.qty,
+        margin: pos.margin,
+        leverage: pos.leverage,
+        riskUsd: pos.riskUsd,
+        fees: 0,
+        booked: 0, // exit slices already booked (TP ladder)
+        realized: 0, // gross P&L of booked slices
+        exitValue: 0, // sum of price x fraction of booked slices
+        followedAt: new Date().toISOString(),
+        openedAt: null
+    };
+    const isPendingLimit = signal.orderType === 'LIMIT' && !signal.fill;
+    if (!isPendingLimit) {
+        // a filled LIMIT rested at its price; a MARKET entry crosses the spread
+        const filledAsLimit = signal.orderType === 'LIMIT';
+        activate(position, signal.fill ? signal.fill.price : +signal.entry, signal.fill ? signal.fill.filledAt : position.followedAt, !filledAsLimit);
+        account.balance -= position.fees;
+    }
+    account.positions.push(position);
+    return { ok: true, position };
+}
+
+// signal got its LIMIT fill -> pending paper orders become open positions
+function fillPaperPosition(account, signal) {
+    const position = account.positions.find(p => p.signalId === signal.id && p.status === 'PENDING');
+    if (!position || !signal.fill) return null;
+    activate(position, signal.fill.price, signal.fill.filledAt, false);
+    account.balance -= position.fees;
+    return position;
+}
+
+// outcome -> exit slices ({ label, price, fraction }); single-TP outcomes are one slice
+function outcomeExits(o) {
+    if (o.exits) return o.exits;
+    return [{ label: o.status === 'WIN' ? 'TP' : o.status === 'LOSS' ? 'SL' : 'EXPIRY', price: o.exitPrice, fraction: 1 }];
+}
+
+// book the slices after position.booked; targets rest as limit orders, other exits slip
+function bookExits(account, position, exits) {
+    const booked = [];
+    // positions opened before ladders have no slice bookkeeping
+    if (position.booked === undefined) Object.assign(position, { booked: 0, realized: 0, exitValue: 0 });
+    for (const e of exits.slice(position.booked)) {
+        const price = e.label.startsWith('TP') ? e.price : slipped(e.price, exitSide(position.direction));
+        const qty = position.qty * e.fraction;
+        const move = position.direction === 'LONG' ? price - position.entry : position.entry - price;
+        const fee = qty * price * FEE_RATE;
+        position.realized += move * qty;
+        position.fees += fee;
+        position.exitValue += price * e.fraction;
+        position.booked++;
+        account.balance += move * qty - fee; // entry fee was paid on open
+        booked.push({ label: e.label, price, fraction: e.fraction, pnl: move * qty - fee });
+    }
+    return booked;
+}
+
+/**
+ * Ladder target(s) hit while the rest is still open (signal.tpHits) -> book those slices.
+ * -> [{ label, price, fraction, pnl }] newly booked
+ */
+function reducePaperPosition(account, signal) {
+    const position = account.positions.find(p => p.signalId === signal.id && p.status === 'OPEN');
+    if (!position || !signal.tpHits) return [];
+    return bookExits(account, position, signal.tpHits);
+}
+
+/**
+ * Signal resolved -> close (or drop, when cancelled / never filled) the position that follows it.
+ * -> the closed trade, or null
+ */
+function closePaperPosition(account, signal) {
+    const idx = account.positions.findIndex(p => p.signalId === signal.id);
+    const o = signal.outcome;
+    if (idx === -1 || !o) return null;
+    const position = account.positions[idx];
+    account.positions.splice(idx, 1);
+    if (position.status === 'PENDING' || o.status === 'CANCELLED' || !(o.exitPrice > 0)) return null;
+
+    bookExits(account, position, outcomeExits(o));
+    const pnl = position.realized - position.fees;
+    const trade = {
+        ...position,
+        status: o.status,
+        exitPrice: position.exitValue, // average over the slices
+        pnl,
+        r: position.riskUsd > 0 ? +(pnl / position.riskUsd).toFixed(2) : 0,
+        closedAt: o.resolvedAt
+    };
+    for (const k of ['margin', 'booked', 'realized', 'exitValue']) delete trade[k];
+    account.trades.push(trade);
+    if (account.trades.length > MAX_TRADE_HISTORY) account.trades.splice(0, account.trades.length - MAX_TRADE_HISTORY);
+    return trade;
+}
+
+// ----------------- Summary -----------------
+function summarizePaper(account) {
+    const trades = account.trades;
+    const wins = trades.filter(t => t.pnl > 0).length;
+    const realized = account.balance - account.startingBalance;
+    return {
+        balance: account.balance,
+        startingBalance: account.startingBalance,
+        pnl: realized,
+        pnlPercent: account.startingBalance > 0 ? realized / account.startingBalance * 100 : 0,
+        fees: trades.reduce((a, t) => a + t.fees, 0) + account.positions.reduce((a, p) => a + p.fees, 0),
+        trades: trades.length,
+        wins,
+        winRate: trades.length ? +(wins / trades.length * 100).toFixed(1) : null,
+        open: account.positions.filter(p => p.status === 'OPEN').length,
+        pending: account.positions.filter(p => p.status === 'PENDING').length,
+        usedMargin: usedMargin(account)
+    };
+}
+
+module.exports = {
+    START_BALANCE,
+    BALANCE_RANGE,
+    FEE_RATE,
+    SLIPPAGE_RATE,
+    emptyPaperAccount,
+    openPaperPosition,
+    fillPaperPosition,
+    reducePaperPosition,
+    closePaperPosition,
+    summarizePaper
+};
@@ -0,0 +1,131 @@
+const { DEFAULT_STRATEGY, getStrategy } = require('./strategies');
+const { getConfig } = require('./config');
+const { getLocale } = require('./i18n');
+
+/**
+ * preferences.js
+ * - Per-user signal filters stored on the user record (users.json -> users[chatId].prefs)
+ * - watchlist (empty = all coins), minConfidence, direction (long / short / both), quiet hours (in the user's /timezone),
+ *   strategies (null = only the default strategy), muted coins (symbol -> until epoch, from the signal buttons)
+ */
+
+const DEFAULT_PREFS = {
+    watchlist: [],
+    minConfidence: null, // null -> global threshold
+    direction: 'both',
+    quiet: null, // { start: 'HH:mm', end: 'HH:mm' }
+    strategies: null, // ['physics-scalp', 'breakout'], null -> [DEFAULT_STRATEGY]
+    muted: {} // { SOLUSDT: epochSeconds } -> no signals for that coin until then
+};
+
+const MUTE_SECONDS = 24 * 60 * 60;
+
+// signals below the global threshold (config.minConfidence) are never sent anyway
+function minConfidenceFloor() {
+    return getConfig().minConfidence;
+}
+
+function getPrefs(user) {
+    return { ...DEFAULT_PREFS, ...((user && user.prefs) || {}) };
+}
+
+// "sol eth, BTCUSDT" -> ['SOLUSDT', 'ETHUSDT', 'BTCUSDT']
+function parseSymbols(text) {
+    return String(text || '')
+        .split(/[\s,]+/)
+        .map(s => s.trim().toUpperCase().replace(/^#/, ''))
+        .filter(Boolean)
+        .map(s => s.endsWith('USDT') ? s : `${s}USDT`);
+}
+
+function parseClock(str) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(str).trim());
+    if (!m) return null;
+    const h = Number(m[1]), min = Number(m[2]);
+    if (h > 23 || min > 59) return null;
+    return `${String(h).padStart(2, '0')}:${m[2]}`;
+}
+
+// "23:00-07:00" -> { start: '23:00', end: '07:00' }, invalid -> null
+function parseQuietRange(text) {
+    const parts = String(text || '').split('-');
+    if (parts.length !== 2) return null;
+    const start = parseClock(parts[0]);
+    const end = parseClock(parts[1]);
+    if (!start || !end || start === end) return null;
+    return { start, end };
+}
+
+function toMinutes(clock) {
+    const [h, m] = clock.split(':').map(Number);
+    return h * 60 + m;
+}
+
+// localTime: moment in the user's timezone; ranges may wrap past midnight
+function isQuietTime(prefs, localTime) {
+    if (!prefs.quiet) return false;
+    const now = localTime.hours() * 60 + localTime.minutes();
+    const start = toMinutes(prefs.quiet.start);
+    const end = toMinutes(prefs.quiet.end);
+    if (start < end) return now >= start && now < end;
+    return now >= start || now < end;
+}
+
+function isMuted(prefs, symbol, nowEpoch = Math.floor(Date.now() / 1000)) {
+    return (prefs.muted[symbol] || 0) > nowEpoch;
+}
+
+// muted map with symbol muted for `seconds` from now; expired entries are dropped
+function muteSymbol(prefs, symbol, seconds = MUTE_SECONDS, nowEpoch = Math.floor(Date.now() / 1000)) {
+    const muted = {};
+    for (const [s, until] of Object.entries(prefs.muted)) if (until > nowEpoch) muted[s] = until;
+    muted[symbol] = nowEpoch + seconds;
+    return muted;
+}
+
+function subscribedStrategies(prefs) {
+    return prefs.strategies || [DEFAULT_STRATEGY];
+}
+
+function matchesPrefs(user, signal, vnTime) {
+    const prefs = getPrefs(user);
+    if (!subscribedStrategies(prefs).includes(signal.strategy || DEFAULT_STRATEGY)) return false;
+    if (prefs.watchlist.length && !prefs.watchlist.includes(signal.symbol)) return false;
+    if (prefs.minConfidence !== null && (signal.confidence || 0) < prefs.minConfidence) return false;
+    if (prefs.direction !== 'both' && signal.direction !== prefs.direction.toUpperCase()) return false;
+    if (isQuietTime(prefs, vnTime.clone().tz(getLocale(user).timezone))) return false;
+    if (isMuted(prefs, signal.symbol, vnTime.unix())) return false;
+    return true;
+}
+
+// L: localeFor(user) from i18n.js
+function describePrefs(prefs, L) {
+    const p = { ...DEFAULT_PREFS, ...prefs };
+    const muted = Object.entries(p.muted).filter(([s]) => isMuted(p, s));
+    const quiet = p.quiet ? L.t('prefs.quietRange', { start: p.quiet.start, end: p.quiet.end, timezone: L.timezone }) : L.t('common.off');
+    const mutedText = muted.length
+        ? muted.map(([s, until]) => L.t('prefs.mutedUntil', { coin: s.replace('USDT',''), time: L.time(until * 1000) })).join(', ')
+        : L.t('common.none');
+    return `${L.t('prefs.title')}\n\n` +
+        `${L.t('prefs.watchlist', { value: p.watchlist.length ? p.watchlist.map(s => s.replace('USDT','')).join(', ') : L.t('prefs.allCoins') })}\n` +
+        `${L.t('prefs.minConfidence', { value: p.minConfidence !== null ? p.minConfidence + '%' : L.t('prefs.defaultConfidence', { value: minConfidenceFloor() }) })}\n` +
+        `${L.t('prefs.direction', { value: p.direction === 'both' ? 'LONG & SHORT' : p.direction.toUpperCase() })}\n` +
+        `${L.t('prefs.quiet', { value: quiet })}\n` +
+        `${L.t('prefs.strategies', { value: subscribedStrategies(p).map(n => (getStrategy(n) || { label: n }).label).join(', ') })}\n` +
+        `${L.t('prefs.muted', { value: mutedText })}\n\n` +
+        L.t('prefs.commands');
+}
+
+module.exports = {
+    minConfidenceFloor,
+    getPrefs,
+    parseSymbols,
+    parseQuietRange,
+    isQuietTime,
+    isMuted,
+    muteSymbol,
+    MUTE_SECONDS,
+    subscribedStrategies,
+    matchesPrefs,
+    describePrefs
+};
@@ -0,0 +1,136 @@
+const { ema, atr } = require('./indicators');
+
+/**
+ * probability.js
+ * - p(price reaches k×ATR before the stop) for every TP candidate, instead of one p for all targets
+ * - Calibrated per symbol from historical M15 excursions: for each past bar, how far price went in favour
+ *   (MFE, in ATR) before it went stopDistance against (MAE) within the holding horizon
+ * - Conditioned on regime: trend 'with' or 'against' the trade direction (EMA 8 vs EMA 34)
+ * - Prior: driftless random walk p0(k) = sl / (sl + k), blended in as pseudo-samples when data is thin
+ * - The heuristic p from estimatePWin shifts the empirical curve in logit space (bounded)
+ * - Calibration quality: Brier score / log loss on a chronological holdout vs. a no-skill baseline
+ */
+
+// ----------------- Config -----------------
+const HORIZON_BARS = 16; // 16 x M15 = 4h, same as the outcome expiry
+const ATR_PERIOD = 14;
+const PRIOR_WEIGHT = 20; // pseudo-samples of the random-walk prior
+const HEURISTIC_WEIGHT = 0.25; // logit shift per unit of heuristic logit
+const MAX_HEURISTIC_SHIFT = 1.0;
+const HOLDOUT_FRACTION = 0.3;
+const P_FLOOR = 0.01, P_CEIL = 0.99;
+
+// ----------------- Helpers -----------------
+function clampP(p) {
+    return Math.max(P_FLOOR, Math.min(P_CEIL, p));
+}
+
+function logit(p) {
+    const q = clampP(p);
+    return Math.log(q / (1 - q));
+}
+
+function sigmoid(x) {
+    return 1 / (1 + Math.exp(-x));
+}
+
+// ----------------- Excursion samples -----------------
+/**
+ * One sample per (bar, direction): MFE in ATR reached before the stop was touched.
+ * A bar that touches the stop does not count its favourable extreme (order inside the bar is unknown).
+ */
+function collectExcursions(candles, slMultiplier, horizon = HORIZON_BARS) {
+    const closes = candles.map(c => c.close);
+    const fast = ema(closes, 8);
+    const slow = ema(closes, 34);
+    const atrs = atr(candles, ATR_PERIOD);
+    const samples = [];
+    for (let i = 0; i + horizon < candles.length; i++) {
+        if (atrs[i] === null || atrs[i] <= 0 || fast[i] === null || slow[i] === null) continue;
+        const entry = closes[i];
+        const stop = slMultiplier * atrs[i];
+        for (const dir of ['LONG', 'SHORT']) {
+            let mfe = 0;
+            for (let j = i + 1; j <= i + horizon; j++) {
+                const c = candles[j];
+                const adverse = dir === 'LONG' ? entry - c.low : c.high - entry;
+                if (adverse >= stop) break;
+                const favour = dir === 'LONG' ? c.high - entry : entry - c.low;
+                mfe = Math.max(mfe, favour / atrs[i]);
+            }
+            const bullish = fast[i] > slow[i];
+            const regime = (dir === 'LONG') === bullish ? 'with' : 'against';
+            samples.push({ dir, regime, mfe });
+        }
+    }
+    return samples;
+}
+
+// ----------------- Estimation -----------------
+function priorP(k, slMultiplier) {
+    return slMultiplier / (slMultiplier + k);
+}
+
+// shrunk hit rate of mfe >= k among matching samples
+function hitRate(samples, k, slMultiplier) {
+    const hits = samples.filter(s => s.mfe >= k).length;
+    return (hits + PRIOR_WEIGHT * priorP(k, slMultiplier)) / (samples.length + PRIOR_WEIGHT);
+}
+
+function select(samples, dir, regime) {
+    return samples.filter(s => s.dir === dir && s.regime === regime);
+}
+
+// Brier / log loss of the fitted curve on later samples; baseline = the random-walk prior alone
+function calibrationQuality(samples, targets, slMultiplier) {
+    const cut = Math.floor(samples.length * (1 - HOLDOUT_FRACTION));
+    const train = samples.slice(0, cut);
+    const test = samples.slice(cut);
+    if (train.length < 20 || test.length < 10) return { samples: samples.length, holdout: test.length, brier: null, logLoss: null, skill: null };
+    let brier = 0, brierRef = 0, logLoss = 0, n = 0;
+    for (const s of test) {
+        const group = select(train, s.dir, s.regime);
+        for (const k of targets) {
+            const p = clampP(hitRate(group, k, slMultiplier));
+            const pRef = clampP(priorP(k, slMultiplier));
+            const y = s.mfe >= k ? 1 : 0;
+            brier += (p - y) ** 2;
+            brierRef += (pRef - y) ** 2;
+            logLoss += -(y * Math.log(p) + (1 - y) * Math.log(1 - p));
+            n++;
+        }
+    }
+    return {
+        samples: samples.length,
+        holdout: test.length,
+        brier: +(brier / n).toFixed(4),
+        logLoss: +(logLoss / n).toFixed(4),
+        // > 0: better than the random-walk prior, < 0: worse
+        skill: brierRef > 0 ? +(1 - brier / brierRef).toFixed(3) : null
+    };
+}
+
+/**
+ * candles: M15 history of the symbol; direction: LONG / SHORT; trend: current M15 trend
+ * opts: { targets: [k...], slMultiplier, heuristicP }
+ * -> { probabilities: [p per target], regime, empirical: [p before heuristic shift], calibration }
+ */
+function estimateTargetProbabilities(candles, direction, trend, opts) {
+    const { targets, slMultiplier, heuristicP } = opts;
+    const samples = collectExcursions(candles, slMultiplier);
+    const regime = (direction === 'LONG' && trend === 'bullish') || (direction === 'SHORT' && trend === 'bearish') ? 'with' : 'against';
+    const group = select(samples, direction, regime);
+    const empirical = targets.map(k => hitRate(group, k, slMultiplier));
+    const shift = heuristicP === undefined ? 0
+        : Math.max(-MAX_HEURISTIC_SHIFT, Math.min(MAX_HEURISTIC_SHIFT, HEURISTIC_WEIGHT * logit(heuristicP)));
+    const probabilities = empirical.map(p => clampP(sigmoid(logit(p) + shift)));
+    return {
+        probabilities,
+        empirical,
+        regime,
+        regimeSamples: group.length,
+        calibration: calibrationQuality(samples, targets, slMultiplier)
+    };
+}
+
+module.exports = { estimateTargetProbabilities, collectExcursions };
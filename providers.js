@@ -0,0 +1,170 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * providers.js
+ * - Candle data providers, all normalized to { t, open, high, low, close, vol } (oldest first, vol in the base asset)
+ * - Provider interface: { name, loadCandles(symbol, interval, limit) -> Promise<candles[]> }
+ * - Built-in: binance-futures (default), binance-spot, bybit, okx, file
+ * - Selection: CANDLE_PROVIDER (global) + CANDLE_PROVIDER_OVERRIDES="ZECUSDT:bybit,HYPEUSDT:okx" (per symbol)
+ * - Symbols and intervals use the Binance notation (BTCUSDT, 5m / 15m / 1h); each provider maps them
+ */
+
+const HTTP_OPTIONS = {
+    timeout: 10000,
+    headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ScalperBot/1.0)' }
+};
+
+function toCandle(row) {
+    if (Array.isArray(row)) {
+        return { t: Number(row[0]), open: parseFloat(row[1]), high: parseFloat(row[2]), low: parseFloat(row[3]), close: parseFloat(row[4]), vol: parseFloat(row[5]) };
+    }
+    return { t: Number(row.t), open: +row.open, high: +row.high, low: +row.low, close: +row.close, vol: +row.vol };
+}
+
+// ----------------- Binance (futures & spot share the kline format) -----------------
+function binanceProvider(name, baseUrl) {
+    return {
+        name,
+        async loadCandles(symbol, interval, limit = 500) {
+            const url = `${baseUrl}?symbol=${symbol}&interval=${interval}&limit=${limit}`;
+            const resp = await axios.get(url, HTTP_OPTIONS);
+            if (!resp.data || !Array.isArray(resp.data)) throw new Error(`Invalid candle response for ${symbol} ${interval}`);
+            // Binance returns [ openTime, open, high, low, close, vol, ... ]
+            return resp.data.map(toCandle);
+        }
+    };
+}
+
+// ----------------- Bybit v5 (linear perpetuals) -----------------
+const BYBIT_INTERVALS = { '1m': '1', '5m': '5', '15m': '15', '30m': '30', '1h': '60', '4h': '240', '1d': 'D' };
+
+const bybitProvider = {
+    name: 'bybit',
+    async loadCandles(symbol, interval, limit = 500) {
+        const bybitInterval = BYBIT_INTERVALS[interval];
+        if (!bybitInterval) throw new Error(`Bybit: unsupported interval ${interval}`);
+        const url = `https://api.bybit.com/v5/market/kline?category=linear&symbol=${symbol}&interval=${bybitInterval}&limit=${Math.min(limit, 1000)}`;
+        const resp = await axios.get(url, HTTP_OPTIONS);
+        const list = resp.data && resp.data.result && resp.data.result.list;
+        if (!resp.data || resp.data.retCode !== 0 || !Array.isArray(list)) {
+            throw new Error(`Invalid Bybit candle response for ${symbol} ${interval}: ${resp.data && resp.data.retMsg}`);
+        }
+        // [ startTime, open, high, low, close, volume, turnover ], newest first
+        return list.map(toCandle).reverse();
+    }
+};
+
+// ----------------- OKX (USDT-margined swaps) -----------------
+const OKX_INTERVALS = { '1m': '1m', '5m': '5m', '15m': '15m', '30m': '30m', '1h': '1H', '4h': '4H', '1d': '1Dutc' };
+
+function okxInstrument(symbol) {
+    // BTCUSDT -> BTC-USDT-SWAP
+    const base = symbol.replace(/USDT$/, '');
+    return `${base}-USDT-SWAP`;
+}
+
+const OKX_PAGE_SIZE = 300; // per request; longer windows page back with `after` (the endpoint keeps the latest 1440 bars)
+
+const okxProvider = {
+    name: 'okx',
+    async loadCandles(symbol, interval, limit = 300) {
+        const bar = OKX_INTERVALS[interval];
+        if (!bar) throw new Error(`OKX: unsupported interval ${interval}`);
+        const rows = [];
+        let after = null;
+        while (rows.length < limit) {
+            const size = Math.min(OKX_PAGE_SIZE, limit - rows.length);
+            const url = `https://www.okx.com/api/v5/market/candles?instId=${okxInstrument(symbol)}&bar=${bar}&limit=${size}${after ? `&after=${after}` : ''}`;
+            const resp = await axios.get(url, HTTP_OPTIONS);
+            if (!resp.data || resp.data.code !== '0' || !Array.isArray(resp.data.data)) {
+                throw new Error(`Invalid OKX candle response for ${symbol} ${interval}: ${resp.data && resp.data.msg}`);
+            }
+            // [ ts, open, high, low, close, vol, volCcy, volCcyQuote, confirm ], newest first
+            // vol counts contracts on swaps; volCcy is the base asset, the unit Binance / Bybit report
+            const page = resp.data.data.map(row => [...row.slice(0, 5), row[6]]);
+            rows.push(...page);
+            if (page.length < size) break; // no older data
+            after = page[page.length - 1][0];
+        }
+        return rows.map(toCandle).reverse();
+    }
+};
+
+// ----------------- Local files / fixtures -----------------
+// <dir>/<SYMBOL>_<interval>.json (kline arrays or candle objects) or .csv (open time, o, h, l, c, vol)
+function readCandleFile(dataDir, symbol, interval) {
+    const base = path.join(dataDir, `${symbol}_${interval}`);
+    if (fs.existsSync(`${base}.json`)) {
+        const rows = JSON.parse(fs.readFileSync(`${base}.json`, 'utf8'));
+        if (!Array.isArray(rows)) throw new Error(`Invalid candle file ${base}.json`);
+        return rows.map(toCandle).sort((a,b) => a.t - b.t);
+    }
+    if (fs.existsSync(`${base}.csv`)) {
+        const lines = fs.readFileSync(`${base}.csv`, 'utf8').split(/\r?\n/).filter(l => l.trim());
+        const rows = lines.map(l => l.split(',')).filter(cols => !isNaN(Number(cols[0])));
+        return rows.map(toCandle).sort((a,b) => a.t - b.t);
+    }
+    return null;
+}
+
+function fileProvider(dataDir) {
+    return {
+        name: 'file',
+        async loadCandles(symbol, interval, limit = 500) {
+            const candles = readCandleFile(dataDir, symbol, interval);
+            if (!candles) throw new Error(`No candle file for ${symbol} ${interval} in ${dataDir}`);
+            return candles.slice(-limit);
+        }
+    };
+}
+
+// ----------------- Registry & selection -----------------
+const providers = {
+    'binance-futures': binanceProvider('binance-futures', 'https://fapi.binance.com/fapi/v1/klines'),
+    'binance-spot': binanceProvider('binance-spot', 'https://api.binance.com/api/v3/klines'),
+    'bybit': bybitProvider,
+    'okx': okxProvider,
+    'file': fileProvider(process.env.CANDLE_DATA_DIR || path.join(__dirname, 'data'))
+};
+
+let defaultProviderName = process.env.CANDLE_PROVIDER || 'binance-futures';
+const symbolOverrides = {};
+for (const pair of (process.env.CANDLE_PROVIDER_OVERRIDES || '').split(',')) {
+    const [symbol, name] = pair.split(':').map(s => s && s.trim());
+    if (symbol && name) symbolOverrides[symbol.toUpperCase()] = name;
+}
+
+// register a custom provider (must implement loadCandles)
+function registerProvider(name, provider) {
+    if (!provider || typeof provider.loadCandles !== 'function') throw new Error(`Provider ${name} must implement loadCandles`);
+    providers[name] = { name, ...provider };
+}
+
+function setDefaultProvider(name) {
+    if (!providers[name]) throw new Error(`Unknown candle provider: ${name}`);
+    defaultProviderName = name;
+}
+
+function setSymbolProvider(symbol, name) {
+    if (name && !providers[name]) throw new Error(`Unknown candle provider: ${name}`);
+    if (name) symbolOverrides[symbol.toUpperCase()] = name;
+    else delete symbolOverrides[symbol.toUpperCase()];
+}
+
+function getProvider(symbol) {
+    const name = (symbol && symbolOverrides[symbol.toUpperCase()]) || defaultProviderName;
+    const provider = providers[name];
+    if (!provider) throw new Error(`Unknown candle provider: ${name}`);
+    return provider;
+}
+
+module.exports = {
+    getProvider,
+    registerProvider,
+    setDefaultProvider,
+    setSymbolProvider,
+    fileProvider,
+    readCandleFile
+};
@@ -0,0 +1,171 @@
+const moment = require('moment-timezone');
+const { emptyStats, applyOutcomeToStats, summarizeBucket } = require('./outcomes');
+
+/**
+ * reports.js
+ * - Day / week boundaries in Vietnam time: the signal counter rolls over at VN midnight, weeks are ISO (Mon-Sun)
+ * - Report state doc (index.js, reports.json): { day: { date, signals }, sent: { daily: 'YYYY-MM-DD', weekly: 'GGGG-Www' } }
+ *   so the "N trong ngày" index and the report schedule survive restarts
+ * - Daily report for the previous day and weekly report for the previous week, due at config.reports.time;
+ *   a report missed while the bot was down goes out on the next check (only the latest period, no backfill)
+ * - Report: signals per coin and direction, outcomes, win rate / R (outcomes.js buckets), best and worst trades
+ */
+
+const REPORT_TZ = 'Asia/Ho_Chi_Minh';
+const TOP_COINS = 10;
+const TOP_TRADES = 3;
+
+const PERIODS = {
+    daily: { unit: 'day', key: 'YYYY-MM-DD' },
+    weekly: { unit: 'isoWeek', key: 'GGGG-[W]WW' }
+};
+
+function emptyReportState() {
+    return { day: { date: null, signals: 0 }, sent: {} };
+}
+
+function dayKey(now) {
+    return moment(now).tz(REPORT_TZ).format(PERIODS.daily.key);
+}
+
+// ----------------- Day counter -----------------
+function signalsToday(state, now) {
+    return state.day && state.day.date === dayKey(now) ? state.day.signals : 0;
+}
+
+// mutates state; -> index of the new signal within its (VN) day
+function bumpDayCounter(state, now) {
+    const date = dayKey(now);
+    if (!state.day || state.day.date !== date) state.day = { date, signals: 0 };
+    state.day.signals++;
+    return state.day.signals;
+}
+
+// ----------------- Periods -----------------
+// kind: 'daily' | 'weekly'; offset 0 = the current (unfinished) period, -1 = the previous one
+// -> { kind, key, start, end } (moments in REPORT_TZ, end exclusive)
+function reportPeriod(kind, now, offset = 0) {
+    if (!Object.prototype.hasOwnProperty.call(PERIODS, kind)) throw new Error(`Unknown report period: ${kind}`);
+    const { unit, key } = PERIODS[kind];
+    const start = moment(now).tz(REPORT_TZ).startOf(unit).add(offset, unit === 'day' ? 'days' : 'weeks');
+    const end = start.clone().add(1, unit === 'day' ? 'days' : 'weeks');
+    return { kind, key: start.format(key), start, end };
+}
+
+/**
+ * settings: config.reports { daily, weekly, time: 'HH:mm' }. Mutates state.sent and returns the periods to send now.
+ * A kind seen for the first time only records its marker, so a fresh install does not report a day it never tracked.
+ */
+function takeDueReports(state, settings, now) {
+    const due = [];
+    const [h, m] = settings.time.split(':').map(Number);
+    if (!state.sent) state.sent = {};
+    for (const kind of Object.keys(PERIODS)) {
+        if (!settings[kind]) continue;
+        const current = reportPeriod(kind, now, 0);
+        if (moment(now).isBefore(current.start.clone().add(h, 'hours').add(m, 'minutes'))) continue;
+        const previous = reportPeriod(kind, now, -1);
+        if (state.sent[kind] === previous.key) continue;
+        if (state.sent[kind]) due.push(previous);
+        state.sent[kind] = previous.key;
+    }
+    return due;
+}
+
+// ----------------- Report -----------------
+function tradeOf(s) {
+    return { id: s.id, symbol: s.symbol, direction: s.direction, strategy: s.strategy, status: s.outcome.status, r: s.outcome.r || 0, createdAt: s.createdAt };
+}
+
+/**
+ * signals: history records created in the period (any status); period from reportPeriod
+ * -> { kind, key, start, end, signals, byDirection, coins: [{ symbol, count, long, short, resolved, totalR }],
+ *      outcomes: { WIN, LOSS, BREAKEVEN, EXPIRED, CANCELLED, OPEN }, summary: summarizeBucket, totalR, best, worst }
+ */
+function buildReport(signals, period) {
+    const stats = emptyStats();
+    const byDirection = { LONG: 0, SHORT: 0 };
+    const coins = {};
+    const outcomes = { WIN: 0, LOSS: 0, BREAKEVEN: 0, EXPIRED: 0, CANCELLED: 0, OPEN: 0 };
+    const trades = [];
+    for (const s of signals) {
+        byDirection[s.direction] = (byDirection[s.direction] || 0) + 1;
+        const coin = coins[s.symbol] || (coins[s.symbol] = { symbol: s.symbol, count: 0, long: 0, short: 0, resolved: 0, totalR: 0 });
+        coin.count++;
+        if (s.direction === 'LONG') coin.long++;
+        else coin.short++;
+        const status = s.outcome ? s.outcome.status : 'OPEN';
+        outcomes[status] = (outcomes[status] || 0) + 1;
+        if (!s.outcome || status === 'CANCELLED') continue;
+        applyOutcomeToStats(stats, s);
+        coin.resolved++;
+        coin.totalR = +(coin.totalR + (s.outcome.r || 0)).toFixed(4);
+        trades.push(tradeOf(s));
+    }
+    trades.sort((a, b) => b.r - a.r);
+    return {
+        kind: period.kind,
+        key: period.key,
+        start: period.start.toISOString(),
+        end: period.end.toISOString(),
+        signals: signals.length,
+        byDirection,
+        coins: Object.values(coins).sort((a, b) => b.count - a.count || b.totalR - a.totalR),
+        outcomes,
+        summary: summarizeBucket(stats.overall),
+        totalR: stats.overall.totalR,
+        best: trades.filter(t => t.r > 0).slice(0, TOP_TRADES),
+        worst: trades.filter(t => t.r < 0).reverse().slice(0, TOP_TRADES)
+    };
+}
+
+// ----------------- Text -----------------
+const signedR = (r, L) => `${r > 0 ? '+' : ''}${L.plain(+r.toFixed(2))}R`;
+
+/**
+ * L: localeFor(user) (i18n.js); soFar: report on the unfinished current period (/report)
+ * Period dates stay in Vietnam time (that is where the days are cut), trade times follow the reader's timezone
+ */
+function formatReport(report, L, { soFar = false } = {}) {
+    const date = t => moment(t).tz(REPORT_TZ).format(L.t('format.date'));
+    const title = report.kind === 'daily'
+        ? L.t('report.titleDaily', { date: date(report.start) })
+        : L.t('report.titleWeekly', { from: date(report.start), to: date(moment(report.end).subtract(1, 'ms')) });
+    const lines = [title + (soFar ? L.t('report.soFar', { time: L.time(Date.now(), 'clock') }) : ''), ''];
+    if (!report.signals) {
+        lines.push(L.t('report.empty'));
+        return lines.join('\n');
+    }
+    const o = report.outcomes;
+    const s = report.summary;
+    lines.push(
+        L.t('report.signals', { count: report.signals, long: report.byDirection.LONG || 0, short: report.byDirection.SHORT || 0 }),
+        L.t('report.outcomes', { wins: o.WIN, losses: o.LOSS, breakeven: o.BREAKEVEN, expired: o.EXPIRED, cancelled: o.CANCELLED, open: o.OPEN }),
+        L.t('report.performance', {
+            winRate: s.winRate === null ? 'N/A' : `${L.plain(s.winRate)}%`,
+            totalR: signedR(report.totalR, L),
+            avgR: s.avgR === null ? 'N/A' : signedR(s.avgR, L)
+        }),
+        '',
+        L.t('report.byCoin')
+    );
+    for (const c of report.coins.slice(0, TOP_COINS)) {
+        lines.push(L.t('report.coinRow', { coin: c.symbol.replace('USDT', ''), count: c.count, long: c.long, short: c.short, r: c.resolved ? signedR(c.totalR, L) : '-' }));
+    }
+    if (report.coins.length > TOP_COINS) lines.push(L.t('report.moreCoins', { count: report.coins.length - TOP_COINS }));
+    const tradeRow = t => `  #${t.symbol.replace('USDT', '')} ${t.direction} ${signedR(t.r, L)} · ${L.time(t.createdAt)}`;
+    if (report.best.length) lines.push('', L.t('report.best'), ...report.best.map(tradeRow));
+    if (report.worst.length) lines.push('', L.t('report.worst'), ...report.worst.map(tradeRow));
+    return lines.join('\n');
+}
+
+module.exports = {
+    REPORT_TZ,
+    emptyReportState,
+    signalsToday,
+    bumpDayCounter,
+    reportPeriod,
+    takeDueReports,
+    buildReport,
+    formatReport
+};
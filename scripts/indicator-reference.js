@@ -0,0 +1,75 @@
+/**
+ * indicator-reference.js
+ * - Regenerates the reference series test/indicators.test.js checks indicators.js against
+ * - Seeded 1h OHLCV series (Park-Miller LCG, seed 7, 200 bars), shared with the test
+ * - MACD(12, 26, 9), ADX / DI(14): technicalindicators 3.1.0 (EMA-based MACD and signal)
+ * - Stoch RSI(14, 14, 3, 3), SuperTrend(10, 3): trading-signals 8.3.0
+ *   %D is the 3-bar SMA of that library's %K: its own %D skips bars where %K is exactly 0 (falsy check)
+ * - Prints first non-null index and the last 5 values (6 decimals) of each series
+ *
+ * Usage (the reference libraries are devDependencies):
+ *   npm install && npm run indicators:reference
+ */
+
+// deterministic 1h OHLCV series (Park-Miller LCG), 200 bars
+function seededCandles() {
+    let seed = 7;
+    const rnd = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const candles = [];
+    let p = 100;
+    for (let i = 0; i < 200; i++) {
+        const o = p;
+        p = p * (1 + (rnd() - 0.5) * 0.03);
+        const high = Math.max(o, p) * (1 + rnd() * 0.01);
+        const low = Math.min(o, p) * (1 - rnd() * 0.01);
+        candles.push({ t: i * 3600e3, open: o, high, low, close: p, vol: 1000 + rnd() * 500 });
+    }
+    return candles;
+}
+
+const r6 = x => +x.toFixed(6);
+const lastN = (series, n) => series.slice(-n);
+
+// library output starts at the first complete bar -> index of that bar in the input
+function firstIndex(inputLength, outputLength) {
+    return inputLength - outputLength;
+}
+
+function main() {
+    const TI = require('technicalindicators');
+    const { StochasticRSI, SuperTrend } = require('trading-signals');
+    const candles = seededCandles();
+    const close = candles.map(c => c.close);
+    const high = candles.map(c => c.high);
+    const low = candles.map(c => c.low);
+
+    const macd = TI.MACD.calculate({ values: close, fastPeriod: 12, slowPeriod: 26, signalPeriod: 9, SimpleMAOscillator: false, SimpleMASignal: false });
+    console.log('MACD(12, 26, 9)');
+    console.log(`  first macd ${firstIndex(close.length, macd.length)}, first signal ${firstIndex(close.length, macd.filter(m => m.signal !== undefined).length)}`);
+    console.log(`  last 5 [macd, signal, histogram] ${JSON.stringify(lastN(macd, 5).map(m => [r6(m.MACD), r6(m.signal), r6(m.histogram)]))}`);
+
+    const adx = TI.ADX.calculate({ high, low, close, period: 14 });
+    console.log('ADX(14) / DMI');
+    console.log(`  first adx ${firstIndex(close.length, adx.length)}`);
+    console.log(`  last 5 [adx, +DI, -DI] ${JSON.stringify(lastN(adx, 5).map(a => [r6(a.adx), r6(a.pdi), r6(a.mdi)]))}`);
+
+    const stoch = new StochasticRSI(14);
+    const k = close.map(c => {
+        stoch.update(c);
+        return stoch.smoothing.k.isStable ? stoch.smoothing.k.getResult() * 100 : null;
+    });
+    const d = k.map((v, i) => i >= 2 && k[i - 2] !== null ? (k[i] + k[i - 1] + k[i - 2]) / 3 : null);
+    console.log('Stoch RSI(14, 14, 3, 3)');
+    console.log(`  first k ${k.findIndex(v => v !== null)}, first d ${d.findIndex(v => v !== null)}`);
+    console.log(`  last 5 k ${JSON.stringify(lastN(k, 5).map(r6))}`);
+    console.log(`  last 5 d ${JSON.stringify(lastN(d, 5).map(r6))}`);
+
+    const st = new SuperTrend({ interval: 10, multiplier: 3 });
+    const trend = candles.map(c => st.update(c));
+    console.log('SuperTrend(10, 3)');
+    console.log(`  last 5 [value, trend] ${JSON.stringify(lastN(trend, 5).map(x => [r6(x.supertrend), x.trend]))}`);
+}
+
+if (require.main === module) main();
+
+module.exports = { seededCandles };
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+const { binanceSource } = require('../universe');
+
+/**
+ * record-universe.js
+ * - Saves the live Binance futures exchangeInfo + 24h tickers as a recorded stand-in for universe.js
+ * - Replay with UNIVERSE_SOURCE=file (reads UNIVERSE_FIXTURE_DIR, default data/universe)
+ *
+ * Usage:
+ *   node scripts/record-universe.js [--out ./data/universe]
+ */
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1];
+    }
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const OUT_DIR = args.out || process.env.UNIVERSE_FIXTURE_DIR || path.join(__dirname, '..', 'data', 'universe');
+
+binanceSource.load()
+    .then(({ exchangeInfo, tickers }) => {
+        fs.mkdirSync(OUT_DIR, { recursive: true });
+        fs.writeFileSync(path.join(OUT_DIR, 'exchangeInfo.json'), JSON.stringify(exchangeInfo));
+        fs.writeFileSync(path.join(OUT_DIR, 'ticker24hr.json'), JSON.stringify(tickers));
+        console.log(`Recorded ${exchangeInfo.symbols.length} symbols / ${tickers.length} tickers to ${OUT_DIR}`);
+    })
+    .catch(e => {
+        console.error('Record failed:', e.message);
+        process.exit(1);
+    });
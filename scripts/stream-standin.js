@@ -0,0 +1,103 @@
+const http = require('http');
+const WebSocket = require('ws');
+const { readCandleFile } = require('../providers');
+
+/**
+ * stream-standin.js
+ * - Local stand-in for the Binance futures combined kline stream (for testing stream.js)
+ * - Accepts ws://localhost:<port>/stream?streams=btcusdt@kline_5m/...
+ * - Simulated clock: every --tick ms it advances --step seconds and pushes kline updates
+ *   (random walk starting at the last close found in --data, or 100), k.x = true when a candle closes
+ *
+ * Usage:
+ *   node scripts/stream-standin.js [--port 9001] [--data ./data] [--tick 500] [--step 60]
+ *   KLINE_STREAM_URL=ws://localhost:9001/stream CANDLE_PROVIDER=file npm start
+ */
+
+const INTERVAL_MS = { '1m': 60 * 1000, '5m': 5 * 60 * 1000, '15m': 15 * 60 * 1000, '1h': 60 * 60 * 1000 };
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1];
+    }
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = Number(args.port || 9001);
+const DATA_DIR = args.data || null;
+const TICK_MS = Number(args.tick || 500);
+const STEP_MS = Number(args.step || 60) * 1000;
+
+// one price path per symbol, shared by all of its intervals
+const prices = {};
+function startPrice(symbol) {
+    if (prices[symbol] !== undefined) return prices[symbol];
+    let p = 100;
+    if (DATA_DIR) {
+        const candles = readCandleFile(DATA_DIR, symbol, '5m');
+        if (candles && candles.length) p = candles[candles.length - 1].close;
+    }
+    prices[symbol] = p;
+    return p;
+}
+
+function klineEvent(symbol, interval, c, closed) {
+    return JSON.stringify({
+        stream: `${symbol.toLowerCase()}@kline_${interval}`,
+        data: {
+            e: 'kline', E: Date.now(), s: symbol,
+            k: { t: c.t, T: c.t + INTERVAL_MS[interval] - 1, s: symbol, i: interval, o: String(c.open), h: String(c.high), l: String(c.low), c: String(c.close), v: String(c.vol), x: closed }
+        }
+    });
+}
+
+const server = http.createServer((req, res) => { res.writeHead(404); res.end(); });
+const wss = new WebSocket.Server({ server });
+
+wss.on('connection', (ws, req) => {
+    const query = new URL(req.url, `http://localhost:${PORT}`).searchParams;
+    const streams = (query.get('streams') || '').split('/').filter(Boolean).map(s => {
+        const [sym, kind] = s.split('@');
+        return { symbol: sym.toUpperCase(), interval: kind.replace('kline_', '') };
+    }).filter(s => INTERVAL_MS[s.interval]);
+    console.log(`client connected: ${streams.length} streams`);
+
+    let simNow = Date.now();
+    const forming = {}; // stream key -> candle
+
+    const timer = setInterval(() => {
+        simNow += STEP_MS;
+        const moved = {};
+        for (const s of streams) {
+            if (moved[s.symbol] === undefined) {
+                const p = startPrice(s.symbol);
+                prices[s.symbol] = p * (1 + (Math.random() - 0.5) * 0.004);
+                moved[s.symbol] = prices[s.symbol];
+            }
+            const price = moved[s.symbol];
+            const ms = INTERVAL_MS[s.interval];
+            const openTime = Math.floor(simNow / ms) * ms;
+            const key = `${s.symbol}@${s.interval}`;
+            let c = forming[key];
+            if (c && c.t < openTime) {
+                ws.send(klineEvent(s.symbol, s.interval, c, true));
+                c = null;
+            }
+            if (!c) c = forming[key] = { t: openTime, open: price, high: price, low: price, close: price, vol: 0 };
+            c.high = Math.max(c.high, price);
+            c.low = Math.min(c.low, price);
+            c.close = price;
+            c.vol += Math.round(Math.random() * 1000);
+            ws.send(klineEvent(s.symbol, s.interval, c, false));
+        }
+    }, TICK_MS);
+
+    ws.on('close', () => {
+        clearInterval(timer);
+        console.log('client disconnected');
+    });
+});
+
+server.listen(PORT, () => console.log(`Kline stand-in listening on ws://localhost:${PORT}/stream`));
@@ -0,0 +1,48 @@
+const http = require('http');
+const { sign } = require('../webhooks');
+
+/**
+ * webhook-receiver.js
+ * - Local HTTP receiver for testing webhooks.js: prints each event and checks the HMAC signature
+ *
+ * Usage:
+ *   node scripts/webhook-receiver.js [--port 8081] [--secret s3cret] [--fail 2]
+ *   --fail N answers 500 to the first N requests (exercises retries / dead-letter)
+ */
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1];
+    }
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = Number(args.port || 8081);
+const SECRET = args.secret || '';
+let failLeft = Number(args.fail || 0);
+
+http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        if (failLeft > 0) {
+            failLeft--;
+            console.log(`✗ simulated failure (${failLeft} left)`);
+            res.writeHead(500);
+            return res.end();
+        }
+        let signatureOk = 'unsigned';
+        if (SECRET) {
+            const expected = `sha256=${sign(SECRET, req.headers['x-timestamp'], body)}`;
+            signatureOk = expected === req.headers['x-signature'] ? 'valid' : 'INVALID';
+        }
+        let payload = null;
+        try { payload = JSON.parse(body); } catch {}
+        const s = payload && payload.signal;
+        console.log(`← ${req.headers['x-event']} signature=${signatureOk} ${s ? `${s.symbol} ${s.direction} entry=${s.entry} sl=${s.sl} tp=${s.tp} conf=${s.confidence}${s.outcome ? ` -> ${s.outcome.status} ${s.outcome.r}R` : ''}` : body}`);
+        res.writeHead(signatureOk === 'INVALID' ? 401 : 200, { 'Content-Type': 'application/json' });
+        res.end('{"ok":true}');
+    });
+}).listen(PORT, () => console.log(`Webhook receiver listening on http://localhost:${PORT}`));
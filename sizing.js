@@ -0,0 +1,73 @@
+/**
+ * sizing.js
+ * - Per-user position sizing from account balance, risk % and leverage (users.json -> users[chatId].account)
+ * - qty = (balance * risk%) / |entry - SL|, raised to the symbol's minimum notional when needed
+ * - MIN_NOTIONAL_OVERRIDES="BTCUSDT:100,ETHUSDT:20" overrides the default minimum order value (USDT)
+ */
+
+const DEFAULT_ACCOUNT = {
+    balance: null, // USDT, null -> sizing not configured
+    riskPercent: 0.5,
+    leverage: 1
+};
+
+const RISK_PERCENT_RANGE = [0.05, 5];
+const LEVERAGE_RANGE = [1, 125];
+const DEFAULT_MIN_NOTIONAL = 5; // Binance USDT-M default minimum order value
+
+const minNotionalOverrides = {};
+for (const pair of (process.env.MIN_NOTIONAL_OVERRIDES || '').split(',')) {
+    const [symbol, value] = pair.split(':').map(s => s && s.trim());
+    if (symbol && !isNaN(Number(value))) minNotionalOverrides[symbol.toUpperCase()] = Number(value);
+}
+
+function getAccount(user) {
+    return { ...DEFAULT_ACCOUNT, ...((user && user.account) || {}) };
+}
+
+function minNotionalFor(symbol) {
+    return minNotionalOverrides[symbol] !== undefined ? minNotionalOverrides[symbol] : DEFAULT_MIN_NOTIONAL;
+}
+
+/**
+ * Returns null when the user has no balance set or the signal has no usable SL distance.
+ * raisedToMinNotional -> the risk-based size was below the exchange minimum, riskUsd shows the real risk.
+ * insufficientMargin -> margin needed is more than the whole balance at this leverage.
+ */
+function computePosition(signal, account) {
+    const acc = { ...DEFAULT_ACCOUNT, ...(account || {}) };
+    if (!(acc.balance > 0)) return null;
+    const riskPerUnit = Math.abs(signal.entry - signal.sl);
+    if (!(riskPerUnit > 0) || !(signal.entry > 0)) return null;
+
+    let riskUsd = acc.balance * (acc.riskPercent / 100);
+    let qty = riskUsd / riskPerUnit;
+    let notional = qty * signal.entry;
+    const minNotional = minNotionalFor(signal.symbol);
+    let raisedToMinNotional = false;
+    if (notional < minNotional) {
+        notional = minNotional;
+        qty = notional / signal.entry;
+        riskUsd = qty * riskPerUnit;
+        raisedToMinNotional = true;
+    }
+    const margin = notional / acc.leverage;
+    return {
+        qty,
+        notional,
+        margin,
+        riskUsd,
+        riskPercent: (riskUsd / acc.balance) * 100,
+        leverage: acc.leverage,
+        minNotional,
+        raisedToMinNotional,
+        insufficientMargin: margin > acc.balance
+    };
+}
+
+module.exports = {
+    RISK_PERCENT_RANGE,
+    LEVERAGE_RANGE,
+    getAccount,
+    computePosition
+};
@@ -0,0 +1,359 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * storage.js
+ * - Persistence layer: small JSON documents (users, last_signals, stats, access) + signal history
+ * - STORAGE_BACKEND=file (default): docs written with write-temp + fsync + rename, history as append-only JSON lines
+ *   with the latest version of every record indexed in memory (read once at init, compacted on prune)
+ * - STORAGE_BACKEND=sqlite: embedded SQLite (better-sqlite3, optional dependency), one transaction per change
+ * - Every change goes through updateDoc / history.* and is serialized, so concurrent read-modify-write
+ *   (e.g. /start during a broadcast) can no longer drop data
+ * - One-time migration from the old JSON files (signals_history.json array, and all docs for sqlite)
+ *
+ * Doc updaters are synchronous: updateDoc(name, fallback, doc => { ...mutate or return new value })
+ */
+
+// ----------------- Helpers -----------------
+function createMutex() {
+    let tail = Promise.resolve();
+    return (fn) => {
+        const run = tail.then(fn, fn);
+        tail = run.catch(() => {});
+        return run;
+    };
+}
+
+function clone(v) {
+    return JSON.parse(JSON.stringify(v));
+}
+
+async function exists(file) {
+    try {
+        await fsp.access(file);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+async function atomicWrite(file, content) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    const handle = await fsp.open(tmp, 'w');
+    try {
+        await handle.writeFile(content, 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fsp.rename(tmp, file);
+}
+
+function epochOf(rec) {
+    if (rec.createdAtEpoch) return rec.createdAtEpoch;
+    const t = new Date(rec.createdAt || rec.time || 0).getTime();
+    return isNaN(t) ? 0 : Math.floor(t / 1000);
+}
+
+function recordStatus(rec) {
+    return rec.outcome ? rec.outcome.status : 'OPEN';
+}
+
+// filters shared by both backends: { symbol, since, until (epoch s), status, limit }
+function matchesQuery(rec, q) {
+    const t = epochOf(rec);
+    if (q.symbol && rec.symbol !== q.symbol) return false;
+    if (q.since !== undefined && q.since !== null && t < q.since) return false;
+    if (q.until !== undefined && q.until !== null && t > q.until) return false;
+    if (q.status && recordStatus(rec) !== q.status) return false;
+    return true;
+}
+
+async function readLegacyJson(file) {
+    const raw = await fsp.readFile(file, 'utf8');
+    return raw.trim() ? JSON.parse(raw) : null;
+}
+
+// old history entries have no id
+function withId(rec) {
+    return rec.id ? rec : { id: `${rec.symbol}-${epochOf(rec)}`, ...rec };
+}
+
+// ----------------- File backend -----------------
+function createFileBackend({ docFiles, historyFile, legacyHistoryFile }) {
+    const docLocks = {};
+    const historyLock = createMutex();
+    const lockFor = (name) => docLocks[name] || (docLocks[name] = createMutex());
+    const latest = new Map(); // id -> latest version, insertion order = order of last write
+    let lines = 0; // lines in the log, superseded versions included
+
+    function remember(rec) {
+        latest.delete(rec.id);
+        latest.set(rec.id, rec);
+        lines++;
+    }
+
+    function docPath(name) {
+        if (!docFiles[name]) throw new Error(`Unknown storage doc: ${name}`);
+        return docFiles[name];
+    }
+
+    async function readDoc(name, fallback) {
+        try {
+            const raw = await fsp.readFile(docPath(name), 'utf8');
+            return raw.trim() ? JSON.parse(raw) : clone(fallback);
+        } catch (e) {
+            if (e.code !== 'ENOENT') console.error(`Failed load ${name}:`, e.message);
+            return clone(fallback);
+        }
+    }
+
+    // stream history lines; later lines are newer versions of the same id
+    async function scanHistory(onRecord) {
+        if (!(await exists(historyFile))) return;
+        const rl = readline.createInterface({ input: fs.createReadStream(historyFile, 'utf8'), crlfDelay: Infinity });
+        for await (const line of rl) {
+            if (!line.trim()) continue;
+            let rec;
+            try {
+                rec = JSON.parse(line);
+            } catch {
+                console.warn('Skipping corrupt history line'); // e.g. torn write after a crash
+                continue;
+            }
+            onRecord(rec);
+        }
+    }
+
+    async function appendLine(rec) {
+        const line = JSON.stringify(rec);
+        await fsp.appendFile(historyFile, line + '\n', 'utf8');
+        remember(JSON.parse(line)); // own copy, the caller keeps mutating its object
+    }
+
+    async function rewriteHistory(records) {
+        await atomicWrite(historyFile, records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : ''));
+        latest.clear();
+        lines = 0;
+        for (const r of records) remember(r);
+    }
+
+    return {
+        name: 'file',
+        async init() {
+            if (legacyHistoryFile && legacyHistoryFile !== historyFile && await exists(legacyHistoryFile)) {
+                const arr = await readLegacyJson(legacyHistoryFile);
+                if (Array.isArray(arr) && arr.length && !(await exists(historyFile))) {
+                    // legacy array is newest first; the log is oldest first
+                    await rewriteHistory(arr.map(withId).reverse());
+                    console.log(`📦 Migrated ${arr.length} history entries to ${path.basename(historyFile)}`);
+                }
+                await fsp.rename(legacyHistoryFile, `${legacyHistoryFile}.migrated`);
+            }
+            latest.clear();
+            lines = 0;
+            await scanHistory(remember);
+        },
+        getDoc: readDoc,
+        updateDoc(name, fallback, fn) {
+            return lockFor(name)(async () => {
+                const current = await readDoc(name, fallback);
+                const returned = fn(current);
+                const next = returned === undefined ? current : returned;
+                await atomicWrite(docPath(name), JSON.stringify(next, null, 2));
+                return next;
+            });
+        },
+        history: {
+            append(rec) {
+                return historyLock(() => appendLine(rec));
+            },
+            // merge patch into the latest version of id; returns the new record or null
+            update(id, patch) {
+                return historyLock(async () => {
+                    const current = latest.get(id);
+                    if (!current) return null;
+                    const next = { ...current, ...patch };
+                    await appendLine(next);
+                    return clone(next);
+                });
+            },
+            // copies, so callers can mutate what they get back
+            async get(id) {
+                const rec = latest.get(id);
+                return rec ? clone(rec) : null;
+            },
+            // newest first
+            async query(q = {}) {
+                let out = [...latest.values()].filter(r => matchesQuery(r, q));
+                out.sort((a,b) => epochOf(b) - epochOf(a));
+                if (q.limit) out = out.slice(0, q.limit);
+                return out.map(clone);
+            },
+            // drop resolved records older than cutoff and compact superseded versions
+            prune(cutoffEpoch) {
+                return historyLock(async () => {
+                    const kept = [...latest.values()].filter(r => epochOf(r) >= cutoffEpoch || recordStatus(r) === 'OPEN');
+                    const removed = latest.size - kept.length;
+                    kept.sort((a,b) => epochOf(a) - epochOf(b));
+                    if (kept.length !== lines) await rewriteHistory(kept);
+                    return removed;
+                });
+            },
+            async count() {
+                return latest.size;
+            }
+        },
+        async close() {}
+    };
+}
+
+// ----------------- SQLite backend -----------------
+function createSqliteBackend({ sqliteFile, docFiles, legacyHistoryFile }) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (e) {
+        throw new Error(`STORAGE_BACKEND=sqlite needs better-sqlite3 (npm install better-sqlite3): ${e.message}`);
+    }
+    const db = new Database(sqliteFile);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS docs (name TEXT PRIMARY KEY, json TEXT NOT NULL, updated_at INTEGER NOT NULL);
+        CREATE TABLE IF NOT EXISTS signals (id TEXT PRIMARY KEY, symbol TEXT NOT NULL, created_at INTEGER NOT NULL, status TEXT NOT NULL, json TEXT NOT NULL);
+        CREATE INDEX IF NOT EXISTS idx_signals_symbol_time ON signals(symbol, created_at);
+        CREATE INDEX IF NOT EXISTS idx_signals_time ON signals(created_at);
+    `);
+    const stmt = {
+        getDoc: db.prepare('SELECT json FROM docs WHERE name = ?'),
+        putDoc: db.prepare('INSERT INTO docs (name, json, updated_at) VALUES (?, ?, ?) ON CONFLICT(name) DO UPDATE SET json = excluded.json, updated_at = excluded.updated_at'),
+        getSignal: db.prepare('SELECT json FROM signals WHERE id = ?'),
+        putSignal: db.prepare('INSERT INTO signals (id, symbol, created_at, status, json) VALUES (?, ?, ?, ?, ?) ON CONFLICT(id) DO UPDATE SET status = excluded.status, json = excluded.json'),
+        prune: db.prepare("DELETE FROM signals WHERE created_at < ? AND status != 'OPEN'"),
+        count: db.prepare('SELECT COUNT(*) AS n FROM signals')
+    };
+
+    function readDoc(name, fallback) {
+        const row = stmt.getDoc.get(name);
+        return row ? JSON.parse(row.json) : clone(fallback);
+    }
+
+    function putSignal(rec) {
+        stmt.putSignal.run(rec.id, rec.symbol, epochOf(rec), recordStatus(rec), JSON.stringify(rec));
+    }
+
+    const updateDocTx = db.transaction((name, fallback, fn) => {
+        const current = readDoc(name, fallback);
+        const returned = fn(current);
+        const next = returned === undefined ? current : returned;
+        stmt.putDoc.run(name, JSON.stringify(next), Date.now());
+        return next;
+    });
+
+    const updateSignalTx = db.transaction((id, patch) => {
+        const row = stmt.getSignal.get(id);
+        if (!row) return null;
+        const next = { ...JSON.parse(row.json), ...patch };
+        putSignal(next);
+        return next;
+    });
+
+    return {
+        name: 'sqlite',
+        async init() {
+            // one-time import of the JSON files, each file renamed to *.migrated afterwards
+            for (const name of Object.keys(docFiles)) {
+                const file = docFiles[name];
+                if (!(await exists(file))) continue;
+                if (!stmt.getDoc.get(name)) {
+                    const data = await readLegacyJson(file);
+                    if (data !== null) stmt.putDoc.run(name, JSON.stringify(data), Date.now());
+                    console.log(`📦 Migrated ${path.basename(file)} into SQLite`);
+                }
+                await fsp.rename(file, `${file}.migrated`);
+            }
+            if (legacyHistoryFile && await exists(legacyHistoryFile)) {
+                const arr = await readLegacyJson(legacyHistoryFile);
+                if (Array.isArray(arr)) {
+                    db.transaction(rows => { for (const r of rows) putSignal(withId(r)); })(arr);
+                    console.log(`📦 Migrated ${arr.length} history entries into SQLite`);
+                }
+                await fsp.rename(legacyHistoryFile, `${legacyHistoryFile}.migrated`);
+            }
+        },
+        async getDoc(name, fallback) {
+            return readDoc(name, fallback);
+        },
+        async updateDoc(name, fallback, fn) {
+            return updateDocTx(name, fallback, fn);
+        },
+        history: {
+            async append(rec) {
+                putSignal(rec);
+            },
+            async update(id, patch) {
+                return updateSignalTx(id, patch);
+            },
+            async get(id) {
+                const row = stmt.getSignal.get(id);
+                return row ? JSON.parse(row.json) : null;
+            },
+            async query(q = {}) {
+                const where = [];
+                const params = [];
+                if (q.symbol) { where.push('symbol = ?'); params.push(q.symbol); }
+                if (q.since !== undefined && q.since !== null) { where.push('created_at >= ?'); params.push(q.since); }
+                if (q.until !== undefined && q.until !== null) { where.push('created_at <= ?'); params.push(q.until); }
+                if (q.status) { where.push('status = ?'); params.push(q.status); }
+                let sql = `SELECT json FROM signals ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY created_at DESC`;
+                if (q.limit) { sql += ' LIMIT ?'; params.push(q.limit); }
+                return db.prepare(sql).all(...params).map(r => JSON.parse(r.json));
+            },
+            async prune(cutoffEpoch) {
+                return stmt.prune.run(cutoffEpoch).changes;
+            },
+            async count() {
+                return stmt.count.get().n;
+            }
+        },
+        async close() {
+            db.close();
+        }
+    };
+}
+
+// ----------------- Factory -----------------
+/**
+ * opts: { backend: 'file' | 'sqlite', docFiles: { name: path }, historyFile, legacyHistoryFile, sqliteFile }
+ * Methods wait for init (migration) on first use, so the store can be created synchronously at startup.
+ */
+function createStorage(opts) {
+    const backend = opts.backend === 'sqlite' ? createSqliteBackend(opts) : createFileBackend(opts);
+    // a failed init rejects `ready` and every call; the caller decides whether to stop (index.js exits)
+    const ready = backend.init();
+    ready.catch(e => console.error('💥 Storage init failed:', e.message));
+    const whenReady = (fn) => async (...args) => {
+        await ready;
+        return fn(...args);
+    };
+    return {
+        backend: backend.name,
+        ready,
+        getDoc: whenReady(backend.getDoc),
+        updateDoc: whenReady(backend.updateDoc),
+        history: {
+            append: whenReady(backend.history.append),
+            update: whenReady(backend.history.update),
+            get: whenReady(backend.history.get),
+            query: whenReady(backend.history.query),
+            prune: whenReady(backend.history.prune),
+            count: whenReady(backend.history.count)
+        },
+        close: whenReady(backend.close)
+    };
+}
+
+module.exports = { createStorage };
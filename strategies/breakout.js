@@ -0,0 +1,92 @@
+const { last, atr, adx, supertrend } = require('../indicators');
+const { closedCandles, noTrade, targetProbability, marketSignal } = require('./common');
+
+/**
+ * strategies/breakout.js
+ * - Last closed M15 candle closes outside the previous `lookback` bars' range on a volume surge
+ * - ADX confirms expansion, SuperTrend (M15) agrees; H1 SuperTrend against the break vetoes it
+ * - SL back inside the range (buffer below / above the broken level), TP = tpR x risk
+ */
+
+const params = {
+    lookback: 48, // 48 x M15 = 12h range
+    volumeMult: 1.8,
+    adxMin: 20,
+    slBufferAtr: 0.3,
+    minSlAtr: 0.8,
+    tpR: 2,
+    minEV: 0
+};
+
+function mean(arr) {
+    return arr.length ? arr.reduce((a,b) => a+b, 0) / arr.length : 0;
+}
+
+function analyze(symbol, candles, p = params) {
+    // M15 / H1 closed bars only; the latest M5 (forming) close is the current price for the entry
+    const m15 = closedCandles(candles['15M'], '15M'), h1 = closedCandles(candles['H1'], 'H1'), m5 = candles['5M'];
+    if (m15.length < p.lookback + 30) return noTrade(symbol, 'Insufficient data');
+    const atrM15 = last(atr(m15, 14));
+    if (!atrM15) return noTrade(symbol, 'Insufficient data');
+
+    const n = m15.length;
+    const brk = m15[n-1];
+    const range = m15.slice(n - 1 - p.lookback, n - 1);
+    const rangeHigh = Math.max(...range.map(c => c.high));
+    const rangeLow = Math.min(...range.map(c => c.low));
+    let direction = null;
+    if (brk.close > rangeHigh) direction = 'LONG';
+    if (brk.close < rangeLow) direction = 'SHORT';
+    if (!direction) return noTrade(symbol, 'Inside range');
+
+    const volRatio = brk.vol / (mean(range.slice(-20).map(c => c.vol)) || 1);
+    if (volRatio < p.volumeMult) return noTrade(symbol, `Weak breakout volume (x${volRatio.toFixed(2)})`);
+    const dmi = adx(m15, 14);
+    const adxNow = last(dmi.adx);
+    if (adxNow === null || adxNow < p.adxMin) return noTrade(symbol, `ADX ${adxNow === null ? '-' : adxNow.toFixed(1)} < ${p.adxMin}`);
+    const want = direction === 'LONG' ? 1 : -1;
+    if (last(supertrend(m15).direction) !== want) return noTrade(symbol, 'M15 SuperTrend disagrees');
+    const h1Trend = h1 && h1.length > 20 ? last(supertrend(h1).direction) : null;
+    if (h1Trend === -want) return noTrade(symbol, 'H1 SuperTrend against breakout');
+
+    // entry at the latest M5 close; a break that already ran far is chased no further than 1 ATR
+    const entry = m5[m5.length-1].close;
+    const level = direction === 'LONG' ? rangeHigh : rangeLow;
+    if (Math.abs(entry - level) > atrM15) return noTrade(symbol, 'Breakout already extended');
+    if (direction === 'LONG' ? entry <= level : entry >= level) return noTrade(symbol, 'Price back inside range');
+    const slDist = Math.max(p.minSlAtr * atrM15, Math.abs(entry - level) + p.slBufferAtr * atrM15);
+    const sl = direction === 'LONG' ? entry - slDist : entry + slDist;
+    const tp = direction === 'LONG' ? entry + p.tpR * slDist : entry - p.tpR * slDist;
+
+    const heuristicP = Math.min(0.75, 0.5 + Math.min(volRatio - p.volumeMult, 2) * 0.05 + (adxNow - p.adxMin) / 200 + (h1Trend === want ? 0.05 : 0));
+    const trend = direction === 'LONG' ? 'bullish' : 'bearish'; // SuperTrend agreed with the break
+    const { p: pTarget, EV, model } = targetProbability(m15, direction, trend, { entry, sl, tp, atr: atrM15, heuristicP });
+    if (EV < p.minEV) return noTrade(symbol, `Negative EV (${EV.toFixed(2)}R)`, pTarget * 100);
+
+    return marketSignal(symbol, {
+        direction,
+        confidence: heuristicP * 100 + 10,
+        entry, sl, tp,
+        meta: {
+            atr: +atrM15,
+            chosenP: +pTarget.toFixed(4),
+            pSetup: +heuristicP.toFixed(4),
+            EV: +EV.toFixed(4),
+            probabilityModel: { regime: model.regime, regimeSamples: model.regimeSamples, calibration: model.calibration },
+            breakoutLevel: +level,
+            volumeRatio: +volRatio.toFixed(2),
+            m15Adx: +adxNow.toFixed(1),
+            h1SuperTrend: h1Trend
+        }
+    });
+}
+
+module.exports = {
+    name: 'breakout',
+    label: 'Breakout',
+    description: 'Phá vỡ biên độ 12h trên M15 kèm volume, ADX và SuperTrend',
+    timeframes: ['H1', '15M', '5M'],
+    required: ['15M', '5M'],
+    params,
+    analyze
+};
@@ -0,0 +1,53 @@
+const { estimateTargetProbabilities } = require('../probability');
+
+/**
+ * strategies/common.js
+ * - Shared result builders for strategies, so every strategy returns the shape index.js / outcomes.js expect:
+ *   { symbol, direction, confidence, entry, orderType, entryZone, sl, tp, rr, meta } or { symbol, direction: 'NO_TRADE', reason }
+ * - closedCandles: providers and the kline store end with the still-forming candle, setups are read off closed ones
+ */
+
+const TF_MS = { 'H1': 60 * 60 * 1000, '15M': 15 * 60 * 1000, '5M': 5 * 60 * 1000 };
+
+// drop candles whose period has not ended yet (backtests only pass closed ones, so nothing is dropped there)
+function closedCandles(candles, label, nowMs = Date.now()) {
+    if (!candles) return candles;
+    let n = candles.length;
+    while (n > 0 && candles[n-1].t + TF_MS[label] > nowMs) n--;
+    return n === candles.length ? candles : candles.slice(0, n);
+}
+
+function noTrade(symbol, reason, confidence = 0) {
+    return { symbol, direction: 'NO_TRADE', confidence: Math.round(confidence), reason };
+}
+
+/**
+ * p(TP before SL) for fixed levels from the calibrated M15 excursion model (probability.js)
+ * -> { p, EV (in R), model }
+ */
+function targetProbability(m15, direction, trend, { entry, sl, tp, atr, heuristicP }) {
+    const slDistance = Math.abs(entry - sl);
+    const tpDistance = Math.abs(tp - entry);
+    const model = estimateTargetProbabilities(m15, direction, trend, { targets: [tpDistance / atr], slMultiplier: slDistance / atr, heuristicP });
+    const p = model.probabilities[0];
+    const R = tpDistance / slDistance;
+    return { p, EV: p * R - (1 - p), model };
+}
+
+function marketSignal(symbol, { direction, confidence, entry, sl, tp, meta }) {
+    const rr = Math.abs(tp - entry) / Math.abs(entry - sl);
+    return {
+        symbol,
+        direction,
+        confidence: Math.max(20, Math.min(98, Math.round(confidence))),
+        entry: +entry,
+        orderType: 'MARKET',
+        entryZone: null,
+        sl: +sl,
+        tp: +tp,
+        rr: rr.toFixed(2),
+        meta
+    };
+}
+
+module.exports = { closedCandles, noTrade, targetProbability, marketSignal };
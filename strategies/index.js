@@ -0,0 +1,81 @@
+const { TIMEFRAMES } = require('../analysis');
+
+/**
+ * strategies/index.js
+ * - Strategy registry: a strategy is { name, label, description, timeframes, required, params, analyze(symbol, candles, params) }
+ *   timeframes: TF labels from analysis.TIMEFRAMES it wants loaded (the kline stream covers exactly those)
+ *   required: labels without which it cannot run; analyze returns a signal or { direction: 'NO_TRADE', reason }
+ * - STRATEGIES="physics-scalp,breakout" picks which strategies the scan runs (default: physics-scalp)
+ * - Every result is tagged with result.strategy
+ */
+
+const DEFAULT_STRATEGY = 'physics-scalp';
+const KNOWN_TIMEFRAMES = TIMEFRAMES.map(tf => tf.label);
+
+const registry = new Map(); // name -> strategy
+
+function registerStrategy(strategy) {
+    if (!strategy || !strategy.name || typeof strategy.analyze !== 'function') throw new Error('Strategy needs a name and analyze()');
+    const unknown = (strategy.timeframes || []).filter(tf => !KNOWN_TIMEFRAMES.includes(tf));
+    if (unknown.length) throw new Error(`Strategy ${strategy.name}: unknown timeframes ${unknown.join(', ')}`);
+    registry.set(strategy.name, { label: strategy.name, description: '', timeframes: KNOWN_TIMEFRAMES, required: [], params: {}, ...strategy });
+}
+
+function getStrategy(name) {
+    return registry.get(name) || null;
+}
+
+function listStrategies() {
+    return [...registry.values()];
+}
+
+registerStrategy(require('./physics-scalp'));
+registerStrategy(require('./mean-reversion'));
+registerStrategy(require('./breakout'));
+
+function parseEnabled(raw) {
+    const names = String(raw || DEFAULT_STRATEGY).split(',').map(s => s.trim()).filter(Boolean);
+    const valid = names.filter(n => {
+        if (registry.has(n)) return true;
+        console.warn(`Unknown strategy in STRATEGIES: ${n}`);
+        return false;
+    });
+    return valid.length ? valid : [DEFAULT_STRATEGY];
+}
+
+const ENABLED_STRATEGIES = parseEnabled(process.env.STRATEGIES);
+
+// TF definitions (from analysis.TIMEFRAMES) needed by the given strategies
+function requiredTimeframes(names = ENABLED_STRATEGIES) {
+    const labels = new Set();
+    for (const n of names) for (const tf of (registry.has(n) ? registry.get(n).timeframes : [])) labels.add(tf);
+    return TIMEFRAMES.filter(tf => labels.has(tf.label));
+}
+
+function runStrategy(name, symbol, candles) {
+    const strategy = registry.get(name);
+    if (!strategy) return { symbol, strategy: name, direction: 'NO_TRADE', confidence: 0, reason: `Unknown strategy ${name}` };
+    const missing = strategy.required.filter(tf => !candles[tf] || !candles[tf].length);
+    if (missing.length) return { symbol, strategy: name, direction: 'NO_TRADE', confidence: 0, reason: `Insufficient data (need ${missing.join(' & ')})` };
+    try {
+        return { ...strategy.analyze(symbol, candles, { ...strategy.params }), strategy: name };
+    } catch (e) {
+        console.error(`Strategy ${name} error for ${symbol}:`, e.message);
+        return { symbol, strategy: name, direction: 'NO_TRADE', confidence: 0, reason: `Strategy error: ${e.message}` };
+    }
+}
+
+function runStrategies(symbol, candles, names = ENABLED_STRATEGIES) {
+    return names.map(name => runStrategy(name, symbol, candles));
+}
+
+module.exports = {
+    DEFAULT_STRATEGY,
+    ENABLED_STRATEGIES,
+    registerStrategy,
+    getStrategy,
+    listStrategies,
+    requiredTimeframes,
+    runStrategy,
+    runStrategies
+};
@@ -0,0 +1,85 @@
+const { last, atr, rsi, bollinger, adx, ema } = require('../indicators');
+const { closedCandles, noTrade, targetProbability, marketSignal } = require('./common');
+
+/**
+ * strategies/mean-reversion.js
+ * - Only in a ranging M15 (ADX below adxMax)
+ * - M5 closed outside the Bollinger band with RSI stretched, and the last closed candle turned back inside
+ * - TP at the M5 band middle, SL slAtr x M15 ATR beyond the extreme of the stretch
+ */
+
+const params = {
+    bbPeriod: 20,
+    bbMult: 2,
+    rsiPeriod: 14,
+    rsiLow: 30,
+    rsiHigh: 70,
+    adxMax: 22,
+    slAtr: 0.5, // beyond the swing extreme
+    minRR: 0.8,
+    minEV: 0 // in R, from the calibrated excursion model
+};
+
+function analyze(symbol, candles, p = params) {
+    const m5 = closedCandles(candles['5M'], '5M'), m15 = closedCandles(candles['15M'], '15M');
+    if (m5.length < p.bbPeriod + 2) return noTrade(symbol, 'Insufficient data');
+    const m5Closes = m5.map(c => c.close);
+    const atrM15 = last(atr(m15, 14));
+    if (!atrM15) return noTrade(symbol, 'Insufficient data');
+
+    const m15Adx = last(adx(m15, 14).adx);
+    if (m15Adx === null || m15Adx >= p.adxMax) return noTrade(symbol, `M15 trending (ADX ${m15Adx === null ? '-' : m15Adx.toFixed(1)})`);
+
+    const bb = bollinger(m5Closes, p.bbPeriod, p.bbMult);
+    const r = rsi(m5Closes, p.rsiPeriod);
+    const n = m5.length;
+    const cur = m5[n-1], prev = m5[n-2];
+    const prevOutsideLow = prev.close < bb.lower[n-2] && r[n-2] !== null && r[n-2] <= p.rsiLow;
+    const prevOutsideHigh = prev.close > bb.upper[n-2] && r[n-2] !== null && r[n-2] >= p.rsiHigh;
+    // re-entry: the last M5 candle closed back inside the band in the reverting direction
+    let direction = null;
+    if (prevOutsideLow && cur.close > bb.lower[n-1] && cur.close > cur.open) direction = 'LONG';
+    if (prevOutsideHigh && cur.close < bb.upper[n-1] && cur.close < cur.open) direction = 'SHORT';
+    if (!direction) return noTrade(symbol, 'No band re-entry');
+
+    const entry = cur.close;
+    const tp = bb.middle[n-1];
+    const extreme = direction === 'LONG' ? Math.min(prev.low, cur.low) : Math.max(prev.high, cur.high);
+    const sl = direction === 'LONG' ? extreme - p.slAtr * atrM15 : extreme + p.slAtr * atrM15;
+    if (direction === 'LONG' ? tp <= entry : tp >= entry) return noTrade(symbol, 'Band middle already reached');
+    const rr = Math.abs(tp - entry) / Math.abs(entry - sl);
+    if (rr < p.minRR) return noTrade(symbol, `RR ${rr.toFixed(2)} < ${p.minRR}`);
+
+    // stretch depth (RSI distance past the threshold) and a quiet range make a better setup
+    const stretch = direction === 'LONG' ? p.rsiLow - r[n-2] : r[n-2] - p.rsiHigh;
+    const heuristicP = Math.min(0.75, 0.55 + stretch / 100 + (p.adxMax - m15Adx) / 200);
+    const closes15 = m15.map(c => c.close);
+    const trend = last(ema(closes15, 8)) > last(ema(closes15, 34)) ? 'bullish' : 'bearish';
+    const { p: pTarget, EV, model } = targetProbability(m15, direction, trend, { entry, sl, tp, atr: atrM15, heuristicP });
+    if (EV < p.minEV) return noTrade(symbol, `Negative EV (${EV.toFixed(2)}R)`, pTarget * 100);
+
+    return marketSignal(symbol, {
+        direction,
+        confidence: heuristicP * 100 + 10,
+        entry, sl, tp,
+        meta: {
+            atr: +atrM15,
+            chosenP: +pTarget.toFixed(4),
+            pSetup: +heuristicP.toFixed(4),
+            EV: +EV.toFixed(4),
+            probabilityModel: { regime: model.regime, regimeSamples: model.regimeSamples, calibration: model.calibration },
+            m15Adx: +m15Adx.toFixed(1),
+            m5Rsi: +r[n-2].toFixed(1)
+        }
+    });
+}
+
+module.exports = {
+    name: 'mean-reversion',
+    label: 'Mean Reversion',
+    description: 'Bật lại từ dải Bollinger M5 khi M15 đi ngang',
+    timeframes: ['15M', '5M'],
+    required: ['15M', '5M'],
+    params,
+    analyze
+};
@@ -0,0 +1,19 @@
+const { analyzeCandles } = require('../analysis');
+
+/**
+ * strategies/physics-scalp.js
+ * - The original multi-TF scalp (analysis.js): H1 + M15 bias, M5 confirmation, heuristic setup score,
+ *   EV-selected ATR target, liquidity-aware SL/TP, FVG / order-block limit entries
+ */
+
+module.exports = {
+    name: 'physics-scalp',
+    label: 'Physics Scalp',
+    description: 'Theo xu hướng H1/M15, xác nhận động lượng M5',
+    timeframes: ['H1', '15M', '5M'],
+    required: ['15M', '5M'],
+    params: {},
+    analyze(symbol, candles) {
+        return analyzeCandles(symbol, candles);
+    }
+};
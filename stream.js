@@ -0,0 +1,215 @@
+const WebSocket = require('ws');
+const { loadCandles, TIMEFRAMES } = require('./analysis');
+
+/**
+ * stream.js
+ * - Kline WebSocket stream (Binance futures combined stream format) + in-memory candle store
+ * - Rolling H1 / 15M / 5M buffers per symbol, REST backfill on start and after every reconnect,
+ *   merged by open time so klines streamed in while the REST call was in flight are kept
+ * - onCandleClose(symbol, label, candle) fires when a kline is final (k.x === true)
+ * - KLINE_STREAM_URL can point to a local stand-in (scripts/stream-standin.js)
+ */
+
+// ----------------- Config -----------------
+const STREAM_URL = process.env.KLINE_STREAM_URL || 'wss://fstream.binance.com/stream';
+const BUFFER_SIZE = 300; // same window analyzeSymbol loads over REST
+const MAX_STREAMS_PER_CONNECTION = 200; // Binance limit
+const STALE_TIMEOUT_MS = 90 * 1000; // no message for 90s -> force reconnect
+const RECONNECT_BASE_MS = 2000;
+const RECONNECT_MAX_MS = 60 * 1000;
+const BACKFILL_DELAY_MS = 250; // between REST calls, keep rate-limit weight low
+
+const LABEL_BY_INTERVAL = {};
+for (const tf of TIMEFRAMES) LABEL_BY_INTERVAL[tf.interval] = tf.label;
+
+// ----------------- Candle store -----------------
+function createCandleStore(size = BUFFER_SIZE) {
+    const buffers = {}; // { SYMBOL: { H1: [], 15M: [], 5M: [] } }
+
+    function bucket(symbol) {
+        if (!buffers[symbol]) buffers[symbol] = {};
+        return buffers[symbol];
+    }
+
+    return {
+        set(symbol, label, candles) {
+            bucket(symbol)[label] = candles.slice(-size);
+        },
+        // merge a REST snapshot by open time; for the same bar the copy with more volume is the later one
+        merge(symbol, label, candles) {
+            const b = bucket(symbol);
+            const byTime = new Map();
+            for (const c of b[label] || []) byTime.set(c.t, c);
+            for (const c of candles) {
+                const have = byTime.get(c.t);
+                if (!have || c.vol >= have.vol) byTime.set(c.t, c);
+            }
+            b[label] = [...byTime.values()].sort((x, y) => x.t - y.t).slice(-size);
+        },
+        // insert or replace by open time; returns false for out-of-order candles
+        upsert(symbol, label, candle) {
+            const b = bucket(symbol);
+            const arr = b[label] || (b[label] = []);
+            const last = arr[arr.length - 1];
+            if (last && candle.t < last.t) return false;
+            if (last && candle.t === last.t) arr[arr.length - 1] = candle;
+            else {
+                arr.push(candle);
+                if (arr.length > size) arr.splice(0, arr.length - size);
+            }
+            return true;
+        },
+        get(symbol, label) {
+            return buffers[symbol] && buffers[symbol][label] ? buffers[symbol][label].slice() : null;
+        },
+        // copy of all TF buffers, in the shape analyzeCandles expects
+        snapshot(symbol) {
+            const out = {};
+            for (const tf of TIMEFRAMES) {
+                const arr = this.get(symbol, tf.label);
+                if (arr && arr.length) out[tf.label] = arr;
+            }
+            return out;
+        },
+        isReady(symbol) {
+            const b = buffers[symbol];
+            return !!(b && b['15M'] && b['15M'].length && b['5M'] && b['5M'].length);
+        },
+        symbols() {
+            return Object.keys(buffers);
+        }
+    };
+}
+
+// ----------------- Stream -----------------
+function parseKlineMessage(raw) {
+    let msg;
+    try {
+        msg = JSON.parse(raw);
+    } catch {
+        return null;
+    }
+    const data = msg && (msg.data || msg);
+    if (!data || data.e !== 'kline' || !data.k) return null;
+    const k = data.k;
+    return {
+        symbol: String(data.s || k.s).toUpperCase(),
+        interval: k.i,
+        closed: !!k.x,
+        candle: { t: Number(k.t), open: parseFloat(k.o), high: parseFloat(k.h), low: parseFloat(k.l), close: parseFloat(k.c), vol: parseFloat(k.v) }
+    };
+}
+
+function createKlineStream({ symbols, store, url = STREAM_URL, onCandleClose = () => {} }) {
+    const streams = [];
+    for (const s of symbols) {
+        for (const tf of TIMEFRAMES) streams.push(`${s.toLowerCase()}@kline_${tf.interval}`);
+    }
+    const groups = [];
+    for (let i = 0; i < streams.length; i += MAX_STREAMS_PER_CONNECTION) groups.push(streams.slice(i, i + MAX_STREAMS_PER_CONNECTION));
+
+    const connections = [];
+    let stopped = false;
+    let backfilling = null;
+
+    async function backfill(reason) {
+        // one backfill at a time; reconnects of several sockets share it
+        if (backfilling) return backfilling;
+        backfilling = (async () => {
+            console.log(`📥 Backfilling ${symbols.length} symbols over REST (${reason})`);
+            for (const symbol of symbols) {
+                for (const tf of TIMEFRAMES) {
+                    try {
+                        const candles = await loadCandles(symbol, tf.interval, BUFFER_SIZE);
+                        store.merge(symbol, tf.label, candles);
+                    } catch (e) {
+                        console.warn(`Backfill failed ${symbol} ${tf.label}: ${e.message}`);
+                    }
+                    await new Promise(r => setTimeout(r, BACKFILL_DELAY_MS));
+                }
+            }
+            console.log('📥 Backfill done');
+        })();
+        try {
+            await backfilling;
+        } finally {
+            backfilling = null;
+        }
+    }
+
+    function connect(conn) {
+        if (stopped) return;
+        const ws = new WebSocket(`${url}?streams=${conn.streams.join('/')}`);
+        conn.ws = ws;
+        conn.lastMessageAt = Date.now();
+
+        ws.on('open', () => {
+            console.log(`🔌 Kline stream connected (${conn.streams.length} streams)`);
+            if (conn.attempts > 0) backfill('reconnect');
+            conn.attempts = 0;
+        });
+        ws.on('message', (raw) => {
+            conn.lastMessageAt = Date.now();
+            const k = parseKlineMessage(raw);
+            if (!k) return;
+            const label = LABEL_BY_INTERVAL[k.interval];
+            if (!label) return;
+            if (store.upsert(k.symbol, label, k.candle) && k.closed) {
+                try {
+                    onCandleClose(k.symbol, label, k.candle);
+                } catch (e) {
+                    console.error('onCandleClose handler error:', e.message);
+                }
+            }
+        });
+        ws.on('error', (err) => {
+            console.warn(`Kline stream error: ${err.message}`);
+        });
+        ws.on('close', () => {
+            if (stopped) return;
+            conn.attempts++;
+            const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * Math.pow(2, conn.attempts - 1));
+            console.warn(`🔌 Kline stream closed, reconnecting in ${Math.round(delay/1000)}s`);
+            conn.timer = setTimeout(() => connect(conn), delay);
+        });
+    }
+
+    let watchdog = null;
+
+    return {
+        store,
+        async start() {
+            stopped = false;
+            await backfill('start');
+            if (stopped) return; // stop() ran while the backfill was in flight
+            if (watchdog) clearInterval(watchdog);
+            for (const g of groups) {
+                const conn = { streams: g, ws: null, attempts: 0, lastMessageAt: Date.now(), timer: null };
+                connections.push(conn);
+                connect(conn);
+            }
+            watchdog = setInterval(() => {
+                for (const conn of connections) {
+                    if (conn.ws && conn.ws.readyState === WebSocket.OPEN && Date.now() - conn.lastMessageAt > STALE_TIMEOUT_MS) {
+                        console.warn('🔌 Kline stream stale, terminating socket');
+                        conn.ws.terminate(); // 'close' handler reconnects
+                    }
+                }
+            }, STALE_TIMEOUT_MS / 3);
+        },
+        stop() {
+            stopped = true;
+            if (watchdog) clearInterval(watchdog);
+            for (const conn of connections) {
+                if (conn.timer) clearTimeout(conn.timer);
+                if (conn.ws) conn.ws.terminate();
+            }
+            connections.length = 0;
+        },
+        isConnected() {
+            return connections.length > 0 && connections.every(c => c.ws && c.ws.readyState === WebSocket.OPEN);
+        }
+    };
+}
+
+module.exports = { createCandleStore, createKlineStream, parseKlineMessage };
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createApiRouter } = require('../api');
+
+// storage semantics: unresolved signals are OPEN, pending LIMIT entries included
+const SIGNALS = [
+    { id: 'A', symbol: 'BTCUSDT', direction: 'LONG', orderType: 'MARKET', createdAtEpoch: 300 },
+    { id: 'B', symbol: 'ETHUSDT', direction: 'SHORT', orderType: 'LIMIT', createdAtEpoch: 200 },
+    { id: 'C', symbol: 'SOLUSDT', direction: 'LONG', orderType: 'LIMIT', fill: { price: 1 }, createdAtEpoch: 150 },
+    { id: 'D', symbol: 'BTCUSDT', direction: 'LONG', orderType: 'MARKET', outcome: { status: 'WIN', r: 1 }, createdAtEpoch: 100 }
+];
+
+const deps = {
+    querySignals: async q => SIGNALS.filter(s => !q.status || (s.outcome ? s.outcome.status : 'OPEN') === q.status).slice(0, q.limit),
+    getSignal: async () => null,
+    loadUsers: async () => ({}),
+    analyzeCoin: async symbol => ({ symbol }),
+    getScanStatus: async () => ({})
+};
+
+async function withServer(rawKeys, fn) {
+    const app = express();
+    app.use('/api', createApiRouter(deps, rawKeys));
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/api`;
+    try {
+        await fn((path, key, headers = {}) => fetch(base + path, { headers: key === undefined ? headers : { 'X-API-Key': key, ...headers } }));
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('valid key is accepted, unknown and missing keys are rejected', () => withServer('dash:secret:10', async get => {
+    assert.strictEqual((await get('/status', 'secret')).status, 200);
+    assert.strictEqual((await get('/status', 'wrong')).status, 401);
+    assert.strictEqual((await get('/status')).status, 401);
+}));
+
+test('Object.prototype names are not API keys', () => withServer('dash:secret:10', async get => {
+    for (const key of ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'valueOf']) {
+        assert.strictEqual((await get('/status', key)).status, 401, key);
+    }
+}));
+
+test('Bearer token works like X-API-Key', () => withServer('dash:secret:10', async get => {
+    assert.strictEqual((await get('/status', undefined, { Authorization: 'Bearer secret' })).status, 200);
+    assert.strictEqual((await get('/status', undefined, { Authorization: 'Bearer constructor' })).status, 401);
+}));
+
+test('requests over the per-minute limit get 429', () => withServer('dash:secret:2', async get => {
+    assert.strictEqual((await get('/status', 'secret')).status, 200);
+    assert.strictEqual((await get('/status', 'secret')).status, 200);
+    const res = await get('/status', 'secret');
+    assert.strictEqual(res.status, 429);
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+}));
+
+test('no API_KEYS -> API disabled', () => withServer('', async get => {
+    assert.strictEqual((await get('/status', 'anything')).status, 503);
+}));
+
+test('status filter tells PENDING and OPEN apart', () => withServer('dash:secret:10', async get => {
+    const ids = async status => (await (await get(`/signals?status=${status}`, 'secret')).json()).signals.map(s => s.id);
+    assert.deepStrictEqual(await ids('PENDING'), ['B']);
+    assert.deepStrictEqual(await ids('open'), ['A', 'C']);
+    assert.deepStrictEqual(await ids('WIN'), ['D']);
+}));
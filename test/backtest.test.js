@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerStrategy } = require('../strategies');
+const { runBacktest } = require('../backtest');
+
+const M5 = 5 * 60 * 1000;
+const M15 = 15 * 60 * 1000;
+const T0 = Date.parse('2026-10-20T00:00:00Z');
+const SIGNAL_BAR = 3;
+
+// fixture: flat at 100, signal at the close of bar 3, TP1 (101) on bar 5, then drifting above entry until the data ends
+const M5_ROWS = [
+    [100, 100.2, 99.8, 100], [100, 100.2, 99.8, 100], [100, 100.2, 99.8, 100], [100, 100.2, 99.8, 100],
+    [100, 100.6, 99.9, 100.5], [100.5, 101.3, 100.4, 101], [101, 101.1, 100.3, 100.6], [100.6, 100.9, 100.2, 100.5]
+];
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+fs.writeFileSync(path.join(dir, 'TESTUSDT_5m.json'), JSON.stringify(M5_ROWS.map(([o, h, l, c], i) => [T0 + i * M5, o, h, l, c, 10])));
+fs.writeFileSync(path.join(dir, 'TESTUSDT_15m.json'), JSON.stringify([0, 1, 2].map(i => [T0 + i * M15, 100, 101.3, 99.8, 100.5, 30])));
+
+// fires once, on the fixture's signal bar
+registerStrategy({
+    name: 'test-ladder',
+    timeframes: ['15M', '5M'],
+    required: ['5M'],
+    analyze(symbol, candles) {
+        const m5 = candles['5M'];
+        if (m5[m5.length - 1].t !== T0 + SIGNAL_BAR * M5) return { symbol, direction: 'NO_TRADE', confidence: 0 };
+        return {
+            symbol, direction: 'LONG', confidence: 80, entry: 100, sl: 99, tp: 103,
+            ladder: { targets: [{ label: 'TP1', price: 101, allocation: 0.5 }, { label: 'TP2', price: 102, allocation: 0.3 }, { label: 'TP3', price: 103, allocation: 0.2 }], trailToBreakeven: true }
+        };
+    }
+});
+
+test('a trade still open when the data ends keeps the ladder slices it already booked', () => {
+    const report = runBacktest(dir, ['TESTUSDT'], { strategy: 'test-ladder', minconf: 0, cooldown: 0, fee: 0 });
+    assert.strictEqual(report.trades.length, 1);
+    const trade = report.trades[0];
+    assert.strictEqual(trade.status, 'OPEN_AT_END');
+    assert.deepStrictEqual(trade.exits, [
+        { label: 'TP1', price: 101, fraction: 0.5, r: 1 },
+        { label: 'MARK', price: 100.5, fraction: 0.5, r: 0.5 }
+    ]);
+    assert.strictEqual(trade.r, 0.75);
+    assert.strictEqual(trade.exitAt, new Date(T0 + M5_ROWS.length * M5).toISOString());
+    // 0.5% risk of 1000 at 0.75R, no fees
+    assert.strictEqual(report.overall.finalEquity, 1003.75);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const os = require('os');
+
+process.env.CONFIG_FILE = path.join(os.tmpdir(), `config-test-missing-${process.pid}.json`);
+const { DEFAULT_CONFIG, validateConfig } = require('../config');
+
+test('valid keys are merged over the defaults', () => {
+    const { config, errors } = validateConfig({ minConfidence: 70, timeframeWeights: { H1: 2 }, symbols: { BTCUSDT: { slMultiplier: 1.5 } } });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(config.minConfidence, 70);
+    assert.deepStrictEqual(config.timeframeWeights, { ...DEFAULT_CONFIG.timeframeWeights, H1: 2 });
+    assert.deepStrictEqual(config.symbols, { BTCUSDT: { slMultiplier: 1.5 } });
+});
+
+test('unknown keys and bad values are rejected', () => {
+    const { config, errors } = validateConfig({ minConfidence: 120, foo: 1, timeframeWeights: { '1D': 1 }, symbols: { BTCUSDT: { targetCoins: [] } } });
+    assert.strictEqual(config, null);
+    assert.deepStrictEqual(errors, [
+        'minConfidence: must be a number in [0, 99]',
+        'foo: unknown key',
+        `timeframeWeights: must map ${Object.keys(DEFAULT_CONFIG.timeframeWeights).join(' / ')} to positive numbers`,
+        'symbols.BTCUSDT.targetCoins: not overridable per symbol'
+    ]);
+});
+
+// JSON.parse keeps "__proto__" as an own key, like any config file would
+test('Object.prototype names are unknown keys, not checks', () => {
+    for (const key of ['hasOwnProperty', 'constructor', 'toString', '__proto__']) {
+        const { config, errors } = validateConfig(JSON.parse(`{ "${key}": { "minConfidence": 1 } }`));
+        assert.strictEqual(config, null, key);
+        assert.deepStrictEqual(errors, [`${key}: unknown key`]);
+    }
+    const { errors } = validateConfig(JSON.parse('{ "timeframeWeights": { "__proto__": 1, "valueOf": 2 } }'));
+    assert.strictEqual(errors.length, 1);
+});
+
+test('universe keys are checked as own properties', () => {
+    assert.deepStrictEqual(validateConfig({ universe: { size: 20, exclude: ['USDCUSDT'] } }).errors, []);
+    assert.deepStrictEqual(validateConfig(JSON.parse('{ "universe": { "__proto__": 1 } }')).errors, ['universe: __proto__: unknown key']);
+    assert.deepStrictEqual(validateConfig({ universe: { constructor: 1 } }).errors, ['universe: constructor: unknown key']);
+});
+
+test('report keys are checked as own properties', () => {
+    assert.deepStrictEqual(validateConfig({ reports: { time: '07:30', audience: 'subscribers' } }).errors, []);
+    assert.deepStrictEqual(validateConfig(JSON.parse('{ "reports": { "__proto__": true } }')).errors, ['reports: __proto__: unknown key']);
+    assert.deepStrictEqual(validateConfig({ reports: { toString: true } }).errors, ['reports: toString: unknown key']);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const I = require('../indicators');
+const { seededCandles } = require('../scripts/indicator-reference');
+
+/**
+ * Reference values
+ * - RSI: StockCharts ChartSchool "Relative Strength Index (RSI)" article, Calculation section example table, 2 decimals
+ * - Bollinger: StockCharts ChartSchool "Bollinger Bands" article, Calculation section example table, 2 decimals
+ * - MACD, ADX / DI: technicalindicators 3.1.0 (Wilder, first ADX on bar 2*period-1); Stoch RSI, SuperTrend: trading-signals 8.3.0
+ *   both run on the seeded OHLCV series, values rounded to 6 decimals: `npm run indicators:reference` prints them
+ * - OBV, VWAP: small series worked out by hand
+ */
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(actual !== null && Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected}, got ${actual}`);
+}
+
+function firstIndex(series) {
+    return series.findIndex(v => v !== null);
+}
+
+const candles = seededCandles();
+const closes = candles.map(c => c.close);
+const lastN = (series, n) => series.slice(-n);
+
+// ----------------- Published examples -----------------
+// the StockCharts sheet rounds the first average gain / loss (0.24 / 0.10), which shifts its values by up to 0.07
+test('RSI(14) matches the StockCharts example', () => {
+    const closes = [44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28,
+        46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57, 43.42, 42.66, 43.13];
+    const expected = [70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38, 54.71, 50.42, 39.99, 41.46, 41.87, 45.46, 37.30, 33.08, 37.77];
+    const r = I.rsi(closes, 14);
+    assert.strictEqual(firstIndex(r), 14);
+    expected.forEach((v, i) => assertClose(r[14 + i], v, 0.08, `rsi[${14 + i}]`));
+});
+
+test('Bollinger(20, 2) matches the StockCharts example', () => {
+    const closes = [86.16, 89.09, 88.78, 90.32, 89.07, 91.15, 89.44, 89.18, 86.93, 87.68, 86.96, 89.43, 89.32, 88.72, 87.45,
+        87.26, 89.50, 87.90, 89.13, 90.70, 92.90, 92.98];
+    const b = I.bollinger(closes, 20, 2);
+    assert.strictEqual(firstIndex(b.middle), 19);
+    assert.strictEqual(firstIndex(b.upper), 19);
+    [[88.71, 91.29, 86.13], [89.05, 91.95, 86.14], [89.24, 92.61, 85.87]].forEach(([mid, up, low], i) => {
+        assertClose(b.middle[19 + i], mid, 0.01, `middle[${19 + i}]`);
+        assertClose(b.upper[19 + i], up, 0.01, `upper[${19 + i}]`);
+        assertClose(b.lower[19 + i], low, 0.01, `lower[${19 + i}]`);
+    });
+});
+
+// ----------------- Reference implementations -----------------
+test('MACD(12, 26, 9) matches the reference series', () => {
+    const m = I.macd(closes);
+    assert.strictEqual(firstIndex(m.macd), 25);
+    assert.strictEqual(firstIndex(m.signal), 33);
+    assert.strictEqual(firstIndex(m.histogram), 33);
+    const expected = [
+        [-1.301206, -0.878107, -0.423098],
+        [-1.575610, -1.017608, -0.558002],
+        [-1.653115, -1.144709, -0.508406],
+        [-1.632021, -1.242172, -0.389850],
+        [-1.631482, -1.320034, -0.311448]
+    ];
+    const [line, signal, hist] = [lastN(m.macd, 5), lastN(m.signal, 5), lastN(m.histogram, 5)];
+    expected.forEach(([l, s, h], i) => {
+        assertClose(line[i], l, 1e-6, `macd[${i}]`);
+        assertClose(signal[i], s, 1e-6, `signal[${i}]`);
+        assertClose(hist[i], h, 1e-6, `histogram[${i}]`);
+    });
+});
+
+test('ADX(14) / DMI matches the reference series', () => {
+    const a = I.adx(candles, 14);
+    assert.strictEqual(firstIndex(a.plusDI), 14);
+    assert.strictEqual(firstIndex(a.minusDI), 14);
+    assert.strictEqual(firstIndex(a.adx), 27);
+    const expected = [
+        [13.975028, 13.449591, 25.828353],
+        [15.449286, 12.655348, 26.054687],
+        [16.441427, 13.201406, 24.164200],
+        [17.033084, 13.814975, 22.890188],
+        [17.582480, 13.505311, 22.377103]
+    ];
+    const [adx, plus, minus] = [lastN(a.adx, 5), lastN(a.plusDI, 5), lastN(a.minusDI, 5)];
+    expected.forEach(([x, p, m], i) => {
+        assertClose(adx[i], x, 1e-5, `adx[${i}]`);
+        assertClose(plus[i], p, 1e-5, `plusDI[${i}]`);
+        assertClose(minus[i], m, 1e-5, `minusDI[${i}]`);
+    });
+});
+
+test('Stoch RSI(14, 14, 3, 3) matches the reference series', () => {
+    const s = I.stochRsi(closes);
+    assert.strictEqual(firstIndex(s.k), 29);
+    assert.strictEqual(firstIndex(s.d), 31);
+    [2.316104, 0, 9.084706, 22.545957, 34.453431].forEach((v, i) => assertClose(lastN(s.k, 5)[i], v, 1e-5, `k[${i}]`));
+    [8.120771, 3.133453, 3.800270, 10.543554, 22.028031].forEach((v, i) => assertClose(lastN(s.d, 5)[i], v, 1e-5, `d[${i}]`));
+});
+
+// the reference seeds ATR with the first bar's high-low, ours from bar 1 (see atr): compare once the seed has decayed
+test('SuperTrend(10, 3) matches the reference series', () => {
+    const st = I.supertrend(candles, 10, 3);
+    assert.strictEqual(firstIndex(st.value), 10);
+    assert.strictEqual(firstIndex(st.direction), 10);
+    [138.114092, 137.326994, 137.326994, 137.326994, 137.326994].forEach((v, i) => assertClose(lastN(st.value, 5)[i], v, 1e-4, `value[${i}]`));
+    assert.deepStrictEqual(lastN(st.direction, 5), [-1, -1, -1, -1, -1]);
+});
+
+// ----------------- Worked by hand -----------------
+test('OBV adds volume on up closes, subtracts on down closes', () => {
+    const bars = [[10, 100], [11, 200], [11, 300], [10.5, 400], [12, 500]].map(([close, vol]) => ({ close, vol }));
+    assert.deepStrictEqual(I.obv(bars), [0, 200, 200, -200, 300]);
+});
+
+test('VWAP uses typical price and resets each session', () => {
+    const h = 3600e3;
+    const bars = [
+        { t: 22 * h, high: 12, low: 8, close: 10, vol: 100 },   // tp 10
+        { t: 23 * h, high: 14, low: 10, close: 12, vol: 300 },  // tp 12
+        { t: 24 * h, high: 21, low: 19, close: 20, vol: 50 },   // new UTC day, tp 20
+        { t: 25 * h, high: 22, low: 20, close: 24, vol: 0 }
+    ];
+    assert.deepStrictEqual(I.vwap(bars), [10, 11.5, 20, 20]);
+    // session starting 23:00 UTC: bars 2-4 share a session
+    assert.deepStrictEqual(I.vwap(bars, { sessionStartHourUtc: 23 }), [10, 12, (12 * 300 + 20 * 50) / 350, (12 * 300 + 20 * 50) / 350]);
+});
+
+test('warm-up bars are null and the series stay index-aligned', () => {
+    const series = {
+        sma: I.sma(closes, 20), ema: I.ema(closes, 20), rma: I.rma(closes, 14), rsi: I.rsi(closes, 14),
+        atr: I.atr(candles, 14), obv: I.obv(candles), vwap: I.vwap(candles)
+    };
+    for (const s of Object.values(series)) assert.strictEqual(s.length, closes.length);
+    assert.strictEqual(firstIndex(series.sma), 19);
+    assert.strictEqual(firstIndex(series.ema), 19);
+    assert.strictEqual(firstIndex(series.rma), 13);
+    assert.strictEqual(firstIndex(series.rsi), 14);
+    assert.strictEqual(firstIndex(series.atr), 14);
+    assert.strictEqual(firstIndex(series.obv), 0);
+    assert.strictEqual(firstIndex(series.vwap), 0);
+    // too short for the period -> all null
+    assert.ok(I.rsi(closes.slice(0, 14), 14).every(v => v === null));
+    assert.ok(I.adx(candles.slice(0, 27), 14).adx.every(v => v === null));
+    assert.ok(I.macd(closes.slice(0, 25)).macd.every(v => v === null));
+});
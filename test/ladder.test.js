@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildLadder, signalTargets, firstTarget } = require('../ladder');
+
+const flat = p => targets => targets.map(() => p);
+
+test('three targets from three candidates: allocation, R, p and blended expected R', () => {
+    const ladder = buildLadder({ direction: 'LONG', entry: 100, sl: 99, atr: 1, candidates: [1, 2, 3], allocation: [0.5, 0.3, 0.2], probability: flat(0.5) });
+    assert.deepStrictEqual(ladder.targets.map(t => [t.label, t.price, t.allocation, t.r, t.p]), [
+        ['TP1', 101, 0.5, 1, 0.5],
+        ['TP2', 102, 0.3, 2, 0.25],
+        ['TP3', 103, 0.2, 3, 0.25]
+    ]);
+    assert.strictEqual(ladder.trailToBreakeven, true);
+    // -(1 - 0.5) + 0.5 * (0.5 * 1 + 0.3 * 0.5 * 2 + 0.2 * 0.5 * 3)
+    assert.strictEqual(ladder.expectedR, 0.05);
+    assert.strictEqual(ladder.EV, 0.05);
+});
+
+test('the best subset of the candidates is picked, SHORT prices below entry', () => {
+    // p(TP1) falls off fast past 1 ATR, later targets are reached half of the time once TP1 is in
+    const probability = (targets, slAtr) => targets.map(m => slAtr === 2 ? (m <= 1 ? 0.9 : 0.2) : 0.5);
+    const ladder = buildLadder({ direction: 'SHORT', entry: 50, sl: 51, atr: 0.5, candidates: [3, 1, 2, 4, 2], allocation: [0.6, 0.4], probability });
+    assert.deepStrictEqual(ladder.targets.map(t => [t.price, t.atrMultiple, t.allocation]), [[49.5, 1, 0.6], [48, 4, 0.4]]);
+    assert.ok(ladder.targets.every(t => t.price < 50));
+});
+
+test('tpAllocation: longer than the candidates is cut and renormalized, a single slice is no ladder', () => {
+    const ladder = buildLadder({ direction: 'LONG', entry: 10, sl: 9, atr: 1, candidates: [1, 2], allocation: [0.4, 0.3, 0.2, 0.1], probability: flat(0.6) });
+    assert.deepStrictEqual(ladder.targets.map(t => t.allocation), [0.5714, 0.4286]);
+    assert.strictEqual(buildLadder({ direction: 'LONG', entry: 10, sl: 9, atr: 1, candidates: [1, 2], allocation: [1], probability: flat(0.6) }), null);
+    assert.strictEqual(buildLadder({ direction: 'LONG', entry: 10, sl: 10, atr: 1, candidates: [1, 2], allocation: [0.5, 0.5], probability: flat(0.6) }), null);
+});
+
+test('a snap that would fall behind the previous target keeps the raw price', () => {
+    const snap = p => p > 102 ? 100.5 : p - 0.1;
+    const ladder = buildLadder({ direction: 'LONG', entry: 100, sl: 99, atr: 1, candidates: [1, 2, 3], allocation: [0.5, 0.3, 0.2], probability: flat(0.5), snap });
+    assert.deepStrictEqual(ladder.targets.map(t => t.price), [100.9, 101.9, 103]);
+    assert.deepStrictEqual(ladder.targets.map(t => t.r), [0.9, 1.9, 3]);
+});
+
+test('signals without a ladder resolve against their TP with the whole position', () => {
+    assert.deepStrictEqual(signalTargets({ tp: 105 }), [{ label: 'TP', price: 105, allocation: 1 }]);
+    const ladder = buildLadder({ direction: 'LONG', entry: 100, sl: 99, atr: 1, candidates: [1, 2], allocation: [0.5, 0.5], probability: flat(0.5) });
+    assert.strictEqual(firstTarget({ tp: 102, ladder }), 101);
+});
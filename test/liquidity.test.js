@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectLiquidityLevels, findSwings } = require('../liquidity');
+
+const H = 60 * 60 * 1000;
+const M15 = 15 * 60 * 1000;
+const DAY = Date.parse('2026-10-20T00:00:00Z');
+
+const bar = (t, high, low = high - 2) => ({ t, open: (high + low) / 2, close: (high + low) / 2, high, low, vol: 1 });
+
+test('swing points need strictly higher highs / lower lows than two bars on each side', () => {
+    const highs = [100, 101, 105, 101, 100, 103, 103, 101, 100];
+    const { highs: sh, lows: sl } = findSwings(highs.map((h, i) => bar(i, h, h - 1)));
+    // the 103 / 103 pair is not a fractal: neither bar is above the other
+    assert.deepStrictEqual(sh, [{ price: 105, idx: 2 }]);
+    assert.deepStrictEqual(sl, [{ price: 99, idx: 4 }]);
+});
+
+test('equal highs merge into one stronger level, type relative to the price', () => {
+    // 21:00-23:45 UTC: after every session, no previous day in the data -> swings only
+    const highs = [100, 101, 110, 101, 100, 101, 110.05, 101, 100, 99, 98, 97];
+    const m15 = highs.map((h, i) => bar(DAY + 21 * H + i * M15, h));
+    const levels = detectLiquidityLevels({ m15, atr: 1, price: 100 });
+    assert.strictEqual(levels.length, 2);
+    assert.deepStrictEqual(levels[0], { type: 'support', price: 98, strength: 1, sources: ['swing_low_m15'] });
+    // 110 + 110.05 (swings, 1 each) + their equal-highs cluster at 110.025 (2 touches)
+    const top = levels[1];
+    assert.strictEqual(top.type, 'resistance');
+    assert.strictEqual(top.strength, 4);
+    assert.ok(Math.abs(top.price - 110.025) < 1e-9);
+    assert.deepStrictEqual(top.sources, ['swing_high_m15', 'equal_highs']);
+    // levels further apart than 0.15 ATR stay separate
+    assert.strictEqual(detectLiquidityLevels({ m15, atr: 0.2, price: 100 }).filter(l => l.price > 109).length, 2);
+});
+
+test('previous-day and last completed session highs / lows', () => {
+    // hourly bars from yesterday 00:00 to today 09:00 UTC: today's Asia session is complete, London / New York are yesterday's
+    const h1 = [];
+    for (let t = DAY - 24 * H; t <= DAY + 9 * H; t += H) h1.push({ t, open: 100, close: 100, high: 100.5, low: 99.5, vol: 1 });
+    const at = t => h1.find(c => c.t === t);
+    at(DAY - 9 * H).high = 120; // yesterday 15:00: London + New York + previous day
+    at(DAY - 21 * H).low = 80; // yesterday 03:00: previous day only (yesterday's Asia is not the last one)
+    at(DAY + 4 * H).high = 105; // today 04:00: Asia
+
+    const levels = detectLiquidityLevels({ m15: h1, h1, atr: 1, price: 100 });
+    const byPrice = p => levels.find(l => l.price === p);
+    assert.deepStrictEqual(byPrice(120), { type: 'resistance', price: 120, strength: 10, sources: ['swing_high_m15', 'swing_high_h1', 'prev_day_high', 'london_high', 'newyork_high'] });
+    assert.deepStrictEqual(byPrice(80).sources, ['swing_low_m15', 'swing_low_h1', 'prev_day_low']);
+    assert.deepStrictEqual(byPrice(105).sources, ['swing_high_m15', 'swing_high_h1', 'asia_high']);
+    assert.deepStrictEqual(byPrice(99.5).sources, ['asia_low', 'london_low', 'newyork_low']);
+});
+
+test('no candles or no ATR -> no levels', () => {
+    assert.deepStrictEqual(detectLiquidityLevels({ m15: [], atr: 1, price: 1 }), []);
+    assert.deepStrictEqual(detectLiquidityLevels({ m15: [bar(0, 1)], atr: 0, price: 1 }), []);
+});
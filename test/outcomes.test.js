@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SIGNAL_EXPIRY_SECONDS, resolvePendingEntry, walkSignal, resolveSignalOutcome, markToMarket, expireStaleSignals, emptyStats, applyOutcomeToStats, summarizeBucket, confidenceBucket } = require('../outcomes');
+
+const M5 = 5 * 60 * 1000;
+const START = Date.parse('2026-10-20T08:00:00Z');
+
+// 5m candles from START, one per [open, high, low, close]
+function candles(rows, from = START) {
+    return rows.map(([open, high, low, close], i) => ({ t: from + i * M5, open, high, low, close, vol: 1 }));
+}
+
+const long = (extra = {}) => ({ id: 'L', symbol: 'BTCUSDT', direction: 'LONG', entry: 100, sl: 99, tp: 102, createdAtEpoch: START / 1000, ...extra });
+const short = (extra = {}) => ({ id: 'S', symbol: 'ETHUSDT', direction: 'SHORT', entry: 100, sl: 101, tp: 98, createdAtEpoch: START / 1000, ...extra });
+const END = START + 100 * M5;
+
+// ----------------- Resolver -----------------
+test('TP reached before the stop -> WIN at the TP, resolved at the candle close', () => {
+    const o = resolveSignalOutcome(long(), candles([[100, 100.5, 99.5, 100.2], [100.2, 102.1, 100.1, 101.8]]), END);
+    assert.deepStrictEqual(o, { status: 'WIN', exitPrice: 102, r: 2, resolvedAt: '2026-10-20T08:10:00.000Z', resolvedAtEpoch: (START + 2 * M5) / 1000 });
+});
+
+test('stop reached first -> LOSS at the SL (SHORT)', () => {
+    const o = resolveSignalOutcome(short(), candles([[100, 100.4, 99.6, 100.1], [100.1, 101.2, 99.9, 101], [101, 101, 97, 97.5]]), END);
+    assert.strictEqual(o.status, 'LOSS');
+    assert.strictEqual(o.exitPrice, 101);
+    assert.strictEqual(o.r, -1);
+    assert.strictEqual(o.resolvedAtEpoch, (START + 2 * M5) / 1000);
+});
+
+test('stop and TP inside the same candle -> the stop wins', () => {
+    assert.strictEqual(resolveSignalOutcome(long(), candles([[100, 102.5, 98.5, 101]]), END).status, 'LOSS');
+    assert.strictEqual(resolveSignalOutcome(short(), candles([[100, 101.5, 97.5, 99]]), END).status, 'LOSS');
+});
+
+test('candles before the signal and the forming candle are ignored', () => {
+    const rows = candles([[100, 103, 98, 100], [100, 100.5, 99.5, 100], [100, 103, 99.5, 102.5]], START - M5);
+    // the TP candle is still forming at nowMs
+    assert.strictEqual(resolveSignalOutcome(long(), rows, START + 2 * M5 - 1), null);
+    assert.strictEqual(resolveSignalOutcome(long(), rows, START + 2 * M5).status, 'WIN');
+});
+
+test('still open after the expiry -> EXPIRED at the close, BREAKEVEN within 0.1R', () => {
+    const bars = SIGNAL_EXPIRY_SECONDS * 1000 / M5;
+    const flat = close => candles(Array.from({ length: bars + 5 }, () => [100, 100.6, 99.6, close]));
+    const expired = resolveSignalOutcome(long(), flat(100.5), END);
+    assert.strictEqual(expired.status, 'EXPIRED');
+    assert.strictEqual(expired.r, 0.5);
+    assert.strictEqual(expired.resolvedAtEpoch, START / 1000 + SIGNAL_EXPIRY_SECONDS);
+    assert.strictEqual(resolveSignalOutcome(long(), flat(99.95), END).status, 'BREAKEVEN');
+    // one bar short of the expiry: still open
+    assert.strictEqual(resolveSignalOutcome(long(), flat(100.5).slice(0, bars - 1), END), null);
+});
+
+// ----------------- Pending LIMIT entries -----------------
+const limitLong = (extra = {}) => long({ orderType: 'LIMIT', entry: 99, sl: 98, tp: 102, validUntilEpoch: (START + 6 * M5) / 1000, ...extra });
+
+test('pending entry fills on the first candle that trades into it, then resolves from the fill', () => {
+    const rows = candles([[100, 100.5, 99.5, 100], [100, 100.2, 98.9, 99.2], [99.2, 102.2, 99, 102]]);
+    const entry = resolvePendingEntry(limitLong(), rows, END);
+    assert.deepStrictEqual(entry, { status: 'FILLED', fill: { price: 99, filledAt: '2026-10-20T08:05:00.000Z', filledAtEpoch: (START + M5) / 1000 } });
+    const o = resolveSignalOutcome(limitLong({ fill: entry.fill }), rows, END);
+    assert.strictEqual(o.status, 'WIN');
+    assert.strictEqual(o.r, 3);
+    // the fill candle is walked again for the stop
+    const dip = candles([[100, 100.5, 99.5, 100], [100, 100.2, 97.9, 98.5]]);
+    const filled = resolvePendingEntry(limitLong(), dip, END);
+    assert.strictEqual(resolveSignalOutcome(limitLong({ fill: filled.fill }), dip, END).status, 'LOSS');
+});
+
+test('TP reached before the fill -> CANCELLED (INVALIDATED), also when one candle touches both', () => {
+    const ran = resolvePendingEntry(limitLong(), candles([[100, 101, 99.5, 100.8], [100.8, 102.3, 100.5, 102], [102, 102, 98.5, 99]]), END);
+    assert.deepStrictEqual(ran, { status: 'CANCELLED', outcome: { status: 'CANCELLED', reason: 'INVALIDATED', exitPrice: null, r: 0, resolvedAt: '2026-10-20T08:10:00.000Z', resolvedAtEpoch: (START + 2 * M5) / 1000 } });
+    assert.strictEqual(resolvePendingEntry(limitLong(), candles([[100, 102.5, 98.5, 100]]), END).outcome.reason, 'INVALIDATED');
+});
+
+test('no fill before validUntil -> CANCELLED (NOT_FILLED); null while still pending', () => {
+    const rows = candles(Array.from({ length: 8 }, () => [100, 100.5, 99.5, 100]));
+    const res = resolvePendingEntry(limitLong(), rows, END);
+    assert.strictEqual(res.outcome.reason, 'NOT_FILLED');
+    assert.strictEqual(res.outcome.resolvedAtEpoch, (START + 6 * M5) / 1000);
+    assert.strictEqual(resolvePendingEntry(limitLong(), rows.slice(0, 5), END), null);
+    // cancelled entries never reach the stats
+    assert.deepStrictEqual(applyOutcomeToStats(emptyStats(), limitLong({ outcome: res.outcome })), emptyStats());
+});
+
+// ----------------- TP ladder -----------------
+const ladderLong = (extra = {}) => long({
+    tp: 103,
+    ladder: { targets: [{ label: 'TP1', price: 101, allocation: 0.5 }, { label: 'TP2', price: 102, allocation: 0.3 }, { label: 'TP3', price: 103, allocation: 0.2 }], trailToBreakeven: true },
+    ...extra
+});
+const slices = o => o.exits.map(e => [e.label, e.price, e.fraction, e.r]);
+
+test('ladder: TP1, then the stop trailed to entry closes the rest flat', () => {
+    const o = resolveSignalOutcome(ladderLong(), candles([[100, 101.2, 99.8, 101], [101, 101.1, 99.9, 100.2], [100.2, 103.5, 98, 103]]), END);
+    assert.deepStrictEqual(slices(o), [['TP1', 101, 0.5, 1], ['BE', 100, 0.5, 0]]);
+    assert.strictEqual(o.status, 'WIN');
+    assert.strictEqual(o.r, 0.5);
+    assert.strictEqual(o.exitPrice, 100);
+    // without the trail the original stop stays and TP2 / TP3 are still reachable
+    const noTrail = ladderLong();
+    noTrail.ladder.trailToBreakeven = false;
+    assert.strictEqual(resolveSignalOutcome(noTrail, candles([[100, 101.2, 99.8, 101], [101, 101.1, 99.9, 100.2], [100.2, 103.5, 99.5, 103]]), END).r, 1.7);
+});
+
+test('ladder: every target reached books its slice, blended R over the allocation', () => {
+    const o = resolveSignalOutcome(ladderLong(), candles([[100, 101.2, 99.5, 101], [101, 102.1, 100.5, 102], [102, 103.2, 101.5, 103]]), END);
+    assert.deepStrictEqual(slices(o), [['TP1', 101, 0.5, 1], ['TP2', 102, 0.3, 2], ['TP3', 103, 0.2, 3]]);
+    assert.strictEqual(o.status, 'WIN');
+    assert.strictEqual(o.r, 1.7);
+    assert.strictEqual(o.resolvedAtEpoch, (START + 3 * M5) / 1000);
+    // two targets inside one candle are both booked
+    assert.deepStrictEqual(slices(resolveSignalOutcome(ladderLong(), candles([[100, 102.3, 99.5, 102], [102, 103.1, 101, 103]]), END)).map(e => e[0]), ['TP1', 'TP2', 'TP3']);
+});
+
+test('ladder: stop before TP1 loses the whole position; partials while the rest is open', () => {
+    const loss = resolveSignalOutcome(ladderLong(), candles([[100, 100.8, 98.9, 99.2]]), END);
+    assert.deepStrictEqual(slices(loss), [['SL', 99, 1, -1]]);
+    assert.strictEqual(loss.status, 'LOSS');
+    assert.strictEqual(loss.r, -1);
+
+    const walk = walkSignal(ladderLong(), candles([[100, 101.2, 99.8, 101], [101, 101.6, 100.4, 100.5]]), END);
+    assert.strictEqual(walk.outcome, null);
+    assert.deepStrictEqual(walk.exits.map(e => e.label), ['TP1']);
+    // marked at 100.5: TP1 keeps its 1R, the other half is worth 0.5R
+    const marked = markToMarket(ladderLong(), walk.exits, 100.5, START + 2 * M5);
+    assert.strictEqual(marked.status, 'OPEN_AT_END');
+    assert.deepStrictEqual(slices(marked), [['TP1', 101, 0.5, 1], ['MARK', 100.5, 0.5, 0.5]]);
+    assert.strictEqual(marked.r, 0.75);
+    // single target: plain mark to the price
+    assert.deepStrictEqual(markToMarket(long(), [], 99.5, START), { status: 'OPEN_AT_END', exitPrice: 99.5, r: -0.5, resolvedAt: '2026-10-20T08:00:00.000Z', resolvedAtEpoch: START / 1000 });
+});
+
+// ----------------- Stats -----------------
+test('win rate counts WIN vs LOSS, avg R every resolved signal, per bucket', () => {
+    const resolved = [
+        long({ confidence: 64, meta: { chosenTPMultiplier: 2 }, outcome: { status: 'WIN', r: 2 } }),
+        long({ confidence: 68, meta: { chosenTPMultiplier: 2 }, outcome: { status: 'LOSS', r: -1 } }),
+        short({ confidence: 71, meta: { chosenTPMultiplier: 1.5 }, outcome: { status: 'WIN', r: 1.5 } }),
+        short({ confidence: 75, outcome: { status: 'BREAKEVEN', r: 0.05 } }),
+        long({ confidence: 90, outcome: { status: 'EXPIRED', r: -0.4 } })
+    ];
+    let stats = null;
+    for (const s of resolved) stats = applyOutcomeToStats(stats, s);
+
+    assert.deepStrictEqual(summarizeBucket(stats.overall), { count: 5, winRate: 66.7, avgR: 0.43 });
+    assert.deepStrictEqual(summarizeBucket(stats.bySymbol.BTCUSDT), { count: 3, winRate: 50, avgR: 0.2 });
+    assert.deepStrictEqual(summarizeBucket(stats.byDirection.SHORT), { count: 2, winRate: 100, avgR: 0.78 });
+    assert.deepStrictEqual(summarizeBucket(stats.byConfidence['60-69']), { count: 2, winRate: 50, avgR: 0.5 });
+    assert.deepStrictEqual(summarizeBucket(stats.byConfidence['90-99']), { count: 1, winRate: null, avgR: -0.4 });
+    assert.deepStrictEqual(Object.keys(stats.byTPMultiplier), ['2', '1.5', 'n/a']);
+    assert.strictEqual(stats.overall.breakeven, 1);
+    assert.strictEqual(stats.overall.expired, 1);
+    // open signals do not count
+    assert.strictEqual(applyOutcomeToStats(stats, long()).overall.count, 5);
+});
+
+test('confidence buckets are clamped to 0-99', () => {
+    assert.deepStrictEqual([confidenceBucket(0), confidenceBucket(59.9), confidenceBucket(100), confidenceBucket('x')], ['0-9', '50-59', '90-99', '0-9']);
+});
+
+// ----------------- Stale signals -----------------
+test('open signals past the stale limit are cancelled as STALE', () => {
+    const now = Date.parse('2026-10-20T12:00:00Z');
+    const hour = 60 * 60;
+    const signals = [
+        { id: 'old', symbol: 'XUSDT', direction: 'LONG', createdAtEpoch: now / 1000 - 49 * hour },
+        { id: 'legacy', symbol: 'YUSDT', direction: 'SHORT', createdAt: new Date(now - 72 * hour * 1000).toISOString() },
+        { id: 'recent', symbol: 'ZUSDT', direction: 'LONG', createdAtEpoch: now / 1000 - 47 * hour },
+        { id: 'resolved', symbol: 'XUSDT', direction: 'LONG', createdAtEpoch: now / 1000 - 99 * hour, outcome: { status: 'WIN', r: 1 } }
+    ];
+    const stale = expireStaleSignals(signals, 48 * hour, now);
+    assert.deepStrictEqual(stale.map(s => s.id), ['old', 'legacy']);
+    assert.deepStrictEqual(stale[0].outcome, { status: 'CANCELLED', reason: 'STALE', exitPrice: null, r: 0, resolvedAt: '2026-10-20T12:00:00.000Z', resolvedAtEpoch: now / 1000 });
+    assert.strictEqual(signals[2].outcome, undefined);
+    assert.strictEqual(signals[3].outcome.status, 'WIN');
+    // stats skip them like any cancelled signal
+    const stats = emptyStats();
+    for (const s of stale) applyOutcomeToStats(stats, s);
+    assert.deepStrictEqual(stats, emptyStats());
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { getProvider, setSymbolProvider } = require('../providers');
+
+// fake OKX endpoint: 5m bars back from `newest`, served newest first like the real API
+function fakeOkx(newest, available) {
+    const requests = [];
+    const get = async url => {
+        const q = new URL(url).searchParams;
+        requests.push(Object.fromEntries(q));
+        const start = q.get('after') ? Number(q.get('after')) - 5 * 60e3 : newest;
+        const rows = [];
+        for (let t = start; rows.length < Number(q.get('limit')) && t > newest - available * 5 * 60e3; t -= 5 * 60e3) {
+            rows.push([String(t), '1', '2', '0.5', '1.5', '10', '0.1', '0.15', '1']); // 10 contracts of 0.01 base
+        }
+        return { data: { code: '0', data: rows } };
+    };
+    return { get, requests };
+}
+
+test('OKX pages back past 300 candles, oldest first, no gaps or duplicates', async t => {
+    const newest = Date.UTC(2026, 9, 20, 12);
+    const fake = fakeOkx(newest, 5000);
+    t.mock.method(axios, 'get', fake.get);
+    setSymbolProvider('BTCUSDT', 'okx');
+    const candles = await getProvider('BTCUSDT').loadCandles('BTCUSDT', '5m', 1000);
+    setSymbolProvider('BTCUSDT', null);
+    assert.strictEqual(candles.length, 1000);
+    assert.deepStrictEqual(fake.requests.map(r => Number(r.limit)), [300, 300, 300, 100]);
+    assert.strictEqual(candles[candles.length - 1].t, newest);
+    assert.ok(candles.every((c, i) => i === 0 || c.t - candles[i - 1].t === 5 * 60e3));
+    // volume in the base asset (volCcy) like the other providers, not in contracts
+    assert.ok(candles.every(c => c.vol === 0.1));
+});
+
+test('OKX stops when the exchange has no older data', async t => {
+    const newest = Date.UTC(2026, 9, 20, 12);
+    const fake = fakeOkx(newest, 450);
+    t.mock.method(axios, 'get', fake.get);
+    setSymbolProvider('ETHUSDT', 'okx');
+    const candles = await getProvider('ETHUSDT').loadCandles('ETHUSDT', '5m', 1000);
+    setSymbolProvider('ETHUSDT', null);
+    assert.strictEqual(candles.length, 450);
+    assert.strictEqual(fake.requests.length, 2);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+
+const dirs = [];
+test.after(() => { for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true }); });
+
+function tempStore() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    dirs.push(dir);
+    const opts = { backend: 'file', docFiles: { users: path.join(dir, 'users.json') }, historyFile: path.join(dir, 'history.jsonl') };
+    return { dir, opts, storage: createStorage(opts), lines: () => fs.readFileSync(opts.historyFile, 'utf8').trim().split('\n').length };
+}
+
+const rec = (id, epoch, extra = {}) => ({ id, symbol: id.split('-')[0], createdAtEpoch: epoch, ...extra });
+
+test('file history: latest version wins for get / query / count', async () => {
+    const { storage, lines } = tempStore();
+    await storage.history.append(rec('BTCUSDT-1', 100));
+    await storage.history.append(rec('ETHUSDT-2', 200));
+    const updated = await storage.history.update('BTCUSDT-1', { outcome: { status: 'WIN', r: 1.5 } });
+    assert.strictEqual(updated.outcome.status, 'WIN');
+    assert.strictEqual(await storage.history.update('missing', { x: 1 }), null);
+    assert.strictEqual(await storage.history.count(), 2);
+    assert.strictEqual(lines(), 3);
+    assert.strictEqual((await storage.history.get('BTCUSDT-1')).outcome.status, 'WIN');
+    assert.deepStrictEqual((await storage.history.query()).map(r => r.id), ['ETHUSDT-2', 'BTCUSDT-1']);
+    assert.deepStrictEqual((await storage.history.query({ status: 'OPEN' })).map(r => r.id), ['ETHUSDT-2']);
+    assert.deepStrictEqual((await storage.history.query({ symbol: 'BTCUSDT', since: 50, until: 150 })).map(r => r.id), ['BTCUSDT-1']);
+    // returned records are copies
+    (await storage.history.get('ETHUSDT-2')).symbol = 'XXX';
+    assert.strictEqual((await storage.history.get('ETHUSDT-2')).symbol, 'ETHUSDT');
+});
+
+test('file history: the index is rebuilt from the log on restart', async () => {
+    const { opts, storage } = tempStore();
+    await storage.history.append(rec('BTCUSDT-1', 100));
+    await storage.history.update('BTCUSDT-1', { outcome: { status: 'LOSS', r: -1 } });
+    fs.appendFileSync(opts.historyFile, '{"torn":\n');
+    const reopened = createStorage(opts);
+    assert.strictEqual(await reopened.history.count(), 1);
+    assert.strictEqual((await reopened.history.get('BTCUSDT-1')).outcome.status, 'LOSS');
+});
+
+test('file history: prune drops old resolved records and compacts the log', async () => {
+    const { opts, storage, lines } = tempStore();
+    await storage.history.append(rec('BTCUSDT-1', 100, { outcome: { status: 'WIN', r: 1 } }));
+    await storage.history.append(rec('ETHUSDT-2', 150));
+    await storage.history.append(rec('SOLUSDT-3', 300));
+    await storage.history.update('SOLUSDT-3', { outcome: { status: 'LOSS', r: -1 } });
+    assert.strictEqual(lines(), 4);
+    assert.strictEqual(await storage.history.prune(200), 1);
+    assert.strictEqual(lines(), 2);
+    assert.deepStrictEqual((await storage.history.query()).map(r => r.id), ['SOLUSDT-3', 'ETHUSDT-2']);
+    assert.strictEqual(await createStorage(opts).history.count(), 2);
+});
+
+test('failed init rejects ready and every call, without an unhandled rejection', async () => {
+    const { dir, opts } = tempStore();
+    const legacyHistoryFile = path.join(dir, 'signals_history.json');
+    fs.writeFileSync(legacyHistoryFile, '[{"broken"');
+    const storage = createStorage({ ...opts, legacyHistoryFile });
+    await assert.rejects(storage.ready, SyntaxError);
+    await assert.rejects(storage.history.count(), SyntaxError);
+    await assert.rejects(storage.getDoc('users', {}), SyntaxError);
+});
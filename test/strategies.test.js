@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_STRATEGY, getStrategy, listStrategies, requiredTimeframes, runStrategy } = require('../strategies');
+
+test('registered strategies are found by name', () => {
+    assert.strictEqual(getStrategy(DEFAULT_STRATEGY).name, DEFAULT_STRATEGY);
+    assert.deepStrictEqual(listStrategies().map(s => s.name).sort(), ['breakout', 'mean-reversion', 'physics-scalp']);
+});
+
+test('Object.prototype names are not strategies', () => {
+    for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+        assert.strictEqual(getStrategy(name), null, name);
+        assert.deepStrictEqual(requiredTimeframes([name]), [], name);
+        const result = runStrategy(name, 'BTCUSDT', {});
+        assert.strictEqual(result.direction, 'NO_TRADE', name);
+        assert.match(result.reason, /Unknown strategy/);
+    }
+});
+
+test('closedCandles drops the still-forming candle', () => {
+    const { closedCandles } = require('../strategies/common');
+    const m = 15 * 60 * 1000;
+    const candles = [0, 1, 2, 3].map(i => ({ t: i * m }));
+    assert.strictEqual(closedCandles(candles, '15M', 4 * m), candles);
+    assert.deepStrictEqual(closedCandles(candles, '15M', 4 * m - 1).map(c => c.t), [0, m, 2 * m]);
+    assert.deepStrictEqual(closedCandles(candles, '15M', 3 * m + 1).map(c => c.t), [0, m, 2 * m]);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { createCandleStore, createKlineStream } = require('../stream');
+
+const bar = (t, close, vol) => ({ t, open: 1, high: 2, low: 0.5, close, vol });
+
+test('backfill merge keeps klines that streamed in during the REST call', () => {
+    const store = createCandleStore(5);
+    store.set('BTCUSDT', '5M', [bar(1, 1, 10), bar(2, 1, 10), bar(3, 1, 10)]);
+    // while the snapshot was in flight: bar 3 grew, bar 4 opened
+    store.upsert('BTCUSDT', '5M', bar(3, 1.3, 25));
+    store.upsert('BTCUSDT', '5M', bar(4, 1.4, 5));
+    const snapshot = [bar(0, 0.9, 10), bar(1, 1, 10), bar(2, 1, 10), bar(3, 1.2, 20)];
+    store.merge('BTCUSDT', '5M', snapshot);
+    assert.deepStrictEqual(store.get('BTCUSDT', '5M').map(c => [c.t, c.close]), [[0, 0.9], [1, 1], [2, 1], [3, 1.3], [4, 1.4]]);
+});
+
+test('backfill merge fills a gap and replaces stale bars, capped at the buffer size', () => {
+    const store = createCandleStore(4);
+    store.set('ETHUSDT', '15M', [bar(1, 1, 10), bar(2, 1, 3)]); // bar 2 seen early, then the socket dropped
+    store.merge('ETHUSDT', '15M', [bar(2, 2, 40), bar(3, 3, 40), bar(4, 4, 40), bar(5, 5, 1)]);
+    assert.deepStrictEqual(store.get('ETHUSDT', '15M').map(c => [c.t, c.close]), [[2, 2], [3, 3], [4, 4], [5, 5]]);
+    // live klines continue on top of the merged buffer
+    assert.strictEqual(store.upsert('ETHUSDT', '15M', bar(5, 5.5, 8)), true);
+    assert.strictEqual(store.upsert('ETHUSDT', '15M', bar(4, 9, 99)), false);
+});
+
+test('stop() during the start backfill leaves no sockets or watchdog behind', async t => {
+    t.mock.method(axios, 'get', async () => { throw new Error('offline'); });
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'log', () => {});
+    const setInterval = t.mock.method(global, 'setInterval');
+    const stream = createKlineStream({ symbols: ['BTCUSDT'], store: createCandleStore(), url: 'ws://127.0.0.1:9' });
+    const started = stream.start();
+    stream.stop(); // universe change while the REST backfill runs
+    await started;
+    assert.strictEqual(setInterval.mock.callCount(), 0);
+    assert.strictEqual(stream.isConnected(), false);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { selectUniverse, fileSource, createUniverse } = require('../universe');
+const { DEFAULT_CONFIG } = require('../config');
+
+/**
+ * data/universe: exchangeInfo + 24h tickers in the Binance futures response shapes (the files
+ * scripts/record-universe.js writes), cut down to a dozen symbols: TRADING USDT perpetuals, a quarterly
+ * contract, a SETTLING (delisted) perpetual, BTC- and USDC-quoted perpetuals and a stablecoin pair
+ */
+const FIXTURE_DIR = path.join(__dirname, '..', 'data', 'universe');
+const settings = (overrides = {}) => ({ ...DEFAULT_CONFIG.universe, targetCoins: [], ...overrides });
+
+test('only TRADING USDT perpetuals above minQuoteVolume are ranked', async () => {
+    const data = await fileSource(FIXTURE_DIR).load();
+    const { ranked } = selectUniverse(data, settings());
+    // volume rank x 0.7 + 24h range rank x 0.3; USDCUSDT excluded by default, WIFUSDT under 20M volume
+    assert.deepStrictEqual(ranked.map(r => [r.symbol, r.score]), [
+        ['BTCUSDT', 0.7], ['ETHUSDT', 0.68], ['SOLUSDT', 0.6], ['DOGEUSDT', 0.38], ['XRPUSDT', 0.34], ['1000PEPEUSDT', 0.3]
+    ]);
+});
+
+test('dynamic mode: top `size` plus tradable includes, excludes win', async () => {
+    const data = await fileSource(FIXTURE_DIR).load();
+    const result = selectUniverse(data, settings({ size: 3, include: ['WIFUSDT', 'MATICUSDT', 'SOLUSDT'], exclude: ['ETHUSDT'] }));
+    // ranks are taken without ETHUSDT: BTCUSDT 0.7, SOLUSDT 0.675, XRPUSDT 0.425; MATICUSDT is not tradable
+    assert.deepStrictEqual(result.symbols, ['WIFUSDT', 'SOLUSDT', 'BTCUSDT', 'XRPUSDT']);
+    assert.deepStrictEqual(result.dropped, []);
+});
+
+test('static mode: targetCoins that are no longer tradable perpetuals are dropped', async () => {
+    const data = await fileSource(FIXTURE_DIR).load();
+    const targetCoins = ['BTCUSDT', 'DOGEUSDT', 'MATICUSDT', 'USDCUSDT', 'BTCUSDT_251226', 'ETHBTC', 'BTCUSDC'];
+    const result = selectUniverse(data, settings({ mode: 'static', targetCoins }));
+    assert.deepStrictEqual(result.symbols, ['BTCUSDT', 'DOGEUSDT']);
+    assert.deepStrictEqual(result.dropped, ['MATICUSDT', 'BTCUSDT_251226', 'ETHBTC', 'BTCUSDC']);
+});
+
+test('refresh reports what was added and removed against the static list', async () => {
+    const changes = [];
+    const universe = createUniverse({
+        source: fileSource(FIXTURE_DIR),
+        getSettings: () => settings({ size: 2, targetCoins: ['BTCUSDT', 'MATICUSDT'] }),
+        onChange: c => changes.push(c)
+    });
+    assert.deepStrictEqual(universe.symbols(), ['BTCUSDT', 'MATICUSDT']);
+    const result = await universe.refresh();
+    assert.deepStrictEqual(result.symbols, ['BTCUSDT', 'ETHUSDT']);
+    assert.deepStrictEqual(result.added, ['ETHUSDT']);
+    assert.deepStrictEqual(result.removed, ['MATICUSDT']);
+    assert.strictEqual(changes.length, 1);
+    assert.strictEqual(universe.status().lastError, null);
+});
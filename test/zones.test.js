@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findFVGs, findOrderBlocks, findEntryZone } = require('../zones');
+
+const ATR = 2;
+const c = (i, open, high, low, close, vol = 10) => ({ t: i * 15 * 60 * 1000, open, high, low, close, vol });
+
+// flat base, a bearish candle (the order block), a high-volume bullish displacement leaving a gap [100.5, 102.8]
+function setup(...after) {
+    const base = [0, 1, 2, 3, 4, 5].map(i => c(i, 100, 100.5, 99.8, 100.2));
+    return [
+        ...base,
+        c(6, 100.4, 100.5, 99.7, 99.9),
+        c(7, 99.9, 103.1, 99.8, 103, 50),
+        c(8, 103, 104, 102.8, 103.8, 20),
+        c(9, 103.8, 104.2, 102.2, 103.5, 15),
+        ...after.map((row, n) => c(10 + n, ...row))
+    ];
+}
+
+test('FVG fill tracking: open, partial, filled', () => {
+    const partial = findFVGs(setup());
+    assert.deepStrictEqual(partial, [{ type: 'bullish', low: 100.5, high: 102.8, idx: 7, t: 7 * 15 * 60 * 1000, fillRatio: 0.261, status: 'partial' }]);
+    assert.strictEqual(findFVGs(setup().slice(0, 9))[0].status, 'open');
+    assert.strictEqual(findFVGs(setup([103.5, 103.6, 100.4, 101]))[0].status, 'filled');
+    // bearish mirror
+    const bear = findFVGs([c(0, 100, 100.5, 99.5, 100), c(1, 100, 100, 96, 96.2, 50), c(2, 96.2, 98, 95, 95.5)]);
+    assert.deepStrictEqual(bear.map(g => [g.type, g.low, g.high, g.status]), [['bearish', 98, 99.5, 'open']]);
+});
+
+test('order block: fresh, mitigated by a touch, broken by a close through it', () => {
+    const fresh = findOrderBlocks(setup(), ATR);
+    assert.deepStrictEqual(fresh, [{ type: 'bullish', low: 99.7, high: 100.5, idx: 7, t: 6 * 15 * 60 * 1000, status: 'fresh' }]);
+    assert.strictEqual(findOrderBlocks(setup([103.5, 103.6, 100.4, 101]), ATR)[0].status, 'mitigated');
+    assert.strictEqual(findOrderBlocks(setup([103.5, 103.6, 99.2, 99.5]), ATR)[0].status, 'broken');
+    // a displacement under 1 ATR or without volume is no impulse
+    assert.deepStrictEqual(findOrderBlocks(setup(), 4), []);
+    const quiet = setup();
+    quiet[7].vol = 5;
+    assert.deepStrictEqual(findOrderBlocks(quiet, ATR), []);
+});
+
+test('entry zone: a partially filled FVG is still eligible, limit at its midpoint', () => {
+    const candles = setup();
+    const zone = findEntryZone('LONG', 103.5, ATR, findFVGs(candles), findOrderBlocks(candles, ATR));
+    assert.deepStrictEqual(zone, { source: 'fvg', low: 100.5, high: 102.8, inside: false, entry: 101.65 });
+    // price already inside -> take it at market
+    assert.deepStrictEqual(findEntryZone('LONG', 102, ATR, findFVGs(candles), []), { source: 'fvg', low: 100.5, high: 102.8, inside: true, entry: 102 });
+    // wrong side or too far (> 1.5 ATR) -> nothing
+    assert.strictEqual(findEntryZone('SHORT', 103.5, ATR, findFVGs(candles), findOrderBlocks(candles, ATR)), null);
+    assert.strictEqual(findEntryZone('LONG', 106, ATR, findFVGs(candles), []), null);
+});
+
+test('entry zone: filled gaps and mitigated or broken blocks are rejected', () => {
+    const touched = setup([103.5, 103.6, 100.4, 101]);
+    assert.strictEqual(findEntryZone('LONG', 101.5, ATR, findFVGs(touched), findOrderBlocks(touched, ATR)), null);
+    const broken = setup([103.5, 103.6, 99.2, 99.5]);
+    assert.strictEqual(findEntryZone('LONG', 101, ATR, [], findOrderBlocks(broken, ATR)), null);
+    // the fresh block alone is taken
+    const fresh = setup();
+    assert.deepStrictEqual(findEntryZone('LONG', 101, ATR, [], findOrderBlocks(fresh, ATR)), { source: 'ob', low: 99.7, high: 100.5, inside: false, entry: 100.1 });
+});
+
+test('overlapping FVG and order block narrow the entry to the overlap', () => {
+    const fvg = { type: 'bullish', low: 100, high: 101.5, status: 'open' };
+    const ob = { type: 'bullish', low: 99.5, high: 100.6, status: 'fresh' };
+    const zone = findEntryZone('LONG', 102, ATR, [fvg], [ob]);
+    assert.strictEqual(zone.source, 'fvg+ob');
+    assert.deepStrictEqual([zone.low, zone.high], [100, 100.6]);
+    assert.ok(Math.abs(zone.entry - 100.3) < 1e-9);
+});
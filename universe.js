@@ -0,0 +1,162 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * universe.js
+ * - Trading universe from Binance futures exchange info + 24h tickers
+ * - Keeps TRADING USDT perpetuals only, ranks by quote volume and 24h range (volatility), applies include / exclude
+ * - config.universe.mode: 'dynamic' (top `size` by score) or 'static' (config.targetCoins, minus symbols that are
+ *   no longer TRADING perpetuals)
+ * - Sources: binance (live REST) or file (recorded exchangeInfo.json + ticker24hr.json, UNIVERSE_FIXTURE_DIR)
+ */
+
+const HTTP_OPTIONS = {
+    timeout: 15000,
+    headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ScalperBot/1.0)' }
+};
+const FAPI = 'https://fapi.binance.com/fapi/v1';
+const FIXTURE_DIR = process.env.UNIVERSE_FIXTURE_DIR || path.join(__dirname, 'data', 'universe');
+
+// ----------------- Sources -----------------
+// source: { name, load() -> Promise<{ exchangeInfo, tickers }> } in the raw Binance response shapes
+const binanceSource = {
+    name: 'binance',
+    async load() {
+        const [info, tickers] = await Promise.all([
+            axios.get(`${FAPI}/exchangeInfo`, HTTP_OPTIONS),
+            axios.get(`${FAPI}/ticker/24hr`, HTTP_OPTIONS)
+        ]);
+        if (!info.data || !Array.isArray(info.data.symbols)) throw new Error('Invalid exchangeInfo response');
+        if (!Array.isArray(tickers.data)) throw new Error('Invalid 24h ticker response');
+        return { exchangeInfo: info.data, tickers: tickers.data };
+    }
+};
+
+function fileSource(dir = FIXTURE_DIR) {
+    return {
+        name: 'file',
+        async load() {
+            const read = name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+            return { exchangeInfo: read('exchangeInfo.json'), tickers: read('ticker24hr.json') };
+        }
+    };
+}
+
+function getUniverseSource(name = process.env.UNIVERSE_SOURCE || 'binance') {
+    if (name === 'file') return fileSource();
+    if (name !== 'binance') console.warn(`Unknown UNIVERSE_SOURCE "${name}", using binance`);
+    return binanceSource;
+}
+
+// ----------------- Selection -----------------
+function tradablePerpetuals(exchangeInfo) {
+    return new Set(exchangeInfo.symbols
+        .filter(s => s.status === 'TRADING' && s.contractType === 'PERPETUAL' && s.quoteAsset === 'USDT')
+        .map(s => s.symbol));
+}
+
+// 0..1 rank of each value within the list (ties share the lower rank)
+function percentileRanks(values) {
+    const sorted = values.slice().sort((a,b) => a - b);
+    const n = values.length;
+    return values.map(v => n > 1 ? sorted.indexOf(v) / (n - 1) : 1);
+}
+
+/**
+ * settings: config.universe (+ targetCoins for static mode)
+ * -> { symbols: [...], ranked: [{ symbol, quoteVolume, rangePct, score }], dropped: [static symbols not tradable] }
+ */
+function selectUniverse({ exchangeInfo, tickers }, settings) {
+    const tradable = tradablePerpetuals(exchangeInfo);
+    const exclude = new Set(settings.exclude || []);
+    const rows = tickers
+        .filter(t => tradable.has(t.symbol) && !exclude.has(t.symbol))
+        .map(t => {
+            const last = parseFloat(t.lastPrice);
+            return {
+                symbol: t.symbol,
+                quoteVolume: parseFloat(t.quoteVolume) || 0,
+                rangePct: last > 0 ? (parseFloat(t.highPrice) - parseFloat(t.lowPrice)) / last : 0
+            };
+        })
+        .filter(r => r.quoteVolume >= (settings.minQuoteVolume || 0));
+
+    const volRanks = percentileRanks(rows.map(r => r.quoteVolume));
+    const rangeRanks = percentileRanks(rows.map(r => r.rangePct));
+    rows.forEach((r, i) => {
+        r.score = +(settings.volumeWeight * volRanks[i] + settings.volatilityWeight * rangeRanks[i]).toFixed(4);
+    });
+    const ranked = rows.sort((a,b) => b.score - a.score);
+
+    const include = (settings.include || []).filter(s => tradable.has(s) && !exclude.has(s));
+    let symbols, dropped = [];
+    if (settings.mode === 'static') {
+        symbols = settings.targetCoins.filter(s => tradable.has(s) && !exclude.has(s));
+        dropped = settings.targetCoins.filter(s => !tradable.has(s));
+    } else {
+        symbols = ranked.slice(0, settings.size).map(r => r.symbol);
+    }
+    return { symbols: [...new Set([...include, ...symbols])], ranked, dropped };
+}
+
+// ----------------- Manager -----------------
+/**
+ * getSettings() -> { ...config.universe, targetCoins } (read on every refresh, so config reloads apply)
+ * onChange({ symbols, added, removed, dropped }) after a refresh that changed the list
+ * Until the first successful refresh symbols() is the static config list.
+ */
+function createUniverse({ source = getUniverseSource(), getSettings, onChange = () => {} }) {
+    let symbols = null;
+    let lastRefresh = null;
+    let lastError = null;
+    let timer = null;
+
+    async function refresh() {
+        const settings = getSettings();
+        try {
+            const data = await source.load();
+            const result = selectUniverse(data, settings);
+            if (!result.symbols.length) throw new Error('empty universe after filters');
+            const previous = symbols || settings.targetCoins;
+            const added = result.symbols.filter(s => !previous.includes(s));
+            const removed = previous.filter(s => !result.symbols.includes(s));
+            symbols = result.symbols;
+            lastRefresh = new Date().toISOString();
+            lastError = null;
+            if (added.length || removed.length) onChange({ symbols, added, removed, dropped: result.dropped });
+            return { symbols, added, removed, dropped: result.dropped };
+        } catch (e) {
+            lastError = e.message;
+            console.warn(`Universe refresh failed (${source.name}): ${e.message}`);
+            return null;
+        }
+    }
+
+    function schedule() {
+        if (timer) clearInterval(timer);
+        timer = setInterval(refresh, getSettings().refreshMinutes * 60 * 1000);
+    }
+
+    return {
+        refresh,
+        symbols() {
+            return symbols || getSettings().targetCoins;
+        },
+        status() {
+            return { source: source.name, mode: getSettings().mode, size: this.symbols().length, lastRefresh, lastError };
+        },
+        async start() {
+            schedule();
+            return refresh();
+        },
+        // call after refreshMinutes changed
+        reschedule: schedule,
+        stop() {
+            if (timer) clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = { createUniverse, selectUniverse, getUniverseSource, fileSource, binanceSource };
@@ -0,0 +1,122 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_STRATEGY } = require('./strategies');
+
+/**
+ * webhooks.js
+ * - Outbound JSON webhooks for new signals and lifecycle events (signal.created, signal.filled, signal.halfway,
+ *   signal.partial (TP ladder target hit), signal.resolved)
+ * - Targets in WEBHOOKS_FILE (webhooks.json):
+ *   [{ "name": "exec", "url": "http://localhost:8081/hook", "secret": "s3cret",
+ *      "events": ["signal.created"], "symbols": ["BTCUSDT"], "directions": ["LONG"], "minConfidence": 70,
+ *      "strategies": ["physics-scalp"] }]
+ *   every filter is optional
+ * - Body signed with HMAC-SHA256(secret, `${timestamp}.${body}`) -> X-Signature: sha256=<hex>, X-Timestamp
+ * - Retries with exponential backoff, failures appended to WEBHOOK_DEADLETTER_FILE (JSON lines)
+ */
+
+const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE || path.join(__dirname, 'webhooks.json');
+const DEADLETTER_FILE = process.env.WEBHOOK_DEADLETTER_FILE || path.join(__dirname, 'webhooks_deadletter.jsonl');
+const MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 1000; // 1s, 2s, 4s, 8s
+const REQUEST_TIMEOUT_MS = 8000;
+
+async function loadTargets() {
+    try {
+        const raw = await fs.readFile(WEBHOOKS_FILE, 'utf8');
+        const targets = JSON.parse(raw || '[]');
+        return Array.isArray(targets) ? targets.filter(t => t && t.url) : [];
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.error('Failed load webhooks:', e.message);
+        return [];
+    }
+}
+
+function targetAccepts(target, event, signal) {
+    if (Array.isArray(target.events) && target.events.length && !target.events.includes(event)) return false;
+    if (Array.isArray(target.symbols) && target.symbols.length && !target.symbols.includes(signal.symbol)) return false;
+    if (Array.isArray(target.directions) && target.directions.length && !target.directions.includes(signal.direction)) return false;
+    if (target.minConfidence !== undefined && (signal.confidence || 0) < target.minConfidence) return false;
+    if (Array.isArray(target.strategies) && target.strategies.length && !target.strategies.includes(signal.strategy || DEFAULT_STRATEGY)) return false;
+    return true;
+}
+
+function buildPayload(event, signal) {
+    return {
+        event,
+        sentAt: new Date().toISOString(),
+        signal: {
+            id: signal.id || null,
+            symbol: signal.symbol,
+            direction: signal.direction,
+            strategy: signal.strategy || DEFAULT_STRATEGY,
+            entry: signal.entry,
+            orderType: signal.orderType || 'MARKET',
+            entryZone: signal.entryZone || null,
+            validUntil: signal.validUntil || null,
+            sl: signal.sl,
+            tp: signal.tp,
+            ladder: signal.ladder || null,
+            tpHits: signal.tpHits || null,
+            rr: signal.rr,
+            confidence: signal.confidence,
+            createdAt: signal.createdAt || null,
+            fill: signal.fill || null,
+            halfway: signal.halfway || null,
+            outcome: signal.outcome || null,
+            meta: signal.meta || {}
+        }
+    };
+}
+
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function appendDeadLetter(entry) {
+    try {
+        await fs.appendFile(DEADLETTER_FILE, JSON.stringify(entry) + '\n', 'utf8');
+    } catch (e) {
+        console.error('Failed write webhook dead-letter:', e.message);
+    }
+}
+
+async function deliver(target, payload) {
+    const body = JSON.stringify(payload);
+    let lastError = null;
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const headers = { 'Content-Type': 'application/json', 'User-Agent': 'ScalperBot-Webhook/1.0', 'X-Event': payload.event, 'X-Timestamp': timestamp };
+        if (target.secret) headers['X-Signature'] = `sha256=${sign(target.secret, timestamp, body)}`;
+        try {
+            await axios.post(target.url, body, { headers, timeout: REQUEST_TIMEOUT_MS });
+            return true;
+        } catch (e) {
+            const status = e.response ? e.response.status : null;
+            lastError = status ? `HTTP ${status}` : e.message;
+            console.warn(`Webhook ${target.name || target.url} failed (attempt ${attempt}/${MAX_ATTEMPTS}): ${lastError}`);
+            // 4xx other than 408/429 will not get better by retrying
+            if (status && status >= 400 && status < 500 && status !== 408 && status !== 429) break;
+            if (attempt < MAX_ATTEMPTS) await new Promise(r => setTimeout(r, BACKOFF_BASE_MS * Math.pow(2, attempt - 1)));
+        }
+    }
+    await appendDeadLetter({ failedAt: new Date().toISOString(), target: target.name || target.url, url: target.url, error: lastError, payload });
+    return false;
+}
+
+/**
+ * Deliver one event to every matching target (targets in parallel, retries per target).
+ * Never throws; returns { delivered, failed }.
+ */
+async function emitWebhookEvent(event, signal) {
+    const targets = (await loadTargets()).filter(t => targetAccepts(t, event, signal));
+    if (!targets.length) return { delivered: 0, failed: 0 };
+    const payload = buildPayload(event, signal);
+    const results = await Promise.all(targets.map(t => deliver(t, payload).catch(() => false)));
+    const delivered = results.filter(Boolean).length;
+    return { delivered, failed: results.length - delivered };
+}
+
+module.exports = { emitWebhookEvent, sign };
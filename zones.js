@@ -0,0 +1,117 @@
+/**
+ * zones.js
+ * - Fair value gaps (3-candle imbalance) with fill tracking: open -> partial -> filled
+ * - Order blocks: last opposite candle before an impulsive, high-volume move; fresh -> mitigated / broken
+ * - Entry zone: nearest untouched zone in the trade direction -> limit entry at its midpoint
+ */
+
+// ----------------- Config -----------------
+const ZONE_LOOKBACK = 100; // only zones from the last 100 bars
+const IMPULSE_BODY_RATIO = 0.6; // body / range of the displacement candle
+const IMPULSE_MIN_ATR = 1.0; // displacement body >= 1 ATR
+const OB_SEARCH_BARS = 3; // opposite candle must be within 3 bars before the impulse
+const MAX_ZONE_DISTANCE_ATR = 1.5; // pullback further than this is not a scalp entry
+const MIN_ZONE_HEIGHT_ATR = 0.05; // ignore hairline gaps
+const MAX_ZONE_HEIGHT_ATR = 1.5;
+
+function mean(arr) {
+    return arr.length ? arr.reduce((a,b) => a+b, 0) / arr.length : 0;
+}
+
+// ----------------- Fair value gaps -----------------
+/**
+ * Bullish FVG: candle i+1 low above candle i-1 high -> gap [high(i-1), low(i+1)] (bearish mirrored).
+ * Later candles fill it from the near edge: status open / partial / filled, fillRatio 0..1.
+ */
+function findFVGs(candles) {
+    const gaps = [];
+    const from = Math.max(1, candles.length - ZONE_LOOKBACK);
+    for (let i = from; i < candles.length - 1; i++) {
+        const prev = candles[i-1], next = candles[i+1];
+        let gap = null;
+        if (next.low > prev.high) gap = { type: 'bullish', low: prev.high, high: next.low, idx: i, t: candles[i].t };
+        if (next.high < prev.low) gap = { type: 'bearish', low: next.high, high: prev.low, idx: i, t: candles[i].t };
+        if (!gap) continue;
+
+        const height = gap.high - gap.low;
+        let depth = 0;
+        for (let j = i + 2; j < candles.length; j++) {
+            const reach = gap.type === 'bullish' ? gap.high - candles[j].low : candles[j].high - gap.low;
+            depth = Math.max(depth, reach);
+        }
+        gap.fillRatio = +Math.max(0, Math.min(1, depth / height)).toFixed(3);
+        gap.status = gap.fillRatio >= 1 ? 'filled' : gap.fillRatio > 0 ? 'partial' : 'open';
+        gaps.push(gap);
+    }
+    return gaps;
+}
+
+// ----------------- Order blocks -----------------
+function findOrderBlocks(candles, atr) {
+    const blocks = [];
+    const from = Math.max(6, candles.length - ZONE_LOOKBACK);
+    for (let i = from; i < candles.length; i++) {
+        const c = candles[i];
+        const body = Math.abs(c.close - c.open);
+        const range = c.high - c.low;
+        const impulsive = range > 0 && body > range * IMPULSE_BODY_RATIO && body >= atr * IMPULSE_MIN_ATR
+            && c.vol > mean(candles.slice(i - 6, i).map(x => x.vol));
+        if (!impulsive) continue;
+
+        const bullish = c.close > c.open;
+        let ob = null;
+        for (let j = i - 1; j >= Math.max(0, i - OB_SEARCH_BARS); j--) {
+            const o = candles[j];
+            if (bullish ? o.close < o.open : o.close > o.open) { ob = o; break; }
+        }
+        if (!ob) continue;
+
+        const block = { type: bullish ? 'bullish' : 'bearish', low: ob.low, high: ob.high, idx: i, t: ob.t, status: 'fresh' };
+        for (let j = i + 1; j < candles.length; j++) {
+            const k = candles[j];
+            // broken: a close through the far side; mitigated: price traded back into the block
+            if (bullish ? k.close < block.low : k.close > block.high) { block.status = 'broken'; break; }
+            if (bullish ? k.low <= block.high : k.high >= block.low) block.status = 'mitigated';
+        }
+        blocks.push(block);
+    }
+    return blocks;
+}
+
+// ----------------- Entry zone -----------------
+/**
+ * Nearest untouched zone on the pullback side of price (below for LONG, above for SHORT).
+ * -> { source: 'fvg' | 'ob' | 'fvg+ob', low, high, entry, inside } or null
+ * inside = price is already in the zone (take it at market); otherwise entry is a limit at the midpoint.
+ */
+function findEntryZone(direction, price, atr, fvgs, orderBlocks) {
+    const want = direction === 'LONG' ? 'bullish' : 'bearish';
+    const zones = [
+        ...fvgs.filter(g => g.type === want && g.status !== 'filled').map(g => ({ source: 'fvg', low: g.low, high: g.high })),
+        ...orderBlocks.filter(b => b.type === want && b.status === 'fresh').map(b => ({ source: 'ob', low: b.low, high: b.high }))
+    ].filter(z => {
+        const h = z.high - z.low;
+        return h >= atr * MIN_ZONE_HEIGHT_ATR && h <= atr * MAX_ZONE_HEIGHT_ATR;
+    });
+
+    const distance = z => direction === 'LONG' ? price - z.high : z.low - price;
+    const candidates = zones
+        .filter(z => direction === 'LONG' ? z.low < price : z.high > price)
+        .filter(z => distance(z) <= atr * MAX_ZONE_DISTANCE_ATR)
+        .sort((a,b) => distance(a) - distance(b));
+    if (!candidates.length) return null;
+
+    const zone = { ...candidates[0] };
+    // an overlapping zone of the other kind narrows the entry to the overlap
+    const other = candidates.find(z => z.source !== zone.source && z.low < zone.high && z.high > zone.low);
+    if (other) {
+        zone.source = 'fvg+ob';
+        zone.low = Math.max(zone.low, other.low);
+        zone.high = Math.min(zone.high, other.high);
+    }
+    zone.inside = price >= zone.low && price <= zone.high;
+    zone.entry = zone.inside ? price : (zone.low + zone.high) / 2;
+    return zone;
+}
+
+module.exports = { findFVGs, findOrderBlocks, findEntryZone };